@@ -19,8 +19,75 @@ export const supabaseConfig = {
   serviceKey: process.env.REACT_APP_SUPABASE_SERVICE_KEY,
 };
 
+/**
+ * Split a comma-separated environment variable into a list
+ * @param {string} value - Raw variable value
+ * @returns {Array<string>} Trimmed, non-empty entries
+ */
+const parseList = (value) => (value || '')
+  .split(',')
+  .map((entry) => entry.trim())
+  .filter(Boolean);
+
+// Public STUN servers used when none are configured, or when the ICE configuration is invalid
+const DEFAULT_STUN_URLS = ['stun:stun.l.google.com:19302', 'stun:stun1.l.google.com:19302'];
+
+/**
+ * ICE (STUN/TURN) configuration for WebRTC peer connections
+ * TURN credentials can be static or minted per user by a Supabase Edge Function
+ */
+export const iceConfig = {
+  stunUrls: process.env.REACT_APP_STUN_URLS
+    ? parseList(process.env.REACT_APP_STUN_URLS)
+    : DEFAULT_STUN_URLS,
+  turnUrls: parseList(process.env.REACT_APP_TURN_URLS),
+  turnUsername: process.env.REACT_APP_TURN_USERNAME,
+  turnCredential: process.env.REACT_APP_TURN_CREDENTIAL,
+  turnCredentialsFunction: process.env.REACT_APP_TURN_CREDENTIALS_FUNCTION,
+  forceRelay: process.env.REACT_APP_ICE_FORCE_RELAY === 'true',
+};
+
+/**
+ * Validates the ICE configuration
+ * @returns {Array<string>} Problems found (empty when the configuration is valid)
+ */
+export const validateIceConfig = () => {
+  const problems = [];
+
+  iceConfig.stunUrls
+    .filter((url) => !/^stuns?:[^\s]+$/.test(url))
+    .forEach((url) => problems.push(`REACT_APP_STUN_URLS: "${url}" is not a stun: or stuns: URL`));
+
+  iceConfig.turnUrls
+    .filter((url) => !/^turns?:[^\s]+$/.test(url))
+    .forEach((url) => problems.push(`REACT_APP_TURN_URLS: "${url}" is not a turn: or turns: URL`));
+
+  if (Boolean(iceConfig.turnUsername) !== Boolean(iceConfig.turnCredential)) {
+    problems.push('REACT_APP_TURN_USERNAME and REACT_APP_TURN_CREDENTIAL must be set together');
+  }
+
+  if (iceConfig.turnUsername && iceConfig.turnUrls.length === 0) {
+    problems.push('REACT_APP_TURN_USERNAME is set but REACT_APP_TURN_URLS is empty');
+  }
+
+  if (iceConfig.turnUrls.length > 0 && !iceConfig.turnUsername && !iceConfig.turnCredentialsFunction) {
+    problems.push(
+      'REACT_APP_TURN_URLS needs either REACT_APP_TURN_USERNAME/REACT_APP_TURN_CREDENTIAL '
+      + 'or REACT_APP_TURN_CREDENTIALS_FUNCTION'
+    );
+  }
+
+  if (iceConfig.forceRelay && iceConfig.turnUrls.length === 0 && !iceConfig.turnCredentialsFunction) {
+    problems.push('REACT_APP_ICE_FORCE_RELAY needs a TURN server to relay through');
+  }
+
+  return problems;
+};
+
 /**
  * Validates that required environment variables are present
+ * An invalid ICE configuration only affects calls, so it is replaced by the default STUN servers
+ * with a warning rather than stopping the app from loading
  * @throws {Error} If any required environment variables are missing
  */
 export const validateEnv = () => {
@@ -41,4 +108,19 @@ export const validateEnv = () => {
   if (missingVars.length > 0) {
     throw new Error(`Missing required environment variables: ${missingVars.join(', ')}`);
   }
+
+  const iceProblems = validateIceConfig();
+  if (iceProblems.length > 0) {
+    console.warn(
+      `Invalid ICE server configuration, using the default STUN servers: ${iceProblems.join('; ')}`
+    );
+    Object.assign(iceConfig, {
+      stunUrls: DEFAULT_STUN_URLS,
+      turnUrls: [],
+      turnUsername: undefined,
+      turnCredential: undefined,
+      turnCredentialsFunction: undefined,
+      forceRelay: false
+    });
+  }
 };
\ No newline at end of file
@@ -10,6 +10,7 @@ import {
   SlideUp, FadeIn, Badge, Divider
 } from '../common/components/StyledComponents';
 import { LoaderIcon, ChatIcon, SettingsIcon } from '../common/components/IconComponents';
+import CallLogPanel from '../chat/components/CallLogPanel';
 
 // Additional styled components for ProfilePage
 const ProfileHeader = styled.div`
@@ -196,6 +197,10 @@ const InfoValue = styled.span`
   flex: 1;
 `;
 
+const CallLogCard = styled(InfoCard)`
+  margin-top: ${({ theme }) => theme.space.lg};
+`;
+
 const AlertBox = styled.div`
   padding: ${({ theme }) => theme.space.md};
   border-radius: ${({ theme }) => theme.borderRadius.md};
@@ -362,6 +367,12 @@ const ProfilePage = () => {
               )}
             </InfoCard>
           </Grid>
+
+          {/* Call history */}
+          <CallLogCard>
+            <InfoCardTitle>Call Log</InfoCardTitle>
+            <CallLogPanel />
+          </CallLogCard>
         </Card>
       </FadeIn>
 
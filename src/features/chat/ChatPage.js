@@ -1,11 +1,15 @@
 /**
  * Main chat page component that integrates all chat functionality
  */
-import React from 'react';
+import React, { useEffect, useState } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
 import styled from 'styled-components';
 import { ChatProvider, useChatContext } from './contexts/ChatProvider';
+import { useCallContext } from './contexts/CallProvider';
+import { FileTransferProvider } from './contexts/FileTransferProvider';
 import ChatRoomList from './components/ChatRoomList';
 import ChatRoom from './components/ChatRoom';
+import MessageSearch from './components/MessageSearch';
 import { SlideUp, SlideDown } from '../common/components/StyledComponents';
 
 // Styled components for the chat interface
@@ -132,33 +136,88 @@ const ChatPageContent = () => {
   const {
     rooms,
     selectedRoomId,
+    mentionCounts,
+    onlineUsers,
     loading,
     createRoom,
     selectRoom
   } = useChatContext();
+  const { startCall } = useCallContext();
+  const location = useLocation();
+  const navigate = useNavigate();
+
+  // The search result to show in context in its room
+  const [focusMessage, setFocusMessage] = useState(null);
+
+  // "Call back" from the call log: open the original room and ring the user
+  const callBack = location.state?.callBack;
+  useEffect(() => {
+    if (!callBack?.user) {
+      return;
+    }
+
+    if (callBack.roomId) {
+      selectRoom(callBack.roomId);
+    }
+    startCall(callBack.user, callBack.roomId || null);
+
+    // Clear the request so a refresh doesn't call again
+    navigate(location.pathname, { replace: true, state: null });
+  }, [callBack, selectRoom, startCall, navigate, location.pathname]);
+
+  // A call accepted from another page: open the room it was placed from
+  const acceptedCall = location.state?.acceptedCall;
+  useEffect(() => {
+    if (!acceptedCall) {
+      return;
+    }
+
+    if (acceptedCall.roomId) {
+      selectRoom(acceptedCall.roomId);
+    }
+
+    navigate(location.pathname, { replace: true, state: null });
+  }, [acceptedCall, selectRoom, navigate, location.pathname]);
 
   // Enhanced select room handler without logging
   const handleSelectRoom = (roomId) => {
     selectRoom(roomId);
   };
 
+  /**
+   * Open a search result's room and jump to the message
+   * @param {object} result - Result from the message search
+   */
+  const handleSelectResult = (result) => {
+    selectRoom(result.room_id);
+    setFocusMessage({
+      roomId: result.room_id,
+      messageId: result.id,
+      parentMessageId: result.parent_message_id
+    });
+  };
+
   return (
     <ChatContent>
       <SlideUp duration="0.5s">
         <Sidebar>
-          <ChatRoomList
-            rooms={rooms}
-            selectedRoomId={selectedRoomId}
-            onSelectRoom={handleSelectRoom}
-            onCreateRoom={createRoom}
-            loading={loading}
-          />
+          <MessageSearch rooms={rooms} users={onlineUsers} onSelectResult={handleSelectResult}>
+            <ChatRoomList
+              rooms={rooms}
+              selectedRoomId={selectedRoomId}
+              mentionCounts={mentionCounts}
+              users={onlineUsers}
+              onSelectRoom={handleSelectRoom}
+              onCreateRoom={createRoom}
+              loading={loading}
+            />
+          </MessageSearch>
         </Sidebar>
       </SlideUp>
 
       <SlideDown duration="0.5s">
         <ChatArea>
-          <ChatRoom roomId={selectedRoomId} />
+          <ChatRoom roomId={selectedRoomId} focusMessage={focusMessage} />
         </ChatArea>
       </SlideDown>
     </ChatContent>
@@ -166,21 +225,23 @@ const ChatPageContent = () => {
 };
 
 /**
- * Chat page component with provider
+ * Chat page component with providers
  * @returns {React.ReactElement} The component
  */
 const ChatPage = () => (
   <ChatProvider>
-    <ChatContainer>
-      <SlideDown>
-        <ChatHeader>
-          <HeaderContent>
-            <ChatTitle>ConnectHub Chat</ChatTitle>
-          </HeaderContent>
-        </ChatHeader>
-      </SlideDown>
-      <ChatPageContent />
-    </ChatContainer>
+    <FileTransferProvider>
+      <ChatContainer>
+        <SlideDown>
+          <ChatHeader>
+            <HeaderContent>
+              <ChatTitle>ConnectHub Chat</ChatTitle>
+            </HeaderContent>
+          </ChatHeader>
+        </SlideDown>
+        <ChatPageContent />
+      </ChatContainer>
+    </FileTransferProvider>
   </ChatProvider>
 );
 
@@ -0,0 +1,169 @@
+/**
+ * Component for the call log shown on the profile page
+ * Lists recent one-to-one calls and lets the user call people back
+ */
+import React from 'react';
+import { useNavigate } from 'react-router-dom';
+import styled from 'styled-components';
+import { useSupabaseUserContext } from '../../auth/contexts/SupabaseUserProvider';
+import { useCallHistory } from '../hooks/useCallHistory';
+import { CALL_OUTCOME } from '../services/callService';
+import { formatCallDuration } from '../utils/dateUtils';
+import { formatTimeSince } from '../../common/utils/dateUtils';
+import { Text } from '../../common/components/StyledComponents';
+import { LoaderIcon, CameraIcon } from '../../common/components/IconComponents';
+
+// Styled components
+const CallList = styled.ul`
+  list-style: none;
+  padding: 0;
+  margin: 0;
+`;
+
+const CallItem = styled.li`
+  display: flex;
+  align-items: center;
+  gap: ${({ theme }) => theme.space.md};
+  padding: ${({ theme }) => theme.space.sm} 0;
+  border-bottom: 1px dashed ${({ theme }) => theme.colors.accent3};
+
+  &:last-child {
+    border-bottom: none;
+  }
+
+  img {
+    width: 40px;
+    height: 40px;
+    border-radius: 50%;
+    object-fit: cover;
+  }
+`;
+
+const CallDetails = styled.div`
+  flex: 1;
+  min-width: 0;
+`;
+
+const CallName = styled.div`
+  font-weight: 600;
+  color: ${({ theme, missed }) => missed ? theme.colors.error : theme.colors.text.primary};
+`;
+
+const CallMeta = styled.div`
+  font-size: ${({ theme }) => theme.fontSizes.xs};
+  color: ${({ theme }) => theme.colors.text.secondary};
+`;
+
+const CallBackButton = styled.button`
+  display: inline-flex;
+  align-items: center;
+  gap: ${({ theme }) => theme.space.xs};
+  border: none;
+  border-radius: ${({ theme }) => theme.borderRadius.full};
+  padding: ${({ theme }) => `${theme.space.xs} ${theme.space.md}`};
+  font-size: ${({ theme }) => theme.fontSizes.xs};
+  font-weight: 600;
+  color: ${({ theme }) => theme.colors.text.light};
+  background: linear-gradient(45deg, ${({ theme }) => theme.colors.secondary}, ${({ theme }) => theme.colors.primary});
+  transition: ${({ theme }) => theme.transitions.quick};
+
+  &:hover {
+    transform: translateY(-2px);
+    box-shadow: ${({ theme }) => theme.shadows.sm};
+  }
+
+  svg {
+    width: 14px;
+    height: 14px;
+  }
+`;
+
+const EmptyText = styled(Text)`
+  font-style: italic;
+  color: ${({ theme }) => theme.colors.text.secondary};
+`;
+
+// One-line description of how a call went, from the current user's point of view
+const describeCall = (call, isOutgoing) => {
+  const direction = isOutgoing ? 'Outgoing' : 'Incoming';
+
+  switch (call.outcome) {
+    case CALL_OUTCOME.COMPLETED:
+      return `${direction} · ${formatCallDuration(call.duration_seconds)}`;
+    case CALL_OUTCOME.DECLINED:
+      return `${direction} · Declined`;
+    case CALL_OUTCOME.MISSED:
+      return isOutgoing ? 'Outgoing · No answer' : 'Missed call';
+    default:
+      return `${direction} · In progress`;
+  }
+};
+
+/**
+ * Call log panel component
+ * @returns {React.ReactElement} The component
+ */
+const CallLogPanel = () => {
+  const navigate = useNavigate();
+  const { supabaseUser } = useSupabaseUserContext();
+  const { calls, loading, error } = useCallHistory();
+
+  // Calls are placed from the chat page, in the room the original call came from
+  const handleCallBack = (user, roomId) => {
+    navigate('/chat', { state: { callBack: { user, roomId } } });
+  };
+
+  if (loading) {
+    return (
+      <div className="spin" style={{ textAlign: 'center' }}>
+        <LoaderIcon />
+      </div>
+    );
+  }
+
+  if (error) {
+    return <EmptyText>Could not load your call history</EmptyText>;
+  }
+
+  if (calls.length === 0) {
+    return <EmptyText>No calls yet</EmptyText>;
+  }
+
+  return (
+    <CallList data-testid="call-log">
+      {calls.map((call) => {
+        const isOutgoing = call.caller?.id === supabaseUser?.id;
+        const other = isOutgoing ? call.callee : call.caller;
+        const missed = !isOutgoing && call.outcome === CALL_OUTCOME.MISSED;
+
+        if (!other) {
+          return null;
+        }
+
+        return (
+          <CallItem key={call.id}>
+            <img
+              src={other.image_url || 'https://via.placeholder.com/40'}
+              alt={other.full_name || 'User'}
+            />
+            <CallDetails>
+              <CallName missed={missed}>{other.full_name || 'Unknown User'}</CallName>
+              <CallMeta>
+                {describeCall(call, isOutgoing)} · {formatTimeSince(call.started_at)}
+              </CallMeta>
+            </CallDetails>
+            <CallBackButton
+              onClick={() => handleCallBack(other, call.room_id)}
+              title={`Call ${other.full_name || 'user'} back`}
+            >
+              <CameraIcon />
+              Call back
+            </CallBackButton>
+          </CallItem>
+        );
+      })}
+    </CallList>
+  );
+};
+
+export default CallLogPanel;
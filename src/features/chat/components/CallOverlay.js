@@ -0,0 +1,326 @@
+/**
+ * Component for the floating one-to-one call window
+ * Shows outgoing ringing, in-call and call-ended states; incoming calls ring in IncomingCallModal
+ */
+import React from 'react';
+import styled from 'styled-components';
+import { useCallContext } from '../contexts/CallProvider';
+import { CALL_STATUS } from '../hooks/useVideoCall';
+import { AUDIO_ONLY_LEVEL } from '../utils/callStats';
+import StreamVideo from './StreamVideo';
+import ConnectionStats from './ConnectionStats';
+import { Text, pulse, slideUp } from '../../common/components/StyledComponents';
+import {
+  HangUpIcon, MicIcon, CameraIcon, ScreenShareIcon, RecordIcon
+} from '../../common/components/IconComponents';
+
+// Human-readable descriptions of why a call ended
+const END_REASON_TEXT = {
+  declined: 'Call declined',
+  busy: 'is busy on another call',
+  missed: 'No answer',
+  cancelled: 'Call cancelled',
+  ended: 'Call ended',
+  failed: 'Call failed'
+};
+
+// Styled components
+const OverlayContainer = styled.div`
+  position: fixed;
+  right: ${({ theme }) => theme.space.lg};
+  bottom: ${({ theme }) => theme.space.lg};
+  width: ${({ wide }) => wide ? '640px' : '360px'};
+  max-width: calc(100vw - 2 * ${({ theme }) => theme.space.lg});
+  z-index: 200;
+  border-radius: ${({ theme }) => theme.borderRadius.lg};
+  background: ${({ theme }) => theme.colors.text.primary};
+  box-shadow: ${({ theme }) => theme.shadows.xl}, 0 10px 40px rgba(0, 0, 0, 0.3);
+  overflow: hidden;
+  color: ${({ theme }) => theme.colors.text.light};
+  animation: ${slideUp} 0.3s ease both;
+  transition: width 0.3s ease;
+`;
+
+const VideoArea = styled.div`
+  position: relative;
+  width: 100%;
+  aspect-ratio: 4 / 3;
+  background: #000;
+`;
+
+const RemoteVideo = styled(StreamVideo)`
+  width: 100%;
+  height: 100%;
+  object-fit: ${({ presenting }) => presenting ? 'contain' : 'cover'};
+`;
+
+const LocalVideo = styled(StreamVideo)`
+  position: absolute;
+  right: ${({ theme }) => theme.space.sm};
+  bottom: ${({ theme }) => theme.space.sm};
+  width: 30%;
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+  border: 2px solid ${({ theme }) => theme.colors.surface};
+  object-fit: cover;
+  transform: ${({ mirrored }) => mirrored ? 'scaleX(-1)' : 'none'};
+  visibility: ${({ cameraOff }) => cameraOff ? 'hidden' : 'visible'};
+`;
+
+const VideoBadges = styled.div`
+  position: absolute;
+  top: ${({ theme }) => theme.space.sm};
+  left: ${({ theme }) => theme.space.sm};
+  display: flex;
+  flex-direction: column;
+  align-items: flex-start;
+  gap: ${({ theme }) => theme.space.xs};
+`;
+
+const PresenterBadge = styled.span`
+  padding: ${({ theme }) => `${theme.space.xs} ${theme.space.sm}`};
+  border-radius: ${({ theme }) => theme.borderRadius.full};
+  background: ${({ theme }) => theme.colors.accent2};
+  color: ${({ theme }) => theme.colors.text.light};
+  font-size: ${({ theme }) => theme.fontSizes.xs};
+  font-weight: 600;
+`;
+
+const RecordingBadge = styled(PresenterBadge)`
+  display: inline-flex;
+  align-items: center;
+  gap: ${({ theme }) => theme.space.xs};
+  background: ${({ theme }) => theme.colors.error};
+
+  &::before {
+    content: '';
+    width: 8px;
+    height: 8px;
+    border-radius: 50%;
+    background: ${({ theme }) => theme.colors.text.light};
+    animation: ${pulse} 1.5s infinite ease-in-out;
+  }
+`;
+
+const QualityNotice = styled.span`
+  position: absolute;
+  left: ${({ theme }) => theme.space.sm};
+  bottom: ${({ theme }) => theme.space.sm};
+  padding: ${({ theme }) => `${theme.space.xs} ${theme.space.sm}`};
+  border-radius: ${({ theme }) => theme.borderRadius.full};
+  background: rgba(0, 0, 0, 0.6);
+  color: ${({ theme }) => theme.colors.warning};
+  font-size: ${({ theme }) => theme.fontSizes.xs};
+  font-weight: 600;
+`;
+
+const CallerInfo = styled.div`
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  padding: ${({ theme }) => theme.space.lg};
+  text-align: center;
+
+  img {
+    width: 72px;
+    height: 72px;
+    border-radius: 50%;
+    object-fit: cover;
+    border: 3px solid ${({ theme }) => theme.colors.secondary};
+    margin-bottom: ${({ theme }) => theme.space.sm};
+    animation: ${({ ringing }) => ringing ? pulse : 'none'} 1.5s infinite ease-in-out;
+  }
+`;
+
+const CallerName = styled.span`
+  font-family: ${({ theme }) => theme.fonts.heading};
+  font-weight: 600;
+  font-size: ${({ theme }) => theme.fontSizes.lg};
+`;
+
+const StatusText = styled(Text)`
+  color: ${({ theme }) => theme.colors.accent3};
+  font-size: ${({ theme }) => theme.fontSizes.sm};
+  margin: ${({ theme }) => theme.space.xs} 0 0;
+`;
+
+const Controls = styled.div`
+  display: flex;
+  justify-content: center;
+  gap: ${({ theme }) => theme.space.md};
+  padding: ${({ theme }) => theme.space.md};
+`;
+
+const ControlButton = styled.button`
+  width: 48px;
+  height: 48px;
+  border-radius: 50%;
+  border: none;
+  display: inline-flex;
+  align-items: center;
+  justify-content: center;
+  color: ${({ theme }) => theme.colors.text.light};
+  background: ${({ theme, variant, active }) =>
+    variant === 'danger'
+      ? theme.colors.error
+      : variant === 'success'
+        ? theme.colors.success
+        : active
+          ? theme.colors.accent2
+          : 'rgba(255, 255, 255, 0.15)'
+  };
+  transition: ${({ theme }) => theme.transitions.quick};
+
+  &:hover:not(:disabled) {
+    transform: translateY(-2px);
+    box-shadow: ${({ theme }) => theme.shadows.md};
+  }
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+
+  svg {
+    width: 22px;
+    height: 22px;
+  }
+`;
+
+/**
+ * Floating call window component
+ * @returns {React.ReactElement|null} The component, or null when there is no call
+ */
+const CallOverlay = () => {
+  const {
+    status,
+    peer,
+    localStream,
+    remoteStream,
+    endReason,
+    isMuted,
+    isCameraOff,
+    screenStream,
+    isScreenSharing,
+    isPeerSharing,
+    isRecording,
+    isPeerRecording,
+    connectionStats,
+    error,
+    hangUp,
+    toggleMute,
+    toggleCamera,
+    startScreenShare,
+    stopScreenShare,
+    startRecording,
+    stopRecording
+  } = useCallContext();
+
+  if (status === CALL_STATUS.IDLE || status === CALL_STATUS.INCOMING || !peer) {
+    return null;
+  }
+
+  const peerName = peer.full_name || 'Unknown User';
+  const peerImage = peer.image_url || 'https://via.placeholder.com/72';
+  const inCall = status === CALL_STATUS.CONNECTING || status === CALL_STATUS.ACTIVE;
+
+  // Build the status line for the current state
+  let statusText = '';
+  if (status === CALL_STATUS.OUTGOING) {
+    statusText = 'Ringing...';
+  } else if (status === CALL_STATUS.CONNECTING) {
+    statusText = 'Connecting...';
+  } else if (status === CALL_STATUS.ENDED) {
+    statusText = endReason === 'busy'
+      ? `${peerName} ${END_REASON_TEXT.busy}`
+      : error || END_REASON_TEXT[endReason] || END_REASON_TEXT.ended;
+  }
+
+  // Show who is presenting, if anyone
+  let presenterText = '';
+  if (isScreenSharing) {
+    presenterText = 'You are presenting';
+  } else if (isPeerSharing) {
+    presenterText = `${peerName} is presenting`;
+  }
+
+  // Everyone on the call sees when it is being recorded
+  let recordingText = '';
+  if (isRecording) {
+    recordingText = 'Recording';
+  } else if (isPeerRecording) {
+    recordingText = `${peerName} is recording`;
+  }
+
+  return (
+    <OverlayContainer wide={inCall && isPeerSharing} data-testid="call-overlay">
+      {inCall && (
+        <VideoArea>
+          <RemoteVideo stream={remoteStream} presenting={isPeerSharing} />
+          <LocalVideo
+            stream={isScreenSharing ? screenStream : localStream}
+            muted
+            mirrored={!isScreenSharing}
+            cameraOff={isCameraOff && !isScreenSharing}
+          />
+          <VideoBadges>
+            {recordingText && <RecordingBadge data-testid="recording-indicator">{recordingText}</RecordingBadge>}
+            {presenterText && <PresenterBadge>{presenterText}</PresenterBadge>}
+          </VideoBadges>
+          <ConnectionStats stats={connectionStats} title={`Connection to ${peerName}`} />
+          {connectionStats?.level === AUDIO_ONLY_LEVEL && (
+            <QualityNotice>Weak connection: sending audio only</QualityNotice>
+          )}
+        </VideoArea>
+      )}
+
+      <CallerInfo ringing={status === CALL_STATUS.OUTGOING}>
+        {!inCall && <img src={peerImage} alt={peerName} />}
+        <CallerName>{peerName}</CallerName>
+        {statusText && <StatusText>{statusText}</StatusText>}
+      </CallerInfo>
+
+      {status === CALL_STATUS.OUTGOING && (
+        <Controls>
+          <ControlButton variant="danger" onClick={hangUp} title="Cancel">
+            <HangUpIcon />
+          </ControlButton>
+        </Controls>
+      )}
+
+      {inCall && (
+        <Controls>
+          <ControlButton onClick={toggleMute} active={isMuted} title={isMuted ? 'Unmute' : 'Mute'}>
+            <MicIcon off={isMuted} />
+          </ControlButton>
+          <ControlButton
+            onClick={toggleCamera}
+            active={isCameraOff}
+            title={isCameraOff ? 'Turn camera on' : 'Turn camera off'}
+          >
+            <CameraIcon off={isCameraOff} />
+          </ControlButton>
+          <ControlButton
+            onClick={isScreenSharing ? stopScreenShare : startScreenShare}
+            active={isScreenSharing}
+            title={isScreenSharing ? 'Stop sharing' : 'Share screen'}
+          >
+            <ScreenShareIcon off={isScreenSharing} />
+          </ControlButton>
+          <ControlButton
+            onClick={isRecording ? stopRecording : startRecording}
+            active={isRecording}
+            disabled={status !== CALL_STATUS.ACTIVE}
+            title={isRecording ? 'Stop recording' : 'Record'}
+          >
+            <RecordIcon active={isRecording} />
+          </ControlButton>
+          <ControlButton variant="danger" onClick={hangUp} title="Hang up">
+            <HangUpIcon />
+          </ControlButton>
+        </Controls>
+      )}
+    </OverlayContainer>
+  );
+};
+
+export default CallOverlay;
@@ -1,9 +1,25 @@
 /**
  * Component for chat message input
+ * Typing "@" suggests room members to mention. Enter sends and Shift+Enter starts a new line,
+ * so pasted code and stack traces keep their lines. Files can be attached with the paperclip,
+ * by dropping them on the input or by pasting them, and holding the microphone records a voice message
  */
-import React, { useState } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 import styled from 'styled-components';
+import { useSupabaseUserContext } from '../../auth/contexts/SupabaseUserProvider';
 import { PrimaryButton } from '../../common/components/StyledComponents';
+import { PaperclipIcon, MicIcon } from '../../common/components/IconComponents';
+import { useVoiceRecorder } from '../hooks/useVoiceRecorder';
+import { encodeMentions, findMentionQuery } from '../utils/mentions';
+import { ATTACHMENT_LIMITS, validateAttachment } from '../utils/attachments';
+import { formatFileSize } from '../utils/fileTransfer';
+import { VOICE_LIMITS, isVoiceRecordingSupported, formatVoiceDuration } from '../utils/voiceMessages';
+
+// Most members suggested at once
+const MAX_SUGGESTIONS = 6;
+
+// Tallest the input grows before it scrolls
+const MAX_INPUT_HEIGHT = 160;
 
 // Styled components
 const InputContainer = styled.form`
@@ -12,20 +28,27 @@ const InputContainer = styled.form`
   background: rgba(255, 255, 255, 0.7);
   backdrop-filter: blur(10px);
   border-radius: 0 0 ${({ theme }) => theme.borderRadius.lg} 0 ${({ theme }) => theme.borderRadius.lg};
+  outline: ${({ dragging, theme }) => dragging ? `2px dashed ${theme.colors.primary}` : 'none'};
+  outline-offset: -6px;
 `;
 
 const InputWrapper = styled.div`
   display: flex;
-  align-items: center;
+  align-items: flex-end;
   position: relative;
 `;
 
-const MessageInput = styled.input`
+const MessageInput = styled.textarea`
   flex: 1;
   border: 2px solid ${({ theme }) => theme.colors.accent3};
-  border-radius: ${({ theme }) => theme.borderRadius.full};
+  border-radius: ${({ theme }) => theme.borderRadius.lg};
   padding: ${({ theme }) => theme.space.md} ${({ theme }) => theme.space.lg};
   font-size: ${({ theme }) => theme.fontSizes.md};
+  font-family: inherit;
+  line-height: 1.4;
+  max-height: ${MAX_INPUT_HEIGHT}px;
+  resize: none;
+  overflow-y: auto;
   transition: ${({ theme }) => theme.transitions.quick};
   background: rgba(255, 255, 255, 0.9);
   
@@ -76,15 +99,421 @@ const SendButton = styled(PrimaryButton)`
   }
 `;
 
+const AttachButton = styled.button`
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  align-self: center;
+  margin-right: ${({ theme }) => theme.space.sm};
+  padding: ${({ theme }) => theme.space.xs};
+  border: none;
+  border-radius: ${({ theme }) => theme.borderRadius.full};
+  background: none;
+  color: ${({ theme }) => theme.colors.text.secondary};
+  transition: ${({ theme }) => theme.transitions.quick};
+
+  &:hover:not(:disabled) {
+    color: ${({ theme }) => theme.colors.primary};
+    background: ${({ theme }) => theme.colors.accent3};
+  }
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+
+  svg {
+    width: 20px;
+    height: 20px;
+  }
+`;
+
+const MicButton = styled(AttachButton)`
+  touch-action: none;
+  user-select: none;
+  color: ${({ recording, theme }) => recording ? theme.colors.error : theme.colors.text.secondary};
+  background: ${({ recording, theme }) => recording ? `${theme.colors.error}20` : 'none'};
+`;
+
+const RecordingIndicator = styled.div`
+  flex: 1;
+  display: flex;
+  align-items: center;
+  gap: ${({ theme }) => theme.space.sm};
+  padding: ${({ theme }) => theme.space.md} ${({ theme }) => theme.space.lg};
+  border: 2px solid ${({ theme }) => theme.colors.error}60;
+  border-radius: ${({ theme }) => theme.borderRadius.lg};
+  background: rgba(255, 255, 255, 0.9);
+  font-size: ${({ theme }) => theme.fontSizes.md};
+  line-height: 1.4;
+  color: ${({ theme }) => theme.colors.text.primary};
+
+  &::before {
+    content: '';
+    width: 10px;
+    height: 10px;
+    border-radius: 50%;
+    background: ${({ theme }) => theme.colors.error};
+    animation: recording-pulse 1s ease-in-out infinite alternate;
+  }
+
+  span {
+    font-size: ${({ theme }) => theme.fontSizes.sm};
+    color: ${({ theme }) => theme.colors.text.secondary};
+  }
+
+  @keyframes recording-pulse {
+    to {
+      opacity: 0.3;
+    }
+  }
+`;
+
+const PendingFiles = styled.ul`
+  display: flex;
+  flex-wrap: wrap;
+  gap: ${({ theme }) => theme.space.xs};
+  list-style: none;
+  margin: 0 0 ${({ theme }) => theme.space.sm};
+  padding: 0;
+`;
+
+const PendingFile = styled.li`
+  display: flex;
+  align-items: center;
+  gap: ${({ theme }) => theme.space.xs};
+  max-width: 240px;
+  padding: ${({ theme }) => `${theme.space.xs} ${theme.space.sm}`};
+  border-radius: ${({ theme }) => theme.borderRadius.full};
+  background: ${({ theme }) => theme.colors.accent3};
+  font-size: ${({ theme }) => theme.fontSizes.xs};
+  color: ${({ theme }) => theme.colors.text.primary};
+
+  span {
+    overflow: hidden;
+    white-space: nowrap;
+    text-overflow: ellipsis;
+  }
+
+  button {
+    border: none;
+    background: none;
+    padding: 0;
+    color: ${({ theme }) => theme.colors.text.secondary};
+    font-size: ${({ theme }) => theme.fontSizes.sm};
+    line-height: 1;
+  }
+`;
+
+const FileError = styled.div`
+  margin-bottom: ${({ theme }) => theme.space.sm};
+  font-size: ${({ theme }) => theme.fontSizes.xs};
+  color: ${({ theme }) => theme.colors.error};
+`;
+
+const SuggestionList = styled.ul`
+  position: absolute;
+  bottom: calc(100% + ${({ theme }) => theme.space.xs});
+  left: ${({ theme }) => theme.space.md};
+  z-index: 10;
+  min-width: 220px;
+  list-style: none;
+  margin: 0;
+  padding: ${({ theme }) => theme.space.xs} 0;
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+  background: ${({ theme }) => theme.colors.surface};
+  box-shadow: ${({ theme }) => theme.shadows.lg};
+`;
+
+const Suggestion = styled.li`
+  display: flex;
+  align-items: center;
+  gap: ${({ theme }) => theme.space.sm};
+  padding: ${({ theme }) => `${theme.space.xs} ${theme.space.md}`};
+  font-size: ${({ theme }) => theme.fontSizes.sm};
+  color: ${({ theme }) => theme.colors.text.primary};
+  background: ${({ active, theme }) => active ? `${theme.colors.primary}20` : 'transparent'};
+  cursor: pointer;
+
+  img {
+    width: 24px;
+    height: 24px;
+    border-radius: 50%;
+    object-fit: cover;
+  }
+`;
+
 /**
  * Chat input component
  * @param {object} props - Component props
  * @param {Function} props.onSendMessage - Callback when message is sent
  * @param {boolean} props.disabled - Whether input is disabled
+ * @param {string} props.placeholder - Placeholder while the input is enabled
+ * @param {string} props.disabledPlaceholder - Placeholder while the input is disabled
+ * @param {Array} props.members - Room members that can be mentioned with "@"
+ * @param {boolean} props.allowAttachments - Whether files and voice messages can be sent (files are the
+ *   second argument of onSendMessage; voice messages also pass { voice: { durationMs, waveform } })
+ * @param {Function} props.onTyping - Callback with whether the user is typing, on every change of the text
  * @returns {React.ReactElement} The component
  */
-const ChatInput = ({ onSendMessage, disabled = false }) => {
+const ChatInput = ({
+  onSendMessage,
+  disabled = false,
+  placeholder = 'Type a message...',
+  disabledPlaceholder = 'Join the room to chat',
+  members = [],
+  allowAttachments = false,
+  onTyping = null
+}) => {
+  const { supabaseUser } = useSupabaseUserContext();
   const [message, setMessage] = useState('');
+  const [mentions, setMentions] = useState([]);
+  const [mentionQuery, setMentionQuery] = useState(null);
+  const [activeSuggestion, setActiveSuggestion] = useState(0);
+  const [files, setFiles] = useState([]);
+  const [fileError, setFileError] = useState(null);
+  const [isDragging, setIsDragging] = useState(false);
+  const inputRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const voice = useVoiceRecorder();
+
+  const canAttach = allowAttachments && !disabled;
+  const canRecord = allowAttachments && isVoiceRecordingSupported();
+
+  // Grow the input with its text, up to MAX_INPUT_HEIGHT
+  useEffect(() => {
+    const input = inputRef.current;
+    if (input) {
+      input.style.height = 'auto';
+      input.style.height = `${Math.min(input.scrollHeight, MAX_INPUT_HEIGHT)}px`;
+    }
+  }, [message]);
+
+  // Members whose name matches what is typed after the "@"
+  const suggestions = mentionQuery
+    ? members
+      .map((member) => member.users)
+      .filter((user) => user?.full_name && user.id !== supabaseUser?.id
+        && user.full_name.toLowerCase().includes(mentionQuery.query.toLowerCase()))
+      .slice(0, MAX_SUGGESTIONS)
+    : [];
+
+  /**
+   * Update the text and look for a mention being typed at the caret
+   * @param {object} e - Input change event
+   */
+  const handleChange = (e) => {
+    setMessage(e.target.value);
+    setMentionQuery(findMentionQuery(e.target.value, e.target.selectionStart));
+    setActiveSuggestion(0);
+    onTyping?.(e.target.value.trim() !== '');
+  };
+
+  /**
+   * Replace the mention being typed with the picked member's name
+   * @param {object} user - Picked member's user details
+   */
+  const pickSuggestion = (user) => {
+    const before = message.slice(0, mentionQuery.start);
+    const after = message.slice(mentionQuery.start + 1 + mentionQuery.query.length);
+    const inserted = `@${user.full_name} `;
+
+    setMessage(`${before}${inserted}${after.replace(/^ /, '')}`);
+    setMentions((prevMentions) => (prevMentions.some((mention) => mention.id === user.id)
+      ? prevMentions
+      : [...prevMentions, { id: user.id, name: user.full_name }]));
+    setMentionQuery(null);
+
+    // Put the caret after the inserted name
+    const caret = before.length + inserted.length;
+    requestAnimationFrame(() => {
+      inputRef.current?.focus();
+      inputRef.current?.setSelectionRange(caret, caret);
+    });
+  };
+
+  /**
+   * Add files to the message, keeping only the ones within the attachment limits
+   * @param {Array} newFiles - Picked, dropped or pasted files
+   */
+  const addFiles = (newFiles) => {
+    if (!canAttach || newFiles.length === 0) {
+      return;
+    }
+
+    const problems = newFiles.map(validateAttachment).filter(Boolean);
+    const accepted = newFiles.filter((file) => !validateAttachment(file));
+    const room = ATTACHMENT_LIMITS.maxFilesPerMessage - files.length;
+
+    if (accepted.length > room) {
+      problems.push(`You can attach up to ${ATTACHMENT_LIMITS.maxFilesPerMessage} files to a message`);
+    }
+
+    setFiles((prevFiles) => [...prevFiles, ...accepted.slice(0, Math.max(room, 0))]);
+    setFileError(problems.length > 0 ? problems.join('. ') : null);
+  };
+
+  /**
+   * Take a file off the message
+   * @param {number} index - Position of the file in the list
+   */
+  const removeFile = (index) => {
+    setFiles((prevFiles) => prevFiles.filter((_, fileIndex) => fileIndex !== index));
+    setFileError(null);
+  };
+
+  /**
+   * Add the files picked with the attach button
+   * @param {object} e - File input change event
+   */
+  const handleFilePick = (e) => {
+    addFiles(Array.from(e.target.files || []));
+
+    // Let the same file be picked again after removing it
+    e.target.value = '';
+  };
+
+  /**
+   * Attach pasted files (e.g. screenshots); pasted text is left to the input
+   * @param {object} e - Paste event
+   */
+  const handlePaste = (e) => {
+    const pastedFiles = Array.from(e.clipboardData?.files || []);
+    if (canAttach && pastedFiles.length > 0) {
+      e.preventDefault();
+      addFiles(pastedFiles);
+    }
+  };
+
+  /**
+   * Accept files dragged over the input
+   * @param {object} e - Drag event
+   */
+  const handleDragOver = (e) => {
+    if (canAttach && Array.from(e.dataTransfer?.types || []).includes('Files')) {
+      e.preventDefault();
+      setIsDragging(true);
+    }
+  };
+
+  /**
+   * Attach dropped files
+   * @param {object} e - Drop event
+   */
+  const handleDrop = (e) => {
+    if (!canAttach) {
+      return;
+    }
+
+    e.preventDefault();
+    setIsDragging(false);
+    addFiles(Array.from(e.dataTransfer?.files || []));
+  };
+
+  /**
+   * Move through the suggestions with the arrow keys, pick with Enter or Tab and close with Escape;
+   * otherwise Enter sends the message
+   * @param {object} e - Keydown event
+   */
+  const handleKeyDown = (e) => {
+    if (suggestions.length === 0) {
+      if (e.key === 'Enter' && !e.shiftKey && !e.nativeEvent.isComposing) {
+        handleSubmit(e);
+      }
+      return;
+    }
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveSuggestion((index) => (index + step + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      pickSuggestion(suggestions[activeSuggestion] || suggestions[0]);
+    } else if (e.key === 'Escape') {
+      setMentionQuery(null);
+    }
+  };
+
+  /**
+   * Stop recording and send the voice message
+   */
+  const finishRecording = async () => {
+    const recording = await voice.stopRecording();
+    if (recording) {
+      onSendMessage('', [recording.file], {
+        voice: { durationMs: recording.durationMs, waveform: recording.waveform }
+      });
+    }
+  };
+
+  // Recordings that reach the length limit are sent as they are
+  const finishRecordingRef = useRef(finishRecording);
+  useEffect(() => {
+    finishRecordingRef.current = finishRecording;
+  });
+
+  useEffect(() => {
+    if (voice.isRecording && voice.elapsedMs >= VOICE_LIMITS.maxDurationMs) {
+      finishRecordingRef.current();
+    }
+  }, [voice.isRecording, voice.elapsedMs]);
+
+  /**
+   * Start recording while the microphone button is held down
+   * @param {object} e - Pointer down event
+   */
+  const handleMicPointerDown = (e) => {
+    if (!canAttach || e.button !== 0) {
+      return;
+    }
+
+    e.preventDefault();
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    voice.startRecording();
+  };
+
+  /**
+   * Send the recording when the button is released over it; releasing elsewhere cancels
+   * @param {object} e - Pointer up event
+   */
+  const handleMicPointerUp = (e) => {
+    const bounds = e.currentTarget.getBoundingClientRect();
+    const isOver = e.clientX >= bounds.left && e.clientX <= bounds.right
+      && e.clientY >= bounds.top && e.clientY <= bounds.bottom;
+
+    if (isOver) {
+      finishRecording();
+    } else {
+      voice.cancelRecording();
+    }
+  };
+
+  /**
+   * Hold Space or Enter on the microphone button to record, and Escape to cancel
+   * @param {object} e - Keydown event
+   */
+  const handleMicKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      voice.cancelRecording();
+    } else if ((e.key === ' ' || e.key === 'Enter') && canAttach) {
+      e.preventDefault();
+      if (!e.repeat) {
+        voice.startRecording();
+      }
+    }
+  };
+
+  /**
+   * Send the recording when Space or Enter is released
+   * @param {object} e - Keyup event
+   */
+  const handleMicKeyUp = (e) => {
+    if (e.key === ' ' || e.key === 'Enter') {
+      e.preventDefault();
+      finishRecording();
+    }
+  };
 
   /**
    * Handle form submission
@@ -94,32 +523,125 @@ const ChatInput = ({ onSendMessage, disabled = false }) => {
     e.preventDefault();
 
     const trimmedMessage = message.trim();
-    if (!trimmedMessage) {
+    if (!trimmedMessage && files.length === 0) {
       return;
     }
 
-    // Send message and clear input
-    onSendMessage(trimmedMessage);
+    // Send message (with picked mentions stored as user references and any attached files)
+    // and clear input
+    onSendMessage(encodeMentions(trimmedMessage, mentions), files);
+    onTyping?.(false);
     setMessage('');
+    setMentions([]);
+    setMentionQuery(null);
+    setFiles([]);
+    setFileError(null);
   };
 
   return (
     <InputContainer
       onSubmit={handleSubmit}
+      onDragOver={handleDragOver}
+      onDragLeave={() => setIsDragging(false)}
+      onDrop={handleDrop}
+      dragging={isDragging}
       data-testid="chat-input-form"
     >
+      {(fileError || voice.error) && <FileError role="alert">{fileError || voice.error}</FileError>}
+      {files.length > 0 && (
+        <PendingFiles aria-label="Attached files" data-testid="pending-attachments">
+          {files.map((file, index) => (
+            <PendingFile key={`${file.name}-${index}`} title={file.name}>
+              <span>{file.name}</span>
+              <span>({formatFileSize(file.size)})</span>
+              <button type="button" onClick={() => removeFile(index)} aria-label={`Remove ${file.name}`}>
+                ×
+              </button>
+            </PendingFile>
+          ))}
+        </PendingFiles>
+      )}
       <InputWrapper>
-        <MessageInput
-          type="text"
-          value={message}
-          onChange={(e) => setMessage(e.target.value)}
-          placeholder={disabled ? 'Join the room to chat' : 'Type a message...'}
-          disabled={disabled}
-          data-testid="chat-input-field"
-        />
+        {allowAttachments && (
+          <>
+            <AttachButton
+              type="button"
+              onClick={() => fileInputRef.current?.click()}
+              disabled={!canAttach || files.length >= ATTACHMENT_LIMITS.maxFilesPerMessage}
+              aria-label="Attach files"
+              title="Attach files"
+              data-testid="chat-attach-button"
+            >
+              <PaperclipIcon />
+            </AttachButton>
+            <input
+              ref={fileInputRef}
+              type="file"
+              multiple
+              accept={[...ATTACHMENT_LIMITS.allowedTypes, '.log', '.md'].join(',')}
+              onChange={handleFilePick}
+              hidden
+            />
+          </>
+        )}
+        {canRecord && (
+          <MicButton
+            type="button"
+            recording={voice.isRecording}
+            onPointerDown={handleMicPointerDown}
+            onPointerUp={handleMicPointerUp}
+            onPointerCancel={voice.cancelRecording}
+            onKeyDown={handleMicKeyDown}
+            onKeyUp={handleMicKeyUp}
+            onContextMenu={(e) => e.preventDefault()}
+            disabled={!canAttach}
+            aria-label="Hold to record a voice message"
+            aria-pressed={voice.isRecording}
+            title="Hold to record a voice message"
+            data-testid="chat-voice-button"
+          >
+            <MicIcon />
+          </MicButton>
+        )}
+        {suggestions.length > 0 && !disabled && (
+          <SuggestionList role="listbox" aria-label="Mention a member" data-testid="mention-suggestions">
+            {suggestions.map((user, index) => (
+              <Suggestion
+                key={user.id}
+                role="option"
+                active={index === activeSuggestion}
+                aria-selected={index === activeSuggestion}
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => pickSuggestion(user)}
+              >
+                <img src={user.image_url || 'https://via.placeholder.com/24'} alt="" />
+                {user.full_name}
+              </Suggestion>
+            ))}
+          </SuggestionList>
+        )}
+        {voice.isRecording ? (
+          <RecordingIndicator role="status" data-testid="voice-recording">
+            {formatVoiceDuration(voice.elapsedMs)}
+            <span>Release to send, move away to cancel</span>
+          </RecordingIndicator>
+        ) : (
+          <MessageInput
+            ref={inputRef}
+            rows={1}
+            value={message}
+            onChange={handleChange}
+            onKeyDown={handleKeyDown}
+            onBlur={() => setMentionQuery(null)}
+            onPaste={handlePaste}
+            placeholder={disabled ? disabledPlaceholder : placeholder}
+            disabled={disabled}
+            data-testid="chat-input-field"
+          />
+        )}
         <SendButton
           type="submit"
-          disabled={disabled || !message.trim()}
+          disabled={disabled || (!message.trim() && files.length === 0)}
           data-testid="chat-send-button"
         >
           <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
@@ -1,10 +1,21 @@
 /**
  * Component for displaying a single chat message
+ * Authors can edit and delete their own messages; room admins can delete any message and pin messages.
+ * Deleted messages remain as tombstones. Saved messages can be reacted to with emojis.
+ * Messages that @mention the current user are highlighted, text is rendered from Markdown,
+ * and attached files are shown under the text
  */
-import React from 'react';
+import React, { useState } from 'react';
 import styled from 'styled-components';
 import { useSupabaseUserContext } from '../../auth/contexts/SupabaseUserProvider';
 import { formatMessageTime } from '../utils/dateUtils';
+import { getMentionedUserIds, encodeMentions, decodeMentions } from '../utils/mentions';
+import { PinIcon } from '../../common/components/IconComponents';
+import MessageEditHistory from './MessageEditHistory';
+import ThreadSummary from './ThreadSummary';
+import ReactionBar from './ReactionBar';
+import MessageContent from './MessageContent';
+import MessageAttachments from './MessageAttachments';
 
 // Styled components
 const MessageContainer = styled.div`
@@ -49,7 +60,8 @@ const MessageBubble = styled.div`
   
   color: ${({ theme, isCurrentUser }) =>
     isCurrentUser ? theme.colors.text.light : theme.colors.text.primary};
-  box-shadow: ${({ theme }) => theme.shadows.sm};
+  box-shadow: ${({ theme, mentioned }) =>
+    mentioned ? `0 0 0 2px ${theme.colors.warning}, ${theme.shadows.md}` : theme.shadows.sm};
   position: relative;
   
   &:after {
@@ -83,12 +95,6 @@ const SenderName = styled.div`
   opacity: 0.9;
 `;
 
-const MessageText = styled.div`
-  font-size: ${({ theme }) => theme.fontSizes.md};
-  line-height: 1.4;
-  word-break: break-word;
-`;
-
 const MessageInfo = styled.div`
   text-align: right;
   margin-top: ${({ theme }) => theme.space.xs};
@@ -109,16 +115,202 @@ const MessageInfo = styled.div`
   `}
 `;
 
+const DeliveryNote = styled.span`
+  display: block;
+  font-style: italic;
+`;
+
+const ActionButton = styled.button`
+  border: none;
+  background: none;
+  padding: 0;
+  margin-right: ${({ theme }) => theme.space.sm};
+  color: inherit;
+  font: inherit;
+  cursor: pointer;
+  opacity: ${({ visible }) => visible ? 1 : 0};
+  transition: ${({ theme }) => theme.transitions.quick};
+
+  ${MessageBubble}:hover &,
+  &:focus {
+    opacity: 1;
+  }
+
+  &:hover {
+    text-decoration: underline;
+  }
+`;
+
+const PinnedMarker = styled.span`
+  display: inline-flex;
+  align-items: center;
+  gap: 2px;
+  margin-right: ${({ theme }) => theme.space.sm};
+  font-weight: 600;
+
+  svg {
+    width: 12px;
+    height: 12px;
+  }
+`;
+
+const Tombstone = styled.div`
+  font-size: ${({ theme }) => theme.fontSizes.md};
+  line-height: 1.4;
+  font-style: italic;
+  opacity: 0.7;
+`;
+
+const EditInput = styled.textarea`
+  width: 100%;
+  min-width: 220px;
+  padding: ${({ theme }) => theme.space.sm};
+  border: none;
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+  background: ${({ theme }) => theme.colors.surface};
+  color: ${({ theme }) => theme.colors.text.primary};
+  font: inherit;
+  font-size: ${({ theme }) => theme.fontSizes.md};
+  resize: vertical;
+
+  &:focus {
+    outline: none;
+    box-shadow: 0 0 0 3px rgba(255, 255, 255, 0.4);
+  }
+`;
+
+const EditActions = styled.div`
+  display: flex;
+  justify-content: flex-end;
+  gap: ${({ theme }) => theme.space.sm};
+  margin-top: ${({ theme }) => theme.space.xs};
+  font-size: ${({ theme }) => theme.fontSizes.xs};
+
+  button {
+    border: none;
+    border-radius: ${({ theme }) => theme.borderRadius.full};
+    padding: ${({ theme }) => `${theme.space.xs} ${theme.space.sm}`};
+    background: rgba(255, 255, 255, 0.25);
+    color: inherit;
+    cursor: pointer;
+
+    &:disabled {
+      opacity: 0.5;
+      cursor: not-allowed;
+    }
+  }
+`;
+
 /**
  * Chat message item component
  * @param {object} props - Component props
- * @param {object} props.message - Message data
+ * @param {object} props.message - Message data ('delivery' is set while it only exists locally:
+ *   'sending', or 'p2p' when it was delivered directly to peers and is not saved yet)
  * @param {boolean} props.isTemporary - Whether this is a temporary message (optimistic update)
+ * @param {Function} props.onEdit - Called with (messageId, text) to save an edit; resolves with whether
+ *   it was saved. Editing is disabled when it is not provided
+ * @param {Function} props.onDelete - Called with a message ID to delete it; deleting is disabled when it
+ *   is not provided
+ * @param {boolean} props.canModerate - Whether the user is a room admin and may delete others' messages
+ * @param {Function} props.onReply - Called with the message to open its thread; replying is disabled
+ *   (as inside a thread) when it is not provided
+ * @param {object} props.participantsById - User details keyed by user ID, for thread avatars and reactions
+ * @param {Function} props.onToggleReaction - Called with (messageId, emoji) to add or take back the user's
+ *   reaction; reactions are read-only when it is not provided
+ * @param {boolean} props.isPinned - Whether the message is pinned to its room
+ * @param {Function} props.onTogglePin - Called with (message, isPinned) to pin or unpin the message; only
+ *   provided to room admins
  * @returns {React.ReactElement} The component
  */
-const ChatMessageItem = ({ message, isTemporary = false }) => {
+const ChatMessageItem = ({
+  message,
+  isTemporary = message.delivery === 'sending',
+  onEdit = null,
+  onDelete = null,
+  canModerate = false,
+  onReply = null,
+  participantsById = {},
+  onToggleReaction = null,
+  isPinned = false,
+  onTogglePin = null
+}) => {
   const { supabaseUser } = useSupabaseUserContext();
   const isCurrentUser = message.user_id === supabaseUser?.id;
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [isConfirmingDelete, setIsConfirmingDelete] = useState(false);
+  const [isPickingReaction, setIsPickingReaction] = useState(false);
+  const [draftMentions, setDraftMentions] = useState([]);
+  const isDeleted = Boolean(message.deleted_at);
+
+  // Only saved text messages can be edited, and only by their author
+  const canEdit = Boolean(onEdit) && isCurrentUser && !message.delivery && !isDeleted
+    && (message.message_type || 'text') === 'text';
+
+  // Authors can delete their own messages, room admins anyone's
+  const canDelete = Boolean(onDelete) && !message.delivery && !isDeleted && (isCurrentUser || canModerate);
+
+  // Threads start from saved top-level messages; tombstones keep their existing thread
+  const canReply = Boolean(onReply) && !message.delivery && !isDeleted && !message.parent_message_id;
+
+  // Saved top-level text messages can be pinned; a pin goes away with its message
+  const canPin = Boolean(onTogglePin) && !message.delivery && !isDeleted && !message.parent_message_id
+    && (message.message_type || 'text') === 'text';
+
+  // Only saved messages can be reacted to
+  const canReact = Boolean(onToggleReaction) && !message.delivery && !isDeleted;
+
+  // Messages that mention the current user stand out
+  const isMentioned = !isCurrentUser && !isDeleted && Boolean(supabaseUser)
+    && getMentionedUserIds(message.message).includes(supabaseUser.id);
+
+  const confirmDelete = async () => {
+    setIsSaving(true);
+    await onDelete(message.id);
+    setIsSaving(false);
+    setIsConfirmingDelete(false);
+  };
+
+  // Mentions are edited as @Name and stored again as user references on save
+  const startEditing = () => {
+    const { text, mentions } = decodeMentions(message.message, participantsById);
+    setDraft(text);
+    setDraftMentions(mentions);
+    setIsEditing(true);
+  };
+
+  const saveEdit = async () => {
+    const text = encodeMentions(draft.trim(), draftMentions);
+    if (!text || text === message.message) {
+      setIsEditing(false);
+      return;
+    }
+
+    setIsSaving(true);
+    const saved = await onEdit(message.id, text);
+    setIsSaving(false);
+
+    // On failure the draft stays open, so nothing typed is lost
+    if (saved) {
+      setIsEditing(false);
+    }
+  };
+
+  // Enter saves (Shift+Enter adds a line), Escape cancels
+  const handleEditKeyDown = (event) => {
+    if (event.key === 'Enter' && !event.shiftKey) {
+      event.preventDefault();
+      saveEdit();
+    } else if (event.key === 'Escape') {
+      setIsEditing(false);
+    }
+  };
+
+  // Say who removed a message when it wasn't its author
+  const tombstoneText = message.deleted_by && message.deleted_by !== message.user_id
+    ? 'Message deleted by a room admin'
+    : 'Message deleted';
 
   // Format timestamp
   const formattedTime = formatMessageTime(message.created_at);
@@ -131,6 +323,7 @@ const ChatMessageItem = ({ message, isTemporary = false }) => {
     <MessageContainer
       isCurrentUser={isCurrentUser}
       isTemporary={isTemporary}
+      data-message-id={message.id}
       data-testid="chat-message-item"
     >
       {!isCurrentUser && (
@@ -142,14 +335,110 @@ const ChatMessageItem = ({ message, isTemporary = false }) => {
         </MessageAvatar>
       )}
 
-      <MessageBubble isCurrentUser={isCurrentUser}>
+      <MessageBubble isCurrentUser={isCurrentUser} mentioned={isMentioned}>
         {!isCurrentUser && (
           <SenderName>{userName}</SenderName>
         )}
-        <MessageText>{message.message}</MessageText>
+        {isDeleted ? (
+          <Tombstone data-testid="message-tombstone">{tombstoneText}</Tombstone>
+        ) : isEditing ? (
+          <>
+            <EditInput
+              value={draft}
+              onChange={(event) => setDraft(event.target.value)}
+              onKeyDown={handleEditKeyDown}
+              disabled={isSaving}
+              rows={2}
+              autoFocus
+              aria-label="Edit message"
+            />
+            <EditActions>
+              <button type="button" onClick={() => setIsEditing(false)} disabled={isSaving}>
+                Cancel
+              </button>
+              <button type="button" onClick={saveEdit} disabled={isSaving || !draft.trim()}>
+                {isSaving ? 'Saving...' : 'Save'}
+              </button>
+            </EditActions>
+          </>
+        ) : (
+          message.message && <MessageContent text={message.message} participantsById={participantsById} />
+        )}
+        {!isDeleted && <MessageAttachments attachments={message.attachments} />}
         <MessageInfo isTemporary={isTemporary}>
+          {message.delivery === 'p2p' && (
+            <DeliveryNote title="Delivered directly over WebRTC; saved once the connection is back">
+              Sent peer-to-peer · not saved yet
+            </DeliveryNote>
+          )}
+          {isConfirmingDelete ? (
+            <>
+              <ActionButton type="button" onClick={confirmDelete} disabled={isSaving} visible>
+                {isSaving ? 'Deleting...' : 'Delete message?'}
+              </ActionButton>
+              <ActionButton type="button" onClick={() => setIsConfirmingDelete(false)} disabled={isSaving} visible>
+                Keep
+              </ActionButton>
+            </>
+          ) : (
+            <>
+              {canReact && !isEditing && (
+                <ActionButton
+                  type="button"
+                  onClick={() => setIsPickingReaction((open) => !open)}
+                  visible={isPickingReaction}
+                  aria-expanded={isPickingReaction}
+                >
+                  React
+                </ActionButton>
+              )}
+              {canReply && !isEditing && (
+                <ActionButton type="button" onClick={() => onReply(message)}>
+                  Reply in thread
+                </ActionButton>
+              )}
+              {canEdit && !isEditing && (
+                <ActionButton type="button" onClick={startEditing}>
+                  Edit
+                </ActionButton>
+              )}
+              {canPin && !isEditing && (
+                <ActionButton type="button" onClick={() => onTogglePin(message, isPinned)}>
+                  {isPinned ? 'Unpin' : 'Pin'}
+                </ActionButton>
+              )}
+              {canDelete && !isEditing && (
+                <ActionButton type="button" onClick={() => setIsConfirmingDelete(true)}>
+                  Delete
+                </ActionButton>
+              )}
+            </>
+          )}
+          {isPinned && !isDeleted && (
+            <PinnedMarker title="Pinned to this room">
+              <PinIcon />
+              Pinned
+            </PinnedMarker>
+          )}
+          {message.edited_at && !isDeleted && <MessageEditHistory message={message} />}
           {formattedTime}
         </MessageInfo>
+        {!isDeleted && (
+          <ReactionBar
+            reactions={message.reactions}
+            participantsById={participantsById}
+            onToggle={canReact ? (emoji) => onToggleReaction(message.id, emoji) : null}
+            showPicker={isPickingReaction}
+            onPicked={() => setIsPickingReaction(false)}
+          />
+        )}
+        {onReply && (
+          <ThreadSummary
+            message={message}
+            participantsById={participantsById}
+            onOpen={() => onReply(message)}
+          />
+        )}
       </MessageBubble>
 
       {isCurrentUser && (
@@ -1,12 +1,52 @@
 /**
  * Component for displaying a list of chat messages
+ * Only the messages in or near view are rendered, so long histories stay fast. Reports the newest
+ * message scrolled into view (for read receipts) and shows who has read up to each message.
+ * Scrolling to the top loads older messages, keeping the reader's place, and new messages are
+ * followed only when already at the bottom; otherwise a pill counts them. A jump target (e.g. a
+ * search result) is scrolled into the middle of the view and flashed; history a jump skipped is
+ * marked where it is missing and loaded as that mark scrolls into view
  */
-import React, { useRef, useEffect } from 'react';
-import styled from 'styled-components';
+import React, { useRef, useEffect, useLayoutEffect, useMemo, useState } from 'react';
+import styled, { css, keyframes } from 'styled-components';
 import ChatMessageItem from './ChatMessageItem';
+import FileTransferMessage from './FileTransferMessage';
+import SystemMessage from './SystemMessage';
+import ReadReceipts from './ReadReceipts';
 import { Text, pulse } from '../../common/components/StyledComponents';
+import { useVirtualRows } from '../hooks/useVirtualRows';
+
+// How close to the top (in pixels) scrolling gets before older messages are loaded, and how close a
+// gap in the history gets to the view before the messages missing there are loaded
+const LOAD_OLDER_MARGIN = 300;
+const LOAD_NEWER_MARGIN = 300;
+
+// How close to the bottom (in pixels) still counts as following new messages
+const BOTTOM_THRESHOLD = 150;
+
+// How long a jumped-to message is highlighted, and kept in the middle while rows around it are measured
+const JUMP_HIGHLIGHT_MS = 2000;
+const JUMP_SETTLE_MS = 1000;
+
+// Animations
+const flash = keyframes`
+  from {
+    background: rgba(255, 214, 102, 0.6);
+  }
+  to {
+    background: transparent;
+  }
+`;
 
 // Styled components
+const ListFrame = styled.div`
+  flex: 1;
+  min-height: 0;
+  display: flex;
+  flex-direction: column;
+  position: relative;
+`;
+
 const MessageListContainer = styled.div`
   flex: 1;
   overflow-y: auto;
@@ -32,6 +72,9 @@ const MessageListContainer = styled.div`
   /* For Firefox */
   scrollbar-width: thin;
   scrollbar-color: ${({ theme }) => `${theme.colors.accent2}80 transparent`};
+
+  /* The list keeps its place itself when older messages are added above */
+  overflow-anchor: none;
 `;
 
 const EmptyStateContainer = styled.div`
@@ -79,10 +122,62 @@ const LoadingIndicator = styled.div`
   }
 `;
 
-const MessagesWrapper = styled.div`
-  display: flex;
-  flex-direction: column-reverse;
-  padding-bottom: ${({ theme }) => theme.space.md};
+const HistoryStatus = styled.div`
+  min-height: 24px;
+  margin-bottom: ${({ theme }) => theme.space.sm};
+  text-align: center;
+  font-size: ${({ theme }) => theme.fontSizes.xs};
+  color: ${({ theme }) => theme.colors.text.secondary};
+`;
+
+const HistoryGap = styled(HistoryStatus)`
+  margin: ${({ theme }) => theme.space.sm} 0;
+  padding: ${({ theme }) => theme.space.xs} 0;
+  border-top: 1px dashed ${({ theme }) => theme.colors.accent3};
+  border-bottom: 1px dashed ${({ theme }) => theme.colors.accent3};
+
+  button {
+    padding: 0;
+    border: none;
+    background: none;
+    color: ${({ theme }) => theme.colors.primary};
+    font-size: inherit;
+    cursor: pointer;
+
+    &:hover {
+      text-decoration: underline;
+    }
+  }
+`;
+
+const MessageRows = styled.div`
+  margin-bottom: ${({ theme }) => theme.space.md};
+`;
+
+// Contains its message's margins, so the measured height is the space it takes
+const MessageRow = styled.div`
+  display: flow-root;
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+
+  ${({ highlighted }) => highlighted && css`
+    animation: ${flash} ${JUMP_HIGHLIGHT_MS}ms ease-out;
+  `}
+`;
+
+const NewMessagesPill = styled.button`
+  position: absolute;
+  bottom: ${({ theme }) => theme.space.md};
+  left: 50%;
+  transform: translateX(-50%);
+  padding: ${({ theme }) => `${theme.space.xs} ${theme.space.md}`};
+  border: none;
+  border-radius: ${({ theme }) => theme.borderRadius.full};
+  background: ${({ theme }) => theme.colors.primary};
+  color: ${({ theme }) => theme.colors.text.light};
+  font-size: ${({ theme }) => theme.fontSizes.sm};
+  font-weight: 600;
+  box-shadow: ${({ theme }) => theme.shadows.md};
+  z-index: 1;
 `;
 
 /**
@@ -134,76 +229,422 @@ const getUniqueMessages = (messages) => {
   return uniqueMessages;
 };
 
+/**
+ * Whether enough of a message is in view to count as seen
+ * @param {object} entry - IntersectionObserver entry for the message
+ * @returns {boolean} True if half of the message, or half of the list's height, is showing
+ */
+const isMostlyVisible = (entry) => entry.isIntersecting && (
+  entry.intersectionRatio >= 0.5
+  || entry.intersectionRect.height >= (entry.rootBounds?.height || Infinity) / 2
+);
+
 /**
  * Chat message list component
  * @param {object} props - Component props
- * @param {Array} props.messages - List of message objects
+ * @param {Array} props.messages - List of message objects (file transfers have type 'file_transfer',
+ *   call summaries and other room events have message_type 'system')
  * @param {boolean} props.loading - Whether messages are loading
  * @param {boolean} props.isEmpty - Whether the message list is empty
  * @param {boolean} props.isJoined - Whether the user has joined the room
+ * @param {Function} props.onEditMessage - Called with (messageId, text) to edit one of the user's messages;
+ *   editing is disabled when it is not provided
+ * @param {Function} props.onDeleteMessage - Called with a message ID to delete it; deleting is disabled
+ *   when it is not provided
+ * @param {boolean} props.canModerate - Whether the user is a room admin and may delete any message
+ * @param {Function} props.onOpenThread - Called with a message to open its thread; not provided inside a thread
+ * @param {object} props.participantsById - User details keyed by user ID, for thread avatars and reactions
+ * @param {Function} props.onToggleReaction - Called with (messageId, emoji) to add or take back a reaction;
+ *   reactions are read-only when it is not provided
+ * @param {string} props.emptyText - Text shown when there are no messages
+ * @param {Function} props.onMessageSeen - Called with the newest message in view while the page is visible
+ * @param {object} props.readReceipts - Users keyed by the ID of the newest message they have read
+ * @param {boolean} props.hasMore - Whether there are older messages to load
+ * @param {boolean} props.loadingOlder - Whether older messages are being loaded
+ * @param {Function} props.onLoadOlder - Called to load the page before the oldest message, when
+ *   scrolling nears the top
+ * @param {Array} props.newerGaps - Messages ({ id }) followed by history that hasn't been loaded,
+ *   after a jump to an old message
+ * @param {boolean} props.loadingNewer - Whether messages missing after a gap are being loaded
+ * @param {Function} props.onLoadNewer - Called with the ID of a gap's message to load the page after
+ *   it, when the gap nears the view
+ * @param {Set} props.pinnedIds - IDs of the messages pinned to the room
+ * @param {Function} props.onTogglePin - Called with (message, isPinned) to pin or unpin a message; pinning
+ *   is disabled when it is not provided
+ * @param {object} props.jumpTarget - Message to scroll to and highlight ({ messageId }); each new object
+ *   jumps again, once the message is in the list
  * @returns {React.ReactElement} The component
  */
 const ChatMessageList = ({
   messages,
   loading,
   isEmpty = !messages || messages.length === 0,
-  isJoined = true
+  isJoined = true,
+  onEditMessage = null,
+  onDeleteMessage = null,
+  canModerate = false,
+  onOpenThread = null,
+  participantsById = {},
+  onToggleReaction = null,
+  emptyText = 'No messages yet. Start the conversation!',
+  onMessageSeen = null,
+  readReceipts = {},
+  hasMore = false,
+  loadingOlder = false,
+  onLoadOlder = null,
+  newerGaps = [],
+  loadingNewer = false,
+  onLoadNewer = null,
+  pinnedIds = null,
+  onTogglePin = null,
+  jumpTarget = null
 }) => {
-  const messagesEndRef = useRef(null);
+  const containerRef = useRef(null);
+  const listRef = useRef(null);
+  const historyStatusRef = useRef(null);
+  const [newMessageCount, setNewMessageCount] = useState(0);
+  const [highlightedId, setHighlightedId] = useState(null);
+
+  // Get unique messages to display
+  const uniqueMessages = useMemo(() => getUniqueMessages(messages), [messages]);
+
+  // Messages come newest first; rows are shown oldest first, down to the newest at the bottom
+  const rows = useMemo(() => [...uniqueMessages].reverse(), [uniqueMessages]);
+  const rowKeys = useMemo(() => rows.map((message) => message.id), [rows]);
+  const {
+    startIndex,
+    endIndex,
+    paddingTop,
+    paddingBottom,
+    totalHeight,
+    measureRow,
+    scrollToRow
+  } = useVirtualRows(containerRef, listRef, rowKeys);
+
+  // The newest and oldest messages last laid out, to tell new messages from older pages
+  const shownRangeRef = useRef({ newestId: null, oldestId: null });
+
+  // Whether the reader is at the bottom, following new messages
+  const isAtBottomRef = useRef(true);
+
+  // Distance from the bottom when older messages were requested; restored once they are added
+  const olderAnchorRef = useRef(null);
+
+  // Oldest message the last request for older ones started from, so a failed request isn't repeated
+  const requestedBeforeRef = useRef(null);
+
+  // Gaps already requested, for the same reason; a failed one can still be loaded from its button
+  const requestedGapsRef = useRef(new Set());
+  const gapIds = useMemo(() => new Set(newerGaps.map((gap) => gap.id)), [newerGaps]);
+
+  // The last jump target handled, and until when its row is kept in the middle of the view
+  const handledJumpRef = useRef(null);
+  const jumpSettleUntilRef = useRef(0);
+
+  // Follow new messages when at the bottom (or when they are the user's own), count them otherwise,
+  // and keep the reader's place when older ones are added
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    const newestId = uniqueMessages[0]?.id || null;
+    const oldestId = uniqueMessages[uniqueMessages.length - 1]?.id || null;
+    const previous = shownRangeRef.current;
+    shownRangeRef.current = { newestId, oldestId };
+
+    // A new room starts at the bottom
+    if (!newestId) {
+      isAtBottomRef.current = true;
+      olderAnchorRef.current = null;
+      requestedBeforeRef.current = null;
+      requestedGapsRef.current.clear();
+      setNewMessageCount(0);
+    }
+
+    if (!container) {
+      return;
+    }
+
+    if (olderAnchorRef.current !== null && oldestId !== previous.oldestId) {
+      container.scrollTop = container.scrollHeight - olderAnchorRef.current;
+      olderAnchorRef.current = null;
+    }
 
-  // Auto-scroll to bottom when new messages are added
+    if (newestId === previous.newestId) {
+      return;
+    }
+
+    if (isAtBottomRef.current || !previous.newestId || uniqueMessages[0].delivery === 'sending') {
+      isAtBottomRef.current = true;
+      setNewMessageCount(0);
+      container.scrollTop = container.scrollHeight;
+    } else {
+      // Messages before the previous newest one are the new ones (none if it was removed)
+      const newCount = uniqueMessages.findIndex((message) => message.id === previous.newestId);
+      if (newCount > 0) {
+        setNewMessageCount((count) => count + newCount);
+      }
+    }
+  }, [uniqueMessages]);
+
+  // Scroll to the jump target once its message is in the list; done after following new messages,
+  // so a room opened to jump to a message doesn't end up at the bottom
+  useLayoutEffect(() => {
+    if (!jumpTarget || handledJumpRef.current === jumpTarget || !scrollToRow(jumpTarget.messageId)) {
+      return;
+    }
+
+    handledJumpRef.current = jumpTarget;
+    isAtBottomRef.current = false;
+    jumpSettleUntilRef.current = Date.now() + JUMP_SETTLE_MS;
+    setHighlightedId(jumpTarget.messageId);
+  }, [jumpTarget, rowKeys, scrollToRow]);
+
+  // The highlight plays once; cleared so it doesn't replay when the row scrolls back into view
   useEffect(() => {
-    if (messagesEndRef.current) {
-      messagesEndRef.current.scrollIntoView({ behavior: 'smooth' });
+    if (!highlightedId) {
+      return undefined;
     }
-  }, [messages]);
 
-  // Get unique messages to display
-  const uniqueMessages = getUniqueMessages(messages);
+    const timer = setTimeout(() => setHighlightedId(null), JUMP_HIGHLIGHT_MS);
+    return () => clearTimeout(timer);
+  }, [highlightedId]);
+
+  // Stay at the bottom while rows are measured or grow (e.g. an image loading), or on a jump target
+  // while the rows around it get their real heights
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    if (container && isAtBottomRef.current) {
+      container.scrollTop = container.scrollHeight;
+    } else if (handledJumpRef.current && Date.now() < jumpSettleUntilRef.current) {
+      scrollToRow(handledJumpRef.current.messageId);
+    }
+  }, [totalHeight, scrollToRow]);
+
+  // Track whether the reader is at the bottom; reaching it clears the new message count
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) {
+      return undefined;
+    }
+
+    const handleScroll = () => {
+      isAtBottomRef.current =
+        container.scrollHeight - container.scrollTop - container.clientHeight <= BOTTOM_THRESHOLD;
+      if (isAtBottomRef.current) {
+        setNewMessageCount(0);
+      }
+    };
+
+    container.addEventListener('scroll', handleScroll, { passive: true });
+    return () => container.removeEventListener('scroll', handleScroll);
+  }, []);
+
+  /**
+   * Jump to the newest message and follow new ones again
+   */
+  const jumpToNewest = () => {
+    const container = containerRef.current;
+    if (container) {
+      isAtBottomRef.current = true;
+      container.scrollTop = container.scrollHeight;
+    }
+    setNewMessageCount(0);
+  };
+
+  // Load older messages when scrolling nears the top
+  useEffect(() => {
+    const container = containerRef.current;
+    const status = historyStatusRef.current;
+    if (!onLoadOlder || !hasMore || loadingOlder || !container || !status
+      || typeof IntersectionObserver === 'undefined') {
+      return undefined;
+    }
+
+    const oldestId = uniqueMessages[uniqueMessages.length - 1]?.id;
+    if (!oldestId || requestedBeforeRef.current === oldestId) {
+      return undefined;
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) {
+        observer.disconnect();
+        requestedBeforeRef.current = oldestId;
+        olderAnchorRef.current = container.scrollHeight - container.scrollTop;
+        onLoadOlder();
+      }
+    }, { root: container, rootMargin: `${LOAD_OLDER_MARGIN}px 0px 0px 0px` });
+
+    observer.observe(status);
+    return () => observer.disconnect();
+  }, [onLoadOlder, hasMore, loadingOlder, uniqueMessages]);
+
+  // Load the messages missing after a gap as it nears the view
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!onLoadNewer || loadingNewer || gapIds.size === 0 || !container
+      || typeof IntersectionObserver === 'undefined') {
+      return undefined;
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+      const gapId = entries.find((entry) => entry.isIntersecting)?.target.dataset.gapId;
+      if (gapId && !requestedGapsRef.current.has(gapId)) {
+        observer.disconnect();
+        requestedGapsRef.current.add(gapId);
+        onLoadNewer(gapId);
+      }
+    }, { root: container, rootMargin: `${LOAD_NEWER_MARGIN}px 0px` });
+
+    // Only rendered gaps can come into view, so this runs again as the rendered rows change
+    container.querySelectorAll('[data-gap-id]').forEach((element) => observer.observe(element));
+    return () => observer.disconnect();
+  }, [onLoadNewer, loadingNewer, gapIds, startIndex, endIndex]);
+
+  // Keep the latest callback without re-observing every message when it changes
+  const onMessageSeenRef = useRef(onMessageSeen);
+  useEffect(() => {
+    onMessageSeenRef.current = onMessageSeen;
+  }, [onMessageSeen]);
+
+  const reportsSeen = Boolean(onMessageSeen);
+
+  // Watch which messages are in view and report the newest one
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!reportsSeen || !container || typeof IntersectionObserver === 'undefined') {
+      return undefined;
+    }
+
+    const visibleIds = new Set();
+
+    // Messages are newest first, so the first visible one is the newest
+    const reportNewest = () => {
+      if (document.visibilityState !== 'visible') {
+        return;
+      }
+
+      const newest = uniqueMessages.find((message) => visibleIds.has(message.id));
+      if (newest) {
+        onMessageSeenRef.current?.(newest);
+      }
+    };
+
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach((entry) => {
+        if (isMostlyVisible(entry)) {
+          visibleIds.add(entry.target.dataset.messageId);
+        } else {
+          visibleIds.delete(entry.target.dataset.messageId);
+        }
+      });
+      reportNewest();
+    }, { root: container, threshold: [0, 0.25, 0.5, 1] });
+
+    // Only rendered messages can be in view, so this runs again as the rendered rows change
+    container.querySelectorAll('[data-message-id]').forEach((element) => observer.observe(element));
+
+    // Messages that arrived while the tab was hidden count once it is back
+    document.addEventListener('visibilitychange', reportNewest);
+
+    return () => {
+      observer.disconnect();
+      document.removeEventListener('visibilitychange', reportNewest);
+    };
+  }, [uniqueMessages, reportsSeen, startIndex, endIndex]);
 
   return (
-    <MessageListContainer data-testid="chat-message-list">
-      {loading && !messages.length ? (
-        <EmptyStateContainer>
-          <LoadingIndicator>
-            <span />
-            <span />
-            <span />
-          </LoadingIndicator>
-          <Text style={{ marginTop: '1rem' }}>Loading messages...</Text>
-        </EmptyStateContainer>
-      ) : isEmpty && !isJoined ? (
-        <EmptyStateContainer>
-          <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
-            <path d="M12 20.94c1.5 0 2.75 1.06 4 1.06 3 0 6-8 6-12.22A4.91 4.91 0 0 0 17 5c-2.22 0-4 1.44-5 2-1-.56-2.78-2-5-2a4.9 4.9 0 0 0-5 4.78C2 13 5 21 8 21c1.25 0 2.5-1.06 4-1.06z" />
-            <path d="M10 2v8" />
-            <path d="M14 2v8" />
-          </svg>
-          <Text>Join this room to see messages</Text>
-        </EmptyStateContainer>
-      ) : isEmpty ? (
-        <EmptyStateContainer>
-          <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
-            <line x1="8" y1="3" x2="8" y2="21" />
-            <line x1="16" y1="3" x2="16" y2="21" />
-            <line x1="3" y1="8" x2="21" y2="8" />
-            <line x1="3" y1="16" x2="21" y2="16" />
-          </svg>
-          <Text>No messages yet. Start the conversation!</Text>
-        </EmptyStateContainer>
-      ) : (
-        <MessagesWrapper>
-          {/* Render messages in reverse order (newest at bottom) */}
-          {uniqueMessages.map((message) => (
-            <ChatMessageItem
-              key={message.id}
-              message={message}
-            />
-          ))}
-          <div ref={messagesEndRef} /> {/* Empty div for auto-scroll */}
-        </MessagesWrapper>
+    <ListFrame>
+      <MessageListContainer ref={containerRef} data-testid="chat-message-list">
+        {loading && !messages.length ? (
+          <EmptyStateContainer>
+            <LoadingIndicator>
+              <span />
+              <span />
+              <span />
+            </LoadingIndicator>
+            <Text style={{ marginTop: '1rem' }}>Loading messages...</Text>
+          </EmptyStateContainer>
+        ) : isEmpty && !isJoined ? (
+          <EmptyStateContainer>
+            <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+              <path d="M12 20.94c1.5 0 2.75 1.06 4 1.06 3 0 6-8 6-12.22A4.91 4.91 0 0 0 17 5c-2.22 0-4 1.44-5 2-1-.56-2.78-2-5-2a4.9 4.9 0 0 0-5 4.78C2 13 5 21 8 21c1.25 0 2.5-1.06 4-1.06z" />
+              <path d="M10 2v8" />
+              <path d="M14 2v8" />
+            </svg>
+            <Text>Join this room to see messages</Text>
+          </EmptyStateContainer>
+        ) : isEmpty ? (
+          <EmptyStateContainer>
+            <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+              <line x1="8" y1="3" x2="8" y2="21" />
+              <line x1="16" y1="3" x2="16" y2="21" />
+              <line x1="3" y1="8" x2="21" y2="8" />
+              <line x1="3" y1="16" x2="21" y2="16" />
+            </svg>
+            <Text>{emptyText}</Text>
+          </EmptyStateContainer>
+        ) : (
+          <>
+            {onLoadOlder && (
+              <HistoryStatus ref={historyStatusRef} aria-live="polite">
+                {loadingOlder && 'Loading older messages...'}
+                {!hasMore && !loadingOlder && 'This is the beginning of the conversation'}
+              </HistoryStatus>
+            )}
+            <MessageRows ref={listRef} style={{ paddingTop, paddingBottom }}>
+              {rows.slice(startIndex, endIndex).map((message) => {
+                let item;
+                if (message.type === 'file_transfer') {
+                  item = <FileTransferMessage transfer={message.transfer} />;
+                } else if (message.message_type === 'system' && !message.deleted_at) {
+                  item = <SystemMessage message={message} />;
+                } else {
+                  // Deleted system messages fall through to the regular tombstone
+                  item = (
+                    <ChatMessageItem
+                      message={message}
+                      onEdit={onEditMessage}
+                      onDelete={onDeleteMessage}
+                      canModerate={canModerate}
+                      onReply={onOpenThread}
+                      participantsById={participantsById}
+                      onToggleReaction={onToggleReaction}
+                      isPinned={Boolean(pinnedIds?.has(message.id))}
+                      onTogglePin={onTogglePin}
+                    />
+                  );
+                }
+
+                return (
+                  <MessageRow
+                    key={message.id}
+                    ref={measureRow}
+                    data-row-key={message.id}
+                    highlighted={message.id === highlightedId}
+                  >
+                    {item}
+                    <ReadReceipts readers={readReceipts[message.id]} />
+                    {gapIds.has(message.id) && (
+                      <HistoryGap data-gap-id={message.id} aria-live="polite">
+                        {loadingNewer ? 'Loading newer messages...' : (
+                          <button type="button" onClick={() => onLoadNewer?.(message.id)}>
+                            Load newer messages
+                          </button>
+                        )}
+                      </HistoryGap>
+                    )}
+                  </MessageRow>
+                );
+              })}
+            </MessageRows>
+          </>
+        )}
+      </MessageListContainer>
+      {newMessageCount > 0 && (
+        <NewMessagesPill type="button" onClick={jumpToNewest} data-testid="new-messages-pill">
+          {newMessageCount === 1 ? '1 new message' : `${newMessageCount} new messages`} ↓
+        </NewMessagesPill>
       )}
-    </MessageListContainer>
+    </ListFrame>
   );
 };
 
@@ -1,12 +1,26 @@
 /**
  * Main component for a chat room that integrates all chat subcomponents
  */
-import React, { useEffect } from 'react';
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
 import styled from 'styled-components';
 import { useChatRoom } from '../hooks/useChatRoom';
+import { useHuddle } from '../hooks/useHuddle';
+import { useChatThread } from '../hooks/useChatThread';
+import { useTypingIndicator } from '../hooks/useTypingIndicator';
+import { useRoomPins } from '../hooks/useRoomPins';
+import { useCallContext } from '../contexts/CallProvider';
+import { useFileTransferContext } from '../contexts/FileTransferProvider';
+import { VoicePlaybackProvider } from '../contexts/VoicePlaybackProvider';
+import { useSupabaseUserContext } from '../../auth/contexts/SupabaseUserProvider';
 import ChatMessageList from './ChatMessageList';
 import ChatInput from './ChatInput';
 import OnlineUsersList from './OnlineUsersList';
+import HuddlePanel from './HuddlePanel';
+import HuddleStage from './HuddleStage';
+import ThreadPanel from './ThreadPanel';
+import VoiceQueueButton from './VoiceQueueButton';
+import TypingIndicator from './TypingIndicator';
+import PinnedMessagesPanel from './PinnedMessagesPanel';
 import {
   PrimaryButton, Card, Text, Subtitle, SlideUp, FadeIn
 } from '../../common/components/StyledComponents';
@@ -78,6 +92,10 @@ const RoomBanner = styled.div`
       ${props.theme.colors.background}
     );
   `}
+
+  ${(props) => props.offline && `
+    background: ${props.theme.colors.warning}20;
+  `}
 `;
 
 const BannerText = styled(Text)`
@@ -204,9 +222,12 @@ const OnlineIndicator = styled.span`
  * Chat room component
  * @param {object} props - Component props
  * @param {string} props.roomId - ID of the room to display
+ * @param {object} props.focusMessage - Message to show in context, e.g. a search result
+ *   ({ roomId, messageId, parentMessageId }); a thread reply shows its parent with the thread open.
+ *   Each new object jumps again
  * @returns {React.ReactElement} The component
  */
-const ChatRoom = ({ roomId }) => {
+const ChatRoom = ({ roomId, focusMessage = null }) => {
   // No need to log roomId changes
   useEffect(() => {
     // Component mounted with roomId
@@ -219,12 +240,121 @@ const ChatRoom = ({ roomId }) => {
     hasJoined,
     loading,
     error,
+    isConnected,
+    peerCount,
+    hasMoreMessages,
+    isLoadingOlder,
+    loadOlderMessages,
+    loadMessagesFrom,
+    newerGaps,
+    isLoadingNewer,
+    loadNewerMessages,
     sendMessage,
+    editMessage,
+    deleteMessage,
+    toggleReaction,
+    markMessageRead,
     joinRoom,
     leaveRoom,
-    roomExists
+    roomExists,
+    isRoomAdmin
   } = useChatRoom(roomId);
 
+  const { supabaseUser } = useSupabaseUserContext();
+  const { startCall, isBusy: isInCall } = useCallContext();
+  const huddle = useHuddle(roomId, members, hasJoined);
+  const { typingUsers, setTyping } = useTypingIndicator(roomId);
+  const { transfers, sendFile } = useFileTransferContext();
+
+  // The open thread; its parent is read from the live message list, so edits and new
+  // reply counts show up in the panel, with the clicked copy as a fallback
+  const [openThread, setOpenThread] = useState(null);
+  const threadParent = openThread
+    ? messages.find((msg) => msg.id === openThread.id) || openThread
+    : null;
+  const thread = useChatThread(roomId, openThread?.id || null, members);
+
+  // The message the list jumps to, and a thread to open once its parent is loaded
+  const [jumpTarget, setJumpTarget] = useState(null);
+  const [pendingThreadId, setPendingThreadId] = useState(null);
+
+  // Threads and jumps belong to a room
+  useEffect(() => {
+    setOpenThread(null);
+    setJumpTarget(null);
+    setPendingThreadId(null);
+  }, [roomId]);
+
+  // Load the history from a message and jump to it; a thread reply jumps to its parent with the
+  // thread open. Nothing happens if the room changes while the history loads
+  const showMessage = useCallback(async ({ messageId, parentMessageId = null }) => {
+    const targetId = parentMessageId || messageId;
+    if (await loadMessagesFrom(targetId)) {
+      setJumpTarget({ messageId: targetId });
+      setPendingThreadId(parentMessageId);
+    }
+  }, [loadMessagesFrom]);
+
+  // Show the focused message once its room is open
+  useEffect(() => {
+    if (focusMessage && focusMessage.roomId === roomId) {
+      showMessage(focusMessage);
+    }
+  }, [focusMessage, roomId, showMessage]);
+
+  // Open the focused reply's thread once its parent is in the list
+  useEffect(() => {
+    const parent = pendingThreadId && messages.find((msg) => msg.id === pendingThreadId);
+    if (parent) {
+      setOpenThread(parent);
+      setPendingThreadId(null);
+    }
+  }, [pendingThreadId, messages]);
+
+  // User details for thread summary avatars, reaction tooltips and mention names
+  const participantsById = useMemo(() => members.reduce((byId, member) => {
+    if (member.users) {
+      byId[member.users.id] = member.users;
+    }
+    return byId;
+  }, {}), [members]);
+
+  const pins = useRoomPins(roomId, participantsById);
+
+  // Loaded messages by ID, so the pinned messages drawer shows their current text
+  const messagesById = useMemo(
+    () => Object.fromEntries(messages.map((message) => [message.id, message])),
+    [messages]
+  );
+
+  // Other members under the newest message they have read
+  const readReceipts = useMemo(() => members.reduce((byMessage, member) => {
+    if (member.users && member.users.id !== supabaseUser?.id && member.last_read_message_id) {
+      byMessage[member.last_read_message_id] = [...(byMessage[member.last_read_message_id] || []), member.users];
+    }
+    return byMessage;
+  }, {}), [members, supabaseUser?.id]);
+
+  // Show this room's file transfers inline with its messages (newest first, like messages)
+  const timeline = useMemo(() => {
+    const roomTransfers = transfers
+      .filter((transfer) => transfer.roomId === roomId)
+      .map((transfer) => ({
+        id: `transfer-${transfer.id}`,
+        type: 'file_transfer',
+        user_id: transfer.direction === 'outgoing' ? supabaseUser?.id : transfer.peer?.id,
+        created_at: transfer.created_at,
+        transfer
+      }));
+
+    if (roomTransfers.length === 0) {
+      return messages;
+    }
+
+    return [...messages, ...roomTransfers]
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  }, [messages, transfers, roomId, supabaseUser?.id]);
+
   // If the room doesn't exist anymore, show a message
   if (!roomExists) {
     return (
@@ -284,94 +414,201 @@ const ChatRoom = ({ roomId }) => {
   };
 
   return (
-    <ChatRoomContainer>
-      {/* Main Chat Area */}
-      <MainChatArea>
-        {/* Join Room Banner (if not joined) */}
-        {!hasJoined && (
-          <SlideUp>
-            <RoomBanner joining>
-              <BannerText variant="primary">
-                Join this room to start chatting
-              </BannerText>
-              <JoinButton
-                onClick={joinRoom}
-                disabled={loading}
-              >
-                {loading ? 'Joining...' : 'Join Room'}
-              </JoinButton>
-            </RoomBanner>
-          </SlideUp>
-        )}
-
-        {/* Leave Room Banner (if joined) */}
-        {hasJoined && (
-          <SlideUp>
-            <RoomBanner justifyContent="flex-end" leaving>
-              <LeaveButton
-                onClick={handleLeaveRoom}
-                disabled={loading}
-              >
-                {loading ? 'Leaving...' : 'Leave Room'}
-              </LeaveButton>
-            </RoomBanner>
-          </SlideUp>
-        )}
+    <VoicePlaybackProvider roomId={roomId} messages={messages}>
+      <ChatRoomContainer>
+        {/* Main Chat Area */}
+        <MainChatArea>
+          {/* Join Room Banner (if not joined) */}
+          {!hasJoined && (
+            <SlideUp>
+              <RoomBanner joining>
+                <BannerText variant="primary">
+                  Join this room to start chatting
+                </BannerText>
+                <JoinButton
+                  onClick={joinRoom}
+                  disabled={loading}
+                >
+                  {loading ? 'Joining...' : 'Join Room'}
+                </JoinButton>
+              </RoomBanner>
+            </SlideUp>
+          )}
 
-        {/* Message List */}
-        <ChatMessageList
-          messages={messages}
-          loading={loading}
-          isEmpty={messages.length === 0}
-          isJoined={hasJoined}
-        />
-
-        {/* Chat Input */}
-        <ChatInput
-          onSendMessage={sendMessage}
-          disabled={!hasJoined || loading}
-        />
-      </MainChatArea>
-
-      {/* Side Panel - Members & Online Users */}
-      <FadeIn>
-        <SidePanel>
-          {/* Online Users List */}
-          <OnlineUsersList users={onlineUsers} />
-
-          {/* Room Members Section (if joined) */}
-          {hasJoined && members.length > 0 && (
-            <MembersCard>
-              <MembersHeader>
-                <Subtitle style={{ margin: 0, fontSize: '1.1rem' }}>Room Members</Subtitle>
-                <SmallLeaveButton
+          {/* Leave Room Banner (if joined) */}
+          {hasJoined && (
+            <SlideUp>
+              <RoomBanner justifyContent="flex-end" leaving>
+                <VoiceQueueButton />
+                <LeaveButton
                   onClick={handleLeaveRoom}
                   disabled={loading}
                 >
-                  {loading ? 'Leaving...' : 'Leave'}
-                </SmallLeaveButton>
-              </MembersHeader>
-
-              <MembersList>
-                {members.map((member) => (
-                  <li key={member.id}>
-                    <MemberImage
-                      src={member.users?.image_url || 'https://via.placeholder.com/32'}
-                      alt={member.users?.full_name || 'User'}
-                      online={member.isOnline}
-                    />
-                    <MemberName>
-                      {member.users?.full_name || 'Unknown User'}
-                      {member.isOnline && <OnlineIndicator />}
-                    </MemberName>
-                  </li>
-                ))}
-              </MembersList>
-            </MembersCard>
+                  {loading ? 'Leaving...' : 'Leave Room'}
+                </LeaveButton>
+              </RoomBanner>
+            </SlideUp>
           )}
-        </SidePanel>
-      </FadeIn>
-    </ChatRoomContainer>
+
+          {/* Offline Banner (while the Realtime websocket is down) */}
+          {hasJoined && !isConnected && (
+            <RoomBanner offline data-testid="offline-banner">
+              <BannerText>
+                {peerCount > 0
+                  ? `Connection lost. Messages go directly to ${peerCount} ${peerCount === 1 ? 'person' : 'people'} `
+                    + 'in this room and are saved once you reconnect.'
+                  : 'Connection lost. Messages will be sent once you reconnect.'}
+              </BannerText>
+            </RoomBanner>
+          )}
+
+          {/* Huddle video grid (while in the huddle) */}
+          {huddle.isInHuddle && (
+            <HuddleStage
+              participants={huddle.participants}
+              currentUserId={supabaseUser?.id}
+              localStream={huddle.localStream}
+              screenStream={huddle.screenStream}
+              remoteStreams={huddle.remoteStreams}
+              connectionStats={huddle.connectionStats}
+              qualityLevel={huddle.qualityLevel}
+            />
+          )}
+
+          {/* Message List */}
+          <ChatMessageList
+            messages={timeline}
+            loading={loading}
+            isEmpty={timeline.length === 0}
+            isJoined={hasJoined}
+            onEditMessage={hasJoined && isConnected ? editMessage : null}
+            onDeleteMessage={isConnected ? deleteMessage : null}
+            canModerate={isRoomAdmin}
+            onOpenThread={setOpenThread}
+            participantsById={participantsById}
+            onToggleReaction={hasJoined && isConnected ? toggleReaction : null}
+            onMessageSeen={hasJoined ? markMessageRead : null}
+            readReceipts={readReceipts}
+            hasMore={hasMoreMessages}
+            loadingOlder={isLoadingOlder}
+            onLoadOlder={loadOlderMessages}
+            newerGaps={newerGaps}
+            loadingNewer={isLoadingNewer}
+            onLoadNewer={loadNewerMessages}
+            pinnedIds={pins.pinnedIds}
+            onTogglePin={isRoomAdmin && isConnected ? pins.togglePin : null}
+            jumpTarget={jumpTarget}
+          />
+
+          {/* Typing Indicator and Chat Input */}
+          <TypingIndicator users={typingUsers} />
+          <ChatInput
+            onSendMessage={sendMessage}
+            disabled={!hasJoined || loading}
+            members={members}
+            allowAttachments
+            onTyping={hasJoined ? setTyping : null}
+          />
+        </MainChatArea>
+
+        {/* Thread Panel (replaces the side panel while a thread is open) */}
+        {threadParent && (
+          <ThreadPanel
+            parentMessage={threadParent}
+            replies={thread.replies}
+            loading={thread.loading}
+            error={thread.error}
+            canReply={hasJoined && isConnected}
+            canModerate={isRoomAdmin}
+            onSendReply={thread.sendReply}
+            onEditReply={thread.editReply}
+            onDeleteReply={thread.deleteReply}
+            onToggleReaction={thread.toggleReaction}
+            onToggleParentReaction={toggleReaction}
+            participantsById={participantsById}
+            members={members}
+            onClose={() => setOpenThread(null)}
+          />
+        )}
+
+        {/* Side Panel - Huddle, Pinned Messages, Members & Online Users */}
+        <FadeIn style={threadParent ? { display: 'none' } : undefined}>
+          <SidePanel>
+            {/* Huddle (room members only) */}
+            {hasJoined && (
+              <HuddlePanel
+                participants={huddle.participants}
+                isInHuddle={huddle.isInHuddle}
+                isFull={huddle.isFull}
+                isMuted={huddle.isMuted}
+                isCameraOff={huddle.isCameraOff}
+                isScreenSharing={huddle.isScreenSharing}
+                presenter={huddle.presenter}
+                isRecording={huddle.isRecording}
+                recorders={huddle.recorders}
+                error={huddle.error}
+                onJoin={huddle.joinHuddle}
+                onLeave={huddle.leaveHuddle}
+                onToggleMute={huddle.toggleMute}
+                onToggleCamera={huddle.toggleCamera}
+                onToggleScreenShare={huddle.isScreenSharing ? huddle.stopScreenShare : huddle.startScreenShare}
+                onToggleRecording={huddle.isRecording ? huddle.stopRecording : huddle.startRecording}
+              />
+            )}
+
+            {/* Pinned Messages */}
+            <PinnedMessagesPanel
+              pins={pins.pins}
+              messagesById={messagesById}
+              participantsById={participantsById}
+              loading={pins.loading}
+              error={pins.error}
+              onJump={(message) => showMessage({ messageId: message.id })}
+              onUnpin={isRoomAdmin && isConnected ? (message) => pins.togglePin(message, true) : null}
+            />
+
+            {/* Online Users List */}
+            <OnlineUsersList
+              users={onlineUsers}
+              onCallUser={(user) => startCall(user, roomId)}
+              callDisabled={isInCall}
+              onSendFile={hasJoined ? (user, file) => sendFile(roomId, user, file) : null}
+            />
+
+            {/* Room Members Section (if joined) */}
+            {hasJoined && members.length > 0 && (
+              <MembersCard>
+                <MembersHeader>
+                  <Subtitle style={{ margin: 0, fontSize: '1.1rem' }}>Room Members</Subtitle>
+                  <SmallLeaveButton
+                    onClick={handleLeaveRoom}
+                    disabled={loading}
+                  >
+                    {loading ? 'Leaving...' : 'Leave'}
+                  </SmallLeaveButton>
+                </MembersHeader>
+
+                <MembersList>
+                  {members.map((member) => (
+                    <li key={member.id}>
+                      <MemberImage
+                        src={member.users?.image_url || 'https://via.placeholder.com/32'}
+                        alt={member.users?.full_name || 'User'}
+                        online={member.isOnline}
+                      />
+                      <MemberName>
+                        {member.users?.full_name || 'Unknown User'}
+                        {member.isOnline && <OnlineIndicator />}
+                      </MemberName>
+                    </li>
+                  ))}
+                </MembersList>
+              </MembersCard>
+            )}
+          </SidePanel>
+        </FadeIn>
+      </ChatRoomContainer>
+    </VoicePlaybackProvider>
   );
 };
 
@@ -1,12 +1,17 @@
 /**
  * Component for displaying a list of available chat rooms
  */
-import React, { useState } from 'react';
+import React, { useState, useMemo } from 'react';
 import styled, { keyframes } from 'styled-components';
 import {
   PrimaryButton, SecondaryButton, Input, Text,
   Subtitle, Card, Flex, FadeIn
 } from '../../common/components/StyledComponents';
+import { useSupabaseUserContext } from '../../auth/contexts/SupabaseUserProvider';
+import { sortRoomsByActivity, getLastMessagePreview } from '../utils/roomActivity';
+
+// Unread counts above this are shown as "99+"
+const MAX_UNREAD_SHOWN = 99;
 
 // Animations
 const shimmer = keyframes`
@@ -236,7 +241,7 @@ const RoomButton = styled.button`
 `;
 
 const RoomName = styled.span`
-  font-weight: 600;
+  font-weight: ${({ unread }) => (unread ? 800 : 600)};
   color: ${({ selected, theme }) =>
     selected
       ? theme.colors.primary
@@ -244,6 +249,21 @@ const RoomName = styled.span`
   };
   font-size: ${({ theme }) => theme.fontSizes.md};
   display: block;
+  min-width: 0;
+  white-space: nowrap;
+  overflow: hidden;
+  text-overflow: ellipsis;
+`;
+
+const LastMessage = styled.p`
+  font-size: ${({ theme }) => theme.fontSizes.sm};
+  font-weight: ${({ unread }) => (unread ? 600 : 400)};
+  font-style: ${({ deleted }) => (deleted ? 'italic' : 'normal')};
+  color: ${({ unread, theme }) => (unread ? theme.colors.text.primary : theme.colors.text.secondary)};
+  margin-top: ${({ theme }) => theme.space.xs};
+  white-space: nowrap;
+  overflow: hidden;
+  text-overflow: ellipsis;
 `;
 
 const RoomDescription = styled.p`
@@ -267,11 +287,42 @@ const PrivateBadge = styled.span`
   transform: rotate(-2deg);
 `;
 
+const MentionBadge = styled.span`
+  min-width: 24px;
+  padding: 2px ${({ theme }) => theme.space.sm};
+  border-radius: ${({ theme }) => theme.borderRadius.full};
+  background: ${({ theme }) => theme.colors.primary};
+  color: ${({ theme }) => theme.colors.text.light};
+  font-size: ${({ theme }) => theme.fontSizes.xs};
+  font-weight: 700;
+  text-align: center;
+`;
+
+const RoomBadges = styled.span`
+  display: flex;
+  gap: ${({ theme }) => theme.space.xs};
+  margin-left: auto;
+  padding-left: ${({ theme }) => theme.space.sm};
+`;
+
+const UnreadBadge = styled.span`
+  min-width: 24px;
+  padding: 2px ${({ theme }) => theme.space.sm};
+  border-radius: ${({ theme }) => theme.borderRadius.full};
+  background: ${({ theme }) => theme.colors.secondary};
+  color: ${({ theme }) => theme.colors.text.light};
+  font-size: ${({ theme }) => theme.fontSizes.xs};
+  font-weight: 700;
+  text-align: center;
+`;
+
 /**
  * Chat room list component
  * @param {object} props - Component props
- * @param {Array} props.rooms - List of room objects
+ * @param {Array} props.rooms - List of room objects, with their unread count and last message
  * @param {string} props.selectedRoomId - Currently selected room ID
+ * @param {object} props.mentionCounts - Number of unseen @mentions of the user, keyed by room ID
+ * @param {Array} props.users - Known users (e.g. those online), for names in last message previews
  * @param {Function} props.onSelectRoom - Callback when room is selected
  * @param {Function} props.onCreateRoom - Callback when create room button is clicked
  * @param {boolean} props.loading - Whether rooms are loading
@@ -280,6 +331,8 @@ const PrivateBadge = styled.span`
 const ChatRoomList = ({
   rooms,
   selectedRoomId,
+  mentionCounts = {},
+  users = [],
   onSelectRoom,
   onCreateRoom,
   loading = false
@@ -288,6 +341,15 @@ const ChatRoomList = ({
   const [newRoomName, setNewRoomName] = useState('');
   const [newRoomDescription, setNewRoomDescription] = useState('');
   const [isPrivate, setIsPrivate] = useState(false);
+  const { supabaseUser } = useSupabaseUserContext();
+
+  // Most recently active rooms first
+  const sortedRooms = useMemo(() => sortRoomsByActivity(rooms), [rooms]);
+
+  const usersById = useMemo(
+    () => Object.fromEntries(users.map((user) => [user.id, user])),
+    [users]
+  );
 
   /**
    * Handle room creation form submission
@@ -383,29 +445,58 @@ const ChatRoomList = ({
           </EmptyState>
         ) : (
           <ul>
-            {rooms.map((room) => (
-              <RoomItem key={room.id}>
-                <RoomButton
-                  onClick={() => onSelectRoom(room.id)}
-                  selected={selectedRoomId === room.id}
-                >
-                  <Flex align="center">
-                    {room.is_private && (
-                      <PrivateBadge>Private</PrivateBadge>
+            {sortedRooms.map((room) => {
+              const unreadCount = room.unread_count || 0;
+              const preview = getLastMessagePreview(room, supabaseUser?.id, usersById);
+
+              return (
+                <RoomItem key={room.id}>
+                  <RoomButton
+                    onClick={() => onSelectRoom(room.id)}
+                    selected={selectedRoomId === room.id}
+                  >
+                    <Flex align="center">
+                      {room.is_private && (
+                        <PrivateBadge>Private</PrivateBadge>
+                      )}
+                      <RoomName selected={selectedRoomId === room.id} unread={unreadCount > 0}>
+                        {room.name}
+                      </RoomName>
+                      <RoomBadges>
+                        {mentionCounts[room.id] > 0 && (
+                          <MentionBadge
+                            title={mentionCounts[room.id] === 1
+                              ? '1 unread mention'
+                              : `${mentionCounts[room.id]} unread mentions`}
+                            data-testid="mention-badge"
+                          >
+                            @{mentionCounts[room.id]}
+                          </MentionBadge>
+                        )}
+                        {unreadCount > 0 && (
+                          <UnreadBadge
+                            title={unreadCount === 1 ? '1 unread message' : `${unreadCount} unread messages`}
+                            data-testid="unread-badge"
+                          >
+                            {unreadCount > MAX_UNREAD_SHOWN ? `${MAX_UNREAD_SHOWN}+` : unreadCount}
+                          </UnreadBadge>
+                        )}
+                      </RoomBadges>
+                    </Flex>
+
+                    {preview ? (
+                      <LastMessage unread={unreadCount > 0} deleted={Boolean(room.last_message_deleted)}>
+                        {preview}
+                      </LastMessage>
+                    ) : room.description && (
+                      <RoomDescription>
+                        {room.description}
+                      </RoomDescription>
                     )}
-                    <RoomName selected={selectedRoomId === room.id}>
-                      {room.name}
-                    </RoomName>
-                  </Flex>
-
-                  {room.description && (
-                    <RoomDescription>
-                      {room.description}
-                    </RoomDescription>
-                  )}
-                </RoomButton>
-              </RoomItem>
-            ))}
+                  </RoomButton>
+                </RoomItem>
+              );
+            })}
           </ul>
         )}
       </RoomList>
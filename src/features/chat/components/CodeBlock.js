@@ -0,0 +1,121 @@
+/**
+ * Component for a fenced code block in a message
+ * Shows the code highlighted and scrollable, with its language and a copy button
+ */
+import React, { useState, useEffect, useMemo } from 'react';
+import styled from 'styled-components';
+import { highlightCode } from '../utils/syntaxHighlight';
+
+// How long the "Copied" confirmation shows
+const COPIED_RESET_MS = 2000;
+
+// Token colors on the dark code background
+const TOKEN_COLORS = {
+  comment: '#8B949E',
+  string: '#A5D6FF',
+  number: '#79C0FF',
+  keyword: '#FF7B72'
+};
+
+// Styled components
+const BlockContainer = styled.div`
+  margin: ${({ theme }) => theme.space.sm} 0;
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+  background: #0D1117;
+  color: #E6EDF3;
+  overflow: hidden;
+  text-align: left;
+`;
+
+const BlockHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  padding: ${({ theme }) => `${theme.space.xs} ${theme.space.sm}`};
+  background: rgba(255, 255, 255, 0.06);
+  font-size: ${({ theme }) => theme.fontSizes.xs};
+  color: #8B949E;
+`;
+
+const CopyButton = styled.button`
+  border: none;
+  background: none;
+  padding: 0;
+  color: inherit;
+  font: inherit;
+  cursor: pointer;
+
+  &:hover {
+    color: #E6EDF3;
+  }
+`;
+
+const Pre = styled.pre`
+  margin: 0;
+  padding: ${({ theme }) => theme.space.sm};
+  max-height: 320px;
+  overflow: auto;
+  font-family: 'SFMono-Regular', Consolas, 'Liberation Mono', Menlo, monospace;
+  font-size: ${({ theme }) => theme.fontSizes.sm};
+  line-height: 1.5;
+  white-space: pre;
+`;
+
+const Token = styled.span`
+  color: ${({ tokenType }) => TOKEN_COLORS[tokenType] || 'inherit'};
+  font-style: ${({ tokenType }) => tokenType === 'comment' ? 'italic' : 'normal'};
+`;
+
+/**
+ * Code block component
+ * @param {object} props - Component props
+ * @param {string} props.code - Code to show
+ * @param {string} props.language - Language written after the opening fence (may be empty)
+ * @returns {React.ReactElement} The component
+ */
+const CodeBlock = ({ code, language = '' }) => {
+  const [copyState, setCopyState] = useState(null);
+  const tokens = useMemo(() => highlightCode(code, language), [code, language]);
+
+  // Go back to "Copy" a moment after copying
+  useEffect(() => {
+    if (!copyState) {
+      return undefined;
+    }
+
+    const timer = setTimeout(() => setCopyState(null), COPIED_RESET_MS);
+    return () => clearTimeout(timer);
+  }, [copyState]);
+
+  const copyCode = async () => {
+    try {
+      await navigator.clipboard.writeText(code);
+      setCopyState('copied');
+    } catch (err) {
+      console.error('Error copying code:', err);
+      setCopyState('failed');
+    }
+  };
+
+  return (
+    <BlockContainer data-testid="code-block">
+      <BlockHeader>
+        <span>{language || 'code'}</span>
+        <CopyButton type="button" onClick={copyCode} aria-label="Copy code">
+          {copyState === 'copied' ? 'Copied' : copyState === 'failed' ? 'Copy failed' : 'Copy'}
+        </CopyButton>
+      </BlockHeader>
+      <Pre>
+        <code>
+          {tokens.map((token, index) => (
+            token.type === 'plain'
+              ? <React.Fragment key={index}>{token.text}</React.Fragment>
+              : <Token key={index} tokenType={token.type}>{token.text}</Token>
+          ))}
+        </code>
+      </Pre>
+    </BlockContainer>
+  );
+};
+
+export default CodeBlock;
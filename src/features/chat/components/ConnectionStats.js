@@ -0,0 +1,149 @@
+/**
+ * Component for the connection-quality badge shown on call video
+ * Signal bars reflect the latest rating; clicking them opens the detailed stats
+ */
+import React, { useState } from 'react';
+import styled from 'styled-components';
+import { CONNECTION_QUALITY, QUALITY_LEVELS, getPathType } from '../utils/callStats';
+
+// Human-readable descriptions of the network path
+const PATH_LABELS = {
+  host: 'Direct (host)',
+  srflx: 'Direct through NAT (srflx)',
+  prflx: 'Direct through NAT (prflx)',
+  relay: 'Relayed through TURN (relay)'
+};
+
+// How many of the three bars are lit for each rating
+const QUALITY_BARS = {
+  [CONNECTION_QUALITY.GOOD]: 3,
+  [CONNECTION_QUALITY.FAIR]: 2,
+  [CONNECTION_QUALITY.POOR]: 1
+};
+
+// Styled components
+const StatsContainer = styled.div`
+  position: absolute;
+  top: ${({ theme }) => theme.space.sm};
+  right: ${({ theme }) => theme.space.sm};
+  z-index: 1;
+  display: flex;
+  flex-direction: column;
+  align-items: flex-end;
+`;
+
+const BarsButton = styled.button`
+  display: inline-flex;
+  align-items: flex-end;
+  gap: 2px;
+  height: 24px;
+  padding: 4px 6px;
+  border: none;
+  border-radius: ${({ theme }) => theme.borderRadius.sm};
+  background: rgba(0, 0, 0, 0.5);
+  cursor: pointer;
+`;
+
+const Bar = styled.span`
+  width: 4px;
+  height: ${({ step }) => 4 + step * 4}px;
+  border-radius: 1px;
+  background: ${({ theme, lit, quality }) => {
+    if (!lit) {
+      return 'rgba(255, 255, 255, 0.3)';
+    }
+    if (quality === CONNECTION_QUALITY.POOR) {
+      return theme.colors.error;
+    }
+    return quality === CONNECTION_QUALITY.FAIR ? theme.colors.warning : theme.colors.success;
+  }};
+`;
+
+const StatsPanel = styled.dl`
+  display: grid;
+  grid-template-columns: auto auto;
+  gap: 2px ${({ theme }) => theme.space.sm};
+  margin: ${({ theme }) => theme.space.xs} 0 0;
+  padding: ${({ theme }) => theme.space.sm};
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+  background: rgba(0, 0, 0, 0.75);
+  color: ${({ theme }) => theme.colors.text.light};
+  font-size: ${({ theme }) => theme.fontSizes.xs};
+  white-space: nowrap;
+
+  dt {
+    opacity: 0.7;
+  }
+
+  dd {
+    margin: 0;
+    font-family: monospace;
+  }
+`;
+
+const PanelTitle = styled.span`
+  grid-column: 1 / -1;
+  font-weight: 600;
+`;
+
+// Format a number with a unit, or a dash while it isn't known yet
+const formatValue = (value, unit, digits = 0) =>
+  (value === null || value === undefined ? '—' : `${value.toFixed(digits)} ${unit}`);
+
+/**
+ * Connection stats badge component
+ * @param {object} props - Component props
+ * @param {object} props.stats - Latest sample from useConnectionStats, or null before the first one
+ * @param {string} props.title - Heading of the detailed stats (e.g. the peer's name)
+ * @param {string} props.className - Class name used to position the badge
+ * @returns {React.ReactElement|null} The component, or null before the first sample
+ */
+const ConnectionStats = ({ stats, title = 'Connection', className }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  if (!stats) {
+    return null;
+  }
+
+  const litBars = QUALITY_BARS[stats.quality] || 0;
+  const pathType = getPathType(stats);
+  const codecs = [stats.codecs.video, stats.codecs.audio].filter(Boolean).join(' · ');
+
+  return (
+    <StatsContainer className={className}>
+      <BarsButton
+        onClick={() => setIsExpanded((expanded) => !expanded)}
+        title={`Connection: ${stats.quality}. Click for details`}
+        aria-expanded={isExpanded}
+      >
+        {[0, 1, 2].map((step) => (
+          <Bar key={step} step={step} lit={step < litBars} quality={stats.quality} />
+        ))}
+      </BarsButton>
+
+      {isExpanded && (
+        <StatsPanel data-testid="connection-stats">
+          <PanelTitle>{title}</PanelTitle>
+          <dt>Path</dt>
+          <dd>{PATH_LABELS[pathType] || '—'}</dd>
+          <dt>Round trip</dt>
+          <dd>{formatValue(stats.rtt, 'ms')}</dd>
+          <dt>Jitter</dt>
+          <dd>{formatValue(stats.jitter, 'ms')}</dd>
+          <dt>Packet loss</dt>
+          <dd>{formatValue(stats.packetLoss, '%', 1)}</dd>
+          <dt>Bitrate in</dt>
+          <dd>{formatValue(stats.inboundBitrate, 'kbps')}</dd>
+          <dt>Bitrate out</dt>
+          <dd>{formatValue(stats.outboundBitrate, 'kbps')}</dd>
+          <dt>Codec</dt>
+          <dd>{codecs || '—'}</dd>
+          <dt>Sending</dt>
+          <dd>{QUALITY_LEVELS[stats.level]?.label || '—'}</dd>
+        </StatsPanel>
+      )}
+    </StatsContainer>
+  );
+};
+
+export default ConnectionStats;
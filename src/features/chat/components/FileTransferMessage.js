@@ -0,0 +1,246 @@
+/**
+ * Component for a peer-to-peer file transfer shown inline in the message list
+ */
+import React from 'react';
+import styled from 'styled-components';
+import { useFileTransferContext } from '../contexts/FileTransferProvider';
+import { TRANSFER_STATUS } from '../hooks/useFileTransfer';
+import { formatFileSize } from '../utils/fileTransfer';
+import { formatMessageTime } from '../utils/dateUtils';
+import { FileIcon } from '../../common/components/IconComponents';
+
+// Styled components
+const TransferContainer = styled.div`
+  display: flex;
+  margin-bottom: ${({ theme }) => theme.space.md};
+  justify-content: ${({ outgoing }) => outgoing ? 'flex-end' : 'flex-start'};
+`;
+
+const TransferCard = styled.div`
+  width: 320px;
+  max-width: 75%;
+  padding: ${({ theme }) => theme.space.md};
+  border-radius: ${({ theme }) => theme.borderRadius.lg};
+  border: 1px dashed ${({ theme }) => theme.colors.accent2};
+  background: rgba(255, 255, 255, 0.85);
+  box-shadow: ${({ theme }) => theme.shadows.sm};
+`;
+
+const TransferLabel = styled.div`
+  font-size: ${({ theme }) => theme.fontSizes.xs};
+  color: ${({ theme }) => theme.colors.text.secondary};
+  margin-bottom: ${({ theme }) => theme.space.sm};
+`;
+
+const FileRow = styled.div`
+  display: flex;
+  align-items: center;
+  gap: ${({ theme }) => theme.space.sm};
+
+  svg {
+    width: 28px;
+    height: 28px;
+    flex-shrink: 0;
+    color: ${({ theme }) => theme.colors.primary};
+  }
+`;
+
+const FileDetails = styled.div`
+  min-width: 0;
+`;
+
+const FileName = styled.div`
+  font-weight: 600;
+  font-size: ${({ theme }) => theme.fontSizes.sm};
+  color: ${({ theme }) => theme.colors.text.primary};
+  white-space: nowrap;
+  overflow: hidden;
+  text-overflow: ellipsis;
+`;
+
+const FileSize = styled.div`
+  font-size: ${({ theme }) => theme.fontSizes.xs};
+  color: ${({ theme }) => theme.colors.text.secondary};
+`;
+
+const ProgressTrack = styled.div`
+  height: 6px;
+  margin-top: ${({ theme }) => theme.space.sm};
+  border-radius: ${({ theme }) => theme.borderRadius.full};
+  background: ${({ theme }) => theme.colors.accent3};
+  overflow: hidden;
+`;
+
+const ProgressFill = styled.div`
+  height: 100%;
+  width: ${({ percent }) => percent}%;
+  background: linear-gradient(
+    90deg,
+    ${({ theme }) => theme.colors.secondary},
+    ${({ theme }) => theme.colors.primary}
+  );
+  transition: width 0.1s linear;
+`;
+
+const StatusText = styled.div`
+  margin-top: ${({ theme }) => theme.space.sm};
+  font-size: ${({ theme }) => theme.fontSizes.xs};
+  color: ${({ theme, variant }) =>
+    variant === 'error'
+      ? theme.colors.error
+      : variant === 'success'
+        ? theme.colors.success
+        : theme.colors.text.secondary
+  };
+`;
+
+const Actions = styled.div`
+  display: flex;
+  gap: ${({ theme }) => theme.space.xs};
+  margin-top: ${({ theme }) => theme.space.sm};
+`;
+
+const ActionButton = styled.button`
+  border: none;
+  border-radius: ${({ theme }) => theme.borderRadius.full};
+  padding: ${({ theme }) => `${theme.space.xs} ${theme.space.md}`};
+  font-size: ${({ theme }) => theme.fontSizes.xs};
+  font-weight: 600;
+  color: ${({ theme }) => theme.colors.text.light};
+  background: ${({ theme, variant }) =>
+    variant === 'decline' ? theme.colors.error : theme.colors.success};
+  transition: ${({ theme }) => theme.transitions.quick};
+
+  &:hover {
+    opacity: 0.85;
+  }
+`;
+
+const DownloadLink = styled.a`
+  display: inline-block;
+  margin-top: ${({ theme }) => theme.space.sm};
+  font-size: ${({ theme }) => theme.fontSizes.sm};
+  font-weight: 600;
+  color: ${({ theme }) => theme.colors.primary};
+`;
+
+const TimeInfo = styled.div`
+  text-align: right;
+  margin-top: ${({ theme }) => theme.space.xs};
+  font-size: ${({ theme }) => theme.fontSizes.xs};
+  color: ${({ theme }) => theme.colors.text.secondary};
+`;
+
+// Status line shown under the file details
+const getStatusText = (transfer) => {
+  const outgoing = transfer.direction === 'outgoing';
+  const peerName = transfer.peer?.full_name || 'the other user';
+
+  switch (transfer.status) {
+    case TRANSFER_STATUS.PENDING:
+      return outgoing ? `Waiting for ${peerName} to accept...` : 'Wants to send you this file';
+    case TRANSFER_STATUS.CONNECTING:
+      return 'Connecting...';
+    case TRANSFER_STATUS.TRANSFERRING:
+      return outgoing ? 'Sending...' : 'Receiving...';
+    case TRANSFER_STATUS.VERIFYING:
+      return 'Verifying checksum...';
+    case TRANSFER_STATUS.COMPLETED:
+      return outgoing ? 'Delivered' : 'Received and verified';
+    case TRANSFER_STATUS.DECLINED:
+      return outgoing ? `${peerName} declined the file` : 'Declined';
+    case TRANSFER_STATUS.CANCELLED:
+      return 'Transfer cancelled';
+    case TRANSFER_STATUS.FAILED:
+      return transfer.error || 'Transfer failed';
+    default:
+      return '';
+  }
+};
+
+/**
+ * File transfer message component
+ * @param {object} props - Component props
+ * @param {object} props.transfer - Transfer data from useFileTransfer
+ * @returns {React.ReactElement} The component
+ */
+const FileTransferMessage = ({ transfer }) => {
+  const { acceptTransfer, declineTransfer, cancelTransfer } = useFileTransferContext();
+
+  const outgoing = transfer.direction === 'outgoing';
+  const { status, file } = transfer;
+  const peerName = transfer.peer?.full_name || 'Unknown User';
+  const percent = file.size ? Math.min(100, Math.round((transfer.progress / file.size) * 100)) : 0;
+
+  const isActive = [
+    TRANSFER_STATUS.CONNECTING,
+    TRANSFER_STATUS.TRANSFERRING,
+    TRANSFER_STATUS.VERIFYING
+  ].includes(status);
+  const isIncomingOffer = !outgoing && status === TRANSFER_STATUS.PENDING;
+  const canCancel = isActive || (outgoing && status === TRANSFER_STATUS.PENDING);
+
+  const statusVariant = status === TRANSFER_STATUS.COMPLETED
+    ? 'success'
+    : [TRANSFER_STATUS.FAILED, TRANSFER_STATUS.DECLINED].includes(status)
+      ? 'error'
+      : 'default';
+
+  return (
+    <TransferContainer outgoing={outgoing} data-testid="file-transfer-message">
+      <TransferCard>
+        <TransferLabel>
+          {outgoing ? `File for ${peerName}` : `File from ${peerName}`}
+        </TransferLabel>
+
+        <FileRow>
+          <FileIcon />
+          <FileDetails>
+            <FileName title={file.name}>{file.name}</FileName>
+            <FileSize>
+              {isActive
+                ? `${formatFileSize(transfer.progress)} of ${formatFileSize(file.size)} (${percent}%)`
+                : formatFileSize(file.size)}
+            </FileSize>
+          </FileDetails>
+        </FileRow>
+
+        {isActive && (
+          <ProgressTrack>
+            <ProgressFill percent={percent} />
+          </ProgressTrack>
+        )}
+
+        <StatusText variant={statusVariant}>{getStatusText(transfer)}</StatusText>
+
+        {!outgoing && status === TRANSFER_STATUS.COMPLETED && transfer.downloadUrl && (
+          <DownloadLink href={transfer.downloadUrl} download={file.name}>
+            Download
+          </DownloadLink>
+        )}
+
+        {(isIncomingOffer || canCancel) && (
+          <Actions>
+            {isIncomingOffer && (
+              <>
+                <ActionButton onClick={() => acceptTransfer(transfer.id)}>Accept</ActionButton>
+                <ActionButton variant="decline" onClick={() => declineTransfer(transfer.id)}>
+                  Decline
+                </ActionButton>
+              </>
+            )}
+            {canCancel && (
+              <ActionButton variant="decline" onClick={() => cancelTransfer(transfer.id)}>
+                Cancel
+              </ActionButton>
+            )}
+          </Actions>
+        )}
+
+        <TimeInfo>{formatMessageTime(transfer.created_at)}</TimeInfo>
+      </TransferCard>
+    </TransferContainer>
+  );
+};
+
+export default FileTransferMessage;
@@ -0,0 +1,250 @@
+/**
+ * Component for the huddle card in the chat room side panel
+ * Lists who is in the room's huddle with their mute and camera state
+ */
+import React from 'react';
+import styled from 'styled-components';
+import { Card, Subtitle, Text, PrimaryButton, pulse } from '../../common/components/StyledComponents';
+import { MicIcon, CameraIcon, ScreenShareIcon, RecordIcon } from '../../common/components/IconComponents';
+import { HUDDLE_MAX_PARTICIPANTS } from '../hooks/useHuddle';
+
+// Styled components
+const HuddleCard = styled(Card)`
+  background: rgba(255, 255, 255, 0.8);
+  padding: ${({ theme }) => theme.space.md};
+  margin-bottom: ${({ theme }) => theme.space.md};
+`;
+
+const HuddleHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  margin-bottom: ${({ theme }) => theme.space.sm};
+`;
+
+const ParticipantCount = styled.span`
+  font-size: ${({ theme }) => theme.fontSizes.xs};
+  font-weight: 600;
+  color: ${({ theme, live }) => live ? theme.colors.success : theme.colors.text.secondary};
+`;
+
+const ParticipantList = styled.ul`
+  list-style: none;
+  padding: 0;
+  margin: 0 0 ${({ theme }) => theme.space.sm};
+`;
+
+const ParticipantItem = styled.li`
+  display: flex;
+  align-items: center;
+  padding: ${({ theme }) => theme.space.xs} 0;
+
+  img {
+    width: 28px;
+    height: 28px;
+    border-radius: 50%;
+    object-fit: cover;
+    margin-right: ${({ theme }) => theme.space.sm};
+    border: 2px solid ${({ theme }) => theme.colors.success};
+  }
+`;
+
+const ParticipantName = styled.span`
+  flex: 1;
+  font-size: ${({ theme }) => theme.fontSizes.sm};
+  color: ${({ theme }) => theme.colors.text.primary};
+`;
+
+const StateIcon = styled.span`
+  display: inline-flex;
+  margin-left: ${({ theme }) => theme.space.xs};
+  color: ${({ theme, off, highlight }) =>
+    highlight ? theme.colors.accent2 : off ? theme.colors.error : theme.colors.success};
+  animation: ${({ blinking }) => blinking ? pulse : 'none'} 1.5s infinite ease-in-out;
+
+  svg {
+    width: 14px;
+    height: 14px;
+  }
+`;
+
+const PresenterText = styled(Text)`
+  font-size: ${({ theme }) => theme.fontSizes.xs};
+  font-weight: 600;
+  color: ${({ theme }) => theme.colors.accent2};
+  margin-bottom: ${({ theme }) => theme.space.sm};
+`;
+
+const RecordingText = styled(PresenterText)`
+  color: ${({ theme }) => theme.colors.error};
+`;
+
+const EmptyText = styled(Text)`
+  font-size: ${({ theme }) => theme.fontSizes.sm};
+  font-style: italic;
+  margin-bottom: ${({ theme }) => theme.space.sm};
+`;
+
+const ErrorText = styled(Text)`
+  font-size: ${({ theme }) => theme.fontSizes.xs};
+  color: ${({ theme }) => theme.colors.error};
+  margin-bottom: ${({ theme }) => theme.space.sm};
+`;
+
+const Actions = styled.div`
+  display: flex;
+  gap: ${({ theme }) => theme.space.xs};
+  flex-wrap: wrap;
+`;
+
+const HuddleButton = styled(PrimaryButton)`
+  font-size: ${({ theme }) => theme.fontSizes.xs};
+  padding: ${({ theme }) => `${theme.space.xs} ${theme.space.md}`};
+  background: ${({ theme, variant }) =>
+    variant === 'leave'
+      ? `linear-gradient(45deg, ${theme.colors.error}, ${theme.colors.accent1})`
+      : variant === 'toggle'
+        ? theme.colors.accent2
+        : `linear-gradient(45deg, ${theme.colors.secondary}, ${theme.colors.primary})`
+  };
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+/**
+ * Huddle side panel component
+ * @param {object} props - Component props
+ * @param {Array} props.participants - Huddle participants from presence
+ * @param {boolean} props.isInHuddle - Whether the current user is in the huddle
+ * @param {boolean} props.isFull - Whether the huddle has reached its participant limit
+ * @param {boolean} props.isMuted - Whether the current user is muted
+ * @param {boolean} props.isCameraOff - Whether the current user's camera is off
+ * @param {boolean} props.isScreenSharing - Whether the current user is presenting their screen
+ * @param {object} props.presenter - Participant currently presenting, if any
+ * @param {boolean} props.isRecording - Whether the current user is recording the huddle
+ * @param {Array} props.recorders - Participants currently recording the huddle
+ * @param {string} props.error - Error message to display
+ * @param {Function} props.onJoin - Callback to join or start the huddle
+ * @param {Function} props.onLeave - Callback to leave the huddle
+ * @param {Function} props.onToggleMute - Callback to toggle the microphone
+ * @param {Function} props.onToggleCamera - Callback to toggle the camera
+ * @param {Function} props.onToggleScreenShare - Callback to start or stop presenting
+ * @param {Function} props.onToggleRecording - Callback to start or stop recording
+ * @returns {React.ReactElement} The component
+ */
+const HuddlePanel = ({
+  participants = [],
+  isInHuddle = false,
+  isFull = false,
+  isMuted = false,
+  isCameraOff = false,
+  isScreenSharing = false,
+  presenter = null,
+  isRecording = false,
+  recorders = [],
+  error = null,
+  onJoin,
+  onLeave,
+  onToggleMute,
+  onToggleCamera,
+  onToggleScreenShare,
+  onToggleRecording
+}) => {
+  const isLive = participants.length > 0;
+  const recorderNames = recorders.map((recorder) => recorder.full_name || 'Someone').join(', ');
+
+  return (
+    <HuddleCard data-testid="huddle-panel">
+      <HuddleHeader>
+        <Subtitle style={{ margin: 0, fontSize: '1.1rem' }}>Huddle</Subtitle>
+        <ParticipantCount live={isLive}>
+          {isLive ? `${participants.length}/${HUDDLE_MAX_PARTICIPANTS} in huddle` : 'No one yet'}
+        </ParticipantCount>
+      </HuddleHeader>
+
+      {isLive ? (
+        <ParticipantList>
+          {participants.map((participant) => (
+            <ParticipantItem key={participant.user_id}>
+              <img
+                src={participant.image_url || 'https://via.placeholder.com/28'}
+                alt={participant.full_name || 'User'}
+              />
+              <ParticipantName>{participant.full_name || 'Unknown User'}</ParticipantName>
+              <StateIcon off={participant.muted} title={participant.muted ? 'Muted' : 'Microphone on'}>
+                <MicIcon off={participant.muted} />
+              </StateIcon>
+              <StateIcon
+                off={participant.camera_off}
+                title={participant.camera_off ? 'Camera off' : 'Camera on'}
+              >
+                <CameraIcon off={participant.camera_off} />
+              </StateIcon>
+              {participant.sharing_screen && (
+                <StateIcon highlight title="Presenting">
+                  <ScreenShareIcon />
+                </StateIcon>
+              )}
+              {participant.recording && (
+                <StateIcon off blinking title="Recording">
+                  <RecordIcon />
+                </StateIcon>
+              )}
+            </ParticipantItem>
+          ))}
+        </ParticipantList>
+      ) : (
+        <EmptyText>Start a huddle to talk with other room members</EmptyText>
+      )}
+
+      {presenter && (
+        <PresenterText>
+          {isScreenSharing ? 'You are presenting' : `${presenter.full_name || 'Someone'} is presenting`}
+        </PresenterText>
+      )}
+
+      {recorders.length > 0 && (
+        <RecordingText data-testid="recording-indicator">
+          {isRecording && recorders.length === 1 ? 'You are recording this huddle' : `Recording: ${recorderNames}`}
+        </RecordingText>
+      )}
+
+      {error && <ErrorText>{error}</ErrorText>}
+
+      <Actions>
+        {isInHuddle ? (
+          <>
+            <HuddleButton variant="toggle" onClick={onToggleMute}>
+              {isMuted ? 'Unmute' : 'Mute'}
+            </HuddleButton>
+            <HuddleButton variant="toggle" onClick={onToggleCamera}>
+              {isCameraOff ? 'Camera on' : 'Camera off'}
+            </HuddleButton>
+            <HuddleButton
+              variant="toggle"
+              onClick={onToggleScreenShare}
+              disabled={Boolean(presenter) && !isScreenSharing}
+            >
+              {isScreenSharing ? 'Stop sharing' : 'Share screen'}
+            </HuddleButton>
+            <HuddleButton variant="toggle" onClick={onToggleRecording}>
+              {isRecording ? 'Stop recording' : 'Record'}
+            </HuddleButton>
+            <HuddleButton variant="leave" onClick={onLeave}>
+              Leave
+            </HuddleButton>
+          </>
+        ) : (
+          <HuddleButton onClick={onJoin} disabled={isFull}>
+            {isFull ? 'Huddle is full' : isLive ? 'Join huddle' : 'Start huddle'}
+          </HuddleButton>
+        )}
+      </Actions>
+    </HuddleCard>
+  );
+};
+
+export default HuddlePanel;
@@ -0,0 +1,132 @@
+/**
+ * Component for the huddle video grid shown above the message list
+ */
+import React from 'react';
+import styled from 'styled-components';
+import { AUDIO_ONLY_LEVEL } from '../utils/callStats';
+import StreamVideo from './StreamVideo';
+import ConnectionStats from './ConnectionStats';
+
+// Styled components
+const StageContainer = styled.div`
+  display: grid;
+  grid-template-columns: repeat(${({ count }) => Math.min(count, 3)}, 1fr);
+  gap: ${({ theme }) => theme.space.sm};
+  padding: ${({ theme }) => theme.space.sm};
+  background: ${({ theme }) => theme.colors.text.primary};
+  border-bottom: 1px solid ${({ theme }) => theme.colors.accent3};
+`;
+
+const Tile = styled.div`
+  position: relative;
+  grid-column: ${({ presenting }) => presenting ? '1 / -1' : 'auto'};
+  aspect-ratio: 16 / 9;
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+  overflow: hidden;
+  background: #000;
+`;
+
+const TileVideo = styled(StreamVideo)`
+  width: 100%;
+  height: 100%;
+  object-fit: ${({ presenting }) => presenting ? 'contain' : 'cover'};
+  transform: ${({ mirrored }) => mirrored ? 'scaleX(-1)' : 'none'};
+  visibility: ${({ cameraOff }) => cameraOff ? 'hidden' : 'visible'};
+`;
+
+const TileAvatar = styled.img`
+  position: absolute;
+  top: 50%;
+  left: 50%;
+  width: 48px;
+  height: 48px;
+  border-radius: 50%;
+  transform: translate(-50%, -50%);
+  object-fit: cover;
+`;
+
+const TileLabel = styled.span`
+  position: absolute;
+  left: ${({ theme }) => theme.space.xs};
+  bottom: ${({ theme }) => theme.space.xs};
+  padding: 0 ${({ theme }) => theme.space.sm};
+  border-radius: ${({ theme }) => theme.borderRadius.full};
+  background: rgba(0, 0, 0, 0.5);
+  color: ${({ theme }) => theme.colors.text.light};
+  font-size: ${({ theme }) => theme.fontSizes.xs};
+`;
+
+/**
+ * Huddle video grid component
+ * @param {object} props - Component props
+ * @param {Array} props.participants - Huddle participants from presence
+ * @param {string} props.currentUserId - ID of the current user
+ * @param {MediaStream} props.localStream - The current user's camera stream
+ * @param {MediaStream} props.screenStream - The current user's shared screen, while presenting
+ * @param {object} props.remoteStreams - Remote streams keyed by user ID
+ * @param {object} props.connectionStats - Latest connection stats keyed by user ID
+ * @param {number} props.qualityLevel - Lowest outgoing quality level across connections
+ * @returns {React.ReactElement} The component
+ */
+const HuddleStage = ({
+  participants = [],
+  currentUserId,
+  localStream,
+  screenStream = null,
+  remoteStreams = {},
+  connectionStats = {},
+  qualityLevel = 0
+}) => {
+  // Show the presenter first (full width), then ourselves, then everybody we have media for
+  const rank = (participant) => {
+    if (participant.sharing_screen) {
+      return 0;
+    }
+    return participant.user_id === currentUserId ? 1 : 2;
+  };
+  const tiles = participants
+    .filter((participant) => participant.user_id === currentUserId || remoteStreams[participant.user_id])
+    .sort((a, b) => rank(a) - rank(b));
+
+  if (tiles.length === 0) {
+    return null;
+  }
+
+  return (
+    <StageContainer count={tiles.length} data-testid="huddle-stage">
+      {tiles.map((participant) => {
+        const isSelf = participant.user_id === currentUserId;
+        const name = participant.full_name || 'Unknown User';
+        const presenting = Boolean(participant.sharing_screen);
+        const cameraOff = participant.camera_off && !presenting;
+
+        return (
+          <Tile key={participant.user_id} presenting={presenting}>
+            {cameraOff && (
+              <TileAvatar src={participant.image_url || 'https://via.placeholder.com/48'} alt={name} />
+            )}
+            <TileVideo
+              stream={isSelf ? (screenStream || localStream) : remoteStreams[participant.user_id]}
+              muted={isSelf}
+              mirrored={isSelf && !presenting}
+              presenting={presenting}
+              cameraOff={cameraOff}
+            />
+            {!isSelf && (
+              <ConnectionStats stats={connectionStats[participant.user_id]} title={`Connection to ${name}`} />
+            )}
+            <TileLabel>
+              {isSelf ? 'You' : name}
+              {presenting ? ' (presenting)' : ''}
+              {participant.muted ? ' (muted)' : ''}
+              {participant.recording ? ' (recording)' : ''}
+              {isSelf && qualityLevel === AUDIO_ONLY_LEVEL ? ' (weak connection: audio only)' : ''}
+            </TileLabel>
+          </Tile>
+        );
+      })}
+    </StageContainer>
+  );
+};
+
+export default HuddleStage;
@@ -0,0 +1,151 @@
+/**
+ * Component for the app-wide incoming call modal
+ * Rings on every page; accepting opens the chat with the call attached
+ */
+import React, { useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import styled from 'styled-components';
+import { useCallContext } from '../contexts/CallProvider';
+import { CALL_STATUS } from '../hooks/useVideoCall';
+import { useIncomingCallAlert } from '../hooks/useIncomingCallAlert';
+import { Text, pulse, fadeIn, slideUp } from '../../common/components/StyledComponents';
+import { PhoneIcon, HangUpIcon } from '../../common/components/IconComponents';
+
+// Styled components
+const Backdrop = styled.div`
+  position: fixed;
+  inset: 0;
+  z-index: 300;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  background: rgba(0, 0, 0, 0.45);
+  backdrop-filter: blur(4px);
+  animation: ${fadeIn} 0.2s ease both;
+`;
+
+const Dialog = styled.div`
+  width: 320px;
+  max-width: calc(100vw - 2 * ${({ theme }) => theme.space.lg});
+  padding: ${({ theme }) => theme.space.xl};
+  border-radius: ${({ theme }) => theme.borderRadius.lg};
+  background: ${({ theme }) => theme.colors.text.primary};
+  color: ${({ theme }) => theme.colors.text.light};
+  box-shadow: ${({ theme }) => theme.shadows.xl}, 0 10px 40px rgba(0, 0, 0, 0.3);
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  text-align: center;
+  animation: ${slideUp} 0.3s ease both;
+
+  img {
+    width: 96px;
+    height: 96px;
+    border-radius: 50%;
+    object-fit: cover;
+    border: 3px solid ${({ theme }) => theme.colors.secondary};
+    margin-bottom: ${({ theme }) => theme.space.md};
+    animation: ${pulse} 1.5s infinite ease-in-out;
+  }
+`;
+
+const CallerName = styled.h2`
+  font-family: ${({ theme }) => theme.fonts.heading};
+  font-size: ${({ theme }) => theme.fontSizes.xl};
+  font-weight: 600;
+  margin: 0;
+`;
+
+const StatusText = styled(Text)`
+  color: ${({ theme }) => theme.colors.accent3};
+  font-size: ${({ theme }) => theme.fontSizes.sm};
+  margin: ${({ theme }) => theme.space.xs} 0 ${({ theme }) => theme.space.lg};
+`;
+
+const Actions = styled.div`
+  display: flex;
+  gap: ${({ theme }) => theme.space.xl};
+`;
+
+const Action = styled.div`
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  gap: ${({ theme }) => theme.space.xs};
+  font-size: ${({ theme }) => theme.fontSizes.xs};
+`;
+
+const ActionButton = styled.button`
+  width: 56px;
+  height: 56px;
+  border-radius: 50%;
+  border: none;
+  display: inline-flex;
+  align-items: center;
+  justify-content: center;
+  color: ${({ theme }) => theme.colors.text.light};
+  background: ${({ theme, variant }) => variant === 'danger' ? theme.colors.error : theme.colors.success};
+  transition: ${({ theme }) => theme.transitions.quick};
+
+  &:hover {
+    transform: translateY(-2px);
+    box-shadow: ${({ theme }) => theme.shadows.md};
+  }
+
+  svg {
+    width: 24px;
+    height: 24px;
+  }
+`;
+
+/**
+ * Incoming call modal component
+ * @returns {React.ReactElement|null} The component, or null when no call is ringing
+ */
+const IncomingCallModal = () => {
+  const { status, peer, callId, roomId, acceptCall, declineCall } = useCallContext();
+  const navigate = useNavigate();
+  const ringing = status === CALL_STATUS.INCOMING && Boolean(peer);
+
+  // Clicking the notification brings the tab forward, where the modal is waiting
+  useIncomingCallAlert(ringing, peer, callId);
+
+  // Answer, then open the chat on the call's room; the call lives above the router, so it carries over
+  const handleAccept = useCallback(() => {
+    acceptCall();
+    navigate('/chat', { state: { acceptedCall: { roomId } } });
+  }, [acceptCall, navigate, roomId]);
+
+  if (!ringing) {
+    return null;
+  }
+
+  const peerName = peer.full_name || 'Unknown User';
+  const peerImage = peer.image_url || 'https://via.placeholder.com/96';
+
+  return (
+    <Backdrop data-testid="incoming-call-modal">
+      <Dialog role="alertdialog" aria-labelledby="incoming-call-name">
+        <img src={peerImage} alt={peerName} />
+        <CallerName id="incoming-call-name">{peerName}</CallerName>
+        <StatusText>Incoming video call</StatusText>
+        <Actions>
+          <Action>
+            <ActionButton variant="danger" onClick={declineCall} title="Decline">
+              <HangUpIcon />
+            </ActionButton>
+            Decline
+          </Action>
+          <Action>
+            <ActionButton onClick={handleAccept} title="Accept">
+              <PhoneIcon />
+            </ActionButton>
+            Accept
+          </Action>
+        </Actions>
+      </Dialog>
+    </Backdrop>
+  );
+};
+
+export default IncomingCallModal;
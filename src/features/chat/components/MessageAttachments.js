@@ -0,0 +1,262 @@
+/**
+ * Component for the files attached to a message
+ * Images show as thumbnails that open in a lightbox, voice messages as players, and other files
+ * as download cards. The bucket is private, so files are loaded through short-lived signed URLs
+ */
+import React, { useState, useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import styled from 'styled-components';
+import { getAttachmentUrls } from '../services/chatService';
+import { isImageAttachment } from '../utils/attachments';
+import { formatFileSize } from '../utils/fileTransfer';
+import { isVoiceAttachment } from '../utils/voiceMessages';
+import { FileIcon } from '../../common/components/IconComponents';
+import VoiceMessagePlayer from './VoiceMessagePlayer';
+
+// Styled components
+const AttachmentList = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: ${({ theme }) => theme.space.xs};
+  margin-top: ${({ theme }) => theme.space.sm};
+`;
+
+const Thumbnail = styled.button`
+  width: 160px;
+  height: 120px;
+  padding: 0;
+  border: none;
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+  background: rgba(0, 0, 0, 0.08);
+  overflow: hidden;
+  cursor: zoom-in;
+
+  img {
+    width: 100%;
+    height: 100%;
+    object-fit: cover;
+    display: block;
+  }
+`;
+
+const FileCard = styled.a`
+  display: flex;
+  align-items: center;
+  gap: ${({ theme }) => theme.space.sm};
+  width: 240px;
+  max-width: 100%;
+  padding: ${({ theme }) => theme.space.sm};
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+  background: rgba(255, 255, 255, 0.85);
+  color: ${({ theme }) => theme.colors.text.primary};
+  text-decoration: none;
+  pointer-events: ${({ href }) => href ? 'auto' : 'none'};
+
+  svg {
+    width: 28px;
+    height: 28px;
+    flex-shrink: 0;
+    color: ${({ theme }) => theme.colors.primary};
+  }
+`;
+
+const FileDetails = styled.div`
+  min-width: 0;
+`;
+
+const FileName = styled.div`
+  font-weight: 600;
+  font-size: ${({ theme }) => theme.fontSizes.sm};
+  white-space: nowrap;
+  overflow: hidden;
+  text-overflow: ellipsis;
+`;
+
+const FileMeta = styled.div`
+  font-size: ${({ theme }) => theme.fontSizes.xs};
+  color: ${({ theme, failed }) => failed ? theme.colors.error : theme.colors.text.secondary};
+`;
+
+const Lightbox = styled.div`
+  position: fixed;
+  inset: 0;
+  z-index: 1000;
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  justify-content: center;
+  gap: ${({ theme }) => theme.space.md};
+  padding: ${({ theme }) => theme.space.xl};
+  background: rgba(0, 0, 0, 0.85);
+  cursor: zoom-out;
+
+  img {
+    max-width: 100%;
+    max-height: 80vh;
+    object-fit: contain;
+    border-radius: ${({ theme }) => theme.borderRadius.md};
+    cursor: default;
+  }
+`;
+
+const LightboxCaption = styled.div`
+  display: flex;
+  gap: ${({ theme }) => theme.space.md};
+  align-items: center;
+  font-size: ${({ theme }) => theme.fontSizes.sm};
+  color: ${({ theme }) => theme.colors.text.light};
+
+  a,
+  button {
+    color: inherit;
+    font-weight: 600;
+  }
+
+  button {
+    border: none;
+    background: none;
+    font-size: ${({ theme }) => theme.fontSizes.lg};
+  }
+`;
+
+/**
+ * Status line for an attachment card
+ * @param {object} attachment - Attachment row, or a placeholder while uploading
+ * @returns {string} Size, or the upload state
+ */
+const getAttachmentStatus = (attachment) => {
+  if (attachment.uploading) {
+    return 'Uploading...';
+  }
+
+  if (attachment.failed) {
+    return 'Upload failed';
+  }
+
+  return formatFileSize(attachment.size_bytes);
+};
+
+/**
+ * Message attachments component
+ * @param {object} props - Component props
+ * @param {Array} props.attachments - The message's attachments
+ * @returns {React.ReactElement|null} The component
+ */
+const MessageAttachments = ({ attachments = [] }) => {
+  const [urls, setUrls] = useState({});
+  const [openImage, setOpenImage] = useState(null);
+
+  // Placeholders for files still uploading have no path yet; voice messages are loaded when played
+  const pathKey = attachments
+    .filter((attachment) => !isVoiceAttachment(attachment))
+    .map((attachment) => attachment.storage_path)
+    .filter(Boolean)
+    .join('\n');
+
+  // Load signed URLs for the saved files
+  useEffect(() => {
+    if (!pathKey) {
+      return undefined;
+    }
+
+    let isMounted = true;
+    getAttachmentUrls(pathKey.split('\n'))
+      .then((signedUrls) => {
+        if (isMounted) {
+          setUrls(signedUrls);
+        }
+      })
+      .catch((err) => console.error('Error loading attachments:', err));
+
+    return () => {
+      isMounted = false;
+    };
+  }, [pathKey]);
+
+  // Close the lightbox with Escape
+  useEffect(() => {
+    if (!openImage) {
+      return undefined;
+    }
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        setOpenImage(null);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [openImage]);
+
+  if (attachments.length === 0) {
+    return null;
+  }
+
+  return (
+    <AttachmentList data-testid="message-attachments">
+      {attachments.map((attachment) => {
+        const url = urls[attachment.storage_path];
+
+        if (isVoiceAttachment(attachment)) {
+          return <VoiceMessagePlayer key={attachment.id} attachment={attachment} />;
+        }
+
+        if (isImageAttachment(attachment) && url) {
+          return (
+            <Thumbnail
+              key={attachment.id}
+              type="button"
+              onClick={() => setOpenImage({ ...attachment, url })}
+              aria-label={`Open ${attachment.file_name}`}
+            >
+              <img src={url} alt={attachment.file_name} loading="lazy" />
+            </Thumbnail>
+          );
+        }
+
+        return (
+          <FileCard
+            key={attachment.id}
+            href={url}
+            target="_blank"
+            rel="noopener noreferrer"
+            download={attachment.file_name}
+            title={attachment.file_name}
+          >
+            <FileIcon />
+            <FileDetails>
+              <FileName>{attachment.file_name}</FileName>
+              <FileMeta failed={attachment.failed}>{getAttachmentStatus(attachment)}</FileMeta>
+            </FileDetails>
+          </FileCard>
+        );
+      })}
+
+      {/* Rendered on the body, since message rows are transformed and would clip a fixed overlay */}
+      {openImage && createPortal(
+        <Lightbox
+          role="dialog"
+          aria-modal="true"
+          aria-label={openImage.file_name}
+          onClick={() => setOpenImage(null)}
+          data-testid="attachment-lightbox"
+        >
+          <img src={openImage.url} alt={openImage.file_name} onClick={(e) => e.stopPropagation()} />
+          <LightboxCaption onClick={(e) => e.stopPropagation()}>
+            <span>{openImage.file_name} · {formatFileSize(openImage.size_bytes)}</span>
+            <a href={openImage.url} target="_blank" rel="noopener noreferrer" download={openImage.file_name}>
+              Download
+            </a>
+            <button type="button" onClick={() => setOpenImage(null)} aria-label="Close">
+              ×
+            </button>
+          </LightboxCaption>
+        </Lightbox>,
+        document.body
+      )}
+    </AttachmentList>
+  );
+};
+
+export default MessageAttachments;
@@ -0,0 +1,154 @@
+/**
+ * Component for the text of a message, rendered from its Markdown
+ * The message is parsed into plain objects and rendered as React elements, so no HTML from a
+ * message ever reaches the page and links only open web and mail addresses
+ */
+import React, { useMemo } from 'react';
+import styled from 'styled-components';
+import { useSupabaseUserContext } from '../../auth/contexts/SupabaseUserProvider';
+import { parseMarkdown } from '../utils/markdown';
+import CodeBlock from './CodeBlock';
+
+// Styled components
+const Content = styled.div`
+  font-size: ${({ theme }) => theme.fontSizes.md};
+  line-height: 1.4;
+  word-break: break-word;
+
+  p {
+    margin: 0;
+    white-space: pre-wrap;
+  }
+
+  p + p,
+  p + ul,
+  p + ol,
+  p + blockquote,
+  ul + p,
+  ol + p,
+  blockquote + p {
+    margin-top: ${({ theme }) => theme.space.sm};
+  }
+
+  ul,
+  ol {
+    margin: ${({ theme }) => theme.space.xs} 0;
+    padding-left: ${({ theme }) => theme.space.lg};
+  }
+
+  blockquote {
+    margin: ${({ theme }) => theme.space.xs} 0;
+    padding-left: ${({ theme }) => theme.space.sm};
+    border-left: 3px solid currentColor;
+    opacity: 0.85;
+  }
+
+  a {
+    color: inherit;
+    text-decoration: underline;
+  }
+`;
+
+const InlineCode = styled.code`
+  padding: 1px 4px;
+  border-radius: ${({ theme }) => theme.borderRadius.sm};
+  background: rgba(0, 0, 0, 0.12);
+  font-family: 'SFMono-Regular', Consolas, 'Liberation Mono', Menlo, monospace;
+  font-size: 0.9em;
+`;
+
+const Mention = styled.span`
+  padding: 0 2px;
+  border-radius: ${({ theme }) => theme.borderRadius.sm};
+  font-weight: 600;
+  background: ${({ self, theme }) => self ? `${theme.colors.warning}60` : 'rgba(255, 255, 255, 0.3)'};
+`;
+
+/**
+ * Render inline nodes
+ * @param {Array<object>} nodes - Inline nodes from parseInline
+ * @param {object} context - Rendering context: participantsById and currentUserId
+ * @returns {Array<React.ReactNode>} Rendered nodes
+ */
+const renderInline = (nodes, context) => nodes.map((node, index) => {
+  switch (node.type) {
+    case 'strong':
+      return <strong key={index}>{renderInline(node.children, context)}</strong>;
+    case 'em':
+      return <em key={index}>{renderInline(node.children, context)}</em>;
+    case 'code':
+      return <InlineCode key={index}>{node.text}</InlineCode>;
+    case 'link':
+      return (
+        <a key={index} href={node.href} target="_blank" rel="noopener noreferrer nofollow">
+          {renderInline(node.children, context)}
+        </a>
+      );
+    case 'mention':
+      return (
+        <Mention key={index} self={node.userId === context.currentUserId}>
+          @{context.participantsById[node.userId]?.full_name || 'Unknown User'}
+        </Mention>
+      );
+    default:
+      return <React.Fragment key={index}>{node.text}</React.Fragment>;
+  }
+});
+
+/**
+ * Render lines of inline nodes, with line breaks between them
+ * @param {Array<Array<object>>} lines - Lines of inline nodes
+ * @param {object} context - Rendering context: participantsById and currentUserId
+ * @returns {Array<React.ReactNode>} Rendered lines
+ */
+const renderLines = (lines, context) => lines.map((line, index) => (
+  <React.Fragment key={index}>
+    {index > 0 && <br />}
+    {renderInline(line, context)}
+  </React.Fragment>
+));
+
+/**
+ * Render block nodes
+ * @param {Array<object>} blocks - Block nodes from parseMarkdown
+ * @param {object} context - Rendering context: participantsById and currentUserId
+ * @returns {Array<React.ReactNode>} Rendered blocks
+ */
+const renderBlocks = (blocks, context) => blocks.map((block, index) => {
+  switch (block.type) {
+    case 'code':
+      return <CodeBlock key={index} code={block.text} language={block.language} />;
+    case 'blockquote':
+      return <blockquote key={index}>{renderBlocks(block.children, context)}</blockquote>;
+    case 'list': {
+      const items = block.items.map((item, itemIndex) => (
+        <li key={itemIndex}>{renderLines(item, context)}</li>
+      ));
+      return block.ordered
+        ? <ol key={index} start={block.start}>{items}</ol>
+        : <ul key={index}>{items}</ul>;
+    }
+    default:
+      return <p key={index}>{renderLines(block.lines, context)}</p>;
+  }
+});
+
+/**
+ * Message content component
+ * @param {object} props - Component props
+ * @param {string} props.text - Stored message text (Markdown, with <@user-id> mention tokens)
+ * @param {object} props.participantsById - User details keyed by user ID, for mention names
+ * @returns {React.ReactElement} The component
+ */
+const MessageContent = ({ text, participantsById = {} }) => {
+  const { supabaseUser } = useSupabaseUserContext();
+  const blocks = useMemo(() => parseMarkdown(text), [text]);
+
+  return (
+    <Content data-testid="message-content">
+      {renderBlocks(blocks, { participantsById, currentUserId: supabaseUser?.id })}
+    </Content>
+  );
+};
+
+export default MessageContent;
@@ -0,0 +1,118 @@
+/**
+ * Component for the "(edited)" marker on a message
+ * Clicking it lists the previous versions of the message
+ */
+import React, { useState } from 'react';
+import styled from 'styled-components';
+import { useMessageEdits } from '../hooks/useMessageEdits';
+import { formatMessageTime } from '../utils/dateUtils';
+
+// Styled components
+const HistoryContainer = styled.span`
+  position: relative;
+  display: inline-block;
+  margin-right: ${({ theme }) => theme.space.xs};
+`;
+
+const EditedButton = styled.button`
+  border: none;
+  background: none;
+  padding: 0;
+  color: inherit;
+  font: inherit;
+  font-style: italic;
+  cursor: pointer;
+
+  &:hover {
+    text-decoration: underline;
+  }
+`;
+
+const HistoryPanel = styled.div`
+  position: absolute;
+  bottom: calc(100% + ${({ theme }) => theme.space.xs});
+  right: 0;
+  z-index: 10;
+  width: 260px;
+  max-height: 240px;
+  overflow-y: auto;
+  padding: ${({ theme }) => theme.space.sm};
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+  background: ${({ theme }) => theme.colors.surface};
+  color: ${({ theme }) => theme.colors.text.primary};
+  box-shadow: ${({ theme }) => theme.shadows.lg};
+  text-align: left;
+`;
+
+const PanelTitle = styled.div`
+  font-weight: 600;
+  margin-bottom: ${({ theme }) => theme.space.xs};
+`;
+
+const Version = styled.div`
+  padding: ${({ theme }) => theme.space.xs} 0;
+  border-top: 1px solid ${({ theme }) => theme.colors.accent3};
+
+  p {
+    margin: 0;
+    white-space: pre-wrap;
+    word-break: break-word;
+    font-size: ${({ theme }) => theme.fontSizes.sm};
+  }
+
+  span {
+    color: ${({ theme }) => theme.colors.text.secondary};
+  }
+`;
+
+const PanelNote = styled.div`
+  color: ${({ theme }) => theme.colors.text.secondary};
+`;
+
+/**
+ * Edit history marker component
+ * @param {object} props - Component props
+ * @param {object} props.message - Edited message (id, message, created_at, edited_at)
+ * @returns {React.ReactElement} The component
+ */
+const MessageEditHistory = ({ message }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const { edits, loading, error } = useMessageEdits(message.id, isOpen, message.edited_at);
+
+  // Each edit holds the text it replaced; the first one was written when the message was sent
+  const versions = edits.map((edit, index) => ({
+    id: edit.id,
+    text: edit.previous_message,
+    time: index === 0 ? message.created_at : edits[index - 1].edited_at
+  }));
+
+  return (
+    <HistoryContainer>
+      <EditedButton
+        type="button"
+        onClick={() => setIsOpen((open) => !open)}
+        title={`Edited at ${formatMessageTime(message.edited_at)}. Click to see previous versions`}
+        aria-expanded={isOpen}
+      >
+        (edited)
+      </EditedButton>
+
+      {isOpen && (
+        <HistoryPanel data-testid="message-edit-history">
+          <PanelTitle>Previous versions</PanelTitle>
+          {loading && !edits.length && <PanelNote>Loading...</PanelNote>}
+          {error && <PanelNote>Couldn&apos;t load the edit history</PanelNote>}
+          {!loading && !error && !edits.length && <PanelNote>No previous versions</PanelNote>}
+          {versions.map((version) => (
+            <Version key={version.id}>
+              <span>{formatMessageTime(version.time)}</span>
+              <p>{version.text}</p>
+            </Version>
+          ))}
+        </HistoryPanel>
+      )}
+    </HistoryContainer>
+  );
+};
+
+export default MessageEditHistory;
@@ -0,0 +1,305 @@
+/**
+ * Component for searching messages across every room the user can access
+ * Shows a search box with room, author and date filters; while a search is active its results
+ * (with the matched words highlighted) take the place of the children, e.g. the room list
+ */
+import React, { useState, useEffect, useMemo } from 'react';
+import styled from 'styled-components';
+import { Input, Text } from '../../common/components/StyledComponents';
+import { useMessageSearch } from '../hooks/useMessageSearch';
+import { fetchChatUsers } from '../services/chatService';
+import { splitSnippet } from '../utils/messageSearch';
+import { formatMessageDateTime } from '../utils/dateUtils';
+
+// Styled components
+const SearchContainer = styled.div`
+  padding: ${({ theme }) => `${theme.space.lg} ${theme.space.lg} 0`};
+`;
+
+const SearchRow = styled.div`
+  display: flex;
+  gap: ${({ theme }) => theme.space.xs};
+`;
+
+const SearchInput = styled(Input)`
+  flex: 1;
+  font-size: ${({ theme }) => theme.fontSizes.sm};
+  padding: ${({ theme }) => theme.space.sm};
+`;
+
+const IconButton = styled.button`
+  flex-shrink: 0;
+  padding: ${({ theme }) => `0 ${theme.space.sm}`};
+  border: 2px solid ${({ theme }) => theme.colors.accent3};
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+  background: ${({ active, theme }) => (active ? theme.colors.accent3 : theme.colors.surface)};
+  color: ${({ theme }) => theme.colors.text.primary};
+  font-size: ${({ theme }) => theme.fontSizes.sm};
+  cursor: pointer;
+  transition: ${({ theme }) => theme.transitions.quick};
+
+  &:hover {
+    border-color: ${({ theme }) => theme.colors.primary};
+  }
+`;
+
+const Filters = styled.div`
+  display: grid;
+  grid-template-columns: 1fr 1fr;
+  gap: ${({ theme }) => theme.space.xs};
+  margin-top: ${({ theme }) => theme.space.sm};
+`;
+
+const FilterLabel = styled.label`
+  display: flex;
+  flex-direction: column;
+  gap: 2px;
+  font-size: ${({ theme }) => theme.fontSizes.xs};
+  font-weight: 600;
+  color: ${({ theme }) => theme.colors.text.secondary};
+
+  select,
+  input {
+    width: 100%;
+    padding: ${({ theme }) => theme.space.xs};
+    border: 1px solid ${({ theme }) => theme.colors.accent3};
+    border-radius: ${({ theme }) => theme.borderRadius.sm};
+    background: ${({ theme }) => theme.colors.surface};
+    font-size: ${({ theme }) => theme.fontSizes.xs};
+    color: ${({ theme }) => theme.colors.text.primary};
+  }
+`;
+
+const Results = styled.div`
+  padding: ${({ theme }) => theme.space.lg};
+  display: flex;
+  flex-direction: column;
+  gap: ${({ theme }) => theme.space.sm};
+`;
+
+const ResultStatus = styled(Text)`
+  font-size: ${({ theme }) => theme.fontSizes.sm};
+  color: ${({ theme }) => theme.colors.text.secondary};
+  text-align: center;
+`;
+
+const ResultItem = styled.button`
+  display: block;
+  width: 100%;
+  padding: ${({ theme }) => theme.space.sm};
+  border: 1px solid ${({ theme }) => theme.colors.accent3};
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+  background: ${({ theme }) => theme.colors.surface};
+  text-align: left;
+  cursor: pointer;
+  transition: ${({ theme }) => theme.transitions.quick};
+
+  &:hover,
+  &:focus-visible {
+    border-color: ${({ theme }) => theme.colors.primary};
+    box-shadow: ${({ theme }) => theme.shadows.sm};
+  }
+`;
+
+const ResultMeta = styled.div`
+  display: flex;
+  justify-content: space-between;
+  gap: ${({ theme }) => theme.space.xs};
+  margin-bottom: 2px;
+  font-size: ${({ theme }) => theme.fontSizes.xs};
+  color: ${({ theme }) => theme.colors.text.secondary};
+
+  strong {
+    color: ${({ theme }) => theme.colors.text.primary};
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+  }
+
+  span {
+    flex-shrink: 0;
+  }
+`;
+
+const ResultSnippet = styled.div`
+  font-size: ${({ theme }) => theme.fontSizes.sm};
+  color: ${({ theme }) => theme.colors.text.primary};
+  word-break: break-word;
+
+  mark {
+    padding: 0 1px;
+    border-radius: 2px;
+    background: rgba(255, 214, 102, 0.6);
+    color: inherit;
+    font-weight: 600;
+  }
+`;
+
+/**
+ * Message search component
+ * @param {object} props - Component props
+ * @param {Array} props.rooms - Rooms the user can see, for the room filter and result names
+ * @param {Array} props.users - Known user details, for mention names in snippets
+ * @param {Function} props.onSelectResult - Called with a result to show it in its room
+ * @param {React.ReactNode} props.children - Shown below the search box while no search is active
+ * @returns {React.ReactElement} The component
+ */
+const MessageSearch = ({ rooms = [], users = [], onSelectResult, children }) => {
+  const {
+    query,
+    setQuery,
+    filters,
+    setFilter,
+    results,
+    searching,
+    error,
+    isActive,
+    clearSearch
+  } = useMessageSearch();
+  const [showFilters, setShowFilters] = useState(false);
+  const [authors, setAuthors] = useState([]);
+
+  // Everyone can be picked as the author, not only the users seen recently
+  useEffect(() => {
+    if (!showFilters || authors.length > 0) {
+      return undefined;
+    }
+
+    let isMounted = true;
+    fetchChatUsers()
+      .then((allUsers) => {
+        if (isMounted) {
+          setAuthors(allUsers);
+        }
+      })
+      .catch((err) => console.error('Error loading authors:', err));
+
+    return () => {
+      isMounted = false;
+    };
+  }, [showFilters, authors.length]);
+
+  const usersById = useMemo(
+    () => Object.fromEntries([...authors, ...users].map((user) => [user.id, user])),
+    [authors, users]
+  );
+
+  const hasFilters = Object.values(filters).some(Boolean);
+
+  /**
+   * Clear the search and go back to the children
+   */
+  const handleClear = () => {
+    clearSearch();
+    setShowFilters(false);
+  };
+
+  /**
+   * Close the search with Escape
+   * @param {object} e - Keyboard event
+   */
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      handleClear();
+    }
+  };
+
+  return (
+    <>
+      <SearchContainer>
+        <SearchRow>
+          <SearchInput
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder="Search messages"
+            aria-label="Search messages"
+            data-testid="message-search-input"
+          />
+          <IconButton
+            type="button"
+            active={showFilters || hasFilters}
+            onClick={() => setShowFilters((shown) => !shown)}
+            aria-expanded={showFilters}
+            title="Search filters"
+          >
+            Filters
+          </IconButton>
+          {(isActive || hasFilters) && (
+            <IconButton type="button" onClick={handleClear} title="Clear search" aria-label="Clear search">
+              ✕
+            </IconButton>
+          )}
+        </SearchRow>
+
+        {showFilters && (
+          <Filters>
+            <FilterLabel>
+              Room
+              <select value={filters.roomId} onChange={(e) => setFilter('roomId', e.target.value)}>
+                <option value="">All rooms</option>
+                {rooms.map((room) => (
+                  <option key={room.id} value={room.id}>{room.name}</option>
+                ))}
+              </select>
+            </FilterLabel>
+            <FilterLabel>
+              Author
+              <select value={filters.authorId} onChange={(e) => setFilter('authorId', e.target.value)}>
+                <option value="">Anyone</option>
+                {authors.map((author) => (
+                  <option key={author.id} value={author.id}>{author.full_name || 'Unknown user'}</option>
+                ))}
+              </select>
+            </FilterLabel>
+            <FilterLabel>
+              From
+              <input
+                type="date"
+                value={filters.fromDate}
+                max={filters.toDate || undefined}
+                onChange={(e) => setFilter('fromDate', e.target.value)}
+              />
+            </FilterLabel>
+            <FilterLabel>
+              To
+              <input
+                type="date"
+                value={filters.toDate}
+                min={filters.fromDate || undefined}
+                onChange={(e) => setFilter('toDate', e.target.value)}
+              />
+            </FilterLabel>
+          </Filters>
+        )}
+      </SearchContainer>
+
+      {isActive ? (
+        <Results aria-live="polite" data-testid="message-search-results">
+          {error && <ResultStatus>Search failed: {error}</ResultStatus>}
+          {!error && searching && results.length === 0 && <ResultStatus>Searching...</ResultStatus>}
+          {!error && !searching && results.length === 0 && <ResultStatus>No messages match your search</ResultStatus>}
+          {results.map((result) => (
+            <ResultItem key={result.id} type="button" onClick={() => onSelectResult(result)}>
+              <ResultMeta>
+                <strong>
+                  #{result.room_name} · {usersById[result.user_id]?.full_name || result.user_name || 'Unknown user'}
+                  {result.parent_message_id && ' (in thread)'}
+                </strong>
+                <span>{formatMessageDateTime(result.created_at)}</span>
+              </ResultMeta>
+              <ResultSnippet>
+                {splitSnippet(result.snippet, usersById).map((part, index) => (part.highlighted
+                  ? <mark key={index}>{part.text}</mark>
+                  : <React.Fragment key={index}>{part.text}</React.Fragment>))}
+              </ResultSnippet>
+            </ResultItem>
+          ))}
+        </Results>
+      ) : children}
+    </>
+  );
+};
+
+export default MessageSearch;
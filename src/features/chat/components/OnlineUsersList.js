@@ -1,10 +1,12 @@
 /**
  * Component for displaying a list of online users
  */
-import React from 'react';
+import React, { useRef, useState } from 'react';
 import styled from 'styled-components';
+import { useSupabaseUserContext } from '../../auth/contexts/SupabaseUserProvider';
 import { isUserOnline } from '../utils/dateUtils';
 import { Card, Subtitle, Text } from '../../common/components/StyledComponents';
+import { CameraIcon, PaperclipIcon } from '../../common/components/IconComponents';
 
 // Styled components
 const UsersListCard = styled(Card)`
@@ -120,15 +122,77 @@ const UserName = styled.span`
   color: ${({ online, theme }) =>
     online ? theme.colors.text.primary : theme.colors.text.secondary};
   font-weight: ${({ online }) => online ? 600 : 400};
+  flex: 1;
+`;
+
+const CallButton = styled.button`
+  width: 28px;
+  height: 28px;
+  border-radius: 50%;
+  border: none;
+  display: inline-flex;
+  align-items: center;
+  justify-content: center;
+  background: ${({ theme }) => theme.colors.secondary}20;
+  color: ${({ theme }) => theme.colors.secondary};
+  transition: ${({ theme }) => theme.transitions.quick};
+
+  &:hover:not(:disabled) {
+    background: ${({ theme }) => theme.colors.secondary};
+    color: ${({ theme }) => theme.colors.text.light};
+  }
+
+  &:disabled {
+    opacity: 0.4;
+    cursor: not-allowed;
+  }
+
+  & + & {
+    margin-left: ${({ theme }) => theme.space.xs};
+  }
+
+  svg {
+    width: 14px;
+    height: 14px;
+  }
 `;
 
 /**
  * Online users list component
  * @param {object} props - Component props
  * @param {Array} props.users - List of user objects with last_seen_at
+ * @param {Function} props.onCallUser - Callback to start a video call with a user (optional)
+ * @param {boolean} props.callDisabled - Whether call buttons are disabled (e.g. already in a call)
+ * @param {Function} props.onSendFile - Callback to send a file to a user directly (optional)
  * @returns {React.ReactElement} The component
  */
-const OnlineUsersList = ({ users = [] }) => {
+const OnlineUsersList = ({
+  users = [],
+  onCallUser = null,
+  callDisabled = false,
+  onSendFile = null
+}) => {
+  const { supabaseUser } = useSupabaseUserContext();
+  const fileInputRef = useRef(null);
+  const [fileRecipient, setFileRecipient] = useState(null);
+
+  // Open the file picker for a specific recipient
+  const handlePickFile = (user) => {
+    setFileRecipient(user);
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
+      fileInputRef.current.click();
+    }
+  };
+
+  const handleFileChange = (e) => {
+    const [file] = e.target.files || [];
+    if (file && fileRecipient && onSendFile) {
+      onSendFile(fileRecipient, file);
+    }
+    setFileRecipient(null);
+  };
+
   if (!users || users.length === 0) {
     return (
       <UsersListCard>
@@ -186,10 +250,37 @@ const OnlineUsersList = ({ users = [] }) => {
               <UserName online={online}>
                 {user.full_name || 'Unknown User'}
               </UserName>
+              {onCallUser && online && user.id !== supabaseUser?.id && (
+                <CallButton
+                  onClick={() => onCallUser(user)}
+                  disabled={callDisabled}
+                  title={`Video call ${user.full_name || 'user'}`}
+                  data-testid="call-user-button"
+                >
+                  <CameraIcon />
+                </CallButton>
+              )}
+              {onSendFile && online && user.id !== supabaseUser?.id && (
+                <CallButton
+                  onClick={() => handlePickFile(user)}
+                  title={`Send a file to ${user.full_name || 'user'}`}
+                  data-testid="send-file-button"
+                >
+                  <PaperclipIcon />
+                </CallButton>
+              )}
             </UserItem>
           );
         })}
       </UsersList>
+      {onSendFile && (
+        <input
+          ref={fileInputRef}
+          type="file"
+          onChange={handleFileChange}
+          style={{ display: 'none' }}
+        />
+      )}
     </UsersListCard>
   );
 };
@@ -0,0 +1,202 @@
+/**
+ * Component for the pinned messages drawer in the chat room side panel
+ * Lists the room's pinned messages, newest pin first; each can be jumped to in the message list,
+ * and room admins can unpin them
+ */
+import React, { useState } from 'react';
+import styled from 'styled-components';
+import { Card, Subtitle, Text } from '../../common/components/StyledComponents';
+import { PinIcon } from '../../common/components/IconComponents';
+import MessageContent from './MessageContent';
+import { formatMessageDateTime } from '../utils/dateUtils';
+
+// Styled components
+const PinsCard = styled(Card)`
+  background: rgba(255, 255, 255, 0.8);
+  padding: ${({ theme }) => theme.space.md};
+  margin-bottom: ${({ theme }) => theme.space.md};
+`;
+
+const DrawerToggle = styled.button`
+  display: flex;
+  width: 100%;
+  justify-content: space-between;
+  align-items: center;
+  padding: 0;
+  border: none;
+  background: none;
+  color: inherit;
+  font: inherit;
+  text-align: left;
+  cursor: pointer;
+
+  svg {
+    width: 16px;
+    height: 16px;
+    margin-right: ${({ theme }) => theme.space.xs};
+    color: ${({ theme }) => theme.colors.accent2};
+  }
+`;
+
+const DrawerTitle = styled.span`
+  display: inline-flex;
+  align-items: center;
+`;
+
+const PinCount = styled.span`
+  font-size: ${({ theme }) => theme.fontSizes.xs};
+  font-weight: 600;
+  color: ${({ theme }) => theme.colors.text.secondary};
+`;
+
+const PinList = styled.ul`
+  list-style: none;
+  padding: 0;
+  margin: ${({ theme }) => theme.space.sm} 0 0;
+  max-height: 360px;
+  overflow-y: auto;
+`;
+
+const PinItem = styled.li`
+  padding: ${({ theme }) => theme.space.sm} 0;
+
+  &:not(:last-child) {
+    border-bottom: 1px dashed ${({ theme }) => theme.colors.accent3};
+  }
+`;
+
+const PinMeta = styled.div`
+  display: flex;
+  justify-content: space-between;
+  gap: ${({ theme }) => theme.space.xs};
+  font-size: ${({ theme }) => theme.fontSizes.xs};
+  color: ${({ theme }) => theme.colors.text.secondary};
+
+  strong {
+    color: ${({ theme }) => theme.colors.text.primary};
+  }
+`;
+
+// Long messages are cut short; jumping to them shows the rest
+const PinText = styled.div`
+  max-height: 4.5em;
+  overflow: hidden;
+  margin: 2px 0 ${({ theme }) => theme.space.xs};
+  font-size: ${({ theme }) => theme.fontSizes.sm};
+  word-break: break-word;
+`;
+
+const PinActions = styled.div`
+  display: flex;
+  gap: ${({ theme }) => theme.space.sm};
+
+  button {
+    padding: 0;
+    border: none;
+    background: none;
+    color: ${({ theme }) => theme.colors.primary};
+    font-size: ${({ theme }) => theme.fontSizes.xs};
+    cursor: pointer;
+
+    &:hover {
+      text-decoration: underline;
+    }
+  }
+`;
+
+const PinnedBy = styled.span`
+  margin-left: auto;
+  font-size: ${({ theme }) => theme.fontSizes.xs};
+  color: ${({ theme }) => theme.colors.text.secondary};
+`;
+
+const EmptyText = styled(Text)`
+  font-size: ${({ theme }) => theme.fontSizes.sm};
+  font-style: italic;
+  margin: ${({ theme }) => theme.space.sm} 0 0;
+`;
+
+const ErrorText = styled(Text)`
+  font-size: ${({ theme }) => theme.fontSizes.xs};
+  color: ${({ theme }) => theme.colors.error};
+  margin: ${({ theme }) => theme.space.sm} 0 0;
+`;
+
+/**
+ * Pinned messages drawer component
+ * @param {object} props - Component props
+ * @param {Array} props.pins - The room's pins, each with its message and who pinned it
+ * @param {object} props.messagesById - Loaded messages keyed by ID; a loaded copy is shown instead of
+ *   the pinned one, so edits show up
+ * @param {object} props.participantsById - User details keyed by user ID, for mention names
+ * @param {boolean} props.loading - Whether the pins are loading
+ * @param {string} props.error - Error message to display
+ * @param {Function} props.onJump - Called with a pinned message to show it in the message list
+ * @param {Function} props.onUnpin - Called with a pinned message to unpin it; only provided to room admins
+ * @returns {React.ReactElement} The component
+ */
+const PinnedMessagesPanel = ({
+  pins = [],
+  messagesById = {},
+  participantsById = {},
+  loading = false,
+  error = null,
+  onJump,
+  onUnpin = null
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  // A message deleted since it was pinned is unpinned with it
+  const pinnedMessages = pins
+    .map((pin) => ({ pin, message: messagesById[pin.message_id] || pin.message }))
+    .filter(({ message }) => message && !message.deleted_at);
+
+  return (
+    <PinsCard data-testid="pinned-messages-panel">
+      <DrawerToggle type="button" onClick={() => setIsOpen((open) => !open)} aria-expanded={isOpen}>
+        <DrawerTitle>
+          <PinIcon />
+          <Subtitle as="span" style={{ margin: 0, fontSize: '1.1rem' }}>Pinned Messages</Subtitle>
+        </DrawerTitle>
+        <PinCount>
+          {pinnedMessages.length} {isOpen ? '▴' : '▾'}
+        </PinCount>
+      </DrawerToggle>
+
+      {error && <ErrorText>{error}</ErrorText>}
+
+      {isOpen && (pinnedMessages.length > 0 ? (
+        <PinList>
+          {pinnedMessages.map(({ pin, message }) => (
+            <PinItem key={pin.id}>
+              <PinMeta>
+                <strong>{message.users?.full_name || 'Unknown User'}</strong>
+                <span>{formatMessageDateTime(message.created_at)}</span>
+              </PinMeta>
+              <PinText>
+                {message.message
+                  ? <MessageContent text={message.message} participantsById={participantsById} />
+                  : <Text style={{ margin: 0, fontStyle: 'italic' }}>Attachment</Text>}
+              </PinText>
+              <PinActions>
+                <button type="button" onClick={() => onJump(message)}>Jump to message</button>
+                {onUnpin && (
+                  <button type="button" onClick={() => onUnpin(message)}>Unpin</button>
+                )}
+                <PinnedBy>Pinned by {pin.pinner?.full_name || 'a room admin'}</PinnedBy>
+              </PinActions>
+            </PinItem>
+          ))}
+        </PinList>
+      ) : (
+        <EmptyText>
+          {loading
+            ? 'Loading pinned messages...'
+            : 'No pinned messages yet. Room admins can pin important messages here'}
+        </EmptyText>
+      ))}
+    </PinsCard>
+  );
+};
+
+export default PinnedMessagesPanel;
@@ -0,0 +1,146 @@
+/**
+ * Component for the emoji reactions under a message
+ * Each emoji shows how many people used it and, on hover, who they are
+ */
+import React from 'react';
+import styled from 'styled-components';
+import { useSupabaseUserContext } from '../../auth/contexts/SupabaseUserProvider';
+import { REACTION_EMOJIS, groupReactions } from '../utils/reactions';
+
+// Styled components
+const Bar = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: ${({ theme }) => theme.space.xs};
+  margin-top: ${({ theme }) => theme.space.sm};
+`;
+
+const ReactionChip = styled.button`
+  display: inline-flex;
+  align-items: center;
+  gap: ${({ theme }) => theme.space.xs};
+  padding: 2px ${({ theme }) => theme.space.sm};
+  border: 1px solid ${({ active }) => active ? 'rgba(255, 255, 255, 0.9)' : 'transparent'};
+  border-radius: ${({ theme }) => theme.borderRadius.full};
+  background: ${({ active }) => active ? 'rgba(255, 255, 255, 0.45)' : 'rgba(255, 255, 255, 0.25)'};
+  color: inherit;
+  font-size: ${({ theme }) => theme.fontSizes.sm};
+  cursor: pointer;
+  transition: ${({ theme }) => theme.transitions.quick};
+
+  &:hover:not(:disabled) {
+    background: rgba(255, 255, 255, 0.4);
+  }
+
+  &:disabled {
+    cursor: default;
+  }
+`;
+
+const Picker = styled.div`
+  display: inline-flex;
+  gap: 2px;
+  padding: 2px;
+  border-radius: ${({ theme }) => theme.borderRadius.full};
+  background: ${({ theme }) => theme.colors.surface};
+  box-shadow: ${({ theme }) => theme.shadows.md};
+
+  button {
+    border: none;
+    background: none;
+    padding: 2px ${({ theme }) => theme.space.xs};
+    border-radius: ${({ theme }) => theme.borderRadius.full};
+    font-size: ${({ theme }) => theme.fontSizes.md};
+    cursor: pointer;
+
+    &:hover {
+      background: ${({ theme }) => theme.colors.accent3};
+    }
+  }
+`;
+
+/**
+ * Describe who used a reaction, for its tooltip
+ * @param {object} group - Grouped reaction (emoji, userIds)
+ * @param {Array} reactions - The message's reactions, some with the reacting user's details
+ * @param {object} participantsById - User details keyed by user ID
+ * @param {string} currentUserId - ID of the current user
+ * @returns {string} Names of the people who reacted
+ */
+const describeReactors = (group, reactions, participantsById, currentUserId) => {
+  const names = group.userIds.map((userId) => {
+    if (userId === currentUserId) {
+      return 'You';
+    }
+
+    return participantsById[userId]?.full_name
+      || reactions.find((reaction) => reaction.user_id === userId && reaction.users)?.users.full_name
+      || 'Unknown User';
+  });
+
+  return `${names.join(', ')} reacted with ${group.emoji}`;
+};
+
+/**
+ * Reaction bar component
+ * @param {object} props - Component props
+ * @param {Array} props.reactions - The message's reactions
+ * @param {object} props.participantsById - User details keyed by user ID, for the tooltips
+ * @param {Function} props.onToggle - Called with an emoji to add or take back the user's reaction;
+ *   reactions are read-only when it is not provided
+ * @param {boolean} props.showPicker - Whether to show the emoji picker
+ * @param {Function} props.onPicked - Called after an emoji is picked, e.g. to close the picker
+ * @returns {React.ReactElement|null} The component, or null when there is nothing to show
+ */
+const ReactionBar = ({
+  reactions = [],
+  participantsById = {},
+  onToggle = null,
+  showPicker = false,
+  onPicked = null
+}) => {
+  const { supabaseUser } = useSupabaseUserContext();
+  const groups = groupReactions(reactions, supabaseUser?.id);
+
+  if (groups.length === 0 && !(showPicker && onToggle)) {
+    return null;
+  }
+
+  const pick = (emoji) => {
+    onToggle(emoji);
+    if (onPicked) {
+      onPicked();
+    }
+  };
+
+  return (
+    <Bar data-testid="reaction-bar">
+      {groups.map((group) => (
+        <ReactionChip
+          key={group.emoji}
+          type="button"
+          active={group.reactedByMe}
+          disabled={!onToggle}
+          onClick={() => onToggle(group.emoji)}
+          title={describeReactors(group, reactions, participantsById, supabaseUser?.id)}
+          aria-pressed={group.reactedByMe}
+        >
+          <span>{group.emoji}</span>
+          <span>{group.count}</span>
+        </ReactionChip>
+      ))}
+
+      {showPicker && onToggle && (
+        <Picker role="menu" aria-label="Add reaction">
+          {REACTION_EMOJIS.map((emoji) => (
+            <button key={emoji} type="button" role="menuitem" onClick={() => pick(emoji)}>
+              {emoji}
+            </button>
+          ))}
+        </Picker>
+      )}
+    </Bar>
+  );
+};
+
+export default ReactionBar;
@@ -0,0 +1,61 @@
+/**
+ * Component for the "seen by" avatars under a message
+ * Each member is shown under the newest message they have read
+ */
+import React from 'react';
+import styled from 'styled-components';
+
+// Most avatars shown before the rest are counted
+const MAX_AVATARS = 5;
+
+// Styled components
+const ReceiptsRow = styled.div`
+  display: flex;
+  justify-content: flex-end;
+  align-items: center;
+  margin: -${({ theme }) => theme.space.sm} 0 ${({ theme }) => theme.space.sm};
+  padding-right: 56px;
+`;
+
+const Avatar = styled.img`
+  width: 16px;
+  height: 16px;
+  border-radius: 50%;
+  object-fit: cover;
+  border: 1px solid ${({ theme }) => theme.colors.surface};
+
+  & + & {
+    margin-left: -4px;
+  }
+`;
+
+const MoreCount = styled.span`
+  margin-left: ${({ theme }) => theme.space.xs};
+  font-size: ${({ theme }) => theme.fontSizes.xs};
+  color: ${({ theme }) => theme.colors.text.secondary};
+`;
+
+/**
+ * Read receipts component
+ * @param {object} props - Component props
+ * @param {Array} props.readers - User details of the members whose newest read message this is
+ * @returns {React.ReactElement|null} The component
+ */
+const ReadReceipts = ({ readers = [] }) => {
+  if (readers.length === 0) {
+    return null;
+  }
+
+  const names = readers.map((user) => user.full_name || 'Unknown User').join(', ');
+
+  return (
+    <ReceiptsRow title={`Seen by ${names}`} aria-label={`Seen by ${names}`} data-testid="read-receipts">
+      {readers.slice(0, MAX_AVATARS).map((user) => (
+        <Avatar key={user.id} src={user.image_url || 'https://via.placeholder.com/16'} alt="" />
+      ))}
+      {readers.length > MAX_AVATARS && <MoreCount>+{readers.length - MAX_AVATARS}</MoreCount>}
+    </ReceiptsRow>
+  );
+};
+
+export default ReadReceipts;
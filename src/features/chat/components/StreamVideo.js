@@ -0,0 +1,34 @@
+/**
+ * Component for rendering a MediaStream in a video element
+ */
+import React, { useRef, useEffect } from 'react';
+
+/**
+ * Video element bound to a media stream
+ * @param {object} props - Component props
+ * @param {MediaStream} props.stream - Stream to play
+ * @param {boolean} props.muted - Whether to mute playback (always true for local streams)
+ * @param {string} props.className - Class name injected by styled-components
+ * @returns {React.ReactElement} The component
+ */
+const StreamVideo = ({ stream, muted = false, className }) => {
+  const videoRef = useRef(null);
+
+  useEffect(() => {
+    if (videoRef.current) {
+      videoRef.current.srcObject = stream || null;
+    }
+  }, [stream]);
+
+  return (
+    <video
+      ref={videoRef}
+      autoPlay
+      playsInline
+      muted={muted}
+      className={className}
+    />
+  );
+};
+
+export default StreamVideo;
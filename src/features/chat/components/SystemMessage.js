@@ -0,0 +1,64 @@
+/**
+ * Component for a system entry in the message list (call summaries, recordings, pins and other room events)
+ */
+import React from 'react';
+import styled from 'styled-components';
+import { formatMessageTime } from '../utils/dateUtils';
+import { PhoneIcon, RecordIcon, PinIcon } from '../../common/components/IconComponents';
+
+// Styled components
+const SystemContainer = styled.div`
+  display: flex;
+  justify-content: center;
+  margin-bottom: ${({ theme }) => theme.space.md};
+`;
+
+const SystemPill = styled.div`
+  display: inline-flex;
+  align-items: center;
+  gap: ${({ theme }) => theme.space.sm};
+  max-width: 80%;
+  padding: ${({ theme }) => `${theme.space.xs} ${theme.space.md}`};
+  border-radius: ${({ theme }) => theme.borderRadius.full};
+  background: ${({ theme, variant }) =>
+    variant === 'missed' ? `${theme.colors.error}15` : `${theme.colors.accent3}`};
+  color: ${({ theme, variant }) =>
+    variant === 'missed' ? theme.colors.error : theme.colors.text.secondary};
+  font-size: ${({ theme }) => theme.fontSizes.sm};
+
+  svg {
+    width: 14px;
+    height: 14px;
+    flex-shrink: 0;
+  }
+`;
+
+const SystemTime = styled.span`
+  font-size: ${({ theme }) => theme.fontSizes.xs};
+  opacity: 0.7;
+`;
+
+/**
+ * System message component
+ * @param {object} props - Component props
+ * @param {object} props.message - Message data (message_type 'system', with optional metadata)
+ * @returns {React.ReactElement} The component
+ */
+const SystemMessage = ({ message }) => {
+  const metadata = message.metadata || {};
+  const isCall = metadata.kind === 'call' || metadata.kind === 'huddle';
+
+  return (
+    <SystemContainer data-message-id={message.id} data-testid="system-message">
+      <SystemPill variant={metadata.outcome === 'missed' ? 'missed' : 'default'}>
+        {isCall && <PhoneIcon />}
+        {metadata.kind === 'recording' && <RecordIcon />}
+        {metadata.kind === 'pin' && <PinIcon />}
+        <span>{message.message}</span>
+        <SystemTime>{formatMessageTime(message.created_at)}</SystemTime>
+      </SystemPill>
+    </SystemContainer>
+  );
+};
+
+export default SystemMessage;
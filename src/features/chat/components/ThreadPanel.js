@@ -0,0 +1,162 @@
+/**
+ * Component for the thread side panel of a chat room
+ * Shows the message that started a thread above its replies, with an input for replying
+ */
+import React from 'react';
+import styled from 'styled-components';
+import ChatMessageItem from './ChatMessageItem';
+import ChatMessageList from './ChatMessageList';
+import ChatInput from './ChatInput';
+import { Subtitle, Text } from '../../common/components/StyledComponents';
+
+// Styled components
+const PanelContainer = styled.aside`
+  width: 360px;
+  display: flex;
+  flex-direction: column;
+  height: 100%;
+  border-left: 1px solid ${({ theme }) => theme.colors.accent3};
+  background: rgba(255, 255, 255, 0.5);
+  backdrop-filter: blur(5px);
+  border-radius: 0 ${({ theme }) => theme.borderRadius.lg} ${({ theme }) => theme.borderRadius.lg} 0;
+
+  @media (max-width: 1024px) {
+    position: absolute;
+    inset: 0 0 0 auto;
+    z-index: 5;
+    width: min(360px, 100%);
+    background: ${({ theme }) => theme.colors.surface};
+  }
+`;
+
+const PanelHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  padding: ${({ theme }) => theme.space.md};
+  border-bottom: 1px solid ${({ theme }) => theme.colors.accent3};
+`;
+
+const CloseButton = styled.button`
+  border: none;
+  background: none;
+  padding: ${({ theme }) => theme.space.xs};
+  color: ${({ theme }) => theme.colors.text.secondary};
+  font-size: ${({ theme }) => theme.fontSizes.lg};
+  line-height: 1;
+  cursor: pointer;
+
+  &:hover {
+    color: ${({ theme }) => theme.colors.text.primary};
+  }
+`;
+
+const ParentMessage = styled.div`
+  padding: ${({ theme }) => `${theme.space.sm} ${theme.space.md} 0`};
+`;
+
+const ReplyDivider = styled.div`
+  display: flex;
+  align-items: center;
+  gap: ${({ theme }) => theme.space.sm};
+  padding: 0 ${({ theme }) => theme.space.md};
+  color: ${({ theme }) => theme.colors.text.secondary};
+  font-size: ${({ theme }) => theme.fontSizes.xs};
+
+  &::after {
+    content: '';
+    flex: 1;
+    border-top: 1px solid ${({ theme }) => theme.colors.accent3};
+  }
+`;
+
+const ErrorText = styled(Text)`
+  margin: ${({ theme }) => `${theme.space.sm} ${theme.space.md} 0`};
+  color: ${({ theme }) => theme.colors.error};
+  font-size: ${({ theme }) => theme.fontSizes.sm};
+`;
+
+/**
+ * Thread panel component
+ * @param {object} props - Component props
+ * @param {object} props.parentMessage - Message that started the thread
+ * @param {Array} props.replies - Replies in the thread, newest first
+ * @param {boolean} props.loading - Whether the replies are loading
+ * @param {string} props.error - Error from loading or sending replies
+ * @param {boolean} props.canReply - Whether the user may reply (joined and connected)
+ * @param {boolean} props.canModerate - Whether the user is a room admin and may delete any reply
+ * @param {Function} props.onSendReply - Called with the text of a new reply
+ * @param {Function} props.onEditReply - Called with (messageId, text) to edit one of the user's replies
+ * @param {Function} props.onDeleteReply - Called with a reply ID to delete it
+ * @param {Function} props.onToggleReaction - Called with (messageId, emoji) to react to a reply
+ * @param {Function} props.onToggleParentReaction - Called with (messageId, emoji) to react to the parent message
+ * @param {object} props.participantsById - User details keyed by user ID, for reactions and mentions
+ * @param {Array} props.members - Room members that can be mentioned in replies
+ * @param {Function} props.onClose - Called when the panel is closed
+ * @returns {React.ReactElement} The component
+ */
+const ThreadPanel = ({
+  parentMessage,
+  replies,
+  loading,
+  error,
+  canReply,
+  canModerate,
+  onSendReply,
+  onEditReply,
+  onDeleteReply,
+  onToggleReaction,
+  onToggleParentReaction,
+  participantsById = {},
+  members = [],
+  onClose
+}) => {
+  // The parent's own count includes replies that arrived before the thread finished loading
+  const replyCount = Math.max(parentMessage.reply_count || 0, replies.length);
+
+  return (
+    <PanelContainer data-testid="thread-panel">
+      <PanelHeader>
+        <Subtitle style={{ margin: 0, fontSize: '1.1rem' }}>Thread</Subtitle>
+        <CloseButton type="button" onClick={onClose} aria-label="Close thread">
+          &times;
+        </CloseButton>
+      </PanelHeader>
+
+      <ParentMessage>
+        <ChatMessageItem
+          message={parentMessage}
+          participantsById={participantsById}
+          onToggleReaction={canReply ? onToggleParentReaction : null}
+        />
+      </ParentMessage>
+
+      <ReplyDivider>
+        {replyCount} {replyCount === 1 ? 'reply' : 'replies'}
+      </ReplyDivider>
+
+      {error && <ErrorText>{error}</ErrorText>}
+
+      <ChatMessageList
+        messages={replies}
+        loading={loading}
+        onEditMessage={canReply ? onEditReply : null}
+        onDeleteMessage={canReply ? onDeleteReply : null}
+        canModerate={canModerate}
+        participantsById={participantsById}
+        onToggleReaction={canReply ? onToggleReaction : null}
+        emptyText="No replies yet. Start the thread!"
+      />
+
+      <ChatInput
+        onSendMessage={onSendReply}
+        disabled={!canReply}
+        placeholder="Reply in thread..."
+        disabledPlaceholder="Join the room to reply"
+        members={members}
+      />
+    </PanelContainer>
+  );
+};
+
+export default ThreadPanel;
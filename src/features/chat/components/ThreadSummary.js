@@ -0,0 +1,92 @@
+/**
+ * Component for the reply summary under a message that has a thread
+ * Shows who replied, how many replies there are and when the last one came in
+ */
+import React from 'react';
+import styled from 'styled-components';
+import { formatMessageTime } from '../utils/dateUtils';
+
+// Styled components
+const SummaryButton = styled.button`
+  display: flex;
+  align-items: center;
+  gap: ${({ theme }) => theme.space.sm};
+  margin-top: ${({ theme }) => theme.space.sm};
+  padding: ${({ theme }) => `${theme.space.xs} ${theme.space.sm}`};
+  border: none;
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+  background: rgba(255, 255, 255, 0.25);
+  color: inherit;
+  font-size: ${({ theme }) => theme.fontSizes.sm};
+  cursor: pointer;
+  transition: ${({ theme }) => theme.transitions.quick};
+
+  &:hover {
+    background: rgba(255, 255, 255, 0.4);
+  }
+`;
+
+const Avatars = styled.span`
+  display: inline-flex;
+
+  img {
+    width: 20px;
+    height: 20px;
+    border-radius: 50%;
+    object-fit: cover;
+    border: 1px solid ${({ theme }) => theme.colors.surface};
+
+    &:not(:first-child) {
+      margin-left: -6px;
+    }
+  }
+`;
+
+const ReplyCount = styled.span`
+  font-weight: 600;
+`;
+
+const LastReply = styled.span`
+  opacity: 0.7;
+  font-size: ${({ theme }) => theme.fontSizes.xs};
+`;
+
+/**
+ * Thread summary component
+ * @param {object} props - Component props
+ * @param {object} props.message - Message that started the thread (reply_count, last_reply_at,
+ *   reply_participant_ids)
+ * @param {object} props.participantsById - User details keyed by user ID, for the avatars
+ * @param {Function} props.onOpen - Called when the summary is clicked
+ * @returns {React.ReactElement|null} The component, or null when the message has no replies
+ */
+const ThreadSummary = ({ message, participantsById = {}, onOpen }) => {
+  if (!message.reply_count) {
+    return null;
+  }
+
+  const participants = (message.reply_participant_ids || []).map((id) => participantsById[id] || { id });
+
+  return (
+    <SummaryButton type="button" onClick={onOpen} data-testid="thread-summary">
+      <Avatars>
+        {participants.map((user) => (
+          <img
+            key={user.id}
+            src={user.image_url || 'https://via.placeholder.com/20'}
+            alt={user.full_name || 'User'}
+            title={user.full_name || 'Unknown User'}
+          />
+        ))}
+      </Avatars>
+      <ReplyCount>
+        {message.reply_count} {message.reply_count === 1 ? 'reply' : 'replies'}
+      </ReplyCount>
+      {message.last_reply_at && (
+        <LastReply>Last reply {formatMessageTime(message.last_reply_at)}</LastReply>
+      )}
+    </SummaryButton>
+  );
+};
+
+export default ThreadSummary;
@@ -0,0 +1,88 @@
+/**
+ * Component for the "is typing…" line above the message input
+ */
+import React from 'react';
+import styled, { keyframes } from 'styled-components';
+
+// Animations
+const blink = keyframes`
+  0%, 80%, 100% {
+    opacity: 0.2;
+  }
+  40% {
+    opacity: 1;
+  }
+`;
+
+// Styled components
+const IndicatorRow = styled.div`
+  display: flex;
+  align-items: center;
+  gap: ${({ theme }) => theme.space.xs};
+  min-height: 20px;
+  padding: 0 ${({ theme }) => theme.space.md};
+  font-size: ${({ theme }) => theme.fontSizes.xs};
+  font-style: italic;
+  color: ${({ theme }) => theme.colors.text.secondary};
+`;
+
+const Dots = styled.span`
+  display: inline-flex;
+  gap: 2px;
+
+  span {
+    width: 4px;
+    height: 4px;
+    border-radius: 50%;
+    background: currentColor;
+    animation: ${blink} 1.4s infinite ease-in-out;
+  }
+
+  span:nth-child(2) {
+    animation-delay: 0.2s;
+  }
+
+  span:nth-child(3) {
+    animation-delay: 0.4s;
+  }
+`;
+
+/**
+ * Describe who is typing; more than two typists collapse into a count
+ * @param {Array} users - Users typing
+ * @returns {string} E.g. "Alice is typing…" or "3 people are typing…"
+ */
+const describeTypingUsers = (users) => {
+  const names = users.map((user) => user.full_name || 'Someone');
+
+  if (names.length === 1) {
+    return `${names[0]} is typing…`;
+  }
+  if (names.length === 2) {
+    return `${names[0]} and ${names[1]} are typing…`;
+  }
+  return `${names.length} people are typing…`;
+};
+
+/**
+ * Typing indicator component
+ * @param {object} props - Component props
+ * @param {Array} props.users - The other members typing ({ id, full_name })
+ * @returns {React.ReactElement} The component (an empty row when nobody is typing, so the input doesn't jump)
+ */
+const TypingIndicator = ({ users = [] }) => (
+  <IndicatorRow aria-live="polite" data-testid="typing-indicator">
+    {users.length > 0 && (
+      <>
+        <Dots aria-hidden="true">
+          <span />
+          <span />
+          <span />
+        </Dots>
+        {describeTypingUsers(users)}
+      </>
+    )}
+  </IndicatorRow>
+);
+
+export default TypingIndicator;
@@ -0,0 +1,194 @@
+/**
+ * Component for playing a voice message inline in a message
+ * Shows the waveform recorded with it (clicking it seeks), the duration and the playback speed
+ */
+import React from 'react';
+import styled from 'styled-components';
+import { useVoicePlaybackContext } from '../contexts/VoicePlaybackProvider';
+import { formatVoiceDuration, WAVEFORM_BARS } from '../utils/voiceMessages';
+
+// Waveform shown for audio sent without one (e.g. an audio file attached by hand)
+const FLAT_WAVEFORM = Array(WAVEFORM_BARS).fill(30);
+
+// How far the arrow keys seek, as a fraction of the message
+const SEEK_STEP = 0.05;
+
+// Styled components
+const PlayerContainer = styled.div`
+  display: flex;
+  align-items: center;
+  gap: ${({ theme }) => theme.space.sm};
+  width: 280px;
+  max-width: 100%;
+  padding: ${({ theme }) => theme.space.xs} 0;
+`;
+
+const PlayButton = styled.button`
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  flex-shrink: 0;
+  width: 32px;
+  height: 32px;
+  padding: 0;
+  border: none;
+  border-radius: 50%;
+  background: rgba(255, 255, 255, 0.85);
+  color: ${({ theme }) => theme.colors.primary};
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+
+  svg {
+    width: 14px;
+    height: 14px;
+  }
+`;
+
+const Waveform = styled.div`
+  flex: 1;
+  display: flex;
+  align-items: center;
+  gap: 1px;
+  height: 28px;
+  cursor: ${({ seekable }) => seekable ? 'pointer' : 'default'};
+`;
+
+const Bar = styled.span`
+  flex: 1;
+  min-height: 3px;
+  height: ${({ level }) => Math.max(level, 10)}%;
+  border-radius: 1px;
+  background: currentColor;
+  opacity: ${({ played }) => played ? 1 : 0.35};
+`;
+
+const PlayerMeta = styled.div`
+  display: flex;
+  flex-direction: column;
+  align-items: flex-end;
+  flex-shrink: 0;
+  font-size: ${({ theme }) => theme.fontSizes.xs};
+  font-variant-numeric: tabular-nums;
+`;
+
+const SpeedButton = styled.button`
+  padding: 0 ${({ theme }) => theme.space.xs};
+  border: 1px solid currentColor;
+  border-radius: ${({ theme }) => theme.borderRadius.sm};
+  background: none;
+  color: inherit;
+  font-size: ${({ theme }) => theme.fontSizes.xs};
+  line-height: 1.4;
+  opacity: 0.8;
+`;
+
+const UnheardDot = styled.span`
+  width: 8px;
+  height: 8px;
+  flex-shrink: 0;
+  border-radius: 50%;
+  background: ${({ theme }) => theme.colors.primary};
+`;
+
+/**
+ * Voice message player component
+ * @param {object} props - Component props
+ * @param {object} props.attachment - The voice message's attachment (or its placeholder while uploading)
+ * @returns {React.ReactElement} The component
+ */
+const VoiceMessagePlayer = ({ attachment }) => {
+  const {
+    currentId,
+    isPlaying,
+    positionMs,
+    playbackRate,
+    isHeard,
+    toggle,
+    seek,
+    cyclePlaybackRate
+  } = useVoicePlaybackContext();
+
+  const isCurrent = currentId === attachment.id;
+  const isSaved = Boolean(attachment.storage_path) && !attachment.uploading;
+  const durationMs = attachment.duration_ms || 0;
+  const progress = isCurrent && durationMs ? Math.min(positionMs / durationMs, 1) : 0;
+  const waveform = attachment.waveform?.length ? attachment.waveform : FLAT_WAVEFORM;
+
+  /**
+   * Seek to the clicked point of the waveform
+   * @param {object} e - Click event
+   */
+  const handleWaveformClick = (e) => {
+    const bounds = e.currentTarget.getBoundingClientRect();
+    seek(attachment, (e.clientX - bounds.left) / bounds.width);
+  };
+
+  /**
+   * Seek with the arrow keys
+   * @param {object} e - Keydown event
+   */
+  const handleWaveformKeyDown = (e) => {
+    if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+      e.preventDefault();
+      seek(attachment, progress + (e.key === 'ArrowRight' ? SEEK_STEP : -SEEK_STEP));
+    }
+  };
+
+  let status = formatVoiceDuration(isCurrent ? positionMs : durationMs);
+  if (attachment.uploading) {
+    status = 'Uploading...';
+  } else if (attachment.failed) {
+    status = 'Upload failed';
+  }
+
+  return (
+    <PlayerContainer data-testid="voice-message">
+      <PlayButton
+        type="button"
+        onClick={() => toggle(attachment)}
+        disabled={!isSaved}
+        aria-label={isCurrent && isPlaying ? 'Pause voice message' : 'Play voice message'}
+      >
+        {isCurrent && isPlaying ? (
+          <svg viewBox="0 0 24 24" fill="currentColor">
+            <rect x="5" y="4" width="5" height="16" rx="1" />
+            <rect x="14" y="4" width="5" height="16" rx="1" />
+          </svg>
+        ) : (
+          <svg viewBox="0 0 24 24" fill="currentColor">
+            <polygon points="6 3 20 12 6 21 6 3" />
+          </svg>
+        )}
+      </PlayButton>
+      <Waveform
+        seekable={isCurrent}
+        onClick={isCurrent ? handleWaveformClick : undefined}
+        onKeyDown={isCurrent ? handleWaveformKeyDown : undefined}
+        role="slider"
+        tabIndex={isCurrent ? 0 : -1}
+        aria-label="Voice message position"
+        aria-valuemin={0}
+        aria-valuemax={Math.round(durationMs / 1000)}
+        aria-valuenow={Math.round((progress * durationMs) / 1000)}
+      >
+        {waveform.map((level, index) => (
+          <Bar key={index} level={level} played={(index + 0.5) / waveform.length <= progress} />
+        ))}
+      </Waveform>
+      <PlayerMeta>
+        <span>{status}</span>
+        {isSaved && (
+          <SpeedButton type="button" onClick={cyclePlaybackRate} aria-label="Change playback speed">
+            {playbackRate}×
+          </SpeedButton>
+        )}
+      </PlayerMeta>
+      {isSaved && !isHeard(attachment) && <UnheardDot title="Not heard yet" />}
+    </PlayerContainer>
+  );
+};
+
+export default VoiceMessagePlayer;
@@ -0,0 +1,44 @@
+/**
+ * Component for the button that plays the room's next unheard voice message
+ * Playback then carries on through the remaining unheard ones
+ */
+import React from 'react';
+import styled from 'styled-components';
+import { useVoicePlaybackContext } from '../contexts/VoicePlaybackProvider';
+
+// Styled components
+const QueueButton = styled.button`
+  margin-right: auto;
+  padding: ${({ theme }) => `${theme.space.xs} ${theme.space.md}`};
+  border: 1px solid ${({ theme }) => theme.colors.primary};
+  border-radius: ${({ theme }) => theme.borderRadius.full};
+  background: rgba(255, 255, 255, 0.8);
+  color: ${({ theme }) => theme.colors.primary};
+  font-size: ${({ theme }) => theme.fontSizes.sm};
+  font-weight: 600;
+  transition: ${({ theme }) => theme.transitions.quick};
+
+  &:hover {
+    background: ${({ theme }) => theme.colors.primary}20;
+  }
+`;
+
+/**
+ * Voice queue button component
+ * @returns {React.ReactElement|null} The component, or null when every voice message has been heard
+ */
+const VoiceQueueButton = () => {
+  const { unheardCount, playNextUnheard } = useVoicePlaybackContext();
+
+  if (unheardCount === 0) {
+    return null;
+  }
+
+  return (
+    <QueueButton type="button" onClick={playNextUnheard} data-testid="voice-queue-button">
+      ▶ Play {unheardCount} unheard voice {unheardCount === 1 ? 'message' : 'messages'}
+    </QueueButton>
+  );
+};
+
+export default VoiceQueueButton;
@@ -0,0 +1,39 @@
+/**
+ * Context provider for one-to-one video calls
+ * Mounted in MainLayout, so calls ring on every page and survive navigation
+ */
+import React, { createContext, useContext } from 'react';
+import { useVideoCall } from '../hooks/useVideoCall';
+
+// Create context
+const CallContext = createContext(null);
+
+/**
+ * Provider component that wraps the app layout and provides call context
+ * @param {object} props - Component props
+ * @param {React.ReactNode} props.children - Child components
+ * @returns {React.ReactElement} The provider component
+ */
+export const CallProvider = ({ children }) => {
+  const callState = useVideoCall();
+
+  return (
+    <CallContext.Provider value={callState}>
+      {children}
+    </CallContext.Provider>
+  );
+};
+
+/**
+ * Hook to use the call context
+ * @returns {object} Call context value
+ */
+export const useCallContext = () => {
+  const context = useContext(CallContext);
+
+  if (context === null) {
+    throw new Error('useCallContext must be used within a CallProvider');
+  }
+
+  return context;
+};
@@ -2,9 +2,11 @@
  * Context provider for chat functionality
  * This provides chat state and operations throughout the application
  */
-import React, { createContext, useContext, useCallback } from 'react';
+import React, { createContext, useContext, useCallback, useEffect } from 'react';
+import { useAuth } from '@clerk/clerk-react';
 import { useChatRooms } from '../hooks/useChatRooms';
 import { useChatRealtime } from '../hooks/useChatRealtime';
+import { setSessionTokenGetter } from '../services/iceService';
 
 // Create context
 const ChatContext = createContext(null);
@@ -17,6 +19,14 @@ const ChatContext = createContext(null);
  */
 export const ChatProvider = ({ children }) => {
   const chatState = useChatRooms();
+  const { getToken } = useAuth();
+
+  // TURN credentials are requested with the Clerk session token
+  useEffect(() => {
+    setSessionTokenGetter(getToken);
+
+    return () => setSessionTokenGetter(null);
+  }, [getToken]);
 
   // Handle online users changes to check for empty rooms
   const handleOnlineUsersChange = useCallback((onlineUsers) => {
@@ -28,15 +38,22 @@ export const ChatProvider = ({ children }) => {
 
   // Handle global membership changes (for room list refresh)
   const handleGlobalMembershipChange = useCallback((payload) => {
+    // Members moving their read position don't change the list
+    if (payload.eventType === 'UPDATE') {
+      return;
+    }
+
     // Refresh the rooms list to reflect membership changes
     chatState.loadRooms();
   }, [chatState]);
 
-  // Subscribe to real-time updates with no specific room ID
+  // Subscribe to real-time updates with no specific room ID; new messages in any room
+  // update the list's unread counts and previews
   const realtimeState = useChatRealtime(
     null,
     handleOnlineUsersChange,
-    handleGlobalMembershipChange
+    handleGlobalMembershipChange,
+    chatState.applyMessageChange
   );
 
   // Combine the chat state with the realtime state
@@ -0,0 +1,39 @@
+/**
+ * Context provider for peer-to-peer file transfers
+ * This provides file transfer state and operations to every chat component
+ */
+import React, { createContext, useContext } from 'react';
+import { useFileTransfer } from '../hooks/useFileTransfer';
+
+// Create context
+const FileTransferContext = createContext(null);
+
+/**
+ * Provider component that wraps the chat and provides file transfer context
+ * @param {object} props - Component props
+ * @param {React.ReactNode} props.children - Child components
+ * @returns {React.ReactElement} The provider component
+ */
+export const FileTransferProvider = ({ children }) => {
+  const transferState = useFileTransfer();
+
+  return (
+    <FileTransferContext.Provider value={transferState}>
+      {children}
+    </FileTransferContext.Provider>
+  );
+};
+
+/**
+ * Hook to use the file transfer context
+ * @returns {object} File transfer context value
+ */
+export const useFileTransferContext = () => {
+  const context = useContext(FileTransferContext);
+
+  if (context === null) {
+    throw new Error('useFileTransferContext must be used within a FileTransferProvider');
+  }
+
+  return context;
+};
@@ -0,0 +1,41 @@
+/**
+ * Context provider for playing a room's voice messages
+ * This lets every voice message player in the room share one audio element and queue
+ */
+import React, { createContext, useContext } from 'react';
+import { useVoicePlayback } from '../hooks/useVoicePlayback';
+
+// Create context
+const VoicePlaybackContext = createContext(null);
+
+/**
+ * Provider component that wraps a chat room and provides voice playback context
+ * @param {object} props - Component props
+ * @param {string} props.roomId - ID of the room
+ * @param {Array} props.messages - The room's messages
+ * @param {React.ReactNode} props.children - Child components
+ * @returns {React.ReactElement} The provider component
+ */
+export const VoicePlaybackProvider = ({ roomId, messages, children }) => {
+  const playbackState = useVoicePlayback(roomId, messages);
+
+  return (
+    <VoicePlaybackContext.Provider value={playbackState}>
+      {children}
+    </VoicePlaybackContext.Provider>
+  );
+};
+
+/**
+ * Hook to use the voice playback context
+ * @returns {object} Voice playback context value
+ */
+export const useVoicePlaybackContext = () => {
+  const context = useContext(VoicePlaybackContext);
+
+  if (context === null) {
+    throw new Error('useVoicePlaybackContext must be used within a VoicePlaybackProvider');
+  }
+
+  return context;
+};
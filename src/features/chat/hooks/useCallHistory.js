@@ -0,0 +1,49 @@
+/**
+ * Custom hook to load the current user's call history
+ */
+import { useState, useEffect, useCallback } from 'react';
+import { useSupabaseUserContext } from '../../auth/contexts/SupabaseUserProvider';
+import { fetchCallHistory } from '../services/callService';
+
+/**
+ * Hook for the one-to-one calls the current user placed or received
+ * @param {number} limit - Maximum number of calls to load
+ * @returns {object} Call history state and a refresh function
+ */
+export const useCallHistory = (limit = 30) => {
+  const { supabaseUser } = useSupabaseUserContext();
+  const [calls, setCalls] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadCalls = useCallback(async () => {
+    if (!supabaseUser) {
+      setCalls([]);
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const data = await fetchCallHistory(supabaseUser.id, limit);
+      setCalls(data);
+      setError(null);
+    } catch (err) {
+      console.error('Error loading call history:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [supabaseUser, limit]);
+
+  useEffect(() => {
+    loadCalls();
+  }, [loadCalls]);
+
+  return {
+    calls,
+    loading,
+    error,
+    refresh: loadCalls
+  };
+};
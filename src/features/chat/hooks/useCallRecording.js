@@ -0,0 +1,74 @@
+/**
+ * Custom hook to record a call or huddle locally
+ * Wraps the canvas/Web Audio mixer and saves the result as a WebM download
+ */
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { isRecordingSupported, startMixedRecording, saveRecording } from '../utils/recording';
+
+// File name for a recording started now, e.g. "connecthub-huddle-2024-03-16-14-05-09"
+const recordingFileName = (prefix) =>
+  `connecthub-${prefix}-${new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-')}`;
+
+/**
+ * Hook for recording the participants of a call
+ * @param {Array<object>} sources - Memoized participants to record ({ id, label, stream, screen })
+ * @param {string} prefix - File name prefix ("call" or "huddle")
+ * @returns {object} Recording state and operations
+ */
+export const useCallRecording = (sources, prefix) => {
+  const [isRecording, setIsRecording] = useState(false);
+  const recorderRef = useRef(null);
+
+  // Keep the mix in step with people joining, leaving or sharing their screen
+  useEffect(() => {
+    recorderRef.current?.update(sources);
+  }, [sources]);
+
+  // Start recording; throws if the browser can't record
+  const startRecording = useCallback(() => {
+    if (recorderRef.current) {
+      return;
+    }
+
+    if (!isRecordingSupported()) {
+      throw new Error('Your browser does not support call recording');
+    }
+
+    recorderRef.current = startMixedRecording(sources);
+    setIsRecording(true);
+  }, [sources]);
+
+  // Stop recording and download the file; resolves with its duration, or null if nothing was recording
+  const stopRecording = useCallback(async () => {
+    const recorder = recorderRef.current;
+    if (!recorder) {
+      return null;
+    }
+
+    recorderRef.current = null;
+    setIsRecording(false);
+
+    const { blob, durationSeconds } = await recorder.stop();
+    if (blob.size > 0) {
+      saveRecording(blob, recordingFileName(prefix));
+    }
+
+    return { durationSeconds };
+  }, [prefix]);
+
+  // Don't lose a recording in progress when the call UI goes away
+  const stopRecordingRef = useRef(stopRecording);
+  useEffect(() => {
+    stopRecordingRef.current = stopRecording;
+  }, [stopRecording]);
+
+  useEffect(() => () => {
+    stopRecordingRef.current();
+  }, []);
+
+  return {
+    isRecording,
+    startRecording,
+    stopRecording
+  };
+};
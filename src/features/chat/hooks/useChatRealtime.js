@@ -1,11 +1,20 @@
 /**
  * Custom hook to handle real-time subscriptions for chat functionality
- * Subscribes to messages, room updates, and presence changes
+ * Subscribes to new, edited and deleted messages, reactions, attachments, room updates, and presence changes
  */
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { supabase } from '../../../supabaseClient';
 import { useSupabaseUserContext } from '../../auth/contexts/SupabaseUserProvider';
-import { updateUserPresence, fetchChatMessages } from '../services/chatService';
+import {
+  updateUserPresence,
+  fetchChatMessages,
+  fetchChatMessagesFrom,
+  fetchChatMessagesAfter,
+  MESSAGE_PAGE_SIZE,
+  MAX_JUMP_MESSAGES
+} from '../services/chatService';
+import { addReactionToMessages, removeReactionFromMessages } from '../utils/reactions';
+import { addAttachmentToMessages, removeAttachmentFromMessages } from '../utils/attachments';
 
 /**
  * Helper function to check if two messages have the same content
@@ -16,23 +25,75 @@ import { updateUserPresence, fetchChatMessages } from '../services/chatService';
 const isSameMessageContent = (msg1, msg2) =>
   msg1.user_id === msg2.user_id && msg1.message === msg2.message;
 
+/**
+ * Whether a message comes before another in the history's (created_at, id) order
+ * @param {object} msg1 - Message to check
+ * @param {object} msg2 - Message to compare it with
+ * @returns {boolean} True if msg1 is older
+ */
+const isOlderMessage = (msg1, msg2) => {
+  const time1 = new Date(msg1.created_at).getTime();
+  const time2 = new Date(msg2.created_at).getTime();
+  return time1 < time2 || (time1 === time2 && msg1.id < msg2.id);
+};
+
+/**
+ * Whether a message is saved, rather than only local (still sending, or delivered peer-to-peer)
+ * @param {object} msg - Message to check
+ * @returns {boolean} True if the message is saved
+ */
+const isSavedMessage = (msg) => !msg.delivery && !msg.id.toString().startsWith('temp-');
+
+// Realtime channel statuses that mean the websocket is gone
+const DISCONNECTED_STATUSES = ['CHANNEL_ERROR', 'TIMED_OUT', 'CLOSED'];
+
 /**
  * Hook for managing real-time chat subscriptions
  * @param {string} roomId - Current room ID to subscribe to (optional)
  * @param {Function} onOnlineUsersChange - Callback when online users change
  * @param {Function} onMembershipChange - Callback when room membership changes
+ * @param {Function} onMessageChange - Callback with the payload of every new or updated message,
+ *   in any room the subscription covers (e.g. for the room list's unread counts)
  * @returns {object} Real-time state and handlers
  */
 export const useChatRealtime = (
   roomId = null,
   onOnlineUsersChange = null,
-  onMembershipChange = null
+  onMembershipChange = null,
+  onMessageChange = null
 ) => {
   const { supabaseUser } = useSupabaseUserContext();
   const [messages, setMessages] = useState([]);
   const [onlineUsers, setOnlineUsers] = useState([]);
   const [isSubscribed, setIsSubscribed] = useState(false);
+  const [isConnected, setIsConnected] = useState(true);
   const [error, setError] = useState(null);
+  const [hasMoreMessages, setHasMoreMessages] = useState(false);
+  const [isLoadingOlder, setIsLoadingOlder] = useState(false);
+
+  // Newest message ({ id, created_at }) before each stretch of history skipped by a jump
+  const [newerGaps, setNewerGaps] = useState([]);
+  const [isLoadingNewer, setIsLoadingNewer] = useState(false);
+
+  // Read when loading older pages, which start before the oldest saved message
+  const messagesRef = useRef(messages);
+  useEffect(() => {
+    messagesRef.current = messages;
+  }, [messages]);
+
+  // The room whose messages are loaded, so a page that arrives after switching rooms is dropped
+  const currentRoomRef = useRef(roomId);
+  const isLoadingOlderRef = useRef(false);
+  const isLoadingNewerRef = useRef(false);
+
+  // Set when the websocket drops, so the next successful subscribe reloads messages
+  const hasDropped = useRef(false);
+
+  // Kept in a ref so a new callback doesn't resubscribe
+  const onMessageChangeRef = useRef(onMessageChange);
+  useEffect(() => {
+    onMessageChangeRef.current = onMessageChange;
+  }, [onMessageChange]);
 
   // Store subscriptions to clean up
   const subscriptions = useRef({
@@ -67,6 +128,7 @@ export const useChatRealtime = (
   }, []);
 
   // Replace a temporary message with a real one or add a new message
+  // Sends carry a client ID, so copies are matched by ID; two messages with the same text are both kept
   const updateMessageList = useCallback((newMessage, tempIdPrefix = 'temp-') => {
     if (!newMessage || !newMessage.id) {
       return; // Skip invalid messages
@@ -74,30 +136,18 @@ export const useChatRealtime = (
 
     setMessages((prevMessages) => {
       // 1. Check if this exact message ID already exists
-      if (prevMessages.some((msg) => msg.id === newMessage.id)) {
+      const existingIndex = prevMessages.findIndex((msg) => msg.id === newMessage.id);
+      if (existingIndex !== -1) {
+        // A local-only copy (still sending, or delivered peer-to-peer) gives way to the saved one
+        if (prevMessages[existingIndex].delivery && !newMessage.delivery) {
+          const updatedMessages = [...prevMessages];
+          updatedMessages[existingIndex] = { ...prevMessages[existingIndex], ...newMessage, delivery: undefined };
+          return updatedMessages;
+        }
         return prevMessages; // Message with this ID already exists
       }
 
-      // 2. Check for duplicate by content with strict criteria
-      const isDuplicate = prevMessages.some((msg) =>
-        // Different ID but same essential content
-        msg.id !== newMessage.id &&
-        // Same user
-        msg.user_id === newMessage.user_id &&
-        // Same message content
-        msg.message === newMessage.message &&
-        // Same room
-        msg.room_id === newMessage.room_id &&
-        // If both have created_at timestamps, check if they're close in time (within 5 seconds)
-        (msg.created_at && newMessage.created_at &&
-          Math.abs(new Date(msg.created_at) - new Date(newMessage.created_at)) < 5000)
-      );
-
-      if (isDuplicate) {
-        return prevMessages; // Skip adding duplicate messages
-      }
-
-      // 3. Look for a temporary message to replace (from optimistic updates)
+      // 2. Look for a temporary message to replace (from optimistic updates)
       const tempMessageIndex = prevMessages.findIndex((msg) =>
         msg.id.toString().startsWith(tempIdPrefix) && isSameMessageContent(msg, newMessage)
       );
@@ -109,21 +159,238 @@ export const useChatRealtime = (
         return updatedMessages;
       }
 
-      // 4. Otherwise, add as a new message
+      // 3. Otherwise, add as a new message
       return [newMessage, ...prevMessages];
     });
   }, []);
 
+  // Replace the newest page with freshly loaded messages, keeping the ones that only exist
+  // locally and the older pages already loaded
+  const mergeServerMessages = useCallback((serverMessages) => {
+    setMessages((prevMessages) => {
+      const serverIds = new Set(serverMessages.map((msg) => msg.id));
+      const oldestServerMessage = serverMessages[serverMessages.length - 1];
+      const kept = prevMessages.filter((msg) => !serverIds.has(msg.id) && (
+        msg.delivery
+        || (oldestServerMessage && serverMessages.length === MESSAGE_PAGE_SIZE
+          && isSavedMessage(msg) && isOlderMessage(msg, oldestServerMessage))
+      ));
+
+      return [...kept, ...serverMessages]
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    });
+  }, []);
+
+  // Load the page of messages before the oldest one loaded
+  const loadOlderMessages = useCallback(async () => {
+    if (!roomId || !hasMoreMessages || isLoadingOlderRef.current) {
+      return;
+    }
+
+    const oldest = messagesRef.current
+      .filter(isSavedMessage)
+      .reduce((oldestSoFar, msg) => (!oldestSoFar || isOlderMessage(msg, oldestSoFar) ? msg : oldestSoFar), null);
+    if (!oldest) {
+      return;
+    }
+
+    isLoadingOlderRef.current = true;
+    setIsLoadingOlder(true);
+
+    try {
+      const olderMessages = await fetchChatMessages(roomId, MESSAGE_PAGE_SIZE, oldest);
+      if (currentRoomRef.current !== roomId) {
+        return;
+      }
+
+      setMessages((prevMessages) => {
+        const loadedIds = new Set(prevMessages.map((msg) => msg.id));
+        return [...prevMessages, ...olderMessages.filter((msg) => !loadedIds.has(msg.id))];
+      });
+      setHasMoreMessages(olderMessages.length === MESSAGE_PAGE_SIZE);
+    } catch (err) {
+      console.error('Error loading older messages:', err);
+      setError(err.message);
+    } finally {
+      if (currentRoomRef.current === roomId) {
+        isLoadingOlderRef.current = false;
+        setIsLoadingOlder(false);
+      }
+    }
+  }, [roomId, hasMoreMessages]);
+
+  // Load the history from a message towards the newest one, so the message can be shown in context.
+  // A full window may stop short of the messages already loaded, leaving a gap for loadNewerMessages
+  // to fill. Resolves with whether the message is in the list
+  const loadMessagesFrom = useCallback(async (messageId) => {
+    if (!roomId || !messageId) {
+      return false;
+    }
+
+    if (currentRoomRef.current === roomId && messagesRef.current.some((msg) => msg.id === messageId)) {
+      return true;
+    }
+
+    try {
+      const laterMessages = await fetchChatMessagesFrom(roomId, messageId);
+      if (currentRoomRef.current !== roomId || laterMessages.length === 0) {
+        return false;
+      }
+
+      const wasLoaded = new Set(messagesRef.current.map((msg) => msg.id));
+      setMessages((prevMessages) => {
+        const loadedIds = new Set(prevMessages.map((msg) => msg.id));
+        return [...prevMessages, ...laterMessages.filter((msg) => !loadedIds.has(msg.id))]
+          .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+      });
+
+      // Whatever came before the message hasn't been loaded; an empty page settles it
+      setHasMoreMessages(true);
+
+      const [newest] = laterMessages;
+      if (laterMessages.length === MAX_JUMP_MESSAGES && !laterMessages.some((msg) => wasLoaded.has(msg.id))) {
+        setNewerGaps((gaps) => [...gaps, { id: newest.id, created_at: newest.created_at }]);
+      }
+      return true;
+    } catch (err) {
+      console.error('Error loading messages from a message:', err);
+      setError(err.message);
+      return false;
+    }
+  }, [roomId]);
+
+  // Load the page of messages after a gap left by a jump; the gap closes once a page reaches messages
+  // already loaded, or the newest one
+  const loadNewerMessages = useCallback(async (gapId) => {
+    const gap = newerGaps.find((existing) => existing.id === gapId);
+    if (!roomId || !gap || isLoadingNewerRef.current) {
+      return;
+    }
+
+    isLoadingNewerRef.current = true;
+    setIsLoadingNewer(true);
+
+    try {
+      const newerMessages = await fetchChatMessagesAfter(roomId, gap);
+      if (currentRoomRef.current !== roomId) {
+        return;
+      }
+
+      const wasLoaded = new Set(messagesRef.current.map((msg) => msg.id));
+      const isClosed = newerMessages.length < MESSAGE_PAGE_SIZE
+        || newerMessages.some((msg) => wasLoaded.has(msg.id));
+
+      setMessages((prevMessages) => {
+        const loadedIds = new Set(prevMessages.map((msg) => msg.id));
+        return [...prevMessages, ...newerMessages.filter((msg) => !loadedIds.has(msg.id))]
+          .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+      });
+      setNewerGaps((gaps) => gaps.flatMap((existing) => {
+        if (existing.id !== gap.id) {
+          return [existing];
+        }
+
+        return isClosed ? [] : [{ id: newerMessages[0].id, created_at: newerMessages[0].created_at }];
+      }));
+    } catch (err) {
+      console.error('Error loading newer messages:', err);
+      setError(err.message);
+    } finally {
+      if (currentRoomRef.current === roomId) {
+        isLoadingNewerRef.current = false;
+        setIsLoadingNewer(false);
+      }
+    }
+  }, [roomId, newerGaps]);
+
+  // Apply a change to a message that is already in the list (e.g. an edit)
+  // The joined user details aren't part of the change, so they are kept
+  const applyMessageUpdate = useCallback((updatedMessage) => {
+    if (!updatedMessage?.id) {
+      return;
+    }
+
+    setMessages((prevMessages) => prevMessages.map((msg) =>
+      (msg.id === updatedMessage.id ? { ...msg, ...updatedMessage, users: msg.users } : msg)
+    ));
+  }, []);
+
+  // Add a reaction to its message in the list (reactions to thread replies are ignored here)
+  const applyReaction = useCallback((reaction) => {
+    setMessages((prevMessages) => addReactionToMessages(prevMessages, reaction));
+  }, []);
+
+  // Take a removed reaction off its message; only the reaction's ID is needed
+  const removeReaction = useCallback((reactionId) => {
+    setMessages((prevMessages) => removeReactionFromMessages(prevMessages, reactionId));
+  }, []);
+
+  // Add a saved attachment to its message in the list
+  const applyAttachment = useCallback((attachment) => {
+    setMessages((prevMessages) => addAttachmentToMessages(prevMessages, attachment));
+  }, []);
+
+  // Take a removed attachment off its message; only the attachment's ID is needed
+  const removeAttachment = useCallback((attachmentId) => {
+    setMessages((prevMessages) => removeAttachmentFromMessages(prevMessages, attachmentId));
+  }, []);
+
   // Handle new message received from subscription
   const handleNewMessage = useCallback((payload) => {
     const newMessage = payload.new;
+    onMessageChangeRef.current?.(payload);
 
-    // Only process messages for the current room
-    if (roomId && newMessage.room_id === roomId) {
+    // Only process top-level messages for the current room; thread replies belong to useChatThread
+    if (roomId && newMessage.room_id === roomId && !newMessage.parent_message_id) {
       updateMessageList(newMessage);
     }
   }, [roomId, updateMessageList]);
 
+  // Handle an edited or deleted (tombstoned) message received from subscription
+  const handleMessageUpdate = useCallback((payload) => {
+    onMessageChangeRef.current?.(payload);
+
+    if (roomId && payload.new?.room_id === roomId) {
+      applyMessageUpdate(payload.new);
+    }
+  }, [roomId, applyMessageUpdate]);
+
+  // Handle a message removed from the table (e.g. with its room); only its ID is sent
+  const handleMessageRemoval = useCallback((payload) => {
+    const removedId = payload.old?.id;
+    if (removedId) {
+      setMessages((prevMessages) => prevMessages.filter((msg) => msg.id !== removedId));
+    }
+  }, []);
+
+  // Handle a reaction added in the room
+  const handleNewReaction = useCallback((payload) => {
+    if (roomId && payload.new?.room_id === roomId) {
+      applyReaction(payload.new);
+    }
+  }, [roomId, applyReaction]);
+
+  // Handle a removed reaction; like message removals, these arrive unfiltered with only the ID
+  const handleReactionRemoval = useCallback((payload) => {
+    if (payload.old?.id) {
+      removeReaction(payload.old.id);
+    }
+  }, [removeReaction]);
+
+  // Handle an attachment saved in the room
+  const handleNewAttachment = useCallback((payload) => {
+    if (roomId && payload.new?.room_id === roomId) {
+      applyAttachment(payload.new);
+    }
+  }, [roomId, applyAttachment]);
+
+  // Handle a removed attachment (its message was deleted); these also arrive unfiltered
+  const handleAttachmentRemoval = useCallback((payload) => {
+    if (payload.old?.id) {
+      removeAttachment(payload.old.id);
+    }
+  }, [removeAttachment]);
+
   // Fetch online users from the database
   const fetchOnlineUsers = useCallback(async () => {
     try {
@@ -210,8 +477,47 @@ export const useChatRealtime = (
     // Clean up any existing subscriptions
     cleanupSubscriptions();
 
+    // Older pages are only loaded once the newest one is in
+    currentRoomRef.current = roomId;
+    isLoadingOlderRef.current = false;
+    setIsLoadingOlder(false);
+    setHasMoreMessages(false);
+    isLoadingNewerRef.current = false;
+    setIsLoadingNewer(false);
+    setNewerGaps([]);
+
+    // Guards async callbacks against a room change or unmount
+    let isMounted = true;
+
+    // Follow the websocket through the message channel: it errors when the connection drops
+    // and subscribes again once Realtime reconnects, at which point we catch up on messages
+    const handleChannelStatus = (status) => {
+      if (!isMounted) {
+        return;
+      }
+
+      if (status === 'SUBSCRIBED') {
+        setIsConnected(true);
+
+        if (hasDropped.current && roomId) {
+          hasDropped.current = false;
+          fetchChatMessages(roomId)
+            .then((serverMessages) => {
+              if (isMounted) {
+                mergeServerMessages(serverMessages);
+              }
+            })
+            .catch((err) => console.error('Error reloading messages after reconnecting:', err));
+        }
+      } else if (DISCONNECTED_STATUSES.includes(status)) {
+        hasDropped.current = true;
+        setIsConnected(false);
+      }
+    };
+
     try {
-      // 1. Subscribe to new messages with specific room filter if we have a roomId
+      // 1. Subscribe to new, edited and deleted messages, their reactions and attachments,
+      // with a room filter if we have a roomId
       // This ensures we only get events for this specific room
       subscriptions.current.messages = supabase
         .channel('public:chat_messages')
@@ -224,7 +530,47 @@ export const useChatRealtime = (
           },
           handleNewMessage
         )
-        .subscribe();
+        .on('postgres_changes',
+          {
+            event: 'UPDATE',
+            schema: 'public',
+            table: 'chat_messages',
+            ...(roomId ? { filter: `room_id=eq.${roomId}` } : {})
+          },
+          handleMessageUpdate
+        )
+        // Realtime can't filter DELETE events, so this one is not limited to the room
+        .on('postgres_changes',
+          { event: 'DELETE', schema: 'public', table: 'chat_messages' },
+          handleMessageRemoval
+        )
+        .on('postgres_changes',
+          {
+            event: 'INSERT',
+            schema: 'public',
+            table: 'chat_message_reactions',
+            ...(roomId ? { filter: `room_id=eq.${roomId}` } : {})
+          },
+          handleNewReaction
+        )
+        .on('postgres_changes',
+          { event: 'DELETE', schema: 'public', table: 'chat_message_reactions' },
+          handleReactionRemoval
+        )
+        .on('postgres_changes',
+          {
+            event: 'INSERT',
+            schema: 'public',
+            table: 'chat_message_attachments',
+            ...(roomId ? { filter: `room_id=eq.${roomId}` } : {})
+          },
+          handleNewAttachment
+        )
+        .on('postgres_changes',
+          { event: 'DELETE', schema: 'public', table: 'chat_message_attachments' },
+          handleAttachmentRemoval
+        )
+        .subscribe(handleChannelStatus);
 
       // 2. Subscribe to presence changes
       subscriptions.current.presence = supabase
@@ -256,15 +602,15 @@ export const useChatRealtime = (
       updatePresence();
 
       // 5. If we have a roomId, load existing messages from the database
-      let isMounted = true;
       if (roomId) {
         // Load existing messages but with a guard for component unmounting
         fetchChatMessages(roomId)
           .then((initialMessages) => {
             // Only update if component is still mounted and we have the same roomId
             if (isMounted && initialMessages && initialMessages.length > 0) {
-              // Set all messages at once to avoid multiple renders
-              setMessages(initialMessages);
+              // Merged rather than set, so history loaded by a jump to an older message is kept
+              mergeServerMessages(initialMessages);
+              setHasMoreMessages((hasMore) => hasMore || initialMessages.length === MESSAGE_PAGE_SIZE);
             }
           })
           .catch((err) => {
@@ -294,10 +640,17 @@ export const useChatRealtime = (
     supabaseUser,
     roomId,
     handleNewMessage,
+    handleMessageUpdate,
+    handleMessageRemoval,
+    handleNewReaction,
+    handleReactionRemoval,
+    handleNewAttachment,
+    handleAttachmentRemoval,
     handlePresenceChange,
     handleMembershipChange,
     cleanupSubscriptions,
-    updatePresence
+    updatePresence,
+    mergeServerMessages
     // We intentionally exclude messages to prevent infinite loops
   ]);
 
@@ -306,11 +659,32 @@ export const useChatRealtime = (
     updateMessageList(message);
   }, [updateMessageList]);
 
+  // Update a message that only exists locally (e.g. its delivery state)
+  const updateLocalMessage = useCallback((messageId, changes) => {
+    setMessages((prevMessages) => prevMessages.map((msg) =>
+      (msg.id === messageId && msg.delivery ? { ...msg, ...changes } : msg)
+    ));
+  }, []);
+
   return {
     messages,
     onlineUsers,
     isSubscribed,
+    isConnected,
     error,
-    addLocalMessage
+    hasMoreMessages,
+    isLoadingOlder,
+    loadOlderMessages,
+    loadMessagesFrom,
+    newerGaps,
+    isLoadingNewer,
+    loadNewerMessages,
+    addLocalMessage,
+    updateLocalMessage,
+    applyMessageUpdate,
+    applyReaction,
+    removeReaction,
+    applyAttachment,
+    removeAttachment
   };
 };
\ No newline at end of file
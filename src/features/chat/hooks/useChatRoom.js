@@ -2,16 +2,51 @@
  * Custom hook to handle chat room operations
  * Manages room data, messages, and actions like sending messages
  */
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { v4 as uuidv4 } from 'uuid';
 import { useSupabaseUserContext } from '../../auth/contexts/SupabaseUserProvider';
 import {
   sendChatMessage,
+  uploadChatAttachments,
+  editChatMessage,
+  deleteChatMessage,
+  addMessageReaction,
+  removeMessageReaction,
+  markRoomRead,
   joinChatRoom,
   leaveChatRoom,
   getChatRoomMembers,
   getChatRoomDetails
 } from '../services/chatService';
 import { useChatRealtime } from './useChatRealtime';
+import { usePeerMesh } from './usePeerMesh';
+import { findOwnReaction } from '../utils/reactions';
+
+// Mesh message type carrying a chat message
+const MESH_CHAT_MESSAGE = 'chat-message';
+
+// How far a peer's send time may be from when its message arrived
+const PEER_CLOCK_TOLERANCE_MS = 60 * 1000;
+
+/**
+ * Pick the send time shown for a message relayed by a peer
+ * Peers set their own send time, so it is kept within PEER_CLOCK_TOLERANCE_MS of the arrival time;
+ * otherwise a peer could place its message anywhere in the list
+ * @param {string} createdAt - Send time given by the peer
+ * @param {number} receivedAt - When the message arrived, in milliseconds
+ * @returns {string} Send time to save (ISO string)
+ */
+const clampPeerSendTime = (createdAt, receivedAt) => {
+  const sentAt = Date.parse(createdAt);
+  if (Number.isNaN(sentAt)) {
+    return new Date(receivedAt).toISOString();
+  }
+
+  return new Date(Math.min(
+    Math.max(sentAt, receivedAt - PEER_CLOCK_TOLERANCE_MS),
+    receivedAt + PEER_CLOCK_TOLERANCE_MS
+  )).toISOString();
+};
 
 /**
  * Hook for managing a specific chat room
@@ -26,6 +61,7 @@ export const useChatRoom = (roomId) => {
   const [hasJoined, setHasJoined] = useState(false);
   const [pendingMessages, setPendingMessages] = useState([]);
   const [roomExists, setRoomExists] = useState(true);
+  const [room, setRoom] = useState(null);
 
   // Check if room still exists
   const checkRoomExists = useCallback(async () => {
@@ -37,6 +73,7 @@ export const useChatRoom = (roomId) => {
       const roomDetails = await getChatRoomDetails(roomId);
       const exists = !!roomDetails;
       setRoomExists(exists);
+      setRoom(roomDetails);
       return exists;
     } catch (err) {
       console.error('Error checking if room exists:', err);
@@ -72,6 +109,16 @@ export const useChatRoom = (roomId) => {
 
   // Handle membership changes - refresh the members list and check if user is still a member
   const handleMembershipChange = useCallback((payload) => {
+    // A member's read position moved; apply it without reloading everyone
+    if (payload.eventType === 'UPDATE' && payload.new?.id) {
+      setMembers((prevMembers) => prevMembers.map((member) => (
+        member.id === payload.new.id
+          ? { ...member, last_read_message_id: payload.new.last_read_message_id }
+          : member
+      )));
+      return;
+    }
+
     // Refresh the members list to get the updated membership status
     loadMembers();
 
@@ -89,9 +136,94 @@ export const useChatRoom = (roomId) => {
     messages: realtimeMessages,
     onlineUsers,
     isSubscribed,
-    addLocalMessage
+    isConnected,
+    hasMoreMessages,
+    isLoadingOlder,
+    loadOlderMessages,
+    loadMessagesFrom,
+    newerGaps,
+    isLoadingNewer,
+    loadNewerMessages,
+    addLocalMessage,
+    updateLocalMessage,
+    applyMessageUpdate,
+    applyReaction,
+    removeReaction
   } = useChatRealtime(roomId, null, handleMembershipChange);
 
+  // The user's own messages sent while offline (some delivered peer-to-peer), still to be saved
+  const outbox = useRef(new Map());
+  const isFlushing = useRef(false);
+
+  // Save everything in the outbox; IDs make this safe to repeat
+  const flushOutbox = useCallback(async () => {
+    if (isFlushing.current || !supabaseUser) {
+      return;
+    }
+
+    isFlushing.current = true;
+    try {
+      for (const message of Array.from(outbox.current.values())) {
+        try {
+          await sendChatMessage(supabaseUser.id, message.room_id, message.message, {
+            id: message.id,
+            createdAt: message.created_at
+          });
+          outbox.current.delete(message.id);
+          updateLocalMessage(message.id, { delivery: undefined });
+          setPendingMessages((prev) => prev.filter((msg) => msg.id !== message.id));
+        } catch (err) {
+          // Still unreachable; the message stays queued for the next reconnect
+          console.error('Error saving message sent while offline:', err);
+        }
+      }
+    } finally {
+      isFlushing.current = false;
+    }
+  }, [supabaseUser, updateLocalMessage]);
+
+  // Catch up as soon as the Realtime connection is back
+  useEffect(() => {
+    if (isConnected && outbox.current.size > 0) {
+      flushOutbox();
+    }
+  }, [isConnected, flushOutbox]);
+
+  const memberKey = members
+    .map((member) => member.users?.id)
+    .filter(Boolean)
+    .sort()
+    .join(',');
+  const memberIds = useMemo(() => (memberKey ? memberKey.split(',') : []), [memberKey]);
+
+  // A message sent by a peer over the mesh
+  const handlePeerMessage = useCallback((peerId, data) => {
+    const message = data?.message;
+
+    // Peers may only post as themselves, in this room
+    if (data?.type !== MESH_CHAT_MESSAGE || !message?.id || typeof message.message !== 'string'
+      || message.room_id !== roomId || message.user_id !== peerId) {
+      return;
+    }
+
+    const received = {
+      id: message.id,
+      room_id: roomId,
+      user_id: peerId,
+      message: message.message,
+      message_type: 'text',
+      created_at: clampPeerSendTime(message.created_at, Date.now()),
+      users: members.find((member) => member.users?.id === peerId)?.users || null,
+      delivery: 'p2p'
+    };
+
+    // Only shown here: the sender can't be verified over the mesh, so the message is saved by the
+    // author's own client once it reconnects, and the saved copy then replaces this one
+    addLocalMessage(received);
+  }, [roomId, members, addLocalMessage]);
+
+  const { peerCount, broadcast } = usePeerMesh(roomId, memberIds, hasJoined, handlePeerMessage);
+
   // Join the current room
   const joinRoom = useCallback(async () => {
     if (!roomId || !supabaseUser) {
@@ -149,20 +281,29 @@ export const useChatRoom = (roomId) => {
     }
   }, [roomId, supabaseUser, loadMembers, checkRoomExists]);
 
-  // Send a message in the current room
-  const sendMessage = useCallback(async (messageText) => {
-    // Validate input
-    const trimmedMessage = messageText?.trim();
-    if (!roomId || !supabaseUser || !trimmedMessage) {
+  // Send a message in the current room, optionally with files attached; a voice message is a
+  // single recorded file, sent with its duration and waveform
+  const sendMessage = useCallback(async (messageText, files = [], { voice = null } = {}) => {
+    // Validate input; a message with attachments doesn't need any text
+    const trimmedMessage = messageText?.trim() || '';
+    if (!roomId || !supabaseUser || (!trimmedMessage && files.length === 0)) {
       return;
     }
 
-    // First check if the room still exists
-    const exists = await checkRoomExists();
-    if (!exists) {
+    // Files go to Storage, which peers can't stand in for
+    if (files.length > 0 && !isConnected) {
+      setError('Files can only be sent while connected');
       return;
     }
 
+    // First check if the room still exists (only possible while the backend is reachable)
+    if (isConnected) {
+      const exists = await checkRoomExists();
+      if (!exists) {
+        return;
+      }
+    }
+
     // Create the user data object once to avoid duplication
     const userData = {
       id: supabaseUser.id,
@@ -170,39 +311,201 @@ export const useChatRoom = (roomId) => {
       image_url: supabaseUser.image_url
     };
 
-    // Create a temporary message for optimistic UI update
-    const tempId = `temp-${Date.now()}`;
-    const tempMessage = {
-      id: tempId,
+    const voiceDetails = voice ? { duration_ms: voice.durationMs, waveform: voice.waveform } : {};
+
+    // Create the message with its final ID, so every copy of it (optimistic, peer-to-peer
+    // and saved) can be matched up without duplicates
+    const messageId = uuidv4();
+    const localMessage = {
+      id: messageId,
       room_id: roomId,
       user_id: supabaseUser.id,
       message: trimmedMessage,
+      message_type: 'text',
       created_at: new Date().toISOString(),
-      users: userData
+      users: userData,
+      delivery: 'sending',
+      // Placeholders shown until the files are uploaded
+      attachments: files.map((file, index) => ({
+        id: `uploading-${messageId}-${index}`,
+        file_name: file.name,
+        mime_type: file.type,
+        size_bytes: file.size,
+        ...voiceDetails,
+        uploading: true
+      }))
     };
 
     // Add to pending messages to track status
-    setPendingMessages((prev) => [...prev, { id: tempId, text: trimmedMessage }]);
+    setPendingMessages((prev) => [...prev, { id: messageId, text: trimmedMessage }]);
 
     // Add message to local state immediately (optimistic update)
-    addLocalMessage(tempMessage);
+    addLocalMessage(localMessage);
+
+    // While the websocket is down, hand the message straight to members who have the room open
+    const sentToPeers = !isConnected
+      && broadcast({ type: MESH_CHAT_MESSAGE, message: { ...localMessage, delivery: undefined } }) > 0;
+    if (sentToPeers) {
+      updateLocalMessage(messageId, { delivery: 'p2p' });
+    }
 
     try {
+      // Upload the files first; the message is only saved once they are all in Storage
+      const attachments = files.length > 0
+        ? (await uploadChatAttachments(supabaseUser.id, roomId, messageId, files))
+          .map((attachment) => ({ ...attachment, ...voiceDetails }))
+        : [];
+
       // Send to server
-      await sendChatMessage(supabaseUser.id, roomId, trimmedMessage);
+      const saved = await sendChatMessage(supabaseUser.id, roomId, trimmedMessage, { id: messageId, attachments });
+      updateLocalMessage(messageId, { delivery: undefined });
+      if (saved?.attachments.length) {
+        applyMessageUpdate({ id: messageId, attachments: saved.attachments });
+      }
 
       // Remove from pending messages
-      setPendingMessages((prev) => prev.filter((msg) => msg.id !== tempId));
+      setPendingMessages((prev) => prev.filter((msg) => msg.id !== messageId));
     } catch (err) {
+      if (!isConnected) {
+        // Offline: keep the message and save it once the connection is back
+        outbox.current.set(messageId, { ...localMessage, delivery: sentToPeers ? 'p2p' : 'sending' });
+        return;
+      }
+
       // Handle the error but keep the UI responsive
       const errorMessage = err.message || 'Failed to send message';
       console.error(`Error sending message: ${errorMessage}`);
       setError(errorMessage);
 
+      // Files that never made it are shown as failed rather than uploading forever
+      if (files.length > 0) {
+        updateLocalMessage(messageId, {
+          attachments: localMessage.attachments.map((attachment) => ({ ...attachment, uploading: false, failed: true }))
+        });
+      }
+
       // We could add a visual indicator that the message failed to send
       // but we leave the temp message in the UI to allow for retry
     }
-  }, [roomId, supabaseUser, addLocalMessage, checkRoomExists]);
+  }, [
+    roomId,
+    supabaseUser,
+    isConnected,
+    addLocalMessage,
+    updateLocalMessage,
+    applyMessageUpdate,
+    broadcast,
+    checkRoomExists
+  ]);
+
+  // Edit one of the user's own messages; resolves with whether the edit was saved
+  const editMessage = useCallback(async (messageId, messageText) => {
+    const trimmedMessage = messageText?.trim();
+    if (!supabaseUser || !messageId || !trimmedMessage) {
+      return false;
+    }
+
+    // Edits need the backend; messages only delivered peer-to-peer aren't saved yet
+    if (!isConnected) {
+      setError('Messages can only be edited while connected');
+      return false;
+    }
+
+    try {
+      const updated = await editChatMessage(supabaseUser.id, messageId, trimmedMessage);
+      applyMessageUpdate(updated);
+      return true;
+    } catch (err) {
+      console.error('Error editing message:', err);
+      setError(err.message);
+      return false;
+    }
+  }, [supabaseUser, isConnected, applyMessageUpdate]);
+
+  // Delete a message (the user's own, or any message when they are the room admin)
+  const deleteMessage = useCallback(async (messageId) => {
+    if (!supabaseUser || !messageId) {
+      return false;
+    }
+
+    if (!isConnected) {
+      setError('Messages can only be deleted while connected');
+      return false;
+    }
+
+    try {
+      const tombstone = await deleteChatMessage(supabaseUser.id, messageId);
+      applyMessageUpdate(tombstone);
+      return true;
+    } catch (err) {
+      console.error('Error deleting message:', err);
+      setError(err.message);
+      return false;
+    }
+  }, [supabaseUser, isConnected, applyMessageUpdate]);
+
+  // Add the user's reaction with an emoji to a message, or take it back if it is already there
+  const toggleReaction = useCallback(async (messageId, emoji) => {
+    if (!supabaseUser || !roomId || !messageId || !emoji) {
+      return;
+    }
+
+    if (!isConnected) {
+      setError('Reactions can only be changed while connected');
+      return;
+    }
+
+    const message = realtimeMessages.find((msg) => msg.id === messageId);
+    const ownReaction = findOwnReaction(message, supabaseUser.id, emoji);
+
+    try {
+      if (ownReaction) {
+        removeReaction(ownReaction.id);
+        await removeMessageReaction(supabaseUser.id, messageId, emoji);
+      } else {
+        applyReaction(await addMessageReaction(supabaseUser.id, roomId, messageId, emoji));
+      }
+    } catch (err) {
+      console.error('Error changing reaction:', err);
+      setError(err.message);
+
+      // Put back a reaction that couldn't be removed
+      if (ownReaction) {
+        applyReaction(ownReaction);
+      }
+    }
+  }, [roomId, supabaseUser, isConnected, realtimeMessages, applyReaction, removeReaction]);
+
+  // The newest message the user is known to have read, so scrolling back doesn't resend older ones
+  const lastReadRef = useRef(null);
+
+  // Move the user's read position forward to a message they have seen
+  const markMessageRead = useCallback(async (message) => {
+    if (!supabaseUser || !roomId || !hasJoined || !isConnected || !message?.id
+      || message.delivery || message.parent_message_id) {
+      return;
+    }
+
+    const ownMembership = members.find((member) => member.users?.id === supabaseUser.id);
+    const lastRead = lastReadRef.current
+      || realtimeMessages.find((msg) => msg.id === ownMembership?.last_read_message_id);
+    if (lastRead && (lastRead.id === message.id || new Date(lastRead.created_at) > new Date(message.created_at))) {
+      return;
+    }
+
+    lastReadRef.current = message;
+
+    try {
+      const lastReadId = await markRoomRead(supabaseUser.id, roomId, message.id);
+      setMembers((prevMembers) => prevMembers.map((member) => (
+        member.users?.id === supabaseUser.id ? { ...member, last_read_message_id: lastReadId } : member
+      )));
+    } catch (err) {
+      // Not worth interrupting the user for; the next message seen tries again
+      console.error('Error updating read position:', err);
+      lastReadRef.current = lastRead || null;
+    }
+  }, [roomId, supabaseUser, hasJoined, isConnected, members, realtimeMessages]);
 
   // Reset state when roomId changes
   useEffect(() => {
@@ -215,6 +518,8 @@ export const useChatRoom = (roomId) => {
       setHasJoined(false);
       setPendingMessages([]);
       setRoomExists(true);
+      setRoom(null);
+      lastReadRef.current = null;
     }
     // Initial state will be set by subsequent effects
   }, [roomId]);
@@ -255,7 +560,20 @@ export const useChatRoom = (roomId) => {
     loading,
     error,
     isSubscribed,
+    isConnected,
+    peerCount,
+    hasMoreMessages,
+    isLoadingOlder,
+    loadOlderMessages,
+    loadMessagesFrom,
+    newerGaps,
+    isLoadingNewer,
+    loadNewerMessages,
     sendMessage,
+    editMessage,
+    deleteMessage,
+    toggleReaction,
+    markMessageRead,
     joinRoom,
     leaveRoom,
     refreshMembers: loadMembers,
@@ -264,6 +582,7 @@ export const useChatRoom = (roomId) => {
       setTimeout(() => setLoading(false), 300);
     },
     hasPendingMessages: pendingMessages.length > 0,
-    roomExists
+    roomExists,
+    isRoomAdmin: Boolean(room && supabaseUser && room.created_by === supabaseUser.id)
   };
 };
\ No newline at end of file
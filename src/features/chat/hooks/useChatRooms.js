@@ -10,6 +10,8 @@ import {
   isRoomEmpty,
   deleteChatRoom
 } from '../services/chatService';
+import { addMessageToRooms, updateMessageInRooms } from '../utils/roomActivity';
+import { useMentionCounts } from './useMentionCounts';
 
 /**
  * Hook for managing chat rooms
@@ -22,6 +24,13 @@ export const useChatRooms = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const emptyRoomCheckInterval = useRef(null);
+  const mentionCounts = useMentionCounts(selectedRoomId);
+
+  // Read when messages arrive, so changing rooms doesn't resubscribe the realtime callback
+  const selectedRoomRef = useRef(selectedRoomId);
+  useEffect(() => {
+    selectedRoomRef.current = selectedRoomId;
+  }, [selectedRoomId]);
 
   // Load all available rooms
   const loadRooms = useCallback(async () => {
@@ -34,7 +43,10 @@ export const useChatRooms = () => {
     try {
       setLoading(true);
       const roomsData = await fetchChatRooms(supabaseUser.id);
-      setRooms(roomsData || []);
+      // The open room is being read, so nothing in it counts as unread
+      setRooms((roomsData || []).map((room) => (
+        room.id === selectedRoomRef.current ? { ...room, unread_count: 0 } : room
+      )));
       setError(null);
     } catch (err) {
       console.error('Error loading chat rooms:', err);
@@ -78,6 +90,29 @@ export const useChatRooms = () => {
     }
   }, [selectedRoomId]);
 
+  // Update the room list's unread counts and previews from a realtime message change
+  const applyMessageChange = useCallback((payload) => {
+    const message = payload.new;
+    if (!message?.id || !supabaseUser) {
+      return;
+    }
+
+    setRooms((prevRooms) => (payload.eventType === 'INSERT'
+      ? addMessageToRooms(prevRooms, message, supabaseUser.id, selectedRoomRef.current)
+      : updateMessageInRooms(prevRooms, message)));
+  }, [supabaseUser]);
+
+  // Opening a room clears its unread count
+  useEffect(() => {
+    if (!selectedRoomId) {
+      return;
+    }
+
+    setRooms((prevRooms) => (prevRooms.some((room) => room.id === selectedRoomId && room.unread_count)
+      ? prevRooms.map((room) => (room.id === selectedRoomId ? { ...room, unread_count: 0 } : room))
+      : prevRooms));
+  }, [selectedRoomId]);
+
   // Delete a chat room and its messages
   const handleDeleteRoom = useCallback(async (roomId) => {
     if (!supabaseUser || !roomId) {
@@ -163,12 +198,14 @@ export const useChatRooms = () => {
   return {
     rooms,
     selectedRoomId,
+    mentionCounts,
     loading,
     error,
     loadRooms,
     createRoom: handleCreateRoom,
     selectRoom,
     deleteRoom: handleDeleteRoom,
-    checkEmptyRooms: checkAndDeleteEmptyRooms
+    checkEmptyRooms: checkAndDeleteEmptyRooms,
+    applyMessageChange
   };
 };
\ No newline at end of file
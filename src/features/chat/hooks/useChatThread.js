@@ -0,0 +1,233 @@
+/**
+ * Custom hook to handle a message thread
+ * Loads the replies to a top-level message, keeps them and their reactions live and sends new replies
+ */
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { v4 as uuidv4 } from 'uuid';
+import { supabase } from '../../../supabaseClient';
+import { useSupabaseUserContext } from '../../auth/contexts/SupabaseUserProvider';
+import {
+  fetchThreadMessages,
+  sendChatMessage,
+  editChatMessage,
+  deleteChatMessage,
+  addMessageReaction,
+  removeMessageReaction
+} from '../services/chatService';
+import { addReactionToMessages, removeReactionFromMessages, findOwnReaction } from '../utils/reactions';
+
+/**
+ * Hook for the thread started by a message
+ * @param {string} roomId - ID of the room the thread belongs to
+ * @param {string} parentMessageId - ID of the message that started the thread (null when no thread is open)
+ * @param {Array} members - Room members, used for the sender details of replies arriving live
+ * @returns {object} Thread replies (newest first) and operations
+ */
+export const useChatThread = (roomId, parentMessageId, members) => {
+  const { supabaseUser } = useSupabaseUserContext();
+  const [replies, setReplies] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Realtime rows carry no joined user, so the sender is looked up among the room members
+  // (kept in a ref, so a refreshed members list doesn't reload the thread)
+  const membersRef = useRef(members);
+  useEffect(() => {
+    membersRef.current = members;
+  }, [members]);
+
+  // Add a reply, or merge it into the copy we already have (keeping its sender details)
+  const upsertReply = useCallback((reply) => {
+    if (!reply?.id) {
+      return;
+    }
+
+    setReplies((prevReplies) => {
+      const index = prevReplies.findIndex((msg) => msg.id === reply.id);
+      if (index === -1) {
+        const users = reply.users
+          || membersRef.current.find((member) => member.users?.id === reply.user_id)?.users
+          || null;
+
+        return [{ ...reply, users }, ...prevReplies]
+          .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+      }
+
+      const updated = [...prevReplies];
+      updated[index] = { ...prevReplies[index], ...reply, users: prevReplies[index].users || reply.users };
+      return updated;
+    });
+  }, []);
+
+  // Add a reaction to the reply it belongs to, if it is in this thread
+  const applyReaction = useCallback((reaction) => {
+    setReplies((prevReplies) => addReactionToMessages(prevReplies, reaction));
+  }, []);
+
+  // Take a removed reaction off its reply
+  const removeReaction = useCallback((reactionId) => {
+    setReplies((prevReplies) => removeReactionFromMessages(prevReplies, reactionId));
+  }, []);
+
+  // Load the thread and follow new, edited and deleted replies and their reactions
+  useEffect(() => {
+    setReplies([]);
+    setError(null);
+
+    if (!parentMessageId || !supabaseUser) {
+      return undefined;
+    }
+
+    let isMounted = true;
+    setLoading(true);
+
+    fetchThreadMessages(parentMessageId)
+      .then((data) => {
+        if (isMounted) {
+          setReplies(data);
+        }
+      })
+      .catch((err) => {
+        if (isMounted) {
+          console.error('Error loading thread:', err);
+          setError(err.message);
+        }
+      })
+      .finally(() => {
+        if (isMounted) {
+          setLoading(false);
+        }
+      });
+
+    const filter = `parent_message_id=eq.${parentMessageId}`;
+    const channel = supabase
+      .channel(`chat-thread:${parentMessageId}`)
+      .on('postgres_changes',
+        { event: 'INSERT', schema: 'public', table: 'chat_messages', filter },
+        (payload) => upsertReply(payload.new)
+      )
+      .on('postgres_changes',
+        { event: 'UPDATE', schema: 'public', table: 'chat_messages', filter },
+        (payload) => upsertReply(payload.new)
+      )
+      // Reactions can only be filtered by room; the ones on other messages are skipped
+      .on('postgres_changes',
+        { event: 'INSERT', schema: 'public', table: 'chat_message_reactions', filter: `room_id=eq.${roomId}` },
+        (payload) => applyReaction(payload.new)
+      )
+      .on('postgres_changes',
+        { event: 'DELETE', schema: 'public', table: 'chat_message_reactions' },
+        (payload) => removeReaction(payload.old?.id)
+      )
+      .subscribe();
+
+    return () => {
+      isMounted = false;
+      supabase.removeChannel(channel);
+    };
+  }, [roomId, parentMessageId, supabaseUser, upsertReply, applyReaction, removeReaction]);
+
+  // Reply in the thread, showing the reply straight away
+  const sendReply = useCallback(async (messageText) => {
+    const trimmedMessage = messageText?.trim();
+    if (!roomId || !parentMessageId || !supabaseUser || !trimmedMessage) {
+      return;
+    }
+
+    const replyId = uuidv4();
+    upsertReply({
+      id: replyId,
+      room_id: roomId,
+      user_id: supabaseUser.id,
+      parent_message_id: parentMessageId,
+      message: trimmedMessage,
+      message_type: 'text',
+      created_at: new Date().toISOString(),
+      users: {
+        id: supabaseUser.id,
+        full_name: supabaseUser.full_name,
+        image_url: supabaseUser.image_url
+      },
+      delivery: 'sending'
+    });
+
+    try {
+      const saved = await sendChatMessage(supabaseUser.id, roomId, trimmedMessage, {
+        id: replyId,
+        parentMessageId
+      });
+      // A null result means the reply was already saved
+      upsertReply({ ...(saved || {}), id: replyId, delivery: undefined });
+    } catch (err) {
+      console.error('Error sending reply:', err);
+      setError(err.message);
+    }
+  }, [roomId, parentMessageId, supabaseUser, upsertReply]);
+
+  // Edit one of the user's replies; resolves with whether the edit was saved
+  const editReply = useCallback(async (messageId, messageText) => {
+    if (!supabaseUser) {
+      return false;
+    }
+
+    try {
+      upsertReply(await editChatMessage(supabaseUser.id, messageId, messageText));
+      return true;
+    } catch (err) {
+      console.error('Error editing reply:', err);
+      setError(err.message);
+      return false;
+    }
+  }, [supabaseUser, upsertReply]);
+
+  // Delete a reply, leaving a tombstone in the thread
+  const deleteReply = useCallback(async (messageId) => {
+    if (!supabaseUser) {
+      return false;
+    }
+
+    try {
+      upsertReply(await deleteChatMessage(supabaseUser.id, messageId));
+      return true;
+    } catch (err) {
+      console.error('Error deleting reply:', err);
+      setError(err.message);
+      return false;
+    }
+  }, [supabaseUser, upsertReply]);
+
+  // Add or take back the user's reaction with an emoji on a reply
+  const toggleReaction = useCallback(async (messageId, emoji) => {
+    if (!supabaseUser || !roomId) {
+      return;
+    }
+
+    const ownReaction = findOwnReaction(replies.find((msg) => msg.id === messageId), supabaseUser.id, emoji);
+
+    try {
+      if (ownReaction) {
+        removeReaction(ownReaction.id);
+        await removeMessageReaction(supabaseUser.id, messageId, emoji);
+      } else {
+        applyReaction(await addMessageReaction(supabaseUser.id, roomId, messageId, emoji));
+      }
+    } catch (err) {
+      console.error('Error changing reaction:', err);
+      setError(err.message);
+
+      if (ownReaction) {
+        applyReaction(ownReaction);
+      }
+    }
+  }, [roomId, supabaseUser, replies, applyReaction, removeReaction]);
+
+  return {
+    replies,
+    loading,
+    error,
+    sendReply,
+    editReply,
+    deleteReply,
+    toggleReaction
+  };
+};
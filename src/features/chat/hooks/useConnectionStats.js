@@ -0,0 +1,141 @@
+/**
+ * Custom hook to monitor the quality of WebRTC connections
+ * Polls getStats() on every connection and steps outgoing video down (or back up) as quality changes
+ */
+import { useState, useEffect, useRef } from 'react';
+import {
+  CONNECTION_QUALITY,
+  AUDIO_ONLY_LEVEL,
+  readConnectionStats,
+  applyQualityLevel
+} from '../utils/callStats';
+
+// How often connections are sampled
+const STATS_INTERVAL_MS = 2000;
+
+// Consecutive poor samples before stepping down a level
+const DEGRADE_AFTER_SAMPLES = 2;
+
+// Consecutive good samples before stepping back up (slower, so quality doesn't flap)
+const RECOVER_AFTER_SAMPLES = 5;
+
+// Order used to pick the worst quality across connections
+const QUALITY_RANK = {
+  [CONNECTION_QUALITY.GOOD]: 0,
+  [CONNECTION_QUALITY.FAIR]: 1,
+  [CONNECTION_QUALITY.POOR]: 2
+};
+
+/**
+ * Work out the next quality level of a connection from its latest rating
+ * @param {object} entry - Tracked connection state (level and sample streaks), updated in place
+ * @param {string} quality - Latest rating, one of CONNECTION_QUALITY
+ * @returns {number} The level the connection should be at
+ */
+const nextQualityLevel = (entry, quality) => {
+  entry.poorStreak = quality === CONNECTION_QUALITY.POOR ? entry.poorStreak + 1 : 0;
+  entry.goodStreak = quality === CONNECTION_QUALITY.GOOD ? entry.goodStreak + 1 : 0;
+
+  if (entry.poorStreak >= DEGRADE_AFTER_SAMPLES && entry.level < AUDIO_ONLY_LEVEL) {
+    entry.poorStreak = 0;
+    return entry.level + 1;
+  }
+
+  if (entry.goodStreak >= RECOVER_AFTER_SAMPLES && entry.level > 0) {
+    entry.goodStreak = 0;
+    return entry.level - 1;
+  }
+
+  return entry.level;
+};
+
+/**
+ * Hook for live connection stats with automatic quality adaptation
+ * @param {Function} getConnections - Returns the current connections as [key, RTCPeerConnection] pairs
+ * @param {boolean} active - Whether a call is running and connections should be polled
+ * @returns {object} Latest stats keyed by connection, the worst quality and the lowest level in use
+ */
+export const useConnectionStats = (getConnections, active) => {
+  const [stats, setStats] = useState({});
+
+  // Connections live in refs owned by the calling hook, so read them through the latest getter
+  const getConnectionsRef = useRef(getConnections);
+  useEffect(() => {
+    getConnectionsRef.current = getConnections;
+  }, [getConnections]);
+
+  useEffect(() => {
+    if (!active) {
+      setStats({});
+      return undefined;
+    }
+
+    // Per-connection state: { pc, previous, level, poorStreak, goodStreak }
+    const tracked = new Map();
+    let cancelled = false;
+
+    const poll = async () => {
+      const connections = getConnectionsRef.current();
+      const keys = connections.map(([key]) => key);
+
+      tracked.forEach((entry, key) => {
+        if (!keys.includes(key)) {
+          tracked.delete(key);
+        }
+      });
+
+      const samples = await Promise.all(connections.map(async ([key, pc]) => {
+        if (pc.connectionState !== 'connected') {
+          return null;
+        }
+
+        let entry = tracked.get(key);
+        if (!entry || entry.pc !== pc) {
+          entry = { pc, previous: null, level: 0, poorStreak: 0, goodStreak: 0 };
+          tracked.set(key, entry);
+        }
+
+        try {
+          const sample = await readConnectionStats(pc, entry.previous);
+          entry.previous = sample;
+
+          // Only rate samples that cover an interval, so a single slow first reading can't degrade the call
+          if (sample.inboundBitrate !== null) {
+            const level = nextQualityLevel(entry, sample.quality);
+            if (level !== entry.level) {
+              await applyQualityLevel(pc, level);
+              entry.level = level;
+            }
+          }
+
+          return [key, { ...sample, level: entry.level }];
+        } catch (err) {
+          console.error('Error reading connection stats:', err);
+          return null;
+        }
+      }));
+
+      if (!cancelled) {
+        setStats(Object.fromEntries(samples.filter(Boolean)));
+      }
+    };
+
+    poll();
+    const timer = setInterval(poll, STATS_INTERVAL_MS);
+
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [active]);
+
+  const samples = Object.values(stats);
+
+  return {
+    stats,
+    quality: samples.reduce((worst, sample) =>
+      (worst === null || QUALITY_RANK[sample.quality] > QUALITY_RANK[worst] ? sample.quality : worst)
+    , null),
+    level: samples.reduce((lowest, sample) => Math.max(lowest, sample.level), 0)
+  };
+};
@@ -0,0 +1,538 @@
+/**
+ * Custom hook to handle peer-to-peer file transfers over RTCDataChannel
+ * Files never touch Supabase: only the transfer offer and WebRTC signaling go through Realtime
+ */
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { v4 as uuidv4 } from 'uuid';
+import { useSupabaseUserContext } from '../../auth/contexts/SupabaseUserProvider';
+import { subscribeToSignals, sendSignal } from '../services/signalingService';
+import { refreshIceServers } from '../services/iceService';
+import { createPeerConnection, serializeDescription } from '../utils/webrtc';
+import { computeChecksum, waitForBufferedAmountLow } from '../utils/fileTransfer';
+
+/**
+ * Possible states of a file transfer
+ */
+export const TRANSFER_STATUS = {
+  PENDING: 'pending',
+  CONNECTING: 'connecting',
+  TRANSFERRING: 'transferring',
+  VERIFYING: 'verifying',
+  COMPLETED: 'completed',
+  DECLINED: 'declined',
+  CANCELLED: 'cancelled',
+  FAILED: 'failed'
+};
+
+/**
+ * Signal types exchanged between the sender and the recipient of a file
+ */
+export const FILE_SIGNAL = {
+  OFFER: 'file-offer',
+  ACCEPT: 'file-accept',
+  DECLINE: 'file-decline',
+  CANCEL: 'file-cancel',
+  SDP_OFFER: 'file-sdp-offer',
+  SDP_ANSWER: 'file-sdp-answer',
+  ICE_CANDIDATE: 'file-ice-candidate'
+};
+
+/**
+ * Largest file that can be sent (the recipient keeps it in memory until it is verified)
+ */
+export const MAX_TRANSFER_SIZE = 200 * 1024 * 1024;
+
+// Data channel tuning
+const CHUNK_SIZE = 16 * 1024;
+const BUFFERED_AMOUNT_HIGH = 1024 * 1024;
+const BUFFERED_AMOUNT_LOW = 256 * 1024;
+
+// Minimum time between progress updates, to avoid re-rendering on every chunk
+const PROGRESS_INTERVAL_MS = 100;
+
+/**
+ * Hook for sending and receiving files directly between peers
+ * @returns {object} Transfers state and operations
+ */
+export const useFileTransfer = () => {
+  const { supabaseUser } = useSupabaseUserContext();
+  const userId = supabaseUser?.id;
+  const [transfers, setTransfers] = useState([]);
+
+  // Per-transfer connection state, keyed by transfer ID
+  const sessions = useRef(new Map());
+
+  const updateTransfer = useCallback((transferId, changes) => {
+    setTransfers((prev) => prev.map((transfer) =>
+      transfer.id === transferId ? { ...transfer, ...changes } : transfer
+    ));
+  }, []);
+
+  // Send a file signal to the other side of a transfer
+  const signalPeer = useCallback(async (session, type, data = {}) => {
+    if (!supabaseUser) {
+      return;
+    }
+
+    try {
+      await sendSignal(session.peerId, {
+        type,
+        transferId: session.id,
+        from: {
+          id: supabaseUser.id,
+          full_name: supabaseUser.full_name,
+          image_url: supabaseUser.image_url
+        },
+        ...data
+      });
+    } catch (err) {
+      console.error(`Error sending ${type} signal:`, err);
+    }
+  }, [supabaseUser]);
+
+  // Close the connection of a transfer and forget its session
+  const closeSession = useCallback((transferId) => {
+    const session = sessions.current.get(transferId);
+    if (!session) {
+      return;
+    }
+
+    session.closed = true;
+
+    if (session.channel) {
+      session.channel.onmessage = null;
+      session.channel.onclose = null;
+      session.channel.close();
+    }
+
+    if (session.pc) {
+      session.pc.onicecandidate = null;
+      session.pc.ondatachannel = null;
+      session.pc.onconnectionstatechange = null;
+      session.pc.close();
+    }
+
+    sessions.current.delete(transferId);
+  }, []);
+
+  // Move a transfer to a final state and release its connection
+  const finishTransfer = useCallback((transferId, status, error = null) => {
+    closeSession(transferId);
+    updateTransfer(transferId, { status, error });
+  }, [closeSession, updateTransfer]);
+
+  // Report progress, throttled so large files don't re-render on every chunk
+  const reportProgress = useCallback((session, bytes) => {
+    const now = Date.now();
+    if (bytes < session.size && now - session.lastProgressAt < PROGRESS_INTERVAL_MS) {
+      return;
+    }
+
+    session.lastProgressAt = now;
+    updateTransfer(session.id, { progress: bytes });
+  }, [updateTransfer]);
+
+  // Create the peer connection of a transfer
+  // The sender is the offering side, which also drives ICE restarts
+  const createSessionConnection = useCallback((session, isOfferer) => {
+    const pc = createPeerConnection({
+      onIceCandidate: (candidate) => signalPeer(session, FILE_SIGNAL.ICE_CANDIDATE, { candidate }),
+      onConnectionStateChange: (state) => {
+        if (state === 'failed') {
+          finishTransfer(session.id, TRANSFER_STATUS.FAILED, 'Connection to peer failed');
+        }
+      },
+      onIceRestart: isOfferer ? async () => {
+        try {
+          const offer = await pc.createOffer({ iceRestart: true });
+          await pc.setLocalDescription(offer);
+          await signalPeer(session, FILE_SIGNAL.SDP_OFFER, {
+            description: serializeDescription(pc.localDescription)
+          });
+        } catch (err) {
+          console.error('Error restarting ICE:', err);
+          finishTransfer(session.id, TRANSFER_STATUS.FAILED, err.message);
+        }
+      } : null
+    });
+
+    session.pc = pc;
+    return pc;
+  }, [signalPeer, finishTransfer]);
+
+  // Apply ICE candidates that arrived before the remote description
+  const flushPendingCandidates = useCallback(async (session) => {
+    const pending = session.pendingCandidates;
+    session.pendingCandidates = [];
+
+    for (const candidate of pending) {
+      await session.pc.addIceCandidate(candidate);
+    }
+  }, []);
+
+  // Sender side: stream the file in chunks, pausing while the send buffer is full
+  const streamFile = useCallback(async (session) => {
+    const { channel, file } = session;
+    let offset = 0;
+
+    updateTransfer(session.id, { status: TRANSFER_STATUS.TRANSFERRING });
+
+    try {
+      while (offset < file.size) {
+        if (session.closed || channel.readyState !== 'open') {
+          return;
+        }
+
+        if (channel.bufferedAmount > BUFFERED_AMOUNT_HIGH) {
+          await waitForBufferedAmountLow(channel);
+          continue;
+        }
+
+        const chunk = await file.slice(offset, offset + CHUNK_SIZE).arrayBuffer();
+        channel.send(chunk);
+        offset += chunk.byteLength;
+        reportProgress(session, offset);
+      }
+
+      updateTransfer(session.id, { status: TRANSFER_STATUS.VERIFYING });
+    } catch (err) {
+      console.error('Error sending file:', err);
+      signalPeer(session, FILE_SIGNAL.CANCEL);
+      finishTransfer(session.id, TRANSFER_STATUS.FAILED, err.message);
+    }
+  }, [updateTransfer, reportProgress, signalPeer, finishTransfer]);
+
+  // Recipient side: collect chunks, then verify the checksum once everything arrived
+  const receiveChunk = useCallback(async (session, data) => {
+    session.chunks.push(data);
+    session.received += data.byteLength;
+    reportProgress(session, session.received);
+
+    if (session.received < session.size) {
+      return;
+    }
+
+    updateTransfer(session.id, { status: TRANSFER_STATUS.VERIFYING });
+
+    const blob = new Blob(session.chunks, { type: session.fileType });
+    session.chunks = [];
+
+    const checksum = await computeChecksum(blob);
+    const verified = checksum === session.checksum;
+
+    if (session.channel?.readyState === 'open') {
+      session.channel.send(JSON.stringify({ type: 'verified', ok: verified }));
+    }
+
+    if (verified) {
+      session.closed = true;
+      updateTransfer(session.id, {
+        status: TRANSFER_STATUS.COMPLETED,
+        downloadUrl: URL.createObjectURL(blob)
+      });
+    } else {
+      finishTransfer(session.id, TRANSFER_STATUS.FAILED, 'Checksum mismatch: the file was corrupted in transit');
+    }
+  }, [reportProgress, updateTransfer, finishTransfer]);
+
+  // Offer a file to another user in a room
+  const sendFile = useCallback(async (roomId, user, file) => {
+    if (!supabaseUser || !user?.id || !file) {
+      return;
+    }
+
+    const transferId = uuidv4();
+    const transfer = {
+      id: transferId,
+      roomId,
+      direction: 'outgoing',
+      peer: user,
+      file: { name: file.name, size: file.size, type: file.type },
+      status: TRANSFER_STATUS.PENDING,
+      progress: 0,
+      error: null,
+      downloadUrl: null,
+      created_at: new Date().toISOString()
+    };
+
+    if (file.size === 0 || file.size > MAX_TRANSFER_SIZE) {
+      setTransfers((prev) => [...prev, {
+        ...transfer,
+        status: TRANSFER_STATUS.FAILED,
+        error: file.size === 0 ? 'Cannot send an empty file' : 'File is too large to send directly'
+      }]);
+      return;
+    }
+
+    setTransfers((prev) => [...prev, transfer]);
+
+    try {
+      const checksum = await computeChecksum(file);
+      const session = {
+        id: transferId,
+        peerId: user.id,
+        file,
+        size: file.size,
+        pendingCandidates: [],
+        lastProgressAt: 0
+      };
+      sessions.current.set(transferId, session);
+
+      await signalPeer(session, FILE_SIGNAL.OFFER, {
+        roomId,
+        file: { ...transfer.file, checksum }
+      });
+    } catch (err) {
+      console.error('Error offering file:', err);
+      finishTransfer(transferId, TRANSFER_STATUS.FAILED, err.message);
+    }
+  }, [supabaseUser, signalPeer, finishTransfer]);
+
+  // Accept an incoming file
+  const acceptTransfer = useCallback(async (transferId) => {
+    const session = sessions.current.get(transferId);
+    if (!session || session.accepted) {
+      return;
+    }
+
+    session.accepted = true;
+    updateTransfer(transferId, { status: TRANSFER_STATUS.CONNECTING });
+    await refreshIceServers(userId);
+
+    const pc = createSessionConnection(session, false);
+    pc.ondatachannel = (event) => {
+      const channel = event.channel;
+      channel.binaryType = 'arraybuffer';
+      session.channel = channel;
+
+      updateTransfer(transferId, { status: TRANSFER_STATUS.TRANSFERRING });
+
+      channel.onmessage = (message) => {
+        if (typeof message.data !== 'string') {
+          receiveChunk(session, message.data).catch((err) => {
+            console.error('Error receiving file:', err);
+            finishTransfer(transferId, TRANSFER_STATUS.FAILED, err.message);
+          });
+        }
+      };
+
+      channel.onclose = () => {
+        if (!session.closed) {
+          finishTransfer(transferId, TRANSFER_STATUS.FAILED, 'Connection closed before the file arrived');
+        } else {
+          closeSession(transferId);
+        }
+      };
+    };
+
+    await signalPeer(session, FILE_SIGNAL.ACCEPT);
+  }, [userId, updateTransfer, createSessionConnection, receiveChunk, finishTransfer, closeSession, signalPeer]);
+
+  // Decline an incoming file
+  const declineTransfer = useCallback((transferId) => {
+    const session = sessions.current.get(transferId);
+    if (session) {
+      signalPeer(session, FILE_SIGNAL.DECLINE);
+    }
+    finishTransfer(transferId, TRANSFER_STATUS.DECLINED);
+  }, [signalPeer, finishTransfer]);
+
+  // Cancel a transfer from either side
+  const cancelTransfer = useCallback((transferId) => {
+    const session = sessions.current.get(transferId);
+    if (session) {
+      signalPeer(session, FILE_SIGNAL.CANCEL);
+    }
+    finishTransfer(transferId, TRANSFER_STATUS.CANCELLED);
+  }, [signalPeer, finishTransfer]);
+
+  // Handle a file signal addressed to the current user
+  const handleSignal = useCallback(async (signal) => {
+    if (!signal?.type?.startsWith('file-') || !signal.transferId || !signal.from?.id) {
+      return;
+    }
+
+    // A new incoming offer shows up as a pending transfer
+    if (signal.type === FILE_SIGNAL.OFFER) {
+      if (sessions.current.has(signal.transferId)) {
+        return;
+      }
+
+      sessions.current.set(signal.transferId, {
+        id: signal.transferId,
+        peerId: signal.from.id,
+        size: signal.file.size,
+        fileType: signal.file.type,
+        checksum: signal.file.checksum,
+        chunks: [],
+        received: 0,
+        pendingCandidates: [],
+        lastProgressAt: 0
+      });
+
+      setTransfers((prev) => [...prev, {
+        id: signal.transferId,
+        roomId: signal.roomId,
+        direction: 'incoming',
+        peer: signal.from,
+        file: signal.file,
+        status: TRANSFER_STATUS.PENDING,
+        progress: 0,
+        error: null,
+        downloadUrl: null,
+        created_at: new Date().toISOString()
+      }]);
+      return;
+    }
+
+    const session = sessions.current.get(signal.transferId);
+    if (!session || session.peerId !== signal.from.id) {
+      return;
+    }
+
+    try {
+      switch (signal.type) {
+        case FILE_SIGNAL.ACCEPT: {
+          if (session.accepted) {
+            return;
+          }
+
+          session.accepted = true;
+
+          updateTransfer(session.id, { status: TRANSFER_STATUS.CONNECTING });
+
+          await refreshIceServers(userId);
+          const pc = createSessionConnection(session, true);
+          const channel = pc.createDataChannel(`file-${session.id}`, { ordered: true });
+          channel.binaryType = 'arraybuffer';
+          channel.bufferedAmountLowThreshold = BUFFERED_AMOUNT_LOW;
+          session.channel = channel;
+
+          channel.onopen = () => streamFile(session);
+          channel.onmessage = (message) => {
+            if (typeof message.data !== 'string') {
+              return;
+            }
+
+            const { type, ok } = JSON.parse(message.data);
+            if (type === 'verified') {
+              finishTransfer(
+                session.id,
+                ok ? TRANSFER_STATUS.COMPLETED : TRANSFER_STATUS.FAILED,
+                ok ? null : 'The recipient could not verify the file checksum'
+              );
+            }
+          };
+          channel.onclose = () => {
+            if (!session.closed) {
+              finishTransfer(session.id, TRANSFER_STATUS.FAILED, 'Connection closed before the file was delivered');
+            }
+          };
+
+          const offer = await pc.createOffer();
+          await pc.setLocalDescription(offer);
+          await signalPeer(session, FILE_SIGNAL.SDP_OFFER, {
+            description: serializeDescription(pc.localDescription)
+          });
+          break;
+        }
+
+        case FILE_SIGNAL.SDP_OFFER: {
+          if (!session.pc) {
+            return;
+          }
+
+          await session.pc.setRemoteDescription(signal.description);
+          await flushPendingCandidates(session);
+
+          const answer = await session.pc.createAnswer();
+          await session.pc.setLocalDescription(answer);
+          await signalPeer(session, FILE_SIGNAL.SDP_ANSWER, {
+            description: serializeDescription(session.pc.localDescription)
+          });
+          break;
+        }
+
+        case FILE_SIGNAL.SDP_ANSWER:
+          if (session.pc) {
+            await session.pc.setRemoteDescription(signal.description);
+            await flushPendingCandidates(session);
+          }
+          break;
+
+        case FILE_SIGNAL.ICE_CANDIDATE:
+          if (session.pc?.remoteDescription) {
+            await session.pc.addIceCandidate(signal.candidate);
+          } else {
+            session.pendingCandidates.push(signal.candidate);
+          }
+          break;
+
+        case FILE_SIGNAL.DECLINE:
+          finishTransfer(session.id, TRANSFER_STATUS.DECLINED);
+          break;
+
+        case FILE_SIGNAL.CANCEL:
+          finishTransfer(session.id, TRANSFER_STATUS.CANCELLED);
+          break;
+
+        default:
+          break;
+      }
+    } catch (err) {
+      console.error(`Error handling ${signal.type} signal:`, err);
+      signalPeer(session, FILE_SIGNAL.CANCEL);
+      finishTransfer(session.id, TRANSFER_STATUS.FAILED, err.message);
+    }
+  }, [
+    userId,
+    updateTransfer,
+    createSessionConnection,
+    streamFile,
+    finishTransfer,
+    signalPeer,
+    flushPendingCandidates
+  ]);
+
+  // Keep the latest handler available to the long-lived subscription
+  const handleSignalRef = useRef(handleSignal);
+  useEffect(() => {
+    handleSignalRef.current = handleSignal;
+  }, [handleSignal]);
+
+  // Listen for file signals on the user's personal channel
+  useEffect(() => {
+    if (!userId) {
+      return undefined;
+    }
+
+    return subscribeToSignals(userId, (signal) => handleSignalRef.current(signal));
+  }, [userId]);
+
+  // Close open connections and release downloaded files on unmount
+  const transfersRef = useRef(transfers);
+  useEffect(() => {
+    transfersRef.current = transfers;
+  }, [transfers]);
+
+  useEffect(() => {
+    const openSessions = sessions.current;
+
+    return () => {
+      Array.from(openSessions.keys()).forEach(closeSession);
+      transfersRef.current.forEach((transfer) => {
+        if (transfer.downloadUrl) {
+          URL.revokeObjectURL(transfer.downloadUrl);
+        }
+      });
+    };
+  }, [closeSession]);
+
+  return {
+    transfers,
+    sendFile,
+    acceptTransfer,
+    declineTransfer,
+    cancelTransfer
+  };
+};
@@ -0,0 +1,675 @@
+/**
+ * Custom hook to handle group voice/video huddles inside a chat room
+ * Participants are tracked with Supabase Realtime presence and connected in a full mesh
+ */
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { v4 as uuidv4 } from 'uuid';
+import { supabase } from '../../../supabaseClient';
+import { useSupabaseUserContext } from '../../auth/contexts/SupabaseUserProvider';
+import { subscribeToSignals, sendSignal } from '../services/signalingService';
+import { refreshIceServers } from '../services/iceService';
+import { useConnectionStats } from './useConnectionStats';
+import { useCallRecording } from './useCallRecording';
+import {
+  CALL_OUTCOME,
+  logCallStarted,
+  logCallAnswered,
+  logCallEnded,
+  postCallSummary,
+  postRecordingSummary
+} from '../services/callService';
+import { formatCallDuration } from '../utils/dateUtils';
+import {
+  createPeerConnection,
+  serializeDescription,
+  getLocalMedia,
+  getScreenMedia,
+  replaceVideoTrack,
+  stopMediaStream
+} from '../utils/webrtc';
+
+/**
+ * Maximum number of people in a huddle (every peer connects to every other peer)
+ */
+export const HUDDLE_MAX_PARTICIPANTS = 6;
+
+/**
+ * Signal types exchanged between huddle peers
+ */
+export const HUDDLE_SIGNAL = {
+  OFFER: 'huddle-offer',
+  ANSWER: 'huddle-answer',
+  ICE_CANDIDATE: 'huddle-ice-candidate',
+  LEAVE: 'huddle-leave'
+};
+
+/**
+ * Hook for joining and leaving the huddle of a chat room
+ * @param {string} roomId - ID of the chat room
+ * @param {Array} members - Room members as loaded by useChatRoom
+ * @param {boolean} hasJoined - Whether the current user is a member of the room
+ * @returns {object} Huddle state and operations
+ */
+export const useHuddle = (roomId, members = [], hasJoined = false) => {
+  const { supabaseUser } = useSupabaseUserContext();
+  const userId = supabaseUser?.id;
+  const [presenceList, setPresenceList] = useState([]);
+  const [isInHuddle, setIsInHuddle] = useState(false);
+  const [localStream, setLocalStream] = useState(null);
+  const [remoteStreams, setRemoteStreams] = useState({});
+  const [isMuted, setIsMuted] = useState(false);
+  const [isCameraOff, setIsCameraOff] = useState(false);
+  const [screenStream, setScreenStream] = useState(null);
+  const [error, setError] = useState(null);
+
+  const channelRef = useRef(null);
+  const peers = useRef(new Map());
+  const localStreamRef = useRef(null);
+  const screenStreamRef = useRef(null);
+  const inHuddleRef = useRef(false);
+
+  // Call history entry of the huddle we are in: { id, logged, answered }
+  const huddleCall = useRef(null);
+
+  // Huddle being recorded by us: { id }, and the function teardown uses to finish it
+  const recordedHuddle = useRef(null);
+  const finishRecordingRef = useRef(null);
+
+  // Only room members may take part, so membership changes drive who we connect to
+  const memberKey = members
+    .map((member) => member.users?.id)
+    .filter(Boolean)
+    .sort()
+    .join(',');
+  const memberIds = useMemo(() => (memberKey ? memberKey.split(',') : []), [memberKey]);
+
+  const participants = useMemo(() =>
+    presenceList.filter((participant) => memberIds.includes(participant.user_id))
+  , [presenceList, memberIds]);
+
+  const participantsRef = useRef(participants);
+  useEffect(() => {
+    participantsRef.current = participants;
+
+    // Once a second person is in, the huddle counts as answered
+    if (huddleCall.current && participants.length > 1) {
+      huddleCall.current.answered = true;
+    }
+  }, [participants]);
+
+  // Poll every peer connection while in the huddle; each one adapts its video on its own
+  const getConnections = useCallback(() =>
+    Array.from(peers.current, ([peerId, entry]) => [peerId, entry.pc])
+  , []);
+  const connection = useConnectionStats(getConnections, isInHuddle);
+
+  // Send a huddle signal to another participant
+  const signalPeer = useCallback(async (peerId, type, data = {}) => {
+    if (!userId) {
+      return;
+    }
+
+    try {
+      await sendSignal(peerId, { type, roomId, from: { id: userId }, ...data });
+    } catch (err) {
+      console.error(`Error sending ${type} signal:`, err);
+    }
+  }, [userId, roomId]);
+
+  // Close the connection to one participant
+  const closePeer = useCallback((peerId) => {
+    const entry = peers.current.get(peerId);
+    if (entry) {
+      entry.pc.onicecandidate = null;
+      entry.pc.ontrack = null;
+      entry.pc.onconnectionstatechange = null;
+      entry.pc.close();
+      peers.current.delete(peerId);
+    }
+
+    setRemoteStreams((prev) => {
+      if (!prev[peerId]) {
+        return prev;
+      }
+      const next = { ...prev };
+      delete next[peerId];
+      return next;
+    });
+  }, []);
+
+  // Create a connection to one participant and attach local media
+  const createPeer = useCallback((peerId) => {
+    const pc = createPeerConnection({
+      onIceCandidate: (candidate) => signalPeer(peerId, HUDDLE_SIGNAL.ICE_CANDIDATE, { candidate }),
+      onTrack: (event) => {
+        const [remote] = event.streams;
+        setRemoteStreams((prev) => ({
+          ...prev,
+          [peerId]: remote || new MediaStream([event.track])
+        }));
+      },
+      onConnectionStateChange: (state) => {
+        if (state === 'failed') {
+          closePeer(peerId);
+        }
+      },
+      // The participant with the lower ID is the offering side of each pair
+      onIceRestart: userId < peerId ? async () => {
+        try {
+          const offer = await pc.createOffer({ iceRestart: true });
+          await pc.setLocalDescription(offer);
+          await signalPeer(peerId, HUDDLE_SIGNAL.OFFER, {
+            description: serializeDescription(pc.localDescription)
+          });
+        } catch (err) {
+          console.error('Error restarting ICE:', err);
+          closePeer(peerId);
+        }
+      } : null
+    });
+
+    // While presenting, new participants get the screen instead of the camera
+    const stream = localStreamRef.current;
+    const [screenTrack] = screenStreamRef.current?.getVideoTracks() || [];
+    if (stream) {
+      stream.getTracks().forEach((track) => {
+        pc.addTrack(track.kind === 'video' && screenTrack ? screenTrack : track, stream);
+      });
+    }
+
+    const entry = { pc, pendingCandidates: [] };
+    peers.current.set(peerId, entry);
+
+    return entry;
+  }, [userId, signalPeer, closePeer]);
+
+  // Apply ICE candidates that arrived before the remote description
+  const flushPendingCandidates = useCallback(async (entry) => {
+    const pending = entry.pendingCandidates;
+    entry.pendingCandidates = [];
+
+    for (const candidate of pending) {
+      await entry.pc.addIceCandidate(candidate);
+    }
+  }, []);
+
+  // Close every connection and release local media
+  const teardownHuddle = useCallback(() => {
+    // Stop recording first, so the file still has everyone in it
+    finishRecordingRef.current?.(false);
+
+    Array.from(peers.current.keys()).forEach(closePeer);
+    stopMediaStream(localStreamRef.current);
+    stopMediaStream(screenStreamRef.current);
+    localStreamRef.current = null;
+    screenStreamRef.current = null;
+    inHuddleRef.current = false;
+    huddleCall.current = null;
+
+    setIsInHuddle(false);
+    setLocalStream(null);
+    setScreenStream(null);
+    setRemoteStreams({});
+    setIsMuted(false);
+    setIsCameraOff(false);
+  }, [closePeer]);
+
+  // Publish our huddle state to the other members through presence
+  const trackPresence = useCallback(async (state) => {
+    if (!channelRef.current || !supabaseUser) {
+      return;
+    }
+
+    await channelRef.current.track({
+      user_id: supabaseUser.id,
+      full_name: supabaseUser.full_name,
+      image_url: supabaseUser.image_url,
+      muted: state.muted,
+      camera_off: state.cameraOff,
+      sharing_screen: Boolean(screenStreamRef.current),
+      recording: Boolean(recordedHuddle.current),
+      call_id: huddleCall.current?.id || null
+    });
+  }, [supabaseUser]);
+
+  // Join the huddle (or start one if nobody is in it yet)
+  const joinHuddle = useCallback(async () => {
+    if (!channelRef.current || !hasJoined || inHuddleRef.current) {
+      return;
+    }
+
+    if (participants.length >= HUDDLE_MAX_PARTICIPANTS) {
+      setError(`This huddle is full (${HUDDLE_MAX_PARTICIPANTS} people max)`);
+      return;
+    }
+
+    try {
+      setError(null);
+      const [stream] = await Promise.all([getLocalMedia(), refreshIceServers(userId)]);
+
+      localStreamRef.current = stream;
+      inHuddleRef.current = true;
+      setLocalStream(stream);
+      setIsInHuddle(true);
+
+      // Joining a running huddle answers its call; otherwise we start a new one
+      const running = participants.find((participant) => participant.call_id);
+      if (running) {
+        huddleCall.current = { id: running.call_id, logged: Promise.resolve(), answered: true };
+        logCallAnswered(running.call_id).catch(() => {});
+      } else {
+        const callId = uuidv4();
+        huddleCall.current = {
+          id: callId,
+          logged: logCallStarted({ id: callId, callerId: userId, roomId }),
+          answered: false
+        };
+        huddleCall.current.logged.catch(() => {});
+      }
+
+      await trackPresence({ muted: false, cameraOff: false });
+    } catch (err) {
+      console.error('Error joining huddle:', err);
+      setError(err.message);
+      teardownHuddle();
+    }
+  }, [hasJoined, participants, userId, roomId, trackPresence, teardownHuddle]);
+
+  // The last one out logs the end of the huddle and posts its summary in the room
+  const logHuddleLeft = useCallback(async () => {
+    const current = huddleCall.current;
+    huddleCall.current = null;
+
+    const othersRemain = participantsRef.current.some((participant) => participant.user_id !== userId);
+    if (!current || othersRemain) {
+      return;
+    }
+
+    const outcome = current.answered ? CALL_OUTCOME.COMPLETED : CALL_OUTCOME.MISSED;
+
+    try {
+      await current.logged;
+      const record = await logCallEnded(current.id, outcome);
+      if (!record) {
+        return;
+      }
+
+      const text = outcome === CALL_OUTCOME.COMPLETED
+        ? `Huddle ended · ${formatCallDuration(record.duration_seconds)}`
+        : `${supabaseUser?.full_name || 'Someone'} started a huddle, but nobody joined`;
+
+      await postCallSummary(userId, record, text);
+    } catch (err) {
+      console.error('Error logging huddle end:', err);
+    }
+  }, [userId, supabaseUser]);
+
+  // Presence cleanup outlives renders, so it calls the latest logHuddleLeft
+  const logHuddleLeftRef = useRef(logHuddleLeft);
+  useEffect(() => {
+    logHuddleLeftRef.current = logHuddleLeft;
+  }, [logHuddleLeft]);
+
+  // Leave the huddle
+  const leaveHuddle = useCallback(async () => {
+    if (!inHuddleRef.current) {
+      return;
+    }
+
+    logHuddleLeftRef.current();
+
+    Array.from(peers.current.keys()).forEach((peerId) => {
+      signalPeer(peerId, HUDDLE_SIGNAL.LEAVE);
+    });
+    teardownHuddle();
+
+    if (channelRef.current) {
+      await channelRef.current.untrack();
+    }
+  }, [signalPeer, teardownHuddle]);
+
+  // Mute or unmute the microphone
+  const toggleMute = useCallback(() => {
+    const stream = localStreamRef.current;
+    if (!stream) {
+      return;
+    }
+
+    const nextMuted = !isMuted;
+    stream.getAudioTracks().forEach((track) => {
+      track.enabled = !nextMuted;
+    });
+    setIsMuted(nextMuted);
+    trackPresence({ muted: nextMuted, cameraOff: isCameraOff });
+  }, [isMuted, isCameraOff, trackPresence]);
+
+  // Turn the camera on or off
+  const toggleCamera = useCallback(() => {
+    const stream = localStreamRef.current;
+    if (!stream) {
+      return;
+    }
+
+    const nextCameraOff = !isCameraOff;
+    stream.getVideoTracks().forEach((track) => {
+      track.enabled = !nextCameraOff;
+    });
+    setIsCameraOff(nextCameraOff);
+    trackPresence({ muted: isMuted, cameraOff: nextCameraOff });
+  }, [isMuted, isCameraOff, trackPresence]);
+
+  // Stop presenting and send the camera to everyone again
+  const stopScreenShare = useCallback(async () => {
+    const sharedStream = screenStreamRef.current;
+    if (!sharedStream) {
+      return;
+    }
+
+    screenStreamRef.current = null;
+    stopMediaStream(sharedStream);
+    setScreenStream(null);
+
+    const [cameraTrack] = localStreamRef.current?.getVideoTracks() || [];
+
+    try {
+      await Promise.all(Array.from(peers.current.values()).map((entry) =>
+        replaceVideoTrack(entry.pc, cameraTrack || null)
+      ));
+      await trackPresence({ muted: isMuted, cameraOff: isCameraOff });
+    } catch (err) {
+      console.error('Error stopping screen share:', err);
+    }
+  }, [isMuted, isCameraOff, trackPresence]);
+
+  // The "ended" listener outlives renders, so it calls the latest stopScreenShare
+  const stopScreenShareRef = useRef(stopScreenShare);
+  useEffect(() => {
+    stopScreenShareRef.current = stopScreenShare;
+  }, [stopScreenShare]);
+
+  // Present the screen to everyone in the huddle, one presenter at a time
+  const startScreenShare = useCallback(async () => {
+    if (!inHuddleRef.current || screenStreamRef.current) {
+      return;
+    }
+
+    const presenter = participants.find((participant) =>
+      participant.sharing_screen && participant.user_id !== userId
+    );
+    if (presenter) {
+      setError(`${presenter.full_name || 'Someone'} is already presenting`);
+      return;
+    }
+
+    try {
+      setError(null);
+      const stream = await getScreenMedia();
+      const [track] = stream.getVideoTracks();
+
+      // The huddle may have been left while the screen picker was open
+      if (!inHuddleRef.current) {
+        stopMediaStream(stream);
+        return;
+      }
+
+      // The browser's own "Stop sharing" button ends the track
+      track.addEventListener('ended', () => {
+        if (screenStreamRef.current === stream) {
+          stopScreenShareRef.current();
+        }
+      });
+
+      screenStreamRef.current = stream;
+      setScreenStream(stream);
+
+      await Promise.all(Array.from(peers.current.values()).map((entry) =>
+        replaceVideoTrack(entry.pc, track)
+      ));
+      await trackPresence({ muted: isMuted, cameraOff: isCameraOff });
+    } catch (err) {
+      // Closing the screen picker without choosing anything is not an error
+      if (err.name !== 'NotAllowedError') {
+        console.error('Error sharing screen:', err);
+        setError(err.message);
+      }
+      stopScreenShare();
+    }
+  }, [participants, userId, isMuted, isCameraOff, trackPresence, stopScreenShare]);
+
+  // Record everyone we can see, using the names they publish in presence
+  const recordingSources = useMemo(() => {
+    const nameOf = (id) =>
+      participants.find((participant) => participant.user_id === id)?.full_name || 'Unknown User';
+
+    return [
+      { id: userId, label: supabaseUser?.full_name || 'You', stream: localStream, screen: screenStream },
+      ...Object.entries(remoteStreams).map(([peerId, stream]) => ({ id: peerId, label: nameOf(peerId), stream }))
+    ];
+  }, [participants, userId, supabaseUser, localStream, screenStream, remoteStreams]);
+  const {
+    isRecording,
+    startRecording: startRecorder,
+    stopRecording: stopRecorder
+  } = useCallRecording(recordingSources, 'huddle');
+
+  // Start recording the huddle; presence shows everyone that it is being recorded
+  const startRecording = useCallback(async () => {
+    if (!inHuddleRef.current || recordedHuddle.current) {
+      return;
+    }
+
+    try {
+      setError(null);
+      startRecorder();
+      recordedHuddle.current = { id: huddleCall.current?.id || null };
+      await trackPresence({ muted: isMuted, cameraOff: isCameraOff });
+    } catch (err) {
+      console.error('Error starting recording:', err);
+      setError(err.message);
+    }
+  }, [startRecorder, isMuted, isCameraOff, trackPresence]);
+
+  // Stop recording, save the file and note the recording in the room
+  // When we are leaving the huddle anyway, presence is cleared instead of updated
+  const finishRecording = useCallback(async (updatePresence) => {
+    const recorded = recordedHuddle.current;
+    if (!recorded) {
+      return;
+    }
+
+    recordedHuddle.current = null;
+
+    try {
+      if (updatePresence) {
+        await trackPresence({ muted: isMuted, cameraOff: isCameraOff });
+      }
+
+      const result = await stopRecorder();
+      if (!result) {
+        return;
+      }
+
+      const recorderName = supabaseUser?.full_name || 'Someone';
+      await postRecordingSummary(
+        userId,
+        roomId,
+        { callId: recorded.id, durationSeconds: result.durationSeconds },
+        `${recorderName} recorded the huddle · ${formatCallDuration(result.durationSeconds)}`
+      );
+    } catch (err) {
+      console.error('Error stopping recording:', err);
+    }
+  }, [isMuted, isCameraOff, trackPresence, stopRecorder, supabaseUser, userId, roomId]);
+
+  useEffect(() => {
+    finishRecordingRef.current = finishRecording;
+  }, [finishRecording]);
+
+  const stopRecording = useCallback(() => finishRecording(true), [finishRecording]);
+
+  // Handle a huddle signal addressed to the current user
+  const handleSignal = useCallback(async (signal) => {
+    if (!signal?.type?.startsWith('huddle-') || signal.roomId !== roomId || !inHuddleRef.current) {
+      return;
+    }
+
+    const peerId = signal.from?.id;
+    if (!peerId || !memberIds.includes(peerId)) {
+      return;
+    }
+
+    try {
+      switch (signal.type) {
+        case HUDDLE_SIGNAL.OFFER: {
+          const entry = peers.current.get(peerId) || createPeer(peerId);
+          await entry.pc.setRemoteDescription(signal.description);
+          await flushPendingCandidates(entry);
+
+          const answer = await entry.pc.createAnswer();
+          await entry.pc.setLocalDescription(answer);
+          await signalPeer(peerId, HUDDLE_SIGNAL.ANSWER, {
+            description: serializeDescription(entry.pc.localDescription)
+          });
+          break;
+        }
+
+        case HUDDLE_SIGNAL.ANSWER: {
+          const entry = peers.current.get(peerId);
+          if (entry) {
+            await entry.pc.setRemoteDescription(signal.description);
+            await flushPendingCandidates(entry);
+          }
+          break;
+        }
+
+        case HUDDLE_SIGNAL.ICE_CANDIDATE: {
+          const entry = peers.current.get(peerId);
+          if (entry?.pc.remoteDescription) {
+            await entry.pc.addIceCandidate(signal.candidate);
+          } else if (entry) {
+            entry.pendingCandidates.push(signal.candidate);
+          }
+          break;
+        }
+
+        case HUDDLE_SIGNAL.LEAVE:
+          closePeer(peerId);
+          break;
+
+        default:
+          break;
+      }
+    } catch (err) {
+      console.error(`Error handling ${signal.type} signal:`, err);
+      closePeer(peerId);
+    }
+  }, [roomId, memberIds, createPeer, flushPendingCandidates, signalPeer, closePeer]);
+
+  // Keep the latest handler available to the long-lived subscription
+  const handleSignalRef = useRef(handleSignal);
+  useEffect(() => {
+    handleSignalRef.current = handleSignal;
+  }, [handleSignal]);
+
+  // Listen for huddle signals on the user's personal channel
+  useEffect(() => {
+    if (!userId) {
+      return undefined;
+    }
+
+    return subscribeToSignals(userId, (signal) => handleSignalRef.current(signal));
+  }, [userId]);
+
+  // Track who is in the room's huddle while the user is a member of the room
+  useEffect(() => {
+    if (!roomId || !userId || !hasJoined) {
+      setPresenceList([]);
+      return undefined;
+    }
+
+    const channel = supabase.channel(`huddle:${roomId}`, {
+      config: { presence: { key: userId } }
+    });
+
+    channel
+      .on('presence', { event: 'sync' }, () => {
+        const state = channel.presenceState();
+        setPresenceList(Object.values(state).map((metas) => metas[metas.length - 1]));
+      })
+      .subscribe();
+
+    channelRef.current = channel;
+    const connections = peers.current;
+
+    // Leaving the room (or switching rooms) also leaves the huddle
+    return () => {
+      logHuddleLeftRef.current();
+      Array.from(connections.keys()).forEach((peerId) => {
+        signalPeer(peerId, HUDDLE_SIGNAL.LEAVE);
+      });
+      teardownHuddle();
+      channelRef.current = null;
+      supabase.removeChannel(channel);
+    };
+  }, [roomId, userId, hasJoined, signalPeer, teardownHuddle]);
+
+  // Connect to new participants and drop the ones who left the huddle or the room
+  useEffect(() => {
+    if (!isInHuddle || !userId) {
+      return;
+    }
+
+    const peerIds = participants
+      .map((participant) => participant.user_id)
+      .filter((id) => id !== userId);
+
+    peers.current.forEach((entry, peerId) => {
+      if (!peerIds.includes(peerId)) {
+        closePeer(peerId);
+      }
+    });
+
+    // For every pair, the participant with the lower ID sends the offer
+    peerIds
+      .filter((peerId) => !peers.current.has(peerId) && userId < peerId)
+      .forEach(async (peerId) => {
+        try {
+          const entry = createPeer(peerId);
+          const offer = await entry.pc.createOffer();
+          await entry.pc.setLocalDescription(offer);
+          await signalPeer(peerId, HUDDLE_SIGNAL.OFFER, {
+            description: serializeDescription(entry.pc.localDescription)
+          });
+        } catch (err) {
+          console.error('Error connecting to huddle participant:', err);
+          closePeer(peerId);
+        }
+      });
+  }, [participants, isInHuddle, userId, createPeer, signalPeer, closePeer]);
+
+  return {
+    participants,
+    isInHuddle,
+    isFull: participants.length >= HUDDLE_MAX_PARTICIPANTS,
+    localStream,
+    remoteStreams,
+    isMuted,
+    isCameraOff,
+    screenStream,
+    isScreenSharing: Boolean(screenStream),
+    presenter: participants.find((participant) => participant.sharing_screen) || null,
+    connectionStats: connection.stats,
+    qualityLevel: connection.level,
+    isRecording,
+    recorders: participants.filter((participant) => participant.recording),
+    error,
+    joinHuddle,
+    leaveHuddle,
+    toggleMute,
+    toggleCamera,
+    startScreenShare,
+    stopScreenShare,
+    startRecording,
+    stopRecording
+  };
+};
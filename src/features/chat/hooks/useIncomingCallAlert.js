@@ -0,0 +1,63 @@
+/**
+ * Custom hook to make an incoming call noticeable wherever the user is
+ * Plays a ringtone while the call rings and raises a browser notification if the tab is hidden
+ */
+import { useEffect, useRef } from 'react';
+import {
+  startRingtone,
+  requestNotificationPermission,
+  showIncomingCallNotification
+} from '../utils/ringtone';
+
+/**
+ * Hook for ringing and notifying about an incoming call
+ * @param {boolean} ringing - Whether a call is currently ringing
+ * @param {object} caller - User who is calling
+ * @param {string} callId - ID of the ringing call
+ * @param {Function} onNotificationClick - Optional, called after a notification click has focused the tab
+ */
+export const useIncomingCallAlert = (ringing, caller, callId, onNotificationClick = null) => {
+  const onClickRef = useRef(onNotificationClick);
+  useEffect(() => {
+    onClickRef.current = onNotificationClick;
+  }, [onNotificationClick]);
+
+  // Ask for notification permission on the first interaction, as some browsers require
+  useEffect(() => {
+    const handleInteraction = () => requestNotificationPermission();
+    document.addEventListener('pointerdown', handleInteraction, { once: true });
+
+    return () => document.removeEventListener('pointerdown', handleInteraction);
+  }, []);
+
+  // Ring until the call is answered, declined or given up
+  useEffect(() => {
+    if (!ringing) {
+      return undefined;
+    }
+
+    return startRingtone();
+  }, [ringing, callId]);
+
+  // Notify when the tab is hidden, either when the call arrives or when the user switches away
+  useEffect(() => {
+    if (!ringing) {
+      return undefined;
+    }
+
+    let notification = null;
+    const notifyIfHidden = () => {
+      if (document.hidden && !notification) {
+        notification = showIncomingCallNotification(caller, callId, () => onClickRef.current?.());
+      }
+    };
+
+    notifyIfHidden();
+    document.addEventListener('visibilitychange', notifyIfHidden);
+
+    return () => {
+      document.removeEventListener('visibilitychange', notifyIfHidden);
+      notification?.close();
+    };
+  }, [ringing, caller, callId]);
+};
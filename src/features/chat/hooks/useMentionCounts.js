@@ -0,0 +1,90 @@
+/**
+ * Custom hook to count the user's unseen @mentions in each room
+ * Mentions in the open room are marked as seen straight away
+ */
+import { useState, useEffect, useRef } from 'react';
+import { supabase } from '../../../supabaseClient';
+import { useSupabaseUserContext } from '../../auth/contexts/SupabaseUserProvider';
+import { fetchUnreadMentionCounts, markMentionsSeen } from '../services/chatService';
+
+/**
+ * Hook for unseen mention counts
+ * @param {string} selectedRoomId - ID of the room the user has open
+ * @returns {object} Number of unseen mentions keyed by room ID
+ */
+export const useMentionCounts = (selectedRoomId) => {
+  const { supabaseUser } = useSupabaseUserContext();
+  const [mentionCounts, setMentionCounts] = useState({});
+
+  // Read by the subscription, so changing rooms doesn't resubscribe
+  const selectedRoomRef = useRef(selectedRoomId);
+  useEffect(() => {
+    selectedRoomRef.current = selectedRoomId;
+  }, [selectedRoomId]);
+
+  // Load the counts and follow new mentions of the user
+  useEffect(() => {
+    setMentionCounts({});
+
+    if (!supabaseUser) {
+      return undefined;
+    }
+
+    let isMounted = true;
+
+    fetchUnreadMentionCounts(supabaseUser.id)
+      .then((counts) => {
+        if (isMounted) {
+          // The open room is marked as seen by the effect below
+          setMentionCounts({ ...counts, ...(selectedRoomRef.current ? { [selectedRoomRef.current]: 0 } : {}) });
+        }
+      })
+      .catch((err) => console.error('Error loading mention counts:', err));
+
+    const channel = supabase
+      .channel(`chat-mentions:${supabaseUser.id}`)
+      .on('postgres_changes',
+        {
+          event: 'INSERT',
+          schema: 'public',
+          table: 'chat_message_mentions',
+          filter: `user_id=eq.${supabaseUser.id}`
+        },
+        (payload) => {
+          const roomId = payload.new?.room_id;
+          if (!roomId) {
+            return;
+          }
+
+          if (roomId === selectedRoomRef.current) {
+            markMentionsSeen(supabaseUser.id, roomId)
+              .catch((err) => console.error('Error marking mentions as seen:', err));
+            return;
+          }
+
+          setMentionCounts((prevCounts) => ({ ...prevCounts, [roomId]: (prevCounts[roomId] || 0) + 1 }));
+        }
+      )
+      .subscribe();
+
+    return () => {
+      isMounted = false;
+      supabase.removeChannel(channel);
+    };
+  }, [supabaseUser]);
+
+  // Opening a room clears its badge
+  useEffect(() => {
+    if (!supabaseUser || !selectedRoomId) {
+      return;
+    }
+
+    setMentionCounts((prevCounts) => (
+      prevCounts[selectedRoomId] ? { ...prevCounts, [selectedRoomId]: 0 } : prevCounts
+    ));
+    markMentionsSeen(supabaseUser.id, selectedRoomId)
+      .catch((err) => console.error('Error marking mentions as seen:', err));
+  }, [supabaseUser, selectedRoomId]);
+
+  return mentionCounts;
+};
@@ -0,0 +1,56 @@
+/**
+ * Custom hook to load the edit history of a message
+ */
+import { useState, useEffect } from 'react';
+import { fetchMessageEdits } from '../services/chatService';
+
+/**
+ * Hook for the previous versions of a message, loaded only while they are shown
+ * @param {string} messageId - ID of the message
+ * @param {boolean} enabled - Whether the history is being shown
+ * @param {string} editedAt - Time of the latest edit; a newer edit reloads the history
+ * @returns {object} Edits (oldest first), loading state and error
+ */
+export const useMessageEdits = (messageId, enabled, editedAt) => {
+  const [edits, setEdits] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!enabled || !messageId) {
+      return undefined;
+    }
+
+    let isMounted = true;
+    setLoading(true);
+
+    fetchMessageEdits(messageId)
+      .then((data) => {
+        if (isMounted) {
+          setEdits(data);
+          setError(null);
+        }
+      })
+      .catch((err) => {
+        if (isMounted) {
+          console.error('Error loading message edits:', err);
+          setError(err.message);
+        }
+      })
+      .finally(() => {
+        if (isMounted) {
+          setLoading(false);
+        }
+      });
+
+    return () => {
+      isMounted = false;
+    };
+  }, [messageId, enabled, editedAt]);
+
+  return {
+    edits,
+    loading,
+    error
+  };
+};
@@ -0,0 +1,101 @@
+/**
+ * Custom hook for searching messages across every room the user can access
+ * Searches run once the user stops typing for SEARCH_DEBOUNCE_MS, and a result that arrives after
+ * the query or filters changed again is dropped
+ */
+import { useState, useEffect, useCallback } from 'react';
+import { useSupabaseUserContext } from '../../auth/contexts/SupabaseUserProvider';
+import { searchChatMessages } from '../services/chatService';
+import { toSearchRange } from '../utils/messageSearch';
+
+// How long typing has to pause before searching
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Shortest query searched
+const MIN_QUERY_LENGTH = 2;
+
+// Filters with nothing picked
+const EMPTY_FILTERS = { roomId: '', authorId: '', fromDate: '', toDate: '' };
+
+/**
+ * Hook for message search
+ * @returns {object} The query and filters with their setters, the results (best match first),
+ *   whether a search is running or has run, any error, and clearSearch to start over
+ */
+export const useMessageSearch = () => {
+  const { supabaseUser } = useSupabaseUserContext();
+  const [query, setQuery] = useState('');
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState(null);
+
+  const trimmedQuery = query.trim();
+  const isActive = trimmedQuery.length >= MIN_QUERY_LENGTH;
+
+  // Search again whenever the query or a filter changes
+  useEffect(() => {
+    if (!supabaseUser || !isActive) {
+      setResults([]);
+      setSearching(false);
+      setError(null);
+      return undefined;
+    }
+
+    let isCurrent = true;
+    setSearching(true);
+
+    const timer = setTimeout(() => {
+      searchChatMessages(supabaseUser.id, trimmedQuery, {
+        roomId: filters.roomId,
+        authorId: filters.authorId,
+        ...toSearchRange(filters.fromDate, filters.toDate)
+      })
+        .then((matches) => {
+          if (isCurrent) {
+            setResults(matches);
+            setError(null);
+          }
+        })
+        .catch((err) => {
+          if (isCurrent) {
+            setResults([]);
+            setError(err.message);
+          }
+        })
+        .finally(() => {
+          if (isCurrent) {
+            setSearching(false);
+          }
+        });
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      isCurrent = false;
+      clearTimeout(timer);
+    };
+  }, [supabaseUser, trimmedQuery, isActive, filters]);
+
+  // Change one filter
+  const setFilter = useCallback((name, value) => {
+    setFilters((prevFilters) => ({ ...prevFilters, [name]: value }));
+  }, []);
+
+  // Clear the query and filters
+  const clearSearch = useCallback(() => {
+    setQuery('');
+    setFilters(EMPTY_FILTERS);
+  }, []);
+
+  return {
+    query,
+    setQuery,
+    filters,
+    setFilter,
+    results,
+    searching,
+    error,
+    isActive,
+    clearSearch
+  };
+};
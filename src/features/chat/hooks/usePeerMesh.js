@@ -0,0 +1,302 @@
+/**
+ * Custom hook to keep direct RTCDataChannel links between members who have a room open
+ * The links are set up while Supabase is reachable, so room messages can still flow
+ * peer-to-peer if the Realtime websocket drops later
+ */
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { supabase } from '../../../supabaseClient';
+import { useSupabaseUserContext } from '../../auth/contexts/SupabaseUserProvider';
+import { subscribeToSignals, sendSignal } from '../services/signalingService';
+import { refreshIceServers } from '../services/iceService';
+import { createPeerConnection, serializeDescription } from '../utils/webrtc';
+
+/**
+ * Signal types exchanged between mesh peers
+ */
+export const MESH_SIGNAL = {
+  OFFER: 'mesh-offer',
+  ANSWER: 'mesh-answer',
+  ICE_CANDIDATE: 'mesh-ice-candidate'
+};
+
+// Upper bound on direct links per user (every link is a full peer connection)
+const MESH_MAX_PEERS = 8;
+
+/**
+ * Hook for a data-channel mesh between the members viewing a room
+ * @param {string} roomId - ID of the chat room
+ * @param {Array<string>} memberIds - IDs of the room's members (only they are connected)
+ * @param {boolean} enabled - Whether the current user is a member and should take part
+ * @param {Function} onMessage - Called with (peerId, data) for every message a peer sends
+ * @returns {object} Number of open links and a function to send to all of them
+ */
+export const usePeerMesh = (roomId, memberIds, enabled, onMessage) => {
+  const { supabaseUser } = useSupabaseUserContext();
+  const userId = supabaseUser?.id;
+  const [viewerIds, setViewerIds] = useState([]);
+  const [openPeerIds, setOpenPeerIds] = useState([]);
+
+  // Links keyed by peer ID: { pc, channel, pendingCandidates }
+  const peers = useRef(new Map());
+
+  const onMessageRef = useRef(onMessage);
+  useEffect(() => {
+    onMessageRef.current = onMessage;
+  }, [onMessage]);
+
+  // Send a mesh signal to another member
+  const signalPeer = useCallback(async (peerId, type, data = {}) => {
+    if (!userId) {
+      return;
+    }
+
+    try {
+      await sendSignal(peerId, { type, roomId, from: { id: userId }, ...data });
+    } catch (err) {
+      console.error(`Error sending ${type} signal:`, err);
+    }
+  }, [userId, roomId]);
+
+  // Close the link to one member
+  const closePeer = useCallback((peerId) => {
+    const entry = peers.current.get(peerId);
+    if (entry) {
+      peers.current.delete(peerId);
+      if (entry.channel) {
+        entry.channel.onopen = null;
+        entry.channel.onclose = null;
+        entry.channel.onmessage = null;
+      }
+      entry.pc.onicecandidate = null;
+      entry.pc.onconnectionstatechange = null;
+      entry.pc.ondatachannel = null;
+      entry.pc.close();
+    }
+
+    setOpenPeerIds((prev) => (prev.includes(peerId) ? prev.filter((id) => id !== peerId) : prev));
+  }, []);
+
+  // Wire up the data channel of a link
+  const attachChannel = useCallback((peerId, entry, channel) => {
+    entry.channel = channel;
+
+    channel.onopen = () => {
+      setOpenPeerIds((prev) => (prev.includes(peerId) ? prev : [...prev, peerId]));
+    };
+
+    // Without signaling the link can't be rebuilt, so a closed channel ends it
+    channel.onclose = () => closePeer(peerId);
+
+    channel.onmessage = (event) => {
+      try {
+        onMessageRef.current?.(peerId, JSON.parse(event.data));
+      } catch (err) {
+        console.error('Error handling mesh message:', err);
+      }
+    };
+  }, [closePeer]);
+
+  // Create a link to one member; the offering side opens the data channel
+  const createPeer = useCallback((peerId, isOfferer) => {
+    const pc = createPeerConnection({
+      onIceCandidate: (candidate) => signalPeer(peerId, MESH_SIGNAL.ICE_CANDIDATE, { candidate }),
+      onConnectionStateChange: (state) => {
+        if (state === 'failed' || state === 'closed') {
+          closePeer(peerId);
+        }
+      },
+      onIceRestart: isOfferer ? async () => {
+        try {
+          const offer = await pc.createOffer({ iceRestart: true });
+          await pc.setLocalDescription(offer);
+          await signalPeer(peerId, MESH_SIGNAL.OFFER, {
+            description: serializeDescription(pc.localDescription)
+          });
+        } catch (err) {
+          console.error('Error restarting ICE:', err);
+          closePeer(peerId);
+        }
+      } : null
+    });
+
+    const entry = { pc, channel: null, pendingCandidates: [] };
+    peers.current.set(peerId, entry);
+
+    if (isOfferer) {
+      attachChannel(peerId, entry, pc.createDataChannel('chat', { ordered: true }));
+    } else {
+      pc.ondatachannel = (event) => attachChannel(peerId, entry, event.channel);
+    }
+
+    return entry;
+  }, [signalPeer, closePeer, attachChannel]);
+
+  // Apply ICE candidates that arrived before the remote description
+  const flushPendingCandidates = useCallback(async (entry) => {
+    const pending = entry.pendingCandidates;
+    entry.pendingCandidates = [];
+
+    for (const candidate of pending) {
+      await entry.pc.addIceCandidate(candidate);
+    }
+  }, []);
+
+  // Handle a mesh signal addressed to the current user
+  const handleSignal = useCallback(async (signal) => {
+    if (!signal?.type?.startsWith('mesh-') || signal.roomId !== roomId || !enabled) {
+      return;
+    }
+
+    const peerId = signal.from?.id;
+    if (!peerId || !memberIds.includes(peerId)) {
+      return;
+    }
+
+    try {
+      switch (signal.type) {
+        case MESH_SIGNAL.OFFER: {
+          let entry = peers.current.get(peerId);
+          if (!entry) {
+            if (peers.current.size >= MESH_MAX_PEERS) {
+              return;
+            }
+
+            await refreshIceServers(userId);
+            entry = peers.current.get(peerId) || createPeer(peerId, false);
+          }
+
+          await entry.pc.setRemoteDescription(signal.description);
+          await flushPendingCandidates(entry);
+
+          const answer = await entry.pc.createAnswer();
+          await entry.pc.setLocalDescription(answer);
+          await signalPeer(peerId, MESH_SIGNAL.ANSWER, {
+            description: serializeDescription(entry.pc.localDescription)
+          });
+          break;
+        }
+
+        case MESH_SIGNAL.ANSWER: {
+          const entry = peers.current.get(peerId);
+          if (entry) {
+            await entry.pc.setRemoteDescription(signal.description);
+            await flushPendingCandidates(entry);
+          }
+          break;
+        }
+
+        case MESH_SIGNAL.ICE_CANDIDATE: {
+          const entry = peers.current.get(peerId);
+          if (entry?.pc.remoteDescription) {
+            await entry.pc.addIceCandidate(signal.candidate);
+          } else if (entry) {
+            entry.pendingCandidates.push(signal.candidate);
+          }
+          break;
+        }
+
+        default:
+          break;
+      }
+    } catch (err) {
+      console.error(`Error handling ${signal.type} signal:`, err);
+      closePeer(peerId);
+    }
+  }, [roomId, enabled, memberIds, userId, createPeer, flushPendingCandidates, signalPeer, closePeer]);
+
+  // Keep the latest handler available to the long-lived subscription
+  const handleSignalRef = useRef(handleSignal);
+  useEffect(() => {
+    handleSignalRef.current = handleSignal;
+  }, [handleSignal]);
+
+  // Listen for mesh signals on the user's personal channel
+  useEffect(() => {
+    if (!userId) {
+      return undefined;
+    }
+
+    return subscribeToSignals(userId, (signal) => handleSignalRef.current(signal));
+  }, [userId]);
+
+  // Track which members have the room open
+  useEffect(() => {
+    if (!roomId || !userId || !enabled) {
+      setViewerIds([]);
+      return undefined;
+    }
+
+    const channel = supabase.channel(`chat-mesh:${roomId}`, {
+      config: { presence: { key: userId } }
+    });
+
+    channel
+      .on('presence', { event: 'sync' }, () => {
+        setViewerIds(Object.keys(channel.presenceState()));
+      })
+      .subscribe((status) => {
+        if (status === 'SUBSCRIBED') {
+          channel.track({ user_id: userId });
+        }
+      });
+
+    const connections = peers.current;
+
+    // Leaving the room closes every link; peers notice through their channel closing
+    return () => {
+      Array.from(connections.keys()).forEach(closePeer);
+      supabase.removeChannel(channel);
+    };
+  }, [roomId, userId, enabled, closePeer]);
+
+  // Link up with members who opened the room; for every pair the lower ID sends the offer
+  // Links are not dropped when presence changes, since presence is lost along with the websocket
+  useEffect(() => {
+    if (!enabled || !userId) {
+      return;
+    }
+
+    viewerIds
+      .filter((peerId) => peerId !== userId && memberIds.includes(peerId))
+      .filter((peerId) => !peers.current.has(peerId) && userId < peerId)
+      .slice(0, Math.max(0, MESH_MAX_PEERS - peers.current.size))
+      .forEach(async (peerId) => {
+        try {
+          await refreshIceServers(userId);
+          if (peers.current.has(peerId)) {
+            return;
+          }
+
+          const entry = createPeer(peerId, true);
+          const offer = await entry.pc.createOffer();
+          await entry.pc.setLocalDescription(offer);
+          await signalPeer(peerId, MESH_SIGNAL.OFFER, {
+            description: serializeDescription(entry.pc.localDescription)
+          });
+        } catch (err) {
+          console.error('Error connecting to room member:', err);
+          closePeer(peerId);
+        }
+      });
+  }, [viewerIds, memberIds, enabled, userId, createPeer, signalPeer, closePeer]);
+
+  // Send data to every open link; returns how many peers it went to
+  const broadcast = useCallback((data) => {
+    const payload = JSON.stringify(data);
+    let delivered = 0;
+
+    peers.current.forEach((entry) => {
+      if (entry.channel?.readyState === 'open') {
+        entry.channel.send(payload);
+        delivered += 1;
+      }
+    });
+
+    return delivered;
+  }, []);
+
+  return {
+    peerCount: openPeerIds.length,
+    broadcast
+  };
+};
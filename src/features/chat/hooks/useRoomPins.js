@@ -0,0 +1,146 @@
+/**
+ * Custom hook for a room's pinned messages
+ * Loads the pins and follows them live, so pins and unpins by the room admin show up for everyone.
+ * Pinning and unpinning also post a system message in the room
+ */
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { supabase } from '../../../supabaseClient';
+import { useSupabaseUserContext } from '../../auth/contexts/SupabaseUserProvider';
+import { fetchRoomPins, pinChatMessage, unpinChatMessage } from '../services/chatService';
+import { mentionsToPlainText } from '../utils/mentions';
+
+// Longest quote of the pinned message in a pin notice
+const NOTICE_QUOTE_LENGTH = 60;
+
+/**
+ * Build the system message text announcing a pin or unpin
+ * @param {string} userName - Name of the admin
+ * @param {string} action - 'pinned' or 'unpinned'
+ * @param {object} message - The pinned message
+ * @param {object} usersById - User details keyed by user ID, for mention names
+ * @returns {string} E.g. 'Alice pinned a message: "Deploy checklist…"'
+ */
+const describePin = (userName, action, message, usersById) => {
+  const text = mentionsToPlainText(message.message || '', usersById)
+    .replace(/\s+/g, ' ')
+    .trim();
+  const quote = text.length > NOTICE_QUOTE_LENGTH ? `${text.slice(0, NOTICE_QUOTE_LENGTH).trimEnd()}…` : text;
+
+  return quote
+    ? `${userName || 'A room admin'} ${action} a message: "${quote}"`
+    : `${userName || 'A room admin'} ${action} a message`;
+};
+
+/**
+ * Hook for pinned messages
+ * @param {string} roomId - ID of the room
+ * @param {object} usersById - User details keyed by user ID, for mention names in pin notices
+ * @returns {object} Pins (most recently pinned first), the IDs of the pinned messages, loading and
+ *   error state, and togglePin, to call with (message, pinned) to pin or unpin a message
+ */
+export const useRoomPins = (roomId, usersById = {}) => {
+  const { supabaseUser } = useSupabaseUserContext();
+  const [pins, setPins] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Load the room's pins and follow changes to them
+  useEffect(() => {
+    setPins([]);
+    setError(null);
+
+    if (!roomId || !supabaseUser) {
+      return undefined;
+    }
+
+    let isMounted = true;
+
+    const loadPins = () => fetchRoomPins(roomId)
+      .then((roomPins) => {
+        if (isMounted) {
+          setPins(roomPins);
+        }
+      })
+      .catch((err) => {
+        if (isMounted) {
+          setError(err.message);
+        }
+      });
+
+    setLoading(true);
+    loadPins().finally(() => {
+      if (isMounted) {
+        setLoading(false);
+      }
+    });
+
+    // New pins are loaded again for their message; removals only carry the pin's ID
+    const channel = supabase
+      .channel(`chat-pins:${roomId}`)
+      .on('postgres_changes',
+        {
+          event: 'INSERT',
+          schema: 'public',
+          table: 'chat_room_pins',
+          filter: `room_id=eq.${roomId}`
+        },
+        loadPins
+      )
+      .on('postgres_changes',
+        {
+          event: 'DELETE',
+          schema: 'public',
+          table: 'chat_room_pins'
+        },
+        (payload) => {
+          const removedId = payload.old?.id;
+          if (removedId) {
+            setPins((prevPins) => prevPins.filter((pin) => pin.id !== removedId));
+          }
+        }
+      )
+      .subscribe();
+
+    return () => {
+      isMounted = false;
+      supabase.removeChannel(channel);
+    };
+  }, [roomId, supabaseUser]);
+
+  const pinnedIds = useMemo(() => new Set(pins.map((pin) => pin.message_id)), [pins]);
+
+  // Pin or unpin a message; the change is shown straight away rather than on its realtime event
+  const togglePin = useCallback(async (message, pinned) => {
+    if (!supabaseUser || !roomId || !message?.id) {
+      return;
+    }
+
+    const action = pinned ? 'unpinned' : 'pinned';
+    const notice = describePin(supabaseUser.full_name, action, message, usersById);
+
+    try {
+      setError(null);
+
+      if (pinned) {
+        const removedId = await unpinChatMessage(supabaseUser.id, roomId, message.id, notice);
+        setPins((prevPins) => prevPins.filter((pin) => pin.id !== removedId && pin.message_id !== message.id));
+      } else {
+        const pin = await pinChatMessage(supabaseUser.id, roomId, message.id, notice);
+        if (pin) {
+          setPins((prevPins) => [pin, ...prevPins.filter((existing) => existing.id !== pin.id)]);
+        }
+      }
+    } catch (err) {
+      console.error('Error changing pin:', err);
+      setError(err.message);
+    }
+  }, [roomId, supabaseUser, usersById]);
+
+  return {
+    pins,
+    pinnedIds,
+    loading,
+    error,
+    togglePin
+  };
+};
@@ -0,0 +1,129 @@
+/**
+ * Custom hook for a room's typing indicators
+ * Typing is signalled with ephemeral Realtime broadcast events, so nothing is written to the
+ * database. While the user types, a signal goes out at most every TYPING_THROTTLE_MS, and a
+ * typist whose signals stop is dropped after TYPING_EXPIRY_MS
+ */
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { supabase } from '../../../supabaseClient';
+import { useSupabaseUserContext } from '../../auth/contexts/SupabaseUserProvider';
+
+// Broadcast event name shared by every typing signal
+const TYPING_EVENT = 'typing';
+
+// Least time between two "still typing" signals
+const TYPING_THROTTLE_MS = 2000;
+
+// How long someone is shown as typing after their last signal
+const TYPING_EXPIRY_MS = 5000;
+
+/**
+ * Hook for typing indicators
+ * @param {string} roomId - ID of the room
+ * @returns {object} The other members typing ({ id, full_name }, in the order they started) and
+ *   setTyping, to call with whether the user is typing
+ */
+export const useTypingIndicator = (roomId) => {
+  const { supabaseUser } = useSupabaseUserContext();
+  const [typingUsers, setTypingUsers] = useState([]);
+  const channelRef = useRef(null);
+
+  // When the last "typing" signal went out; 0 while the user isn't typing
+  const lastSentRef = useRef(0);
+
+  // Expiry timers keyed by user ID
+  const expiryTimers = useRef(new Map());
+
+  // Stop showing someone as typing
+  const removeTypingUser = useCallback((userId) => {
+    clearTimeout(expiryTimers.current.get(userId));
+    expiryTimers.current.delete(userId);
+    setTypingUsers((prevUsers) => (prevUsers.some((user) => user.id === userId)
+      ? prevUsers.filter((user) => user.id !== userId)
+      : prevUsers));
+  }, []);
+
+  // Follow the room's typing signals
+  useEffect(() => {
+    if (!roomId || !supabaseUser) {
+      return undefined;
+    }
+
+    const timers = expiryTimers.current;
+
+    const channel = supabase
+      .channel(`typing:${roomId}`)
+      .on('broadcast', { event: TYPING_EVENT }, ({ payload }) => {
+        if (!payload?.user_id || payload.user_id === supabaseUser.id) {
+          return;
+        }
+
+        if (!payload.typing) {
+          removeTypingUser(payload.user_id);
+          return;
+        }
+
+        clearTimeout(timers.get(payload.user_id));
+        timers.set(payload.user_id, setTimeout(() => removeTypingUser(payload.user_id), TYPING_EXPIRY_MS));
+        setTypingUsers((prevUsers) => (prevUsers.some((user) => user.id === payload.user_id)
+          ? prevUsers
+          : [...prevUsers, { id: payload.user_id, full_name: payload.full_name }]));
+      })
+      .subscribe();
+
+    channelRef.current = channel;
+
+    return () => {
+      // Tell the others we stopped rather than leaving them to wait for the expiry
+      const wasTyping = lastSentRef.current > 0;
+      lastSentRef.current = 0;
+      channelRef.current = null;
+
+      const stopped = wasTyping
+        ? channel.send({
+          type: 'broadcast',
+          event: TYPING_EVENT,
+          payload: { user_id: supabaseUser.id, typing: false }
+        })
+        : Promise.resolve();
+      stopped
+        .catch((err) => console.error('Error sending typing signal:', err))
+        .finally(() => supabase.removeChannel(channel));
+
+      timers.forEach((timer) => clearTimeout(timer));
+      timers.clear();
+      setTypingUsers([]);
+    };
+  }, [roomId, supabaseUser, removeTypingUser]);
+
+  // Send a typing signal to the room
+  const sendTypingSignal = useCallback((typing) => {
+    if (!channelRef.current || !supabaseUser) {
+      return;
+    }
+
+    channelRef.current.send({
+      type: 'broadcast',
+      event: TYPING_EVENT,
+      payload: { user_id: supabaseUser.id, full_name: supabaseUser.full_name, typing }
+    }).catch((err) => console.error('Error sending typing signal:', err));
+  }, [supabaseUser]);
+
+  // Signal that the user is typing (throttled) or has stopped (straight away)
+  const setTyping = useCallback((isTyping) => {
+    if (isTyping) {
+      const now = Date.now();
+      if (now - lastSentRef.current < TYPING_THROTTLE_MS) {
+        return;
+      }
+
+      lastSentRef.current = now;
+      sendTypingSignal(true);
+    } else if (lastSentRef.current > 0) {
+      lastSentRef.current = 0;
+      sendTypingSignal(false);
+    }
+  }, [sendTypingSignal]);
+
+  return { typingUsers, setTyping };
+};
@@ -0,0 +1,750 @@
+/**
+ * Custom hook to handle one-to-one WebRTC video calls
+ * Offers, answers, ICE candidates and call control events travel over Supabase Realtime broadcast
+ */
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { v4 as uuidv4 } from 'uuid';
+import { useSupabaseUserContext } from '../../auth/contexts/SupabaseUserProvider';
+import { subscribeToSignals, sendSignal, closeSignalChannel } from '../services/signalingService';
+import { refreshIceServers } from '../services/iceService';
+import { useConnectionStats } from './useConnectionStats';
+import { useCallRecording } from './useCallRecording';
+import {
+  CALL_OUTCOME,
+  logCallStarted,
+  logCallAnswered,
+  logCallEnded,
+  postCallSummary,
+  postRecordingSummary
+} from '../services/callService';
+import { formatCallDuration } from '../utils/dateUtils';
+import {
+  createPeerConnection,
+  serializeDescription,
+  getLocalMedia,
+  getScreenMedia,
+  replaceVideoTrack,
+  stopMediaStream
+} from '../utils/webrtc';
+
+/**
+ * Possible states of the current call
+ */
+export const CALL_STATUS = {
+  IDLE: 'idle',
+  OUTGOING: 'outgoing', // We are ringing the other user
+  INCOMING: 'incoming', // The other user is ringing us
+  CONNECTING: 'connecting',
+  ACTIVE: 'active',
+  ENDED: 'ended'
+};
+
+/**
+ * Signal types exchanged between the two peers of a call
+ */
+export const CALL_SIGNAL = {
+  INVITE: 'call-invite',
+  ACCEPT: 'call-accept',
+  DECLINE: 'call-decline',
+  BUSY: 'call-busy',
+  CANCEL: 'call-cancel',
+  HANGUP: 'call-hangup',
+  OFFER: 'call-offer',
+  ANSWER: 'call-answer',
+  ICE_CANDIDATE: 'call-ice-candidate',
+  SCREEN_SHARE: 'call-screen-share',
+  RECORDING: 'call-recording'
+};
+
+// How long a call rings before it is treated as missed
+const RING_TIMEOUT_MS = 30000;
+
+// How long the "call ended" state stays visible before going back to idle
+const ENDED_DISPLAY_MS = 3000;
+
+/**
+ * Create an empty call record
+ * @returns {object} Mutable call state
+ */
+const createCallRecord = () => ({
+  id: null,
+  peerId: null,
+  peer: null,
+  roomId: null,
+  isCaller: false,
+  isAnswered: false,
+  logged: null, // Promise of the calls row insert (caller only)
+  pc: null,
+  localStream: null,
+  screenStream: null,
+  pendingCandidates: [],
+  ringTimer: null
+});
+
+/**
+ * Hook for placing and answering one-to-one video calls
+ * @returns {object} Call state and operations
+ */
+export const useVideoCall = () => {
+  const { supabaseUser } = useSupabaseUserContext();
+  const userId = supabaseUser?.id;
+  const [status, setStatus] = useState(CALL_STATUS.IDLE);
+  const [peer, setPeer] = useState(null);
+  const [callId, setCallId] = useState(null);
+  const [callRoomId, setCallRoomId] = useState(null);
+  const [localStream, setLocalStream] = useState(null);
+  const [remoteStream, setRemoteStream] = useState(null);
+  const [endReason, setEndReason] = useState(null);
+  const [isMuted, setIsMuted] = useState(false);
+  const [isCameraOff, setIsCameraOff] = useState(false);
+  const [screenStream, setScreenStream] = useState(null);
+  const [isPeerSharing, setIsPeerSharing] = useState(false);
+  const [isPeerRecording, setIsPeerRecording] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Mutable call state, read from signal handlers and timers
+  const call = useRef(createCallRecord());
+  const statusRef = useRef(CALL_STATUS.IDLE);
+  const endedTimer = useRef(null);
+
+  // Call being recorded: { id, roomId, peer }, and the function endCall uses to finish it
+  const recordedCall = useRef(null);
+  const finishRecordingRef = useRef(null);
+
+  const updateStatus = useCallback((nextStatus) => {
+    statusRef.current = nextStatus;
+    setStatus(nextStatus);
+  }, []);
+
+  // Whether a call is in progress (ringing, connecting or connected)
+  const isBusy = useCallback(() =>
+    statusRef.current !== CALL_STATUS.IDLE && statusRef.current !== CALL_STATUS.ENDED
+  , []);
+
+  // Poll the call's connection while it is up, stepping video down when it degrades
+  const getConnections = useCallback(() => (call.current.pc ? [['peer', call.current.pc]] : []), []);
+  const connection = useConnectionStats(getConnections, status === CALL_STATUS.ACTIVE);
+
+  // Send a call signal to the other peer of the current call
+  const signalPeer = useCallback(async (type, data = {}, target = call.current) => {
+    if (!target.peerId || !supabaseUser) {
+      return;
+    }
+
+    try {
+      await sendSignal(target.peerId, {
+        type,
+        callId: target.id,
+        from: {
+          id: supabaseUser.id,
+          full_name: supabaseUser.full_name,
+          image_url: supabaseUser.image_url
+        },
+        ...data
+      });
+    } catch (err) {
+      console.error(`Error sending ${type} signal:`, err);
+    }
+  }, [supabaseUser]);
+
+  // Close the peer connection, stop local media and reset the call record
+  const releaseCall = useCallback(() => {
+    const current = call.current;
+
+    clearTimeout(current.ringTimer);
+
+    if (current.pc) {
+      current.pc.onicecandidate = null;
+      current.pc.ontrack = null;
+      current.pc.onconnectionstatechange = null;
+      current.pc.close();
+    }
+
+    stopMediaStream(current.localStream);
+    stopMediaStream(current.screenStream);
+    call.current = createCallRecord();
+
+    setLocalStream(null);
+    setRemoteStream(null);
+    setIsMuted(false);
+    setIsCameraOff(false);
+    setScreenStream(null);
+    setIsPeerSharing(false);
+    setIsPeerRecording(false);
+  }, []);
+
+  // Log the end of a call we placed and post a summary in its room
+  // Only the caller writes, so each call is logged exactly once
+  const logCallEnd = useCallback(async (ended, reason) => {
+    let outcome = CALL_OUTCOME.MISSED;
+    if (reason === 'declined' || reason === 'busy') {
+      outcome = CALL_OUTCOME.DECLINED;
+    } else if (ended.isAnswered) {
+      outcome = CALL_OUTCOME.COMPLETED;
+    }
+
+    try {
+      await ended.logged;
+      const record = await logCallEnded(ended.id, outcome);
+      if (!record || outcome === CALL_OUTCOME.DECLINED) {
+        return;
+      }
+
+      const calleeName = ended.peer?.full_name || 'Unknown User';
+      const text = outcome === CALL_OUTCOME.COMPLETED
+        ? `Video call with ${calleeName} · ${formatCallDuration(record.duration_seconds)}`
+        : `Missed video call to ${calleeName}`;
+
+      await postCallSummary(supabaseUser.id, record, text);
+    } catch (err) {
+      console.error('Error logging call end:', err);
+    }
+  }, [supabaseUser]);
+
+  // End the current call, optionally telling the other peer why
+  const endCall = useCallback((reason, notifyType = null) => {
+    if (!isBusy()) {
+      return;
+    }
+
+    // Stop recording first, so the file still has everyone in it
+    finishRecordingRef.current?.(false);
+
+    const ended = { ...call.current };
+    const target = { id: ended.id, peerId: ended.peerId };
+    releaseCall();
+
+    if (ended.isCaller && ended.logged) {
+      logCallEnd(ended, reason);
+    }
+
+    setEndReason(reason);
+    updateStatus(CALL_STATUS.ENDED);
+
+    if (notifyType) {
+      signalPeer(notifyType, {}, target).finally(() => closeSignalChannel(target.peerId));
+    } else {
+      closeSignalChannel(target.peerId);
+    }
+
+    clearTimeout(endedTimer.current);
+    endedTimer.current = setTimeout(() => {
+      updateStatus(CALL_STATUS.IDLE);
+      setPeer(null);
+      setCallId(null);
+      setCallRoomId(null);
+      setEndReason(null);
+    }, ENDED_DISPLAY_MS);
+  }, [isBusy, releaseCall, logCallEnd, updateStatus, signalPeer]);
+
+  // Create the peer connection for the current call and attach local media
+  // The caller is the offering side, which also drives ICE restarts
+  const setupPeerConnection = useCallback((stream, isOfferer) => {
+    const pc = createPeerConnection({
+      onIceCandidate: (candidate) => signalPeer(CALL_SIGNAL.ICE_CANDIDATE, { candidate }),
+      onTrack: (event) => {
+        const [remote] = event.streams;
+        setRemoteStream(remote || new MediaStream([event.track]));
+      },
+      onConnectionStateChange: (state) => {
+        if (state === 'connected') {
+          updateStatus(CALL_STATUS.ACTIVE);
+
+          if (!call.current.isAnswered) {
+            call.current.isAnswered = true;
+            if (call.current.isCaller && call.current.logged) {
+              const { id, logged } = call.current;
+              logged.then(() => logCallAnswered(id)).catch((err) => {
+                console.error('Error logging call answer:', err);
+              });
+            }
+          }
+        } else if (state === 'failed') {
+          endCall('failed', CALL_SIGNAL.HANGUP);
+        }
+      },
+      onIceRestart: isOfferer ? async () => {
+        try {
+          const offer = await pc.createOffer({ iceRestart: true });
+          await pc.setLocalDescription(offer);
+          await signalPeer(CALL_SIGNAL.OFFER, {
+            description: serializeDescription(pc.localDescription)
+          });
+        } catch (err) {
+          console.error('Error restarting ICE:', err);
+          endCall('failed', CALL_SIGNAL.HANGUP);
+        }
+      } : null
+    });
+
+    stream.getTracks().forEach((track) => pc.addTrack(track, stream));
+    call.current.pc = pc;
+
+    return pc;
+  }, [signalPeer, updateStatus, endCall]);
+
+  // Apply ICE candidates that arrived before the remote description
+  const flushPendingCandidates = useCallback(async () => {
+    const { pc, pendingCandidates } = call.current;
+    call.current.pendingCandidates = [];
+
+    for (const candidate of pendingCandidates) {
+      await pc.addIceCandidate(candidate);
+    }
+  }, []);
+
+  // Start a call with another user, optionally from a chat room (where its summary is posted)
+  const startCall = useCallback(async (user, roomId = null) => {
+    if (!supabaseUser || !user?.id || user.id === supabaseUser.id || isBusy()) {
+      return;
+    }
+
+    clearTimeout(endedTimer.current);
+
+    const callId = uuidv4();
+    call.current.id = callId;
+    call.current.peerId = user.id;
+    call.current.peer = user;
+    call.current.roomId = roomId;
+    call.current.isCaller = true;
+
+    setPeer(user);
+    setCallId(callId);
+    setCallRoomId(roomId);
+    setEndReason(null);
+    setError(null);
+    updateStatus(CALL_STATUS.OUTGOING);
+
+    try {
+      const [stream] = await Promise.all([getLocalMedia(), refreshIceServers(supabaseUser.id)]);
+
+      // The call may have been cancelled while waiting for camera permission
+      if (call.current.id !== callId) {
+        stopMediaStream(stream);
+        return;
+      }
+
+      call.current.localStream = stream;
+      setLocalStream(stream);
+
+      call.current.logged = logCallStarted({
+        id: callId,
+        callerId: supabaseUser.id,
+        calleeId: user.id,
+        roomId
+      });
+      // Logging problems must never break the call itself
+      call.current.logged.catch(() => {});
+
+      await signalPeer(CALL_SIGNAL.INVITE, { roomId });
+
+      call.current.ringTimer = setTimeout(() => {
+        endCall('missed', CALL_SIGNAL.CANCEL);
+      }, RING_TIMEOUT_MS);
+    } catch (err) {
+      console.error('Error starting call:', err);
+      setError(err.message);
+      endCall('failed', CALL_SIGNAL.CANCEL);
+    }
+  }, [supabaseUser, isBusy, updateStatus, signalPeer, endCall]);
+
+  // Accept the incoming call
+  const acceptCall = useCallback(async () => {
+    if (statusRef.current !== CALL_STATUS.INCOMING) {
+      return;
+    }
+
+    const callId = call.current.id;
+    clearTimeout(call.current.ringTimer);
+    updateStatus(CALL_STATUS.CONNECTING);
+
+    try {
+      const [stream] = await Promise.all([getLocalMedia(), refreshIceServers(userId)]);
+
+      if (call.current.id !== callId) {
+        stopMediaStream(stream);
+        return;
+      }
+
+      call.current.localStream = stream;
+      setLocalStream(stream);
+      setupPeerConnection(stream, false);
+
+      await signalPeer(CALL_SIGNAL.ACCEPT);
+    } catch (err) {
+      console.error('Error accepting call:', err);
+      setError(err.message);
+      endCall('failed', CALL_SIGNAL.HANGUP);
+    }
+  }, [userId, updateStatus, setupPeerConnection, signalPeer, endCall]);
+
+  // Decline the incoming call
+  const declineCall = useCallback(() => {
+    if (statusRef.current === CALL_STATUS.INCOMING) {
+      endCall('declined', CALL_SIGNAL.DECLINE);
+    }
+  }, [endCall]);
+
+  // Hang up (or cancel) the current call
+  const hangUp = useCallback(() => {
+    switch (statusRef.current) {
+      case CALL_STATUS.OUTGOING:
+        endCall('cancelled', CALL_SIGNAL.CANCEL);
+        break;
+      case CALL_STATUS.INCOMING:
+        endCall('declined', CALL_SIGNAL.DECLINE);
+        break;
+      default:
+        endCall('ended', CALL_SIGNAL.HANGUP);
+    }
+  }, [endCall]);
+
+  // Mute or unmute the microphone
+  const toggleMute = useCallback(() => {
+    const stream = call.current.localStream;
+    if (!stream) {
+      return;
+    }
+
+    const nextMuted = !isMuted;
+    stream.getAudioTracks().forEach((track) => {
+      track.enabled = !nextMuted;
+    });
+    setIsMuted(nextMuted);
+  }, [isMuted]);
+
+  // Turn the camera on or off
+  const toggleCamera = useCallback(() => {
+    const stream = call.current.localStream;
+    if (!stream) {
+      return;
+    }
+
+    const nextCameraOff = !isCameraOff;
+    stream.getVideoTracks().forEach((track) => {
+      track.enabled = !nextCameraOff;
+    });
+    setIsCameraOff(nextCameraOff);
+  }, [isCameraOff]);
+
+  // Stop sharing the screen and send the camera again
+  const stopScreenShare = useCallback(async () => {
+    const { pc, localStream: cameraStream, screenStream: sharedStream } = call.current;
+    if (!sharedStream) {
+      return;
+    }
+
+    call.current.screenStream = null;
+    stopMediaStream(sharedStream);
+    setScreenStream(null);
+
+    try {
+      if (pc) {
+        await replaceVideoTrack(pc, cameraStream?.getVideoTracks()[0] || null);
+      }
+      await signalPeer(CALL_SIGNAL.SCREEN_SHARE, { sharing: false });
+    } catch (err) {
+      console.error('Error stopping screen share:', err);
+    }
+  }, [signalPeer]);
+
+  // Share the screen in place of the camera
+  const startScreenShare = useCallback(async () => {
+    const { pc, id: callId } = call.current;
+    if (!pc || call.current.screenStream) {
+      return;
+    }
+
+    try {
+      const stream = await getScreenMedia();
+      const [track] = stream.getVideoTracks();
+
+      // The call may have ended while the screen picker was open
+      if (call.current.id !== callId || !call.current.pc) {
+        stopMediaStream(stream);
+        return;
+      }
+
+      // The browser's own "Stop sharing" button ends the track
+      track.addEventListener('ended', () => {
+        if (call.current.screenStream === stream) {
+          stopScreenShare();
+        }
+      });
+
+      call.current.screenStream = stream;
+      setScreenStream(stream);
+
+      await replaceVideoTrack(pc, track);
+      await signalPeer(CALL_SIGNAL.SCREEN_SHARE, { sharing: true });
+    } catch (err) {
+      // Closing the screen picker without choosing anything is not an error
+      if (err.name !== 'NotAllowedError') {
+        console.error('Error sharing screen:', err);
+        setError(err.message);
+      }
+      stopScreenShare();
+    }
+  }, [signalPeer, stopScreenShare]);
+
+  // Record both sides of the call, with the shared screen in place of the camera while presenting
+  const recordingSources = useMemo(() => [
+    { id: 'local', label: supabaseUser?.full_name || 'You', stream: localStream, screen: screenStream },
+    { id: 'remote', label: peer?.full_name || 'Unknown User', stream: remoteStream }
+  ], [supabaseUser, localStream, screenStream, peer, remoteStream]);
+  const {
+    isRecording,
+    startRecording: startRecorder,
+    stopRecording: stopRecorder
+  } = useCallRecording(recordingSources, 'call');
+
+  // Start recording the call and show the peer that they are being recorded
+  const startRecording = useCallback(() => {
+    if (statusRef.current !== CALL_STATUS.ACTIVE || recordedCall.current) {
+      return;
+    }
+
+    try {
+      startRecorder();
+    } catch (err) {
+      console.error('Error starting recording:', err);
+      setError(err.message);
+      return;
+    }
+
+    recordedCall.current = { id: call.current.id, roomId: call.current.roomId, peer: call.current.peer };
+    signalPeer(CALL_SIGNAL.RECORDING, { recording: true });
+  }, [startRecorder, signalPeer]);
+
+  // Stop recording, save the file and note the recording in the call's room
+  // When the call itself is ending there is no need to tell the peer
+  const finishRecording = useCallback(async (notifyPeer) => {
+    const recorded = recordedCall.current;
+    if (!recorded) {
+      return;
+    }
+
+    recordedCall.current = null;
+    if (notifyPeer) {
+      signalPeer(CALL_SIGNAL.RECORDING, { recording: false });
+    }
+
+    try {
+      const result = await stopRecorder();
+      if (!result) {
+        return;
+      }
+
+      const recorderName = supabaseUser.full_name || 'Someone';
+      const peerName = recorded.peer?.full_name || 'Unknown User';
+      const duration = formatCallDuration(result.durationSeconds);
+
+      await postRecordingSummary(
+        supabaseUser.id,
+        recorded.roomId,
+        { callId: recorded.id, durationSeconds: result.durationSeconds },
+        `${recorderName} recorded the video call with ${peerName} · ${duration}`
+      );
+    } catch (err) {
+      console.error('Error stopping recording:', err);
+    }
+  }, [signalPeer, stopRecorder, supabaseUser]);
+
+  useEffect(() => {
+    finishRecordingRef.current = finishRecording;
+  }, [finishRecording]);
+
+  const stopRecording = useCallback(() => finishRecording(true), [finishRecording]);
+
+  // Handle a signal addressed to the current user
+  const handleSignal = useCallback(async (signal) => {
+    if (!signal?.type?.startsWith('call-') || !signal.from?.id) {
+      return;
+    }
+
+    // A new call while we are already in one gets a busy reply
+    if (signal.type === CALL_SIGNAL.INVITE) {
+      if (isBusy()) {
+        if (signal.callId !== call.current.id) {
+          signalPeer(CALL_SIGNAL.BUSY, {}, { id: signal.callId, peerId: signal.from.id });
+        }
+        return;
+      }
+
+      clearTimeout(endedTimer.current);
+      call.current.id = signal.callId;
+      call.current.peerId = signal.from.id;
+      call.current.peer = signal.from;
+      call.current.roomId = signal.roomId || null;
+
+      setPeer(signal.from);
+      setCallId(signal.callId);
+      setCallRoomId(signal.roomId || null);
+      setEndReason(null);
+      setError(null);
+      updateStatus(CALL_STATUS.INCOMING);
+
+      call.current.ringTimer = setTimeout(() => endCall('missed'), RING_TIMEOUT_MS);
+      return;
+    }
+
+    // Ignore signals that belong to another call
+    if (signal.callId !== call.current.id || signal.from.id !== call.current.peerId) {
+      return;
+    }
+
+    const { pc } = call.current;
+
+    try {
+      switch (signal.type) {
+        case CALL_SIGNAL.ACCEPT: {
+          if (statusRef.current !== CALL_STATUS.OUTGOING) {
+            return;
+          }
+
+          clearTimeout(call.current.ringTimer);
+          updateStatus(CALL_STATUS.CONNECTING);
+
+          const connection = setupPeerConnection(call.current.localStream, true);
+          const offer = await connection.createOffer();
+          await connection.setLocalDescription(offer);
+          await signalPeer(CALL_SIGNAL.OFFER, {
+            description: serializeDescription(connection.localDescription)
+          });
+          break;
+        }
+
+        case CALL_SIGNAL.OFFER: {
+          if (!pc) {
+            return;
+          }
+
+          await pc.setRemoteDescription(signal.description);
+          await flushPendingCandidates();
+
+          const answer = await pc.createAnswer();
+          await pc.setLocalDescription(answer);
+          await signalPeer(CALL_SIGNAL.ANSWER, {
+            description: serializeDescription(pc.localDescription)
+          });
+          break;
+        }
+
+        case CALL_SIGNAL.ANSWER:
+          if (pc) {
+            await pc.setRemoteDescription(signal.description);
+            await flushPendingCandidates();
+          }
+          break;
+
+        case CALL_SIGNAL.ICE_CANDIDATE:
+          if (pc && pc.remoteDescription) {
+            await pc.addIceCandidate(signal.candidate);
+          } else {
+            call.current.pendingCandidates.push(signal.candidate);
+          }
+          break;
+
+        case CALL_SIGNAL.SCREEN_SHARE:
+          setIsPeerSharing(Boolean(signal.sharing));
+          break;
+
+        case CALL_SIGNAL.RECORDING:
+          setIsPeerRecording(Boolean(signal.recording));
+          break;
+
+        case CALL_SIGNAL.DECLINE:
+          endCall('declined');
+          break;
+
+        case CALL_SIGNAL.BUSY:
+          endCall('busy');
+          break;
+
+        case CALL_SIGNAL.CANCEL:
+          endCall('missed');
+          break;
+
+        case CALL_SIGNAL.HANGUP:
+          endCall('ended');
+          break;
+
+        default:
+          break;
+      }
+    } catch (err) {
+      console.error(`Error handling ${signal.type} signal:`, err);
+      setError(err.message);
+      endCall('failed', CALL_SIGNAL.HANGUP);
+    }
+  }, [isBusy, signalPeer, updateStatus, endCall, setupPeerConnection, flushPendingCandidates]);
+
+  // Keep the latest handler available to the long-lived subscription
+  const handleSignalRef = useRef(handleSignal);
+  useEffect(() => {
+    handleSignalRef.current = handleSignal;
+  }, [handleSignal]);
+
+  // Listen for signals on the user's personal channel
+  useEffect(() => {
+    if (!userId) {
+      return undefined;
+    }
+
+    return subscribeToSignals(userId, (signal) => handleSignalRef.current(signal));
+  }, [userId]);
+
+  // Hang up when the tab is closed or the component unmounts
+  const hangUpRef = useRef(hangUp);
+  useEffect(() => {
+    hangUpRef.current = hangUp;
+  }, [hangUp]);
+
+  // Signing out ends any call in progress
+  useEffect(() => {
+    if (!userId) {
+      hangUpRef.current();
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    const handleUnload = () => hangUpRef.current();
+    window.addEventListener('beforeunload', handleUnload);
+
+    return () => {
+      window.removeEventListener('beforeunload', handleUnload);
+      hangUpRef.current();
+      clearTimeout(endedTimer.current);
+    };
+  }, []);
+
+  return {
+    status,
+    peer,
+    callId,
+    roomId: callRoomId,
+    localStream,
+    remoteStream,
+    endReason,
+    isMuted,
+    isCameraOff,
+    screenStream,
+    isScreenSharing: Boolean(screenStream),
+    isPeerSharing,
+    isRecording,
+    isPeerRecording,
+    connectionStats: connection.stats.peer || null,
+    error,
+    isBusy: status !== CALL_STATUS.IDLE && status !== CALL_STATUS.ENDED,
+    startCall,
+    acceptCall,
+    declineCall,
+    hangUp,
+    toggleMute,
+    toggleCamera,
+    startScreenShare,
+    stopScreenShare,
+    startRecording,
+    stopRecording
+  };
+};
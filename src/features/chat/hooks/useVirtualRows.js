@@ -0,0 +1,184 @@
+/**
+ * Custom hook to render only the rows of a long list that are in or near view
+ * Rows can have any height: each one is measured once rendered, and rows not rendered yet count
+ * with an estimated height. When a row above the view turns out taller or shorter than counted,
+ * the scroll position is corrected so the rows being read don't move
+ */
+import { useState, useEffect, useLayoutEffect, useCallback, useMemo, useRef } from 'react';
+
+// Height counted for a row until it has been rendered and measured
+const ESTIMATED_ROW_HEIGHT = 80;
+
+// How far (in pixels) above and below the view rows are still rendered
+const OVERSCAN = 600;
+
+/**
+ * Find the row at a position, by binary search over the row offsets
+ * @param {Array<number>} offsets - Top of each row, followed by the total height
+ * @param {number} position - Position from the top of the list, in pixels
+ * @returns {number} Index of the row covering the position (the last row when past the end)
+ */
+const findRowAt = (offsets, position) => {
+  let low = 0;
+  let high = Math.max(offsets.length - 2, 0);
+
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (offsets[middle + 1] <= position) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+
+  return low;
+};
+
+/**
+ * Hook for a virtualized list
+ * @param {object} containerRef - Ref to the scrolling element
+ * @param {object} listRef - Ref to the element holding the rows, inside the scrolling element
+ * @param {Array<string>} keys - Unique key of each row, in display order (top to bottom)
+ * @returns {object} Range of rows to render (startIndex inclusive, endIndex exclusive), the space to
+ *   leave above and below them, the list's total height, and measureRow, a ref callback for each
+ *   rendered row element (which must carry its key in data-row-key), and scrollToRow, to bring a row
+ *   into the middle of the view by its key
+ */
+export const useVirtualRows = (containerRef, listRef, keys) => {
+  const [heights, setHeights] = useState(() => new Map());
+  const [view, setView] = useState({ top: 0, height: 0 });
+  const observerRef = useRef(null);
+
+  // Top of each row and the total height, from measured heights or the estimate
+  const offsets = useMemo(() => keys.reduce((result, key, index) => {
+    result.push(result[index] + (heights.get(key) ?? ESTIMATED_ROW_HEIGHT));
+    return result;
+  }, [0]), [keys, heights]);
+
+  const indexByKey = useMemo(() => new Map(keys.map((key, index) => [key, index])), [keys]);
+
+  // Read by the resize observer, which outlives renders; updated before it can fire
+  const layoutRef = useRef({ heights, offsets, indexByKey });
+  useLayoutEffect(() => {
+    layoutRef.current = { heights, offsets, indexByKey };
+  }, [heights, offsets, indexByKey]);
+
+  // Follow the scroll position and the size of the view
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    if (!container) {
+      return undefined;
+    }
+
+    let frame = null;
+    const readView = () => {
+      frame = null;
+      const listTop = listRef.current ? listRef.current.offsetTop : 0;
+      setView({ top: container.scrollTop - listTop, height: container.clientHeight });
+    };
+    const scheduleRead = () => {
+      if (frame === null) {
+        frame = requestAnimationFrame(readView);
+      }
+    };
+
+    readView();
+    container.addEventListener('scroll', scheduleRead, { passive: true });
+    const resizeObserver = typeof ResizeObserver === 'undefined' ? null : new ResizeObserver(scheduleRead);
+    resizeObserver?.observe(container);
+
+    return () => {
+      if (frame !== null) {
+        cancelAnimationFrame(frame);
+      }
+      container.removeEventListener('scroll', scheduleRead);
+      resizeObserver?.disconnect();
+    };
+  }, [containerRef, listRef]);
+
+  // Measure rendered rows, and keep the view still when rows above it change height
+  const getObserver = useCallback(() => {
+    if (!observerRef.current && typeof ResizeObserver !== 'undefined') {
+      observerRef.current = new ResizeObserver((entries) => {
+        const container = containerRef.current;
+        const { heights: knownHeights, offsets: knownOffsets, indexByKey: knownIndexes } = layoutRef.current;
+        const listTop = listRef.current ? listRef.current.offsetTop : 0;
+        const changes = new Map();
+        let shift = 0;
+
+        entries.forEach((entry) => {
+          const key = entry.target.dataset.rowKey;
+          const height = entry.target.offsetHeight;
+          if (!key || height === knownHeights.get(key)) {
+            return;
+          }
+
+          changes.set(key, height);
+
+          // Rows starting above the view push what is being read up or down
+          const index = knownIndexes.get(key);
+          if (container && index !== undefined && knownOffsets[index] + listTop < container.scrollTop) {
+            shift += height - (knownHeights.get(key) ?? ESTIMATED_ROW_HEIGHT);
+          }
+        });
+
+        if (changes.size === 0) {
+          return;
+        }
+
+        if (container && shift !== 0) {
+          container.scrollTop += shift;
+        }
+
+        setHeights((prevHeights) => {
+          const nextHeights = new Map(prevHeights);
+          changes.forEach((height, key) => nextHeights.set(key, height));
+          return nextHeights;
+        });
+      });
+    }
+    return observerRef.current;
+  }, [containerRef, listRef]);
+
+  useEffect(() => () => observerRef.current?.disconnect(), []);
+
+  // Ref callback for each rendered row; the returned cleanup stops measuring it once it unmounts
+  const measureRow = useCallback((element) => {
+    const observer = getObserver();
+    if (!element || !observer) {
+      return undefined;
+    }
+
+    observer.observe(element);
+    return () => observer.unobserve(element);
+  }, [getObserver]);
+
+  // Scroll so a row is in the middle of the view (as far as the list allows)
+  const scrollToRow = useCallback((key) => {
+    const container = containerRef.current;
+    const { heights: knownHeights, offsets: knownOffsets, indexByKey: knownIndexes } = layoutRef.current;
+    const index = knownIndexes.get(key);
+    if (!container || index === undefined) {
+      return false;
+    }
+
+    const listTop = listRef.current ? listRef.current.offsetTop : 0;
+    const height = knownHeights.get(key) ?? ESTIMATED_ROW_HEIGHT;
+    container.scrollTop = listTop + knownOffsets[index] - (container.clientHeight - height) / 2;
+    return true;
+  }, [containerRef, listRef]);
+
+  const totalHeight = offsets[offsets.length - 1];
+  const startIndex = keys.length ? findRowAt(offsets, view.top - OVERSCAN) : 0;
+  const endIndex = keys.length ? Math.min(findRowAt(offsets, view.top + view.height + OVERSCAN) + 1, keys.length) : 0;
+
+  return {
+    startIndex,
+    endIndex,
+    paddingTop: offsets[startIndex],
+    paddingBottom: totalHeight - offsets[endIndex],
+    totalHeight,
+    measureRow,
+    scrollToRow
+  };
+};
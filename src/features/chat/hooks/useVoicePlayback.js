@@ -0,0 +1,193 @@
+/**
+ * Custom hook to play a room's voice messages
+ * One voice message plays at a time through a shared audio element. Playing a message marks it
+ * as heard, and when it ends the next unheard one in the room plays, so a backlog of voice
+ * messages can be listened to in one go
+ */
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useSupabaseUserContext } from '../../auth/contexts/SupabaseUserProvider';
+import { getAttachmentUrls, markVoiceMessageHeard } from '../services/chatService';
+import { isVoiceAttachment } from '../utils/voiceMessages';
+
+// Playback speeds, cycled through by the speed button
+export const PLAYBACK_RATES = [1, 1.5, 2];
+
+/**
+ * Hook for playing voice messages
+ * @param {string} roomId - ID of the room
+ * @param {Array} messages - The room's messages (any order)
+ * @returns {object} Playback state and operations
+ */
+export const useVoicePlayback = (roomId, messages) => {
+  const { supabaseUser } = useSupabaseUserContext();
+  const [current, setCurrent] = useState(null);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [positionMs, setPositionMs] = useState(0);
+  const [playbackRate, setPlaybackRate] = useState(PLAYBACK_RATES[0]);
+  const [heardIds, setHeardIds] = useState(() => new Set());
+  const audioRef = useRef(null);
+
+  // The room's saved voice messages, oldest first
+  const voiceMessages = useMemo(() => [...messages]
+    .filter((msg) => !msg.deleted_at && msg.attachments?.length)
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+    .flatMap((msg) => msg.attachments.filter((attachment) =>
+      isVoiceAttachment(attachment) && attachment.storage_path && !attachment.uploading
+    )), [messages]);
+
+  // Own voice messages count as heard, as do ones with a listen saved or played this session
+  const isHeard = useCallback((attachment) => (
+    heardIds.has(attachment.id)
+    || attachment.uploaded_by === supabaseUser?.id
+    || Boolean(attachment.listens?.some((listen) => listen.user_id === supabaseUser?.id))
+  ), [heardIds, supabaseUser?.id]);
+
+  const unheard = useMemo(
+    () => voiceMessages.filter((attachment) => !isHeard(attachment)),
+    [voiceMessages, isHeard]
+  );
+
+  // Create the shared audio element on first use
+  const getAudio = useCallback(() => {
+    if (!audioRef.current) {
+      audioRef.current = new Audio();
+    }
+    return audioRef.current;
+  }, []);
+
+  // Remember that a voice message was heard, locally and on the server
+  const markHeard = useCallback((attachment) => {
+    if (isHeard(attachment)) {
+      return;
+    }
+
+    setHeardIds((prevIds) => new Set(prevIds).add(attachment.id));
+    markVoiceMessageHeard(supabaseUser?.id, attachment.id)
+      .catch((err) => console.error('Error saving voice message listen:', err));
+  }, [isHeard, supabaseUser?.id]);
+
+  // Play a voice message from the start, or resume it if it is the one loaded
+  const play = useCallback(async (attachment) => {
+    const audio = getAudio();
+
+    try {
+      if (current?.id !== attachment.id) {
+        const urls = await getAttachmentUrls([attachment.storage_path]);
+        audio.src = urls[attachment.storage_path];
+        setCurrent(attachment);
+        setPositionMs(0);
+      }
+
+      // Loading a new source resets the speed to the default one
+      audio.defaultPlaybackRate = playbackRate;
+      audio.playbackRate = playbackRate;
+      await audio.play();
+      markHeard(attachment);
+    } catch (err) {
+      console.error('Error playing voice message:', err);
+      setIsPlaying(false);
+    }
+  }, [current, playbackRate, getAudio, markHeard]);
+
+  // Play or pause a voice message
+  const toggle = useCallback((attachment) => {
+    if (current?.id === attachment.id && isPlaying) {
+      getAudio().pause();
+    } else {
+      play(attachment);
+    }
+  }, [current, isPlaying, getAudio, play]);
+
+  // Jump within the loaded voice message
+  const seek = useCallback((attachment, fraction) => {
+    if (current?.id !== attachment.id) {
+      return;
+    }
+
+    const audio = getAudio();
+    const durationSeconds = Number.isFinite(audio.duration)
+      ? audio.duration
+      : (attachment.duration_ms || 0) / 1000;
+    audio.currentTime = Math.min(Math.max(fraction, 0), 1) * durationSeconds;
+    setPositionMs(audio.currentTime * 1000);
+  }, [current, getAudio]);
+
+  // Switch to the next playback speed
+  const cyclePlaybackRate = useCallback(() => {
+    setPlaybackRate((rate) => PLAYBACK_RATES[(PLAYBACK_RATES.indexOf(rate) + 1) % PLAYBACK_RATES.length]);
+  }, []);
+
+  // Play the oldest voice message not heard yet
+  const playNextUnheard = useCallback(() => {
+    if (unheard.length > 0) {
+      play(unheard[0]);
+    }
+  }, [unheard, play]);
+
+  // Apply speed changes to what is playing
+  useEffect(() => {
+    if (audioRef.current) {
+      audioRef.current.defaultPlaybackRate = playbackRate;
+      audioRef.current.playbackRate = playbackRate;
+    }
+  }, [playbackRate]);
+
+  // When a voice message ends, continue with the next unheard one after it
+  const handleEnded = useCallback(() => {
+    setIsPlaying(false);
+    setPositionMs(0);
+
+    const position = voiceMessages.findIndex((attachment) => attachment.id === current?.id);
+    const next = voiceMessages.slice(position + 1).find((attachment) => !isHeard(attachment));
+    if (next) {
+      play(next);
+    }
+  }, [voiceMessages, current, isHeard, play]);
+
+  const handleEndedRef = useRef(handleEnded);
+  useEffect(() => {
+    handleEndedRef.current = handleEnded;
+  }, [handleEnded]);
+
+  // Follow the audio element
+  useEffect(() => {
+    const audio = getAudio();
+    const handlePlay = () => setIsPlaying(true);
+    const handlePause = () => setIsPlaying(false);
+    const handleTimeUpdate = () => setPositionMs(audio.currentTime * 1000);
+    const handleEndedEvent = () => handleEndedRef.current();
+
+    audio.addEventListener('play', handlePlay);
+    audio.addEventListener('pause', handlePause);
+    audio.addEventListener('timeupdate', handleTimeUpdate);
+    audio.addEventListener('ended', handleEndedEvent);
+
+    return () => {
+      audio.pause();
+      audio.removeEventListener('play', handlePlay);
+      audio.removeEventListener('pause', handlePause);
+      audio.removeEventListener('timeupdate', handleTimeUpdate);
+      audio.removeEventListener('ended', handleEndedEvent);
+    };
+  }, [getAudio]);
+
+  // Stop playing when switching rooms
+  useEffect(() => {
+    audioRef.current?.pause();
+    setCurrent(null);
+    setPositionMs(0);
+  }, [roomId]);
+
+  return {
+    currentId: current?.id || null,
+    isPlaying,
+    positionMs,
+    playbackRate,
+    unheardCount: unheard.length,
+    isHeard,
+    toggle,
+    seek,
+    cyclePlaybackRate,
+    playNextUnheard
+  };
+};
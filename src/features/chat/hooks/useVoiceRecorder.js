@@ -0,0 +1,126 @@
+/**
+ * Custom hook to record voice messages from the microphone
+ * Wraps the Opus recorder and turns recordings into files ready to send as attachments
+ */
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { isVoiceRecordingSupported, startVoiceRecording, VOICE_LIMITS } from '../utils/voiceMessages';
+
+// How often the elapsed time shown while recording updates
+const TICK_MS = 200;
+
+// File name for a voice message recorded now, e.g. "voice-message-2024-03-23-14-05-09.webm"
+const voiceFileName = (mimeType) =>
+  `voice-message-${new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-')}.${mimeType.split('/')[1]}`;
+
+/**
+ * Hook for recording voice messages
+ * @returns {object} Recording state and operations
+ */
+export const useVoiceRecorder = () => {
+  const [isRecording, setIsRecording] = useState(false);
+  const [elapsedMs, setElapsedMs] = useState(0);
+  const [error, setError] = useState(null);
+  const recorderRef = useRef(null);
+
+  // The pending microphone request, so releasing the button before it is granted cancels it
+  const startRequestRef = useRef(null);
+
+  // Show how long the recording is
+  useEffect(() => {
+    if (!isRecording) {
+      setElapsedMs(0);
+      return undefined;
+    }
+
+    const startedAt = Date.now();
+    const timer = setInterval(() => setElapsedMs(Date.now() - startedAt), TICK_MS);
+    return () => clearInterval(timer);
+  }, [isRecording]);
+
+  // Start recording; asks for the microphone the first time
+  const startRecording = useCallback(async () => {
+    if (recorderRef.current || startRequestRef.current) {
+      return;
+    }
+
+    if (!isVoiceRecordingSupported()) {
+      setError('Your browser does not support voice messages');
+      return;
+    }
+
+    const request = { cancelled: false };
+    startRequestRef.current = request;
+    setError(null);
+
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+
+      if (request.cancelled) {
+        stream.getTracks().forEach((track) => track.stop());
+        return;
+      }
+
+      recorderRef.current = startVoiceRecording(stream);
+      setIsRecording(true);
+    } catch (err) {
+      console.error('Error starting voice recording:', err);
+      setError(err.name === 'NotAllowedError'
+        ? 'Allow microphone access to record voice messages'
+        : 'Could not start recording');
+    } finally {
+      startRequestRef.current = null;
+    }
+  }, []);
+
+  // Drop the recording without sending it
+  const cancelRecording = useCallback(() => {
+    if (startRequestRef.current) {
+      startRequestRef.current.cancelled = true;
+    }
+
+    recorderRef.current?.cancel();
+    recorderRef.current = null;
+    setIsRecording(false);
+  }, []);
+
+  // Stop recording; resolves with { file, durationMs, waveform }, or null if it was too short to send
+  const stopRecording = useCallback(async () => {
+    const recorder = recorderRef.current;
+    if (!recorder) {
+      cancelRecording();
+      return null;
+    }
+
+    recorderRef.current = null;
+    setIsRecording(false);
+
+    const { blob, mimeType, durationMs, waveform } = await recorder.stop();
+    if (durationMs < VOICE_LIMITS.minDurationMs || blob.size === 0) {
+      setError('Hold the button to record a voice message');
+      return null;
+    }
+
+    return {
+      file: new File([blob], voiceFileName(mimeType), { type: mimeType }),
+      durationMs,
+      waveform
+    };
+  }, [cancelRecording]);
+
+  // Release the microphone if the input goes away mid-recording
+  useEffect(() => () => {
+    if (startRequestRef.current) {
+      startRequestRef.current.cancelled = true;
+    }
+    recorderRef.current?.cancel();
+  }, []);
+
+  return {
+    isRecording,
+    elapsedMs,
+    error,
+    startRecording,
+    stopRecording,
+    cancelRecording
+  };
+};
@@ -0,0 +1,199 @@
+/**
+ * Service for call history operations using Supabase
+ * Logs one-to-one calls and huddles in the calls table and reads them back for the call log
+ */
+import { v4 as uuidv4 } from 'uuid';
+import { supabase, supabaseAdmin } from '../../../supabaseClient';
+import { sendChatMessage } from './chatService';
+
+/**
+ * Possible outcomes of a finished call
+ */
+export const CALL_OUTCOME = {
+  MISSED: 'missed',
+  DECLINED: 'declined',
+  COMPLETED: 'completed'
+};
+
+/**
+ * Log a new call attempt
+ * @param {object} call - Call details
+ * @param {string} call.id - Call ID (the same ID used for signaling)
+ * @param {string} call.callerId - ID of the user placing the call (or starting the huddle)
+ * @param {string} call.calleeId - ID of the user being called (null for huddles)
+ * @param {string} call.roomId - ID of the room the call belongs to (optional for one-to-one calls)
+ * @returns {Promise<object>} Created call record
+ */
+export const logCallStarted = async ({ id, callerId, calleeId = null, roomId = null }) => {
+  try {
+    const client = supabaseAdmin || supabase;
+
+    const { data, error } = await client
+      .from('calls')
+      .insert({
+        id,
+        caller_id: callerId,
+        callee_id: calleeId,
+        room_id: roomId
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error logging call: ${error.message}`);
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error in logCallStarted:', error);
+    throw error;
+  }
+};
+
+/**
+ * Record when a call was answered (only the first answer counts)
+ * @param {string} callId - ID of the call
+ * @returns {Promise<void>}
+ */
+export const logCallAnswered = async (callId) => {
+  try {
+    const client = supabaseAdmin || supabase;
+
+    const { error } = await client
+      .from('calls')
+      .update({ answered_at: new Date().toISOString() })
+      .eq('id', callId)
+      .is('answered_at', null);
+
+    if (error) {
+      throw new Error(`Error logging call answer: ${error.message}`);
+    }
+  } catch (error) {
+    console.error('Error in logCallAnswered:', error);
+    throw error;
+  }
+};
+
+/**
+ * Record the end of a call and its outcome
+ * @param {string} callId - ID of the call
+ * @param {string} outcome - One of CALL_OUTCOME
+ * @returns {Promise<object|null>} Updated call record (with duration), or null if it was already ended
+ */
+export const logCallEnded = async (callId, outcome) => {
+  try {
+    const client = supabaseAdmin || supabase;
+
+    const { data, error } = await client
+      .from('calls')
+      .update({ ended_at: new Date().toISOString(), outcome })
+      .eq('id', callId)
+      .is('ended_at', null)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Error logging call end: ${error.message}`);
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error in logCallEnded:', error);
+    throw error;
+  }
+};
+
+/**
+ * Post a system message summarizing a finished call in its room
+ * @param {string} userId - ID of the user posting the summary
+ * @param {object} call - Finished call record (as returned by logCallEnded)
+ * @param {string} text - Summary shown in the message list
+ * @returns {Promise<object|null>} Created message, or null if the call has no room
+ */
+export const postCallSummary = async (userId, call, text) => {
+  if (!call?.room_id) {
+    return null;
+  }
+
+  // A fresh ID, so identical summaries (e.g. two missed calls) aren't taken for duplicate sends
+  return sendChatMessage(userId, call.room_id, text, {
+    id: uuidv4(),
+    type: 'system',
+    metadata: {
+      kind: call.callee_id ? 'call' : 'huddle',
+      call_id: call.id,
+      outcome: call.outcome,
+      duration_seconds: call.duration_seconds
+    }
+  });
+};
+
+/**
+ * Post a system message noting that a call was recorded
+ * The recording itself stays on the recording user's device
+ * @param {string} userId - ID of the user who recorded
+ * @param {string} roomId - ID of the room the call belongs to
+ * @param {object} recording - Recording details
+ * @param {string} recording.callId - ID of the recorded call
+ * @param {number} recording.durationSeconds - Length of the recording
+ * @param {string} text - Notice shown in the message list
+ * @returns {Promise<object|null>} Created message, or null if the call has no room
+ */
+export const postRecordingSummary = async (userId, roomId, { callId, durationSeconds }, text) => {
+  if (!roomId) {
+    return null;
+  }
+
+  return sendChatMessage(userId, roomId, text, {
+    id: uuidv4(),
+    type: 'system',
+    metadata: {
+      kind: 'recording',
+      call_id: callId,
+      duration_seconds: durationSeconds
+    }
+  });
+};
+
+/**
+ * Fetch the one-to-one calls a user placed or received, newest first
+ * @param {string} userId - ID of the user
+ * @param {number} limit - Maximum number of calls to fetch
+ * @returns {Promise<Array>} Calls with caller, callee and room details
+ */
+export const fetchCallHistory = async (userId, limit = 30) => {
+  if (!userId) {
+    return [];
+  }
+
+  try {
+    const client = supabaseAdmin || supabase;
+
+    const { data, error } = await client
+      .from('calls')
+      .select(`
+        id,
+        room_id,
+        started_at,
+        answered_at,
+        ended_at,
+        duration_seconds,
+        outcome,
+        caller:caller_id (id, full_name, image_url, last_seen_at),
+        callee:callee_id (id, full_name, image_url, last_seen_at)
+      `)
+      .or(`caller_id.eq.${userId},callee_id.eq.${userId}`)
+      .not('callee_id', 'is', null)
+      .order('started_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Error fetching call history: ${error.message}`);
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Error in fetchCallHistory:', error);
+    throw error;
+  }
+};
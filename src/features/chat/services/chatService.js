@@ -2,7 +2,16 @@
  * Service for chat-related operations using Supabase
  * Provides functions for managing chat rooms, messages, and members
  */
+import { v4 as uuidv4 } from 'uuid';
 import { supabase, supabaseAdmin } from '../../../supabaseClient';
+import {
+  ATTACHMENT_BUCKET,
+  ATTACHMENT_LIMITS,
+  buildAttachmentPath,
+  getAttachmentType,
+  validateAttachment
+} from '../utils/attachments';
+import { mergeRoomActivity } from '../utils/roomActivity';
 
 // =============================================================================
 // CHAT ROOM OPERATIONS
@@ -223,9 +232,9 @@ export const canAccessRoom = async (userId, roomId) => {
 };
 
 /**
- * Fetch available chat rooms for the current user
+ * Fetch available chat rooms for the current user, with each room's unread count and last message
  * @param {string} userId - The ID of the current user
- * @returns {Promise<Array>} List of chat rooms
+ * @returns {Promise<Array>} List of chat rooms, most recently active first
  */
 export const fetchChatRooms = async (userId) => {
   if (!userId) {
@@ -317,7 +326,17 @@ export const fetchChatRooms = async (userId) => {
       }
     });
 
-    return Array.from(uniqueRoomMap.values());
+    // 5. Add each room's unread count and last message
+    const client = supabaseAdmin || supabase;
+    const { data: activity, error: activityError } = await client.rpc('get_chat_room_activity', {
+      user_uuid: userId
+    });
+
+    if (activityError) {
+      throw new Error(`Error fetching room activity: ${activityError.message}`);
+    }
+
+    return mergeRoomActivity(Array.from(uniqueRoomMap.values()), activity || []);
   } catch (error) {
     console.error('Error in fetchChatRooms:', error);
     throw error;
@@ -449,6 +468,7 @@ export const getChatRoomMembers = async (roomId) => {
       .select(`
         id,
         joined_at,
+        last_read_message_id,
         users:user_id (id, full_name, image_url, last_seen_at)
       `)
       .eq('room_id', roomId);
@@ -468,28 +488,67 @@ export const getChatRoomMembers = async (roomId) => {
 // CHAT MESSAGE OPERATIONS
 // =============================================================================
 
+// Number of messages loaded per page of room history
+export const MESSAGE_PAGE_SIZE = 50;
+
+// Columns loaded for every attachment; voice messages also have a duration and waveform
+const ATTACHMENT_COLUMNS = `
+  id, message_id, uploaded_by, storage_path, file_name, mime_type, size_bytes, duration_ms, waveform, created_at
+`;
+
+// Columns loaded for every message, with the sender's details, reactions and attachments
+// (embedded, so a page of messages arrives with all of them in one request). Listens are
+// limited to the user's own by RLS and tell which voice messages they have heard
+const MESSAGE_COLUMNS = `
+  id,
+  room_id,
+  user_id,
+  parent_message_id,
+  message,
+  message_type,
+  metadata,
+  created_at,
+  edited_at,
+  deleted_at,
+  deleted_by,
+  reply_count,
+  last_reply_at,
+  reply_participant_ids,
+  users:user_id (id, full_name, image_url),
+  reactions:chat_message_reactions (id, message_id, user_id, emoji, created_at, users:user_id (id, full_name)),
+  attachments:chat_message_attachments (${ATTACHMENT_COLUMNS}, listens:chat_voice_message_listens (user_id))
+`;
+
 /**
- * Fetch messages for a specific chat room
+ * Fetch a page of the top-level messages of a chat room (thread replies are loaded with fetchThreadMessages)
+ * Pages are keyed on (created_at, id) rather than an offset, so messages arriving while older pages
+ * are loaded don't shift them
  * @param {string} roomId - ID of the room to fetch messages for
  * @param {number} limit - Maximum number of messages to fetch
- * @param {number} offset - Offset for pagination
- * @returns {Promise<Array>} List of messages with user details
+ * @param {object} before - Oldest message already loaded ({ id, created_at }); only messages before
+ *   it are fetched. Leave out for the newest page
+ * @returns {Promise<Array>} List of messages with user details, newest first
  */
-export const fetchChatMessages = async (roomId, limit = 50, offset = 0) => {
+export const fetchChatMessages = async (roomId, limit = MESSAGE_PAGE_SIZE, before = null) => {
   try {
     const client = supabaseAdmin || supabase;
 
-    const { data, error } = await client
+    let query = client
       .from('chat_messages')
-      .select(`
-        id,
-        message,
-        created_at,
-        users:user_id (id, full_name, image_url)
-      `)
+      .select(MESSAGE_COLUMNS)
       .eq('room_id', roomId)
+      .is('parent_message_id', null);
+
+    if (before) {
+      query = query.or(
+        `created_at.lt."${before.created_at}",and(created_at.eq."${before.created_at}",id.lt.${before.id})`
+      );
+    }
+
+    const { data, error } = await query
       .order('created_at', { ascending: false })
-      .range(offset, offset + limit - 1);
+      .order('id', { ascending: false })
+      .limit(limit);
 
     if (error) {
       throw new Error(`Error fetching chat messages: ${error.message}`);
@@ -502,28 +561,223 @@ export const fetchChatMessages = async (roomId, limit = 50, offset = 0) => {
   }
 };
 
+/**
+ * Fetch a page of the top-level messages of a chat room that came after a message, oldest first
+ * from there; used to fill in history skipped by a jump (see fetchChatMessagesFrom)
+ * @param {string} roomId - ID of the room to fetch messages for
+ * @param {object} after - Message to start after ({ id, created_at })
+ * @param {number} limit - Maximum number of messages to fetch
+ * @returns {Promise<Array>} The messages right after it, newest first
+ */
+export const fetchChatMessagesAfter = async (roomId, after, limit = MESSAGE_PAGE_SIZE) => {
+  try {
+    const client = supabaseAdmin || supabase;
+
+    const { data, error } = await client
+      .from('chat_messages')
+      .select(MESSAGE_COLUMNS)
+      .eq('room_id', roomId)
+      .is('parent_message_id', null)
+      .or(`created_at.gt."${after.created_at}",and(created_at.eq."${after.created_at}",id.gt.${after.id})`)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Error fetching chat messages: ${error.message}`);
+    }
+
+    return (data || []).reverse();
+  } catch (error) {
+    console.error('Error in fetchChatMessagesAfter:', error);
+    throw error;
+  }
+};
+
+// Most messages loaded at once when jumping to an old message
+export const MAX_JUMP_MESSAGES = 1000;
+
+/**
+ * Fetch the top-level messages of a chat room from a message towards the newest one, so the list
+ * can show that message in context (e.g. when jumping to a search result)
+ * @param {string} roomId - ID of the room to fetch messages for
+ * @param {string} messageId - ID of the top-level message to start from
+ * @returns {Promise<Array>} The message and the ones after it, newest first; empty when the message
+ *   isn't in the room. When MAX_JUMP_MESSAGES are returned, later messages may be left out; they can
+ *   be loaded with fetchChatMessagesAfter
+ */
+export const fetchChatMessagesFrom = async (roomId, messageId) => {
+  try {
+    const client = supabaseAdmin || supabase;
+
+    const { data: target, error: targetError } = await client
+      .from('chat_messages')
+      .select(MESSAGE_COLUMNS)
+      .eq('id', messageId)
+      .eq('room_id', roomId)
+      .is('parent_message_id', null)
+      .maybeSingle();
+
+    if (targetError) {
+      throw new Error(`Error fetching chat message: ${targetError.message}`);
+    }
+
+    if (!target) {
+      return [];
+    }
+
+    const laterMessages = await fetchChatMessagesAfter(roomId, target, MAX_JUMP_MESSAGES - 1);
+    return [...laterMessages, target];
+  } catch (error) {
+    console.error('Error in fetchChatMessagesFrom:', error);
+    throw error;
+  }
+};
+
+/**
+ * Search the text messages of every room the user can access
+ * @param {string} userId - The ID of the current user
+ * @param {string} query - Search terms; supports "quoted phrases", -excluded words and or
+ * @param {object} filters - Optional filters
+ * @param {string} filters.roomId - Only search this room
+ * @param {string} filters.authorId - Only search messages sent by this user
+ * @param {string} filters.from - Only search messages sent at or after this time (ISO string)
+ * @param {string} filters.to - Only search messages sent before this time (ISO string)
+ * @param {number} filters.limit - Maximum number of results (at most 100)
+ * @returns {Promise<Array>} Matching messages, best match first, each with its room and author
+ *   names and a snippet whose matched words are wrapped in \u0002 and \u0003
+ */
+export const searchChatMessages = async (userId, query, filters = {}) => {
+  if (!userId || !query?.trim()) {
+    return [];
+  }
+
+  try {
+    const client = supabaseAdmin || supabase;
+
+    const { data, error } = await client.rpc('search_chat_messages', {
+      user_uuid: userId,
+      search_query: query.trim(),
+      room_uuid: filters.roomId || null,
+      author_uuid: filters.authorId || null,
+      from_date: filters.from || null,
+      to_date: filters.to || null,
+      result_limit: filters.limit || 50
+    });
+
+    if (error) {
+      throw new Error(`Error searching messages: ${error.message}`);
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Error in searchChatMessages:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch the replies in a message's thread
+ * @param {string} parentMessageId - ID of the message that started the thread
+ * @param {number} limit - Maximum number of replies to fetch
+ * @param {number} offset - Offset for pagination
+ * @returns {Promise<Array>} List of replies with user details, newest first (like room messages)
+ */
+export const fetchThreadMessages = async (parentMessageId, limit = 100, offset = 0) => {
+  try {
+    const client = supabaseAdmin || supabase;
+
+    const { data, error } = await client
+      .from('chat_messages')
+      .select(MESSAGE_COLUMNS)
+      .eq('parent_message_id', parentMessageId)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      throw new Error(`Error fetching thread messages: ${error.message}`);
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Error in fetchThreadMessages:', error);
+    throw error;
+  }
+};
+
 // Create a simple memory cache to prevent duplicate message sends in short time periods
 const recentMessages = new Map();
 
+/**
+ * Remove a message whose attachments couldn't be recorded, along with its uploaded files
+ * Only used for a message saved moments ago by the same call, so it is removed outright rather
+ * than marked deleted
+ * @param {object} client - Supabase client the message was saved with
+ * @param {string} messageId - ID of the message
+ * @param {Array} attachments - Its uploaded files
+ * @returns {Promise<void>}
+ */
+const discardUnsavedMessage = async (client, messageId, attachments) => {
+  const { error } = await client
+    .from('chat_messages')
+    .delete()
+    .eq('id', messageId);
+
+  if (error) {
+    console.error('Error removing message without its attachments:', error);
+    return;
+  }
+
+  const { error: removeError } = await client.storage
+    .from(ATTACHMENT_BUCKET)
+    .remove(attachments.map((attachment) => attachment.storage_path));
+
+  if (removeError) {
+    console.error('Error removing attachment files:', removeError);
+  }
+};
+
 /**
  * Send a new message to a chat room
  * @param {string} userId - The ID of the current user
  * @param {string} roomId - ID of the room to send message to
  * @param {string} message - Message content
- * @returns {Promise<object>} Created message data
+ * @param {object} options - Additional message options
+ * @param {string} options.type - Message type: 'text' or 'system' (e.g. call summaries)
+ * @param {object} options.metadata - Structured data attached to the message
+ * @param {string} options.id - Client-generated message ID; makes the write idempotent, so a message
+ *   that was already delivered peer-to-peer can be saved again without creating a duplicate
+ * @param {string} options.createdAt - Original send time (ISO string) when saving a message later
+ * @param {string} options.parentMessageId - ID of the top-level message when replying in its thread
+ * @param {Array} options.attachments - Files already uploaded with uploadChatAttachments for this message
+ * @returns {Promise<object|null>} Created message data (with its saved attachments), or null if a message
+ *   with this ID already exists (its attachments are still saved)
  */
-export const sendChatMessage = async (userId, roomId, message) => {
+export const sendChatMessage = async (
+  userId,
+  roomId,
+  message,
+  {
+    type = 'text',
+    metadata = null,
+    id = null,
+    createdAt = null,
+    parentMessageId = null,
+    attachments = []
+  } = {}
+) => {
   if (!userId) {
     throw new Error('User not authenticated');
   }
 
   try {
     // Create a unique key for this message combination
-    const messageKey = `${userId}-${roomId}-${message}`;
+    const messageKey = `${userId}-${roomId}-${parentMessageId || ''}-${message}`;
 
     // Check if we've just sent this exact message in the last 5 seconds
+    // (messages with their own ID are deduplicated by the ID instead)
     const now = Date.now();
-    if (recentMessages.has(messageKey)) {
+    if (!id && recentMessages.has(messageKey)) {
       const timeSinceLastSend = now - recentMessages.get(messageKey);
       if (timeSinceLastSend < 5000) { // 5 seconds
         console.log('Preventing duplicate message send');
@@ -540,21 +794,59 @@ export const sendChatMessage = async (userId, roomId, message) => {
 
     const client = supabaseAdmin || supabase;
 
-    // Insert the message
-    const { data, error } = await client
-      .from('chat_messages')
-      .insert({
-        room_id: roomId,
-        user_id: userId,
-        message
-      })
-      .select()
-      .single();
+    const row = {
+      room_id: roomId,
+      user_id: userId,
+      message,
+      message_type: type,
+      metadata,
+      ...(id ? { id } : {}),
+      ...(createdAt ? { created_at: createdAt } : {}),
+      ...(parentMessageId ? { parent_message_id: parentMessageId } : {})
+    };
+
+    // Insert the message; with a client ID an existing row is left as it is
+    const { data, error } = id
+      ? await client
+        .from('chat_messages')
+        .upsert(row, { onConflict: 'id', ignoreDuplicates: true })
+        .select()
+        .maybeSingle()
+      : await client
+        .from('chat_messages')
+        .insert(row)
+        .select()
+        .single();
 
     if (error) {
       throw new Error(`Error sending message: ${error.message}`);
     }
 
+    // Record the uploaded files once their message exists. A retry finds the message already
+    // saved, so its files are recorded then; files recorded by an earlier attempt are skipped
+    let savedAttachments = [];
+    if (attachments.length > 0) {
+      const { data: attachmentRows, error: attachmentError } = await client
+        .from('chat_message_attachments')
+        .upsert(attachments.map((attachment) => ({
+          ...attachment,
+          message_id: data?.id || id,
+          room_id: roomId,
+          uploaded_by: userId
+        })), { onConflict: 'storage_path', ignoreDuplicates: true })
+        .select(ATTACHMENT_COLUMNS);
+
+      if (attachmentError) {
+        // Don't leave an empty message in the room, or its files behind
+        if (data) {
+          await discardUnsavedMessage(client, data.id, attachments);
+        }
+        throw new Error(`Error saving attachments: ${attachmentError.message}`);
+      }
+
+      savedAttachments = attachmentRows || [];
+    }
+
     // Store this message in our recent messages cache
     recentMessages.set(messageKey, now);
 
@@ -566,13 +858,611 @@ export const sendChatMessage = async (userId, roomId, message) => {
       }
     }
 
-    return data;
+    return data && { ...data, attachments: savedAttachments };
   } catch (error) {
     console.error('Error in sendChatMessage:', error);
     throw error;
   }
 };
 
+/**
+ * Edit the text of one of the user's own messages
+ * The previous text is kept in chat_message_edits by a database trigger
+ * @param {string} userId - The ID of the current user (must be the author)
+ * @param {string} messageId - ID of the message to edit
+ * @param {string} message - New message content
+ * @returns {Promise<object>} Updated message data
+ */
+export const editChatMessage = async (userId, messageId, message) => {
+  if (!userId) {
+    throw new Error('User not authenticated');
+  }
+
+  if (!message?.trim()) {
+    throw new Error('Message cannot be empty');
+  }
+
+  try {
+    const client = supabaseAdmin || supabase;
+
+    const { data, error } = await client
+      .from('chat_messages')
+      .update({ message: message.trim() })
+      .eq('id', messageId)
+      .eq('user_id', userId)
+      .eq('message_type', 'text')
+      .is('deleted_at', null)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Error editing message: ${error.message}`);
+    }
+
+    if (!data) {
+      throw new Error('You can only edit your own messages');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error in editChatMessage:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a message, leaving a tombstone in its place
+ * Authors can delete their own messages and room admins (the room's creator) can delete any message.
+ * The row is kept so replies and the conversation order stay intact; its content is cleared
+ * @param {string} userId - The ID of the current user
+ * @param {string} messageId - ID of the message to delete
+ * @returns {Promise<object|null>} The tombstone, or null if the message was already deleted
+ */
+export const deleteChatMessage = async (userId, messageId) => {
+  if (!userId) {
+    throw new Error('User not authenticated');
+  }
+
+  try {
+    const client = supabaseAdmin || supabase;
+
+    const { data: existing, error: fetchError } = await client
+      .from('chat_messages')
+      .select('id, room_id, user_id, deleted_at')
+      .eq('id', messageId)
+      .maybeSingle();
+
+    if (fetchError) {
+      throw new Error(`Error fetching message: ${fetchError.message}`);
+    }
+
+    if (!existing) {
+      throw new Error('Message not found');
+    }
+
+    if (existing.deleted_at) {
+      return null;
+    }
+
+    if (existing.user_id !== userId) {
+      const room = await getChatRoomDetails(existing.room_id);
+      if (room?.created_by !== userId) {
+        throw new Error('Only the author or a room admin can delete this message');
+      }
+    }
+
+    // The attachment rows go with the message; their files are removed below
+    const { data: attachments } = await client
+      .from('chat_message_attachments')
+      .select('storage_path')
+      .eq('message_id', messageId);
+
+    const { data, error } = await client
+      .from('chat_messages')
+      .update({
+        deleted_at: new Date().toISOString(),
+        deleted_by: userId,
+        message: '',
+        metadata: null
+      })
+      .eq('id', messageId)
+      .is('deleted_at', null)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Error deleting message: ${error.message}`);
+    }
+
+    if (data && attachments?.length) {
+      const { error: removeError } = await client.storage
+        .from(ATTACHMENT_BUCKET)
+        .remove(attachments.map((attachment) => attachment.storage_path));
+
+      if (removeError) {
+        // The message is gone either way; a leftover file is only unreachable storage
+        console.error('Error removing attachment files:', removeError);
+      }
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error in deleteChatMessage:', error);
+    throw error;
+  }
+};
+
+/**
+ * Upload files for a message that is about to be sent
+ * @param {string} userId - The ID of the current user
+ * @param {string} roomId - ID of the room the message is sent to
+ * @param {string} messageId - Client-generated ID of the message
+ * @param {Array} files - Files to attach
+ * @returns {Promise<Array>} Uploaded attachments, to pass to sendChatMessage
+ */
+export const uploadChatAttachments = async (userId, roomId, messageId, files) => {
+  if (!userId) {
+    throw new Error('User not authenticated');
+  }
+
+  if (files.length > ATTACHMENT_LIMITS.maxFilesPerMessage) {
+    throw new Error(`You can attach up to ${ATTACHMENT_LIMITS.maxFilesPerMessage} files to a message`);
+  }
+
+  const problem = files.map(validateAttachment).find(Boolean);
+  if (problem) {
+    throw new Error(problem);
+  }
+
+  const client = supabaseAdmin || supabase;
+  const uploaded = [];
+
+  try {
+    for (const file of files) {
+      const mimeType = getAttachmentType(file);
+      const path = buildAttachmentPath(roomId, messageId, uuidv4(), file.name);
+
+      const { error } = await client.storage
+        .from(ATTACHMENT_BUCKET)
+        .upload(path, file, { contentType: mimeType, upsert: false });
+
+      if (error) {
+        throw new Error(`Error uploading ${file.name}: ${error.message}`);
+      }
+
+      uploaded.push({
+        storage_path: path,
+        file_name: file.name,
+        mime_type: mimeType,
+        size_bytes: file.size
+      });
+    }
+
+    return uploaded;
+  } catch (error) {
+    console.error('Error in uploadChatAttachments:', error);
+
+    // Don't leave half of a message's files behind
+    if (uploaded.length > 0) {
+      await client.storage
+        .from(ATTACHMENT_BUCKET)
+        .remove(uploaded.map((attachment) => attachment.storage_path));
+    }
+    throw error;
+  }
+};
+
+/**
+ * Get temporary download URLs for attachments (the bucket is private)
+ * @param {Array<string>} paths - Storage paths of the attachments
+ * @param {number} expiresIn - Seconds the URLs stay valid
+ * @returns {Promise<object>} Signed URLs keyed by storage path
+ */
+export const getAttachmentUrls = async (paths, expiresIn = 3600) => {
+  if (!paths.length) {
+    return {};
+  }
+
+  try {
+    const client = supabaseAdmin || supabase;
+
+    const { data, error } = await client.storage
+      .from(ATTACHMENT_BUCKET)
+      .createSignedUrls(paths, expiresIn);
+
+    if (error) {
+      throw new Error(`Error fetching attachment URLs: ${error.message}`);
+    }
+
+    return (data || []).reduce((urls, item) => (
+      item.signedUrl ? { ...urls, [item.path]: item.signedUrl } : urls
+    ), {});
+  } catch (error) {
+    console.error('Error in getAttachmentUrls:', error);
+    throw error;
+  }
+};
+
+/**
+ * Record that the user has listened to a voice message
+ * @param {string} userId - The ID of the current user
+ * @param {string} attachmentId - ID of the voice message's attachment
+ * @returns {Promise<void>}
+ */
+export const markVoiceMessageHeard = async (userId, attachmentId) => {
+  if (!userId || !attachmentId) {
+    return;
+  }
+
+  try {
+    const client = supabaseAdmin || supabase;
+
+    const { error } = await client
+      .from('chat_voice_message_listens')
+      .upsert(
+        { attachment_id: attachmentId, user_id: userId },
+        { onConflict: 'attachment_id,user_id', ignoreDuplicates: true }
+      );
+
+    if (error) {
+      throw new Error(`Error marking voice message as heard: ${error.message}`);
+    }
+  } catch (error) {
+    console.error('Error in markVoiceMessageHeard:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch the previous versions of a message, oldest first
+ * @param {string} messageId - ID of the message
+ * @returns {Promise<Array>} Edits with the replaced text and when it was replaced
+ */
+export const fetchMessageEdits = async (messageId) => {
+  try {
+    const client = supabaseAdmin || supabase;
+
+    const { data, error } = await client
+      .from('chat_message_edits')
+      .select('id, previous_message, edited_at')
+      .eq('message_id', messageId)
+      .order('edited_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error fetching message edits: ${error.message}`);
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Error in fetchMessageEdits:', error);
+    throw error;
+  }
+};
+
+/**
+ * React to a message with an emoji
+ * @param {string} userId - The ID of the current user
+ * @param {string} roomId - ID of the room the message is in
+ * @param {string} messageId - ID of the message
+ * @param {string} emoji - Reaction emoji
+ * @returns {Promise<object|null>} The reaction, or null if the user had already reacted with this emoji
+ */
+export const addMessageReaction = async (userId, roomId, messageId, emoji) => {
+  if (!userId) {
+    throw new Error('User not authenticated');
+  }
+
+  try {
+    const hasAccess = await canAccessRoom(userId, roomId);
+
+    if (!hasAccess) {
+      throw new Error('You do not have access to this room');
+    }
+
+    const client = supabaseAdmin || supabase;
+
+    const { data, error } = await client
+      .from('chat_message_reactions')
+      .upsert(
+        { message_id: messageId, room_id: roomId, user_id: userId, emoji },
+        { onConflict: 'message_id,user_id,emoji', ignoreDuplicates: true }
+      )
+      .select('id, message_id, user_id, emoji, created_at')
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Error adding reaction: ${error.message}`);
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error in addMessageReaction:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remove one of the user's reactions from a message
+ * @param {string} userId - The ID of the current user
+ * @param {string} messageId - ID of the message
+ * @param {string} emoji - Reaction emoji
+ * @returns {Promise<string|null>} ID of the removed reaction, or null if there was none
+ */
+export const removeMessageReaction = async (userId, messageId, emoji) => {
+  if (!userId) {
+    throw new Error('User not authenticated');
+  }
+
+  try {
+    const client = supabaseAdmin || supabase;
+
+    const { data, error } = await client
+      .from('chat_message_reactions')
+      .delete()
+      .eq('message_id', messageId)
+      .eq('user_id', userId)
+      .eq('emoji', emoji)
+      .select('id')
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Error removing reaction: ${error.message}`);
+    }
+
+    return data?.id || null;
+  } catch (error) {
+    console.error('Error in removeMessageReaction:', error);
+    throw error;
+  }
+};
+
+/**
+ * Count the user's unseen mentions in each room
+ * @param {string} userId - The ID of the current user
+ * @returns {Promise<object>} Number of unseen mentions keyed by room ID
+ */
+export const fetchUnreadMentionCounts = async (userId) => {
+  if (!userId) {
+    return {};
+  }
+
+  try {
+    const client = supabaseAdmin || supabase;
+
+    const { data, error } = await client
+      .from('chat_message_mentions')
+      .select('room_id')
+      .eq('user_id', userId)
+      .is('seen_at', null);
+
+    if (error) {
+      throw new Error(`Error fetching mentions: ${error.message}`);
+    }
+
+    return (data || []).reduce((counts, mention) => ({
+      ...counts,
+      [mention.room_id]: (counts[mention.room_id] || 0) + 1
+    }), {});
+  } catch (error) {
+    console.error('Error in fetchUnreadMentionCounts:', error);
+    throw error;
+  }
+};
+
+/**
+ * Mark all of the user's mentions in a room as seen
+ * @param {string} userId - The ID of the current user
+ * @param {string} roomId - ID of the room
+ * @returns {Promise<void>}
+ */
+export const markMentionsSeen = async (userId, roomId) => {
+  if (!userId || !roomId) {
+    return;
+  }
+
+  try {
+    const client = supabaseAdmin || supabase;
+
+    const { error } = await client
+      .from('chat_message_mentions')
+      .update({ seen_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('room_id', roomId)
+      .is('seen_at', null);
+
+    if (error) {
+      throw new Error(`Error marking mentions as seen: ${error.message}`);
+    }
+  } catch (error) {
+    console.error('Error in markMentionsSeen:', error);
+    throw error;
+  }
+};
+
+/**
+ * Move the user's read position in a room forward to a message (it never moves back)
+ * @param {string} userId - The ID of the current user
+ * @param {string} roomId - ID of the room
+ * @param {string} messageId - ID of the newest top-level message the user has seen
+ * @returns {Promise<string|null>} ID of the user's last read message after the update
+ */
+export const markRoomRead = async (userId, roomId, messageId) => {
+  if (!userId || !roomId || !messageId) {
+    return null;
+  }
+
+  try {
+    const client = supabaseAdmin || supabase;
+
+    const { data, error } = await client.rpc('mark_chat_room_read', {
+      room_uuid: roomId,
+      user_uuid: userId,
+      message_uuid: messageId
+    });
+
+    if (error) {
+      throw new Error(`Error marking room as read: ${error.message}`);
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error in markRoomRead:', error);
+    throw error;
+  }
+};
+
+// =============================================================================
+// PINNED MESSAGE OPERATIONS
+// =============================================================================
+
+// Columns loaded for every pin, with who pinned it and the pinned message
+const PIN_COLUMNS = `
+  id,
+  room_id,
+  message_id,
+  pinned_by,
+  created_at,
+  pinner:pinned_by (id, full_name),
+  message:message_id (${MESSAGE_COLUMNS})
+`;
+
+/**
+ * Fetch the pinned messages of a chat room
+ * @param {string} roomId - ID of the room
+ * @returns {Promise<Array>} Pins with the pinned message and who pinned it, most recently pinned first
+ */
+export const fetchRoomPins = async (roomId) => {
+  try {
+    const client = supabaseAdmin || supabase;
+
+    const { data, error } = await client
+      .from('chat_room_pins')
+      .select(PIN_COLUMNS)
+      .eq('room_id', roomId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Error fetching pinned messages: ${error.message}`);
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Error in fetchRoomPins:', error);
+    throw error;
+  }
+};
+
+/**
+ * Post the system message announcing a pin or unpin; the pin stands even if this fails
+ * @param {string} userId - ID of the admin who pinned or unpinned
+ * @param {string} roomId - ID of the room
+ * @param {string} messageId - ID of the pinned message
+ * @param {string} action - 'pinned' or 'unpinned'
+ * @param {string} notice - Text shown in the message list
+ * @returns {Promise<void>}
+ */
+const postPinNotice = async (userId, roomId, messageId, action, notice) => {
+  try {
+    // A fresh ID, so notices with the same text aren't taken for duplicate sends
+    await sendChatMessage(userId, roomId, notice, {
+      type: 'system',
+      id: uuidv4(),
+      metadata: { kind: 'pin', action, message_id: messageId }
+    });
+  } catch (error) {
+    console.error('Error posting pin notice:', error);
+  }
+};
+
+/**
+ * Pin a message to its room (room admins only)
+ * @param {string} userId - The ID of the current user
+ * @param {string} roomId - ID of the room
+ * @param {string} messageId - ID of the top-level message to pin
+ * @param {string} notice - Text of the system message announcing the pin
+ * @returns {Promise<object|null>} The new pin, or null if the message was already pinned
+ */
+export const pinChatMessage = async (userId, roomId, messageId, notice) => {
+  if (!userId) {
+    throw new Error('User not authenticated');
+  }
+
+  try {
+    const room = await getChatRoomDetails(roomId);
+    if (room?.created_by !== userId) {
+      throw new Error('Only a room admin can pin messages');
+    }
+
+    const client = supabaseAdmin || supabase;
+
+    const { data, error } = await client
+      .from('chat_room_pins')
+      .upsert(
+        { room_id: roomId, message_id: messageId, pinned_by: userId },
+        { onConflict: 'message_id', ignoreDuplicates: true }
+      )
+      .select(PIN_COLUMNS)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Error pinning message: ${error.message}`);
+    }
+
+    if (data) {
+      await postPinNotice(userId, roomId, messageId, 'pinned', notice);
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error in pinChatMessage:', error);
+    throw error;
+  }
+};
+
+/**
+ * Unpin a message from its room (room admins only)
+ * @param {string} userId - The ID of the current user
+ * @param {string} roomId - ID of the room
+ * @param {string} messageId - ID of the pinned message
+ * @param {string} notice - Text of the system message announcing the unpin
+ * @returns {Promise<string|null>} ID of the removed pin, or null if the message wasn't pinned
+ */
+export const unpinChatMessage = async (userId, roomId, messageId, notice) => {
+  if (!userId) {
+    throw new Error('User not authenticated');
+  }
+
+  try {
+    const room = await getChatRoomDetails(roomId);
+    if (room?.created_by !== userId) {
+      throw new Error('Only a room admin can unpin messages');
+    }
+
+    const client = supabaseAdmin || supabase;
+
+    const { data, error } = await client
+      .from('chat_room_pins')
+      .delete()
+      .eq('room_id', roomId)
+      .eq('message_id', messageId)
+      .select('id')
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Error unpinning message: ${error.message}`);
+    }
+
+    if (data) {
+      await postPinNotice(userId, roomId, messageId, 'unpinned', notice);
+    }
+
+    return data?.id || null;
+  } catch (error) {
+    console.error('Error in unpinChatMessage:', error);
+    throw error;
+  }
+};
+
 // =============================================================================
 // USER PRESENCE OPERATIONS
 // =============================================================================
@@ -623,6 +1513,30 @@ export const updateUserPresence = async (userId) => {
   }
 };
 
+/**
+ * Fetch every user, e.g. to pick a message author when searching
+ * @returns {Promise<Array>} Users ({ id, full_name, image_url }) sorted by name
+ */
+export const fetchChatUsers = async () => {
+  try {
+    const client = supabaseAdmin || supabase;
+
+    const { data, error } = await client
+      .from('users')
+      .select('id, full_name, image_url')
+      .order('full_name', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error fetching users: ${error.message}`);
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Error in fetchChatUsers:', error);
+    throw error;
+  }
+};
+
 /**
  * Remove a user from a chat room (leave the room)
  * @param {string} userId - The ID of the user leaving the room
@@ -0,0 +1,125 @@
+/**
+ * ICE server service
+ * Builds the STUN/TURN list for peer connections and keeps time-limited TURN credentials fresh
+ */
+import { supabase } from '../../../supabaseClient';
+import { iceConfig } from '../../../config/env';
+
+// Refresh minted credentials this long before they expire
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// Credentials minted by the Edge Function: { iceServers, expiresAt }
+let mintedCredentials = null;
+
+// In-flight request, shared so concurrent callers only hit the function once
+let pendingRequest = null;
+
+// Returns the signed-in user's Clerk session token, which the Edge Function verifies
+let getSessionToken = null;
+
+/**
+ * Set how to get the session token sent to the Edge Function
+ * Minted credentials belong to the previous user, so they are dropped
+ * @param {Function|null} getToken - Resolves to the Clerk session token, or null when signed out
+ */
+export const setSessionTokenGetter = (getToken) => {
+  getSessionToken = getToken;
+  mintedCredentials = null;
+};
+
+/**
+ * Build the ICE servers from the static environment configuration
+ * @returns {Array<object>} STUN servers plus the static TURN server, if any
+ */
+const getStaticIceServers = () => {
+  const servers = [];
+
+  if (iceConfig.stunUrls.length > 0) {
+    servers.push({ urls: iceConfig.stunUrls });
+  }
+
+  if (iceConfig.turnUrls.length > 0 && iceConfig.turnUsername) {
+    servers.push({
+      urls: iceConfig.turnUrls,
+      username: iceConfig.turnUsername,
+      credential: iceConfig.turnCredential
+    });
+  }
+
+  return servers;
+};
+
+/**
+ * Fetch time-limited TURN credentials for the signed-in user from the Edge Function
+ * If the function is not configured or fails, calls continue with the static servers
+ * @param {string} userId - Supabase user ID; the function issues credentials to the session's user
+ * @returns {Promise<void>}
+ */
+export const refreshIceServers = async (userId) => {
+  if (!iceConfig.turnCredentialsFunction || !userId || !getSessionToken) {
+    return;
+  }
+
+  if (mintedCredentials && mintedCredentials.expiresAt - Date.now() > REFRESH_MARGIN_MS) {
+    return;
+  }
+
+  if (!pendingRequest) {
+    pendingRequest = (async () => {
+      try {
+        const token = await getSessionToken();
+        if (!token) {
+          throw new Error('No session token to request TURN credentials with');
+        }
+
+        const { data, error } = await supabase.functions.invoke(iceConfig.turnCredentialsFunction, {
+          headers: { Authorization: `Bearer ${token}` }
+        });
+
+        if (error) {
+          throw error;
+        }
+
+        if (!data?.username || !data?.credential || !Array.isArray(data?.urls)) {
+          throw new Error('TURN credentials response is missing urls, username or credential');
+        }
+
+        mintedCredentials = {
+          iceServers: [{ urls: data.urls, username: data.username, credential: data.credential }],
+          expiresAt: Date.now() + (data.ttl || 0) * 1000
+        };
+      } catch (err) {
+        console.error('Error fetching TURN credentials:', err);
+      } finally {
+        pendingRequest = null;
+      }
+    })();
+  }
+
+  await pendingRequest;
+};
+
+/**
+ * Get the RTCPeerConnection configuration to use right now
+ * Call refreshIceServers first so minted TURN credentials are included
+ * @returns {object} ICE servers and transport policy
+ */
+export const getIceConfiguration = () => {
+  const minted = mintedCredentials && mintedCredentials.expiresAt > Date.now()
+    ? mintedCredentials.iceServers
+    : [];
+
+  return {
+    iceServers: [...getStaticIceServers(), ...minted],
+    iceTransportPolicy: iceConfig.forceRelay ? 'relay' : 'all'
+  };
+};
+
+/**
+ * Whether the configuration includes a TURN server that can relay media
+ * @param {object} configuration - Peer connection configuration
+ * @returns {boolean} True if at least one turn: or turns: URL is configured
+ */
+export const hasRelayServer = (configuration) => configuration.iceServers.some((server) =>
+  [].concat(server.urls).some((url) => /^turns?:/.test(url))
+);
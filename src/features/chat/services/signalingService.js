@@ -0,0 +1,143 @@
+/**
+ * Service for WebRTC signaling over Supabase Realtime broadcast channels
+ * Every user listens on a personal channel; peers deliver offers, answers,
+ * ICE candidates and call control events to that channel
+ */
+import { supabase } from '../../../supabaseClient';
+
+// Broadcast event name shared by every signaling message
+const SIGNAL_EVENT = 'signal';
+
+// Incoming channels keyed by user ID, each with its set of listeners
+const incomingChannels = new Map();
+
+// Outgoing channels keyed by recipient user ID, stored as promises that resolve once subscribed
+const outgoingChannels = new Map();
+
+/**
+ * Build the Realtime channel name used to reach a user
+ * @param {string} userId - ID of the user who owns the channel
+ * @returns {string} Channel name
+ */
+const getSignalingChannelName = (userId) => `signaling:user:${userId}`;
+
+/**
+ * Listen for signaling messages addressed to a user
+ * Multiple listeners share a single Realtime channel per user
+ * @param {string} userId - ID of the current user
+ * @param {Function} onSignal - Callback invoked with each signal payload
+ * @returns {Function} Function that removes the listener
+ */
+export const subscribeToSignals = (userId, onSignal) => {
+  if (!userId) {
+    throw new Error('User not authenticated');
+  }
+
+  let entry = incomingChannels.get(userId);
+
+  if (!entry) {
+    const listeners = new Set();
+    const channel = supabase
+      .channel(getSignalingChannelName(userId))
+      .on('broadcast', { event: SIGNAL_EVENT }, ({ payload }) => {
+        listeners.forEach((listener) => {
+          try {
+            listener(payload);
+          } catch (error) {
+            console.error('Error handling signaling message:', error);
+          }
+        });
+      })
+      .subscribe();
+
+    entry = { channel, listeners };
+    incomingChannels.set(userId, entry);
+  }
+
+  entry.listeners.add(onSignal);
+
+  return () => {
+    entry.listeners.delete(onSignal);
+
+    if (entry.listeners.size === 0 && incomingChannels.get(userId) === entry) {
+      incomingChannels.delete(userId);
+      supabase.removeChannel(entry.channel);
+    }
+  };
+};
+
+/**
+ * Get a subscribed channel for sending signals to a user
+ * @param {string} userId - ID of the recipient
+ * @returns {Promise<object>} Subscribed Realtime channel
+ */
+const getOutgoingChannel = (userId) => {
+  if (!outgoingChannels.has(userId)) {
+    const channel = supabase.channel(getSignalingChannelName(userId));
+
+    const ready = new Promise((resolve, reject) => {
+      channel.subscribe((status) => {
+        if (status === 'SUBSCRIBED') {
+          resolve(channel);
+        } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+          outgoingChannels.delete(userId);
+          supabase.removeChannel(channel);
+          reject(new Error(`Signaling channel for user ${userId} failed: ${status}`));
+        }
+      });
+    });
+
+    outgoingChannels.set(userId, ready);
+  }
+
+  return outgoingChannels.get(userId);
+};
+
+/**
+ * Send a signaling message to a user
+ * @param {string} userId - ID of the recipient
+ * @param {object} signal - Signal payload (must include a type)
+ * @returns {Promise<void>}
+ */
+export const sendSignal = async (userId, signal) => {
+  if (!userId) {
+    throw new Error('No recipient provided for signal');
+  }
+
+  try {
+    const channel = await getOutgoingChannel(userId);
+    const result = await channel.send({
+      type: 'broadcast',
+      event: SIGNAL_EVENT,
+      payload: signal
+    });
+
+    if (result !== 'ok') {
+      throw new Error(`Signal ${signal.type} to user ${userId} was not delivered: ${result}`);
+    }
+  } catch (error) {
+    console.error('Error in sendSignal:', error);
+    throw error;
+  }
+};
+
+/**
+ * Close the outgoing channel to a user once signaling with them is finished
+ * @param {string} userId - ID of the recipient
+ * @returns {Promise<void>}
+ */
+export const closeSignalChannel = async (userId) => {
+  const ready = outgoingChannels.get(userId);
+  if (!ready) {
+    return;
+  }
+
+  outgoingChannels.delete(userId);
+
+  try {
+    const channel = await ready;
+    await supabase.removeChannel(channel);
+  } catch (error) {
+    // Channel never subscribed, nothing left to clean up
+  }
+};
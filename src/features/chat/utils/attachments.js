@@ -0,0 +1,145 @@
+/**
+ * Utility functions for message attachments stored in Supabase Storage
+ * Messages carry their attachments as an `attachments` array of rows from chat_message_attachments
+ */
+import { formatFileSize } from './fileTransfer';
+
+/**
+ * Storage bucket holding attachments, under <room id>/<message id>/
+ */
+export const ATTACHMENT_BUCKET = 'chat-attachments';
+
+/**
+ * Upload limits; the bucket and the chat_message_attachments table enforce the same ones
+ */
+export const ATTACHMENT_LIMITS = {
+  maxFileSize: 20 * 1024 * 1024,
+  maxFilesPerMessage: 5,
+  allowedTypes: [
+    'image/png',
+    'image/jpeg',
+    'image/gif',
+    'image/webp',
+    'application/pdf',
+    'text/plain',
+    'text/csv',
+    'text/markdown',
+    'application/json',
+    'application/zip',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    // Voice messages
+    'audio/webm',
+    'audio/ogg'
+  ]
+};
+
+// Types for files the browser doesn't recognise (logs in particular), by extension
+const TYPES_BY_EXTENSION = {
+  log: 'text/plain',
+  txt: 'text/plain',
+  md: 'text/markdown',
+  csv: 'text/csv',
+  json: 'application/json'
+};
+
+/**
+ * Get the MIME type an attachment is uploaded with
+ * @param {object} file - File to upload
+ * @returns {string} MIME type (empty when it can't be told)
+ */
+export const getAttachmentType = (file) => {
+  if (file.type) {
+    return file.type;
+  }
+
+  const extension = file.name.split('.').pop().toLowerCase();
+  return TYPES_BY_EXTENSION[extension] || '';
+};
+
+/**
+ * Check a file against the attachment limits
+ * @param {object} file - File to upload
+ * @returns {string|null} Why the file can't be attached, or null if it can
+ */
+export const validateAttachment = (file) => {
+  if (!file.size) {
+    return `${file.name} is empty`;
+  }
+
+  if (file.size > ATTACHMENT_LIMITS.maxFileSize) {
+    return `${file.name} is larger than ${formatFileSize(ATTACHMENT_LIMITS.maxFileSize)}`;
+  }
+
+  if (!ATTACHMENT_LIMITS.allowedTypes.includes(getAttachmentType(file))) {
+    return `${file.name} is not a supported file type`;
+  }
+
+  return null;
+};
+
+/**
+ * Whether an attachment is shown as an image
+ * @param {object} attachment - Attachment row (or a file being uploaded)
+ * @returns {boolean} True for images
+ */
+export const isImageAttachment = (attachment) => attachment.mime_type?.startsWith('image/');
+
+/**
+ * Build the Storage path for an attachment
+ * @param {string} roomId - ID of the room
+ * @param {string} messageId - ID of the message
+ * @param {string} fileId - Unique ID for the file
+ * @param {string} fileName - Original file name
+ * @returns {string} Path inside the attachment bucket
+ */
+export const buildAttachmentPath = (roomId, messageId, fileId, fileName) => {
+  // Storage keys only take a safe subset of characters; the original name is kept in the table
+  const safeName = fileName.replace(/[^\w.-]+/g, '_').slice(-100) || 'file';
+  return `${roomId}/${messageId}/${fileId}-${safeName}`;
+};
+
+/**
+ * Add an attachment to the message it belongs to
+ * @param {Array} messages - Messages with their attachments
+ * @param {object} attachment - Attachment row
+ * @returns {Array} Messages with the attachment added (unchanged if it is already there)
+ */
+export const addAttachmentToMessages = (messages, attachment) => {
+  if (!attachment?.id || !messages.some((msg) => msg.id === attachment.message_id)) {
+    return messages;
+  }
+
+  return messages.map((msg) => {
+    if (msg.id !== attachment.message_id) {
+      return msg;
+    }
+
+    // Saved attachments replace the placeholders shown while uploading
+    const attachments = (msg.attachments || []).filter((item) => !item.uploading);
+    if (attachments.some((item) => item.id === attachment.id)) {
+      return msg;
+    }
+
+    return { ...msg, attachments: [...attachments, attachment] };
+  });
+};
+
+/**
+ * Remove an attachment from whichever message has it
+ * @param {Array} messages - Messages with their attachments
+ * @param {string} attachmentId - ID of the removed attachment
+ * @returns {Array} Messages without the attachment (unchanged if no message has it)
+ */
+export const removeAttachmentFromMessages = (messages, attachmentId) => {
+  if (!messages.some((msg) => msg.attachments?.some((item) => item.id === attachmentId))) {
+    return messages;
+  }
+
+  return messages.map((msg) => (
+    msg.attachments?.some((item) => item.id === attachmentId)
+      ? { ...msg, attachments: msg.attachments.filter((item) => item.id !== attachmentId) }
+      : msg
+  ));
+};
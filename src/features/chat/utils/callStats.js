@@ -0,0 +1,202 @@
+/**
+ * Utility functions for reading WebRTC connection statistics and adapting call quality
+ */
+import { getVideoSender } from './webrtc';
+
+/**
+ * Overall rating of a connection
+ */
+export const CONNECTION_QUALITY = {
+  GOOD: 'good',
+  FAIR: 'fair',
+  POOR: 'poor'
+};
+
+/**
+ * Outgoing video settings, from full quality down to audio-only
+ * Each step down halves the resolution again and caps the bitrate
+ */
+export const QUALITY_LEVELS = [
+  { label: 'HD', video: true, scaleResolutionDownBy: 1, maxBitrate: null },
+  { label: 'Medium', video: true, scaleResolutionDownBy: 2, maxBitrate: 500000 },
+  { label: 'Low', video: true, scaleResolutionDownBy: 4, maxBitrate: 150000 },
+  { label: 'Audio only', video: false, scaleResolutionDownBy: 4, maxBitrate: 150000 }
+];
+
+/**
+ * Index of the audio-only level in QUALITY_LEVELS
+ */
+export const AUDIO_ONLY_LEVEL = QUALITY_LEVELS.length - 1;
+
+// Thresholds for rating a connection; any single metric past a limit is enough
+const FAIR_LIMITS = { rtt: 200, jitter: 30, packetLoss: 3 };
+const POOR_LIMITS = { rtt: 400, jitter: 75, packetLoss: 8 };
+
+// Short codec name from a codec stats entry ("video/VP8" -> "VP8")
+const codecName = (stats, codecId) => stats.get(codecId)?.mimeType?.split('/')[1] || null;
+
+/**
+ * Rate a connection from its latest stats sample
+ * @param {object} sample - Sample returned by readConnectionStats
+ * @returns {string} One of CONNECTION_QUALITY
+ */
+export const rateConnection = (sample) => {
+  const exceeds = (limits) =>
+    (sample.rtt !== null && sample.rtt >= limits.rtt)
+    || (sample.jitter !== null && sample.jitter >= limits.jitter)
+    || sample.packetLoss >= limits.packetLoss;
+
+  if (exceeds(POOR_LIMITS)) {
+    return CONNECTION_QUALITY.POOR;
+  }
+
+  return exceeds(FAIR_LIMITS) ? CONNECTION_QUALITY.FAIR : CONNECTION_QUALITY.GOOD;
+};
+
+/**
+ * Read a stats sample from a peer connection
+ * Bitrates and packet loss are measured since the previous sample, so pass the last one back in
+ * @param {RTCPeerConnection} pc - Connected peer connection
+ * @param {object} previous - Previous sample for the same connection, if any
+ * @returns {Promise<object>} RTT and jitter (ms), packet loss (%), bitrates (kbps), codecs,
+ * candidate types of the selected path, and a quality rating
+ */
+export const readConnectionStats = async (pc, previous = null) => {
+  const report = await pc.getStats();
+  const stats = new Map();
+  report.forEach((stat) => stats.set(stat.id, stat));
+
+  // The selected candidate pair is the path media is actually taking
+  let pair = null;
+  stats.forEach((stat) => {
+    if (stat.type === 'transport' && stat.selectedCandidatePairId) {
+      pair = stats.get(stat.selectedCandidatePairId) || pair;
+    }
+  });
+  if (!pair) {
+    // Firefox has no transport stats, but flags the pair itself
+    stats.forEach((stat) => {
+      if (!pair && stat.type === 'candidate-pair' && stat.state === 'succeeded'
+        && (stat.selected || stat.nominated)) {
+        pair = stat;
+      }
+    });
+  }
+
+  const totals = { bytesReceived: 0, bytesSent: 0, packetsReceived: 0, packetsLost: 0 };
+  const codecs = { audio: null, video: null };
+  let jitter = null;
+  let remoteLoss = 0;
+  let remoteRtt = null;
+
+  stats.forEach((stat) => {
+    const kind = stat.kind || stat.mediaType;
+
+    if (stat.type === 'inbound-rtp') {
+      totals.bytesReceived += stat.bytesReceived || 0;
+      totals.packetsReceived += stat.packetsReceived || 0;
+      totals.packetsLost += Math.max(0, stat.packetsLost || 0);
+      if (typeof stat.jitter === 'number') {
+        jitter = Math.max(jitter || 0, stat.jitter * 1000);
+      }
+      codecs[kind] = codecName(stats, stat.codecId) || codecs[kind];
+    } else if (stat.type === 'outbound-rtp') {
+      totals.bytesSent += stat.bytesSent || 0;
+      codecs[kind] = codecs[kind] || codecName(stats, stat.codecId);
+    } else if (stat.type === 'remote-inbound-rtp') {
+      // What the other side reports about the media we send
+      remoteLoss = Math.max(remoteLoss, (stat.fractionLost || 0) * 100);
+      if (typeof stat.roundTripTime === 'number') {
+        remoteRtt = stat.roundTripTime * 1000;
+      }
+    }
+  });
+
+  const localCandidate = pair ? stats.get(pair.localCandidateId) : null;
+  const remoteCandidate = pair ? stats.get(pair.remoteCandidateId) : null;
+  const rtt = typeof pair?.currentRoundTripTime === 'number'
+    ? pair.currentRoundTripTime * 1000
+    : remoteRtt;
+
+  // Rates need two samples; the first one only reports totals
+  const timestamp = Date.now();
+  let inboundBitrate = null;
+  let outboundBitrate = null;
+  let inboundLoss = 0;
+  if (previous) {
+    const elapsedMs = timestamp - previous.timestamp;
+    if (elapsedMs > 0) {
+      // bytes * 8 / ms is kilobits per second
+      inboundBitrate = Math.max(0, (totals.bytesReceived - previous.totals.bytesReceived) * 8 / elapsedMs);
+      outboundBitrate = Math.max(0, (totals.bytesSent - previous.totals.bytesSent) * 8 / elapsedMs);
+    }
+
+    const lost = totals.packetsLost - previous.totals.packetsLost;
+    const received = totals.packetsReceived - previous.totals.packetsReceived;
+    if (lost > 0 && lost + received > 0) {
+      inboundLoss = (lost / (lost + received)) * 100;
+    }
+  }
+
+  const sample = {
+    timestamp,
+    totals,
+    rtt,
+    jitter,
+    packetLoss: Math.max(inboundLoss, remoteLoss),
+    inboundBitrate,
+    outboundBitrate,
+    codecs,
+    localCandidateType: localCandidate?.candidateType || null,
+    remoteCandidateType: remoteCandidate?.candidateType || null
+  };
+
+  return { ...sample, quality: rateConnection(sample) };
+};
+
+/**
+ * Describe the network path of a stats sample
+ * A relayed leg on either side means the whole path goes through TURN
+ * @param {object} sample - Sample returned by readConnectionStats
+ * @returns {string|null} "relay", "srflx", "prflx" or "host", or null while unknown
+ */
+export const getPathType = (sample) => {
+  const types = [sample.localCandidateType, sample.remoteCandidateType];
+
+  return ['relay', 'srflx', 'prflx', 'host'].find((type) => types.includes(type)) || null;
+};
+
+/**
+ * Apply one of QUALITY_LEVELS to the outgoing video of a peer connection
+ * Uses RTCRtpSender.setParameters, so no renegotiation is needed and the level survives
+ * switching between camera and screen
+ * @param {RTCPeerConnection} pc - Peer connection that sends video
+ * @param {number} level - Index into QUALITY_LEVELS
+ * @returns {Promise<void>}
+ */
+export const applyQualityLevel = async (pc, level) => {
+  const sender = getVideoSender(pc);
+  const settings = QUALITY_LEVELS[level];
+  if (!sender || !settings) {
+    return;
+  }
+
+  const parameters = sender.getParameters();
+
+  // Encodings are only available once the connection has been negotiated
+  if (!parameters.encodings?.length) {
+    return;
+  }
+
+  parameters.encodings.forEach((encoding) => {
+    encoding.active = settings.video;
+    encoding.scaleResolutionDownBy = settings.scaleResolutionDownBy;
+    if (settings.maxBitrate) {
+      encoding.maxBitrate = settings.maxBitrate;
+    } else {
+      delete encoding.maxBitrate;
+    }
+  });
+
+  await sender.setParameters(parameters);
+};
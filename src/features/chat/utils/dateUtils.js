@@ -26,4 +26,36 @@ export const isUserOnline = (lastSeenAt, timeoutMinutes = 5) => {
 export const formatMessageTime = (dateString) => {
   const date = new Date(dateString);
   return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-};
\ No newline at end of file
+};
+
+/**
+ * Formats a timestamp to a readable date and time string, for messages shown outside their room
+ * @param {string} dateString - ISO date string
+ * @returns {string} Formatted date and time (e.g. "Mar 27, 2024, 14:05")
+ */
+export const formatMessageDateTime = (dateString) => {
+  const date = new Date(dateString);
+  return date.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+};
+
+/**
+ * Formats a call duration to a short readable string
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Formatted duration (e.g. "45s", "3m 05s", "1h 02m")
+ */
+export const formatCallDuration = (seconds) => {
+  const total = Math.max(0, Math.round(seconds || 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+
+  if (hours > 0) {
+    return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+  }
+
+  if (minutes > 0) {
+    return `${minutes}m ${String(secs).padStart(2, '0')}s`;
+  }
+
+  return `${secs}s`;
+};
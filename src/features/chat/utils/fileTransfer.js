@@ -0,0 +1,51 @@
+/**
+ * Utility functions for peer-to-peer file transfers
+ */
+
+/**
+ * Compute the SHA-256 checksum of a file or blob
+ * @param {Blob} blob - File or blob to hash
+ * @returns {Promise<string>} Hex-encoded SHA-256 digest
+ */
+export const computeChecksum = async (blob) => {
+  const buffer = await blob.arrayBuffer();
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+};
+
+/**
+ * Formats a byte count to a readable size string
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Formatted size (e.g. "1.5 MB")
+ */
+export const formatFileSize = (bytes) => {
+  if (!bytes) {
+    return '0 B';
+  }
+
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  const value = bytes / Math.pow(1024, exponent);
+
+  return `${value.toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+};
+
+/**
+ * Wait until a data channel's send buffer drains below its low threshold
+ * Resolves early if the channel closes so senders never hang
+ * @param {RTCDataChannel} channel - Channel to wait on
+ * @returns {Promise<void>}
+ */
+export const waitForBufferedAmountLow = (channel) => new Promise((resolve) => {
+  const done = () => {
+    channel.removeEventListener('bufferedamountlow', done);
+    channel.removeEventListener('close', done);
+    resolve();
+  };
+
+  channel.addEventListener('bufferedamountlow', done);
+  channel.addEventListener('close', done);
+});
@@ -0,0 +1,216 @@
+/**
+ * Utility functions for the Markdown subset used in chat messages
+ * Messages are parsed into a tree of plain objects, never HTML, so rendering it with React keeps
+ * every piece of text escaped. Supported: paragraphs, fenced code blocks, blockquotes, bulleted and
+ * numbered lists, and inline bold, italics, code, links and @mentions
+ */
+
+// Link targets that may be opened from a message
+const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+// Block-level line patterns
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*)\s*$/;
+const QUOTE = /^ {0,3}> ?(.*)$/;
+const BULLET_ITEM = /^ {0,3}[-*+]\s+(.*)$/;
+const ORDERED_ITEM = /^ {0,3}(\d{1,9})[.)]\s+(.*)$/;
+
+// Inline patterns, tried in order at each position; code spans come first so nothing inside them is parsed
+const INLINE_RULES = [
+  { type: 'code', pattern: /^(`+)([\s\S]*?[^`])\1(?!`)/ },
+  { type: 'mention', pattern: /^<@([0-9a-fA-F-]{36})>/ },
+  { type: 'link', pattern: /^\[([^\]\n]+)\]\(\s*(\S+?)\s*\)/ },
+  { type: 'autolink', pattern: /^(?:https?:\/\/|www\.)[^\s<]*[^\s<.,;:!?'")\]]/ },
+  { type: 'strong', pattern: /^(\*\*|__)(?=\S)([\s\S]*?\S)\1/ },
+  { type: 'em', pattern: /^(\*|_)(?=\S)([\s\S]*?\S)\1(?![*_\w])/ }
+];
+
+// Characters that can start an inline rule
+const INLINE_START = /[`<[*_hw]/;
+
+/**
+ * Check that a link target is safe to open
+ * @param {string} url - Link target as written in the message
+ * @returns {string|null} The URL to link to, or null when it isn't a web or mail link
+ */
+export const sanitizeUrl = (url) => {
+  const candidate = url.startsWith('www.') ? `https://${url}` : url;
+
+  try {
+    const parsed = new URL(candidate);
+    return SAFE_PROTOCOLS.includes(parsed.protocol) ? parsed.href : null;
+  } catch {
+    return null;
+  }
+};
+
+// Rules that make links, which can't be nested in one another
+const LINK_RULES = ['link', 'autolink'];
+
+/**
+ * Parse inline Markdown
+ * @param {string} text - Text of a paragraph, list item or similar
+ * @param {object} options - Parsing options
+ * @param {boolean} options.links - Whether links are parsed; off inside link text
+ * @returns {Array<object>} Inline nodes: text, code, mention, link, strong and em (the last three with
+ *   child nodes)
+ */
+export const parseInline = (text, { links = true } = {}) => {
+  const nodes = [];
+  let buffer = '';
+  let index = 0;
+
+  const flush = () => {
+    if (buffer) {
+      nodes.push({ type: 'text', text: buffer });
+      buffer = '';
+    }
+  };
+
+  while (index < text.length) {
+    const char = text[index];
+
+    // Emphasis markers inside words (snake_case, 2*3*4) stay plain text
+    const isWordInner = /[_*]/.test(char) && index > 0 && /\w/.test(text[index - 1]);
+    // Bare URLs only start at a word boundary
+    const isUrlInner = /[hw]/.test(char) && index > 0 && /\w/.test(text[index - 1]);
+
+    let matched = null;
+    if (INLINE_START.test(char) && !isWordInner && !isUrlInner) {
+      const rest = text.slice(index);
+      for (const rule of INLINE_RULES) {
+        if (!links && LINK_RULES.includes(rule.type)) {
+          continue;
+        }
+
+        const match = rest.match(rule.pattern);
+        if (match) {
+          matched = { rule, match };
+          break;
+        }
+      }
+    }
+
+    if (!matched) {
+      buffer += char;
+      index += 1;
+      continue;
+    }
+
+    const { rule, match } = matched;
+    flush();
+
+    if (rule.type === 'code') {
+      nodes.push({ type: 'code', text: match[2].replace(/^ (.*) $/, '$1') });
+    } else if (rule.type === 'mention') {
+      nodes.push({ type: 'mention', userId: match[1].toLowerCase() });
+    } else if (rule.type === 'link') {
+      const href = sanitizeUrl(match[2]);
+      nodes.push(href
+        ? { type: 'link', href, children: parseInline(match[1], { links: false }) }
+        : { type: 'text', text: match[0] });
+    } else if (rule.type === 'autolink') {
+      const href = sanitizeUrl(match[0]);
+      nodes.push(href
+        ? { type: 'link', href, children: [{ type: 'text', text: match[0] }] }
+        : { type: 'text', text: match[0] });
+    } else {
+      nodes.push({ type: rule.type, children: parseInline(match[2], { links }) });
+    }
+
+    index += match[0].length;
+  }
+
+  flush();
+  return nodes;
+};
+
+/**
+ * Parse a message into blocks
+ * @param {string} text - Message text
+ * @returns {Array<object>} Block nodes: paragraph (lines of inline nodes), code (language and text),
+ *   blockquote (child blocks) and list (ordered, start and items of inline nodes)
+ */
+export const parseMarkdown = (text = '') => {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let index = 0;
+
+  while (index < lines.length) {
+    const line = lines[index];
+
+    // Blank lines only separate blocks
+    if (!line.trim()) {
+      index += 1;
+      continue;
+    }
+
+    // Fenced code block, up to the closing fence (or the end of the message)
+    const fence = line.match(FENCE);
+    if (fence) {
+      const codeLines = [];
+      index += 1;
+      while (index < lines.length && !lines[index].trim().startsWith(fence[1])) {
+        codeLines.push(lines[index]);
+        index += 1;
+      }
+      index += 1;
+      blocks.push({ type: 'code', language: fence[2].toLowerCase(), text: codeLines.join('\n') });
+      continue;
+    }
+
+    // Blockquote: consecutive quoted lines, parsed again as blocks
+    if (QUOTE.test(line)) {
+      const quoted = [];
+      while (index < lines.length && QUOTE.test(lines[index])) {
+        quoted.push(lines[index].match(QUOTE)[1]);
+        index += 1;
+      }
+      blocks.push({ type: 'blockquote', children: parseMarkdown(quoted.join('\n')) });
+      continue;
+    }
+
+    // List: consecutive items of the same kind; indented lines continue the previous item
+    const ordered = ORDERED_ITEM.test(line);
+    if (ordered || BULLET_ITEM.test(line)) {
+      const itemPattern = ordered ? ORDERED_ITEM : BULLET_ITEM;
+      const items = [];
+      const start = ordered ? Number(line.match(ORDERED_ITEM)[1]) : 1;
+
+      while (index < lines.length) {
+        const itemMatch = lines[index].match(itemPattern);
+        if (itemMatch) {
+          items.push(ordered ? itemMatch[2] : itemMatch[1]);
+        } else if (items.length && /^\s{2,}\S/.test(lines[index])) {
+          items[items.length - 1] += `\n${lines[index].trim()}`;
+        } else {
+          break;
+        }
+        index += 1;
+      }
+
+      blocks.push({
+        type: 'list',
+        ordered,
+        start,
+        items: items.map((item) => item.split('\n').map(parseInline))
+      });
+      continue;
+    }
+
+    // Paragraph: lines up to a blank line or the start of another block
+    const paragraph = [];
+    while (
+      index < lines.length
+      && lines[index].trim()
+      && !FENCE.test(lines[index])
+      && !QUOTE.test(lines[index])
+      && !(paragraph.length && (BULLET_ITEM.test(lines[index]) || ORDERED_ITEM.test(lines[index])))
+    ) {
+      paragraph.push(lines[index]);
+      index += 1;
+    }
+    blocks.push({ type: 'paragraph', lines: paragraph.map(parseInline) });
+  }
+
+  return blocks;
+};
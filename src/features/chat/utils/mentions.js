@@ -0,0 +1,96 @@
+/**
+ * Utility functions for @mentions in chat messages
+ * A mention is stored in the message text as a <@user-id> token and shown as @Full Name
+ */
+
+// A stored mention token; the user ID is captured
+const MENTION_TOKEN = /<@([0-9a-fA-F-]{36})>/g;
+
+// Longest text after an "@" that is still treated as a name being typed
+const MAX_MENTION_QUERY_LENGTH = 40;
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Get the IDs of the users mentioned in a message
+ * @param {string} text - Stored message text
+ * @returns {Array<string>} Mentioned user IDs, without duplicates
+ */
+export const getMentionedUserIds = (text = '') =>
+  Array.from(new Set(Array.from(text.matchAll(MENTION_TOKEN), (match) => match[1].toLowerCase())));
+
+/**
+ * Turn the @Name mentions picked while typing into stored tokens
+ * Longer names are replaced first, so "@Ann Lee" isn't taken for "@Ann"
+ * @param {string} text - Text as typed
+ * @param {Array<object>} mentions - Picked mentions ({ id, name }); ones that were typed over are ignored
+ * @returns {string} Text with <@user-id> tokens in place of the picked names
+ */
+export const encodeMentions = (text, mentions = []) => [...mentions]
+  .sort((a, b) => b.name.length - a.name.length)
+  .reduce((encoded, mention) => encoded.replace(
+    new RegExp(`(^|\\s)@${escapeRegExp(mention.name)}(?=$|[\\s.,!?;:])`, 'g'),
+    `$1<@${mention.id}>`
+  ), text);
+
+/**
+ * Turn stored tokens back into @Name text, e.g. for editing a message
+ * @param {string} text - Stored message text
+ * @param {object} usersById - User details keyed by user ID
+ * @returns {object} The readable text and the mentions in it ({ id, name }), for encodeMentions
+ */
+export const decodeMentions = (text = '', usersById = {}) => {
+  const mentions = [];
+
+  const decoded = text.replace(MENTION_TOKEN, (token, userId) => {
+    const id = userId.toLowerCase();
+    const name = usersById[id]?.full_name;
+    if (!name) {
+      return token;
+    }
+
+    if (!mentions.some((mention) => mention.id === id)) {
+      mentions.push({ id, name });
+    }
+    return `@${name}`;
+  });
+
+  return { text: decoded, mentions };
+};
+
+/**
+ * Turn stored tokens into @Name text where only plain text is shown, e.g. previews and notices
+ * @param {string} text - Stored message text
+ * @param {object} usersById - User details keyed by user ID
+ * @returns {string} The readable text; users whose names aren't known show as @someone
+ */
+export const mentionsToPlainText = (text = '', usersById = {}) => text.replace(
+  MENTION_TOKEN,
+  (token, userId) => `@${usersById[userId.toLowerCase()]?.full_name || 'someone'}`
+);
+
+/**
+ * Find the mention being typed at the caret
+ * @param {string} text - Input text
+ * @param {number} caret - Caret position in the text
+ * @returns {object|null} { start, query } with the position of the "@" and the text typed after it,
+ *   or null when the caret isn't in a mention
+ */
+export const findMentionQuery = (text, caret) => {
+  const start = text.lastIndexOf('@', caret - 1);
+  if (start === -1 || (start > 0 && !/\s/.test(text[start - 1]))) {
+    return null;
+  }
+
+  const query = text.slice(start + 1, caret);
+  if (query.length > MAX_MENTION_QUERY_LENGTH || /[\n@]/.test(query) || query.startsWith(' ')) {
+    return null;
+  }
+
+  return { start, query };
+};
@@ -0,0 +1,54 @@
+/**
+ * Utility functions for message search: turning the date filters into a time range and splitting
+ * result snippets into plain and highlighted parts
+ * Snippets from search_chat_messages wrap each matched word in \u0002 and \u0003
+ */
+import { mentionsToPlainText } from './mentions';
+
+// Markers around the matched words in a snippet
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_END = '\u0003';
+
+/**
+ * Turn the date filters into the time range searched
+ * @param {string} fromDate - First day searched (YYYY-MM-DD, as given by a date input), or empty
+ * @param {string} toDate - Last day searched (YYYY-MM-DD), or empty
+ * @returns {object} { from, to } as ISO strings in the user's time zone, from inclusive and to
+ *   exclusive (the start of the day after toDate); either is null when its date is empty
+ */
+export const toSearchRange = (fromDate, toDate) => {
+  let to = null;
+  if (toDate) {
+    const dayAfter = new Date(`${toDate}T00:00:00`);
+    dayAfter.setDate(dayAfter.getDate() + 1);
+    to = dayAfter.toISOString();
+  }
+
+  return {
+    from: fromDate ? new Date(`${fromDate}T00:00:00`).toISOString() : null,
+    to
+  };
+};
+
+/**
+ * Split a result snippet into parts to show, with the matched words marked
+ * @param {string} snippet - Snippet from search_chat_messages
+ * @param {object} usersById - Known user details keyed by user ID, for mention names
+ * @returns {Array<object>} Parts in order ({ text, highlighted })
+ */
+export const splitSnippet = (snippet = '', usersById = {}) => {
+  const text = mentionsToPlainText(snippet, usersById);
+
+  return text.split(HIGHLIGHT_START).flatMap((chunk, index) => {
+    // Every chunk after the first starts with a match, closed by the end marker
+    if (index === 0) {
+      return [{ text: chunk.replaceAll(HIGHLIGHT_END, ''), highlighted: false }];
+    }
+
+    const [match, ...rest] = chunk.split(HIGHLIGHT_END);
+    return [
+      { text: match, highlighted: true },
+      { text: rest.join(''), highlighted: false }
+    ];
+  }).filter((part) => part.text);
+};
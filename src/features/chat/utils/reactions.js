@@ -0,0 +1,90 @@
+/**
+ * Utility functions for emoji reactions on chat messages
+ * Messages carry their reactions as a `reactions` array of rows from chat_message_reactions
+ */
+
+/**
+ * Emojis offered in the reaction picker
+ */
+export const REACTION_EMOJIS = ['👍', '❤️', '😂', '🎉', '😮', '😢'];
+
+/**
+ * Add a reaction to the message it belongs to
+ * @param {Array} messages - Messages with their reactions
+ * @param {object} reaction - Reaction row (id, message_id, user_id, emoji, created_at)
+ * @returns {Array} Messages with the reaction added (unchanged if it is already there)
+ */
+export const addReactionToMessages = (messages, reaction) => {
+  if (!reaction?.id || !messages.some((msg) => msg.id === reaction.message_id)) {
+    return messages;
+  }
+
+  return messages.map((msg) => {
+    if (msg.id !== reaction.message_id) {
+      return msg;
+    }
+
+    const reactions = msg.reactions || [];
+    if (reactions.some((item) => item.id === reaction.id)) {
+      return msg;
+    }
+
+    return { ...msg, reactions: [...reactions, reaction] };
+  });
+};
+
+/**
+ * Remove a reaction from whichever message has it
+ * @param {Array} messages - Messages with their reactions
+ * @param {string} reactionId - ID of the removed reaction
+ * @returns {Array} Messages without the reaction (unchanged if no message has it)
+ */
+export const removeReactionFromMessages = (messages, reactionId) => {
+  if (!messages.some((msg) => msg.reactions?.some((item) => item.id === reactionId))) {
+    return messages;
+  }
+
+  return messages.map((msg) => (
+    msg.reactions?.some((item) => item.id === reactionId)
+      ? { ...msg, reactions: msg.reactions.filter((item) => item.id !== reactionId) }
+      : msg
+  ));
+};
+
+/**
+ * Find the current user's reaction with an emoji on a message
+ * @param {object} message - Message with its reactions
+ * @param {string} userId - ID of the current user
+ * @param {string} emoji - Reaction emoji
+ * @returns {object|undefined} The reaction, if the user has reacted with this emoji
+ */
+export const findOwnReaction = (message, userId, emoji) =>
+  (message?.reactions || []).find((item) => item.user_id === userId && item.emoji === emoji);
+
+/**
+ * Group a message's reactions by emoji, in the order each emoji was first used
+ * @param {Array} reactions - Reaction rows of one message
+ * @param {string} currentUserId - ID of the current user
+ * @returns {Array} One entry per emoji: { emoji, count, userIds, reactedByMe }
+ */
+export const groupReactions = (reactions = [], currentUserId = null) => {
+  const groups = new Map();
+
+  [...reactions]
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+    .forEach((reaction) => {
+      const group = groups.get(reaction.emoji) || {
+        emoji: reaction.emoji,
+        count: 0,
+        userIds: [],
+        reactedByMe: false
+      };
+
+      group.count += 1;
+      group.userIds.push(reaction.user_id);
+      group.reactedByMe = group.reactedByMe || reaction.user_id === currentUserId;
+      groups.set(reaction.emoji, group);
+    });
+
+  return Array.from(groups.values());
+};
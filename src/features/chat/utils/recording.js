@@ -0,0 +1,194 @@
+/**
+ * Utility functions for recording calls locally with MediaRecorder
+ * Video from every participant is composited onto a canvas and their audio is mixed with the
+ * Web Audio API, so the recording is a single WebM file
+ */
+
+// Size and frame rate of the composited video
+const CANVAS_WIDTH = 1280;
+const CANVAS_HEIGHT = 720;
+const FRAME_RATE = 30;
+
+// Ask the recorder for data every second, so stopping never loses more than that
+const TIMESLICE_MS = 1000;
+
+// Preferred WebM formats, best first
+const MIME_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'];
+
+/**
+ * Whether the browser can record calls
+ * @returns {boolean} True if MediaRecorder, canvas capture and Web Audio are available
+ */
+export const isRecordingSupported = () =>
+  typeof window.MediaRecorder !== 'undefined'
+  && typeof window.AudioContext !== 'undefined'
+  && typeof HTMLCanvasElement.prototype.captureStream === 'function';
+
+// Draw one participant into its grid cell, letterboxed, with their name underneath
+const drawTile = (context, tile, x, y, width, height) => {
+  context.fillStyle = '#000';
+  context.fillRect(x, y, width, height);
+
+  const { video } = tile;
+  if (video.readyState >= 2 && video.videoWidth > 0) {
+    const scale = Math.min(width / video.videoWidth, height / video.videoHeight);
+    const drawWidth = video.videoWidth * scale;
+    const drawHeight = video.videoHeight * scale;
+    context.drawImage(video, x + (width - drawWidth) / 2, y + (height - drawHeight) / 2, drawWidth, drawHeight);
+  }
+
+  if (tile.label) {
+    context.font = '600 20px sans-serif';
+    const textWidth = context.measureText(tile.label).width;
+    context.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    context.fillRect(x + 8, y + height - 40, textWidth + 16, 32);
+    context.fillStyle = '#fff';
+    context.fillText(tile.label, x + 16, y + height - 17);
+  }
+};
+
+/**
+ * Start recording a set of participants into a single WebM file
+ * @param {Array<object>} sources - Participants to record: { id, label, stream, screen }, where
+ * stream carries their camera and microphone and screen (optional) replaces the camera image
+ * @returns {object} Recorder with update(sources) to follow people joining and leaving, and stop(),
+ * which resolves with { blob, durationSeconds }
+ */
+export const startMixedRecording = (sources) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = CANVAS_WIDTH;
+  canvas.height = CANVAS_HEIGHT;
+  const context = canvas.getContext('2d');
+
+  const audioContext = new AudioContext();
+  const audioDestination = audioContext.createMediaStreamDestination();
+
+  // Participant tiles keyed by source ID: { stream, screen, label, video, audioSource }
+  const tiles = new Map();
+
+  const removeTile = (id) => {
+    const tile = tiles.get(id);
+    if (tile) {
+      tile.video.srcObject = null;
+      tile.audioSource?.disconnect();
+      tiles.delete(id);
+    }
+  };
+
+  const update = (nextSources) => {
+    const present = nextSources.filter((source) => source.stream);
+    const ids = present.map((source) => source.id);
+
+    Array.from(tiles.keys())
+      .filter((id) => !ids.includes(id))
+      .forEach(removeTile);
+
+    present.forEach(({ id, label, stream, screen = null }) => {
+      const existing = tiles.get(id);
+      if (existing && existing.stream === stream && existing.screen === screen) {
+        existing.label = label;
+        return;
+      }
+      removeTile(id);
+
+      const video = document.createElement('video');
+      video.muted = true;
+      video.playsInline = true;
+      video.srcObject = screen || stream;
+      video.play().catch(() => {});
+
+      let audioSource = null;
+      if (stream.getAudioTracks().length > 0) {
+        audioSource = audioContext.createMediaStreamSource(stream);
+        audioSource.connect(audioDestination);
+      }
+
+      tiles.set(id, { stream, screen, label, video, audioSource });
+    });
+  };
+
+  // Lay the tiles out in the smallest grid that fits them all
+  const drawFrame = () => {
+    const list = Array.from(tiles.values());
+    context.fillStyle = '#000';
+    context.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+
+    if (list.length === 0) {
+      return;
+    }
+
+    const columns = Math.ceil(Math.sqrt(list.length));
+    const rows = Math.ceil(list.length / columns);
+    const width = CANVAS_WIDTH / columns;
+    const height = CANVAS_HEIGHT / rows;
+
+    list.forEach((tile, index) => {
+      drawTile(context, tile, (index % columns) * width, Math.floor(index / columns) * height, width, height);
+    });
+  };
+
+  update(sources);
+  drawFrame();
+
+  // A timer rather than requestAnimationFrame, which stops completely in background tabs
+  const frameTimer = setInterval(drawFrame, 1000 / FRAME_RATE);
+
+  const [videoTrack] = canvas.captureStream(FRAME_RATE).getVideoTracks();
+  const mixedStream = new MediaStream([videoTrack, ...audioDestination.stream.getAudioTracks()]);
+  const mimeType = MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) || '';
+  const recorder = new MediaRecorder(mixedStream, mimeType ? { mimeType } : undefined);
+  const chunks = [];
+  const startedAt = Date.now();
+
+  recorder.ondataavailable = (event) => {
+    if (event.data.size > 0) {
+      chunks.push(event.data);
+    }
+  };
+  recorder.start(TIMESLICE_MS);
+
+  const cleanup = () => {
+    clearInterval(frameTimer);
+    Array.from(tiles.keys()).forEach(removeTile);
+    videoTrack.stop();
+    audioContext.close().catch(() => {});
+  };
+
+  const stop = () => new Promise((resolve) => {
+    const finish = () => {
+      cleanup();
+      resolve({
+        blob: new Blob(chunks, { type: mimeType.split(';')[0] || 'video/webm' }),
+        durationSeconds: Math.round((Date.now() - startedAt) / 1000)
+      });
+    };
+
+    if (recorder.state === 'inactive') {
+      finish();
+      return;
+    }
+
+    recorder.onstop = finish;
+    recorder.stop();
+  });
+
+  return { update, stop };
+};
+
+/**
+ * Save a recording to the user's device
+ * @param {Blob} blob - Recorded WebM data
+ * @param {string} name - File name without extension
+ */
+export const saveRecording = (blob, name) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${name}.webm`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the download a moment to start before releasing the data
+  setTimeout(() => URL.revokeObjectURL(url), 10000);
+};
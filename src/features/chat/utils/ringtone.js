@@ -0,0 +1,105 @@
+/**
+ * Utility functions for alerting the user to an incoming call
+ * The ringtone is synthesized with the Web Audio API, so no audio file has to be shipped
+ */
+
+// Two-tone ring: tone frequencies (Hz), a ring burst, then silence until the next ring
+const RING_FREQUENCIES = [440, 480];
+const RING_BURST_SECONDS = 1.2;
+const RING_INTERVAL_MS = 3000;
+const RING_VOLUME = 0.15;
+
+/**
+ * Start playing the ringtone until the returned function is called
+ * Browsers may keep audio muted until the user has interacted with the page; the ring is
+ * then silent but nothing fails
+ * @returns {Function} Function that stops the ringtone
+ */
+export const startRingtone = () => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) {
+    return () => {};
+  }
+
+  const audioContext = new AudioContextClass();
+
+  const ring = () => {
+    const gain = audioContext.createGain();
+    const start = audioContext.currentTime;
+
+    // Fade in and out to avoid clicks at the edges of the burst
+    gain.gain.setValueAtTime(0, start);
+    gain.gain.linearRampToValueAtTime(RING_VOLUME, start + 0.05);
+    gain.gain.setValueAtTime(RING_VOLUME, start + RING_BURST_SECONDS - 0.05);
+    gain.gain.linearRampToValueAtTime(0, start + RING_BURST_SECONDS);
+    gain.connect(audioContext.destination);
+
+    RING_FREQUENCIES.forEach((frequency) => {
+      const oscillator = audioContext.createOscillator();
+      oscillator.frequency.value = frequency;
+      oscillator.connect(gain);
+      oscillator.start(start);
+      oscillator.stop(start + RING_BURST_SECONDS);
+    });
+  };
+
+  audioContext.resume().catch(() => {});
+  ring();
+  const ringTimer = setInterval(ring, RING_INTERVAL_MS);
+
+  return () => {
+    clearInterval(ringTimer);
+    audioContext.close().catch(() => {});
+  };
+};
+
+/**
+ * Ask for permission to show browser notifications, if it hasn't been granted or denied yet
+ * Some browsers only allow this in response to a user gesture
+ * @returns {Promise<void>}
+ */
+export const requestNotificationPermission = async () => {
+  if (typeof window.Notification === 'undefined' || Notification.permission !== 'default') {
+    return;
+  }
+
+  try {
+    await Notification.requestPermission();
+  } catch (err) {
+    // Older browsers only support the callback form; the prompt was still shown
+  }
+};
+
+/**
+ * Show a browser notification for an incoming call
+ * @param {object} caller - User who is calling ({ full_name, image_url })
+ * @param {string} callId - ID of the call, so repeated notifications replace each other
+ * @param {Function} onClick - Called when the user clicks the notification
+ * @returns {object|null} The notification (call close() on it), or null if notifications aren't allowed
+ */
+export const showIncomingCallNotification = (caller, callId, onClick) => {
+  if (typeof window.Notification === 'undefined' || Notification.permission !== 'granted') {
+    return null;
+  }
+
+  try {
+    const notification = new Notification('Incoming video call', {
+      body: `${caller?.full_name || 'Someone'} is calling you on ConnectHub`,
+      icon: caller?.image_url || undefined,
+      tag: `call-${callId}`,
+      requireInteraction: true
+    });
+
+    notification.onclick = () => {
+      window.focus();
+      notification.close();
+      onClick?.();
+    };
+
+    return notification;
+  } catch (err) {
+    // Some mobile browsers only allow notifications from a service worker
+    console.error('Error showing call notification:', err);
+    return null;
+  }
+};
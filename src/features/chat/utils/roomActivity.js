@@ -0,0 +1,124 @@
+/**
+ * Utility functions for the room list's activity: unread counts, last message previews and ordering
+ * Rooms carry the fields returned by get_chat_room_activity (unread_count, last_message, ...)
+ */
+import { mentionsToPlainText } from './mentions';
+
+// Markdown markers dropped from previews
+const MARKDOWN_MARKERS = /(`{1,3}|\*\*|__|~~~)/g;
+
+/**
+ * Get the time a room was last active, for ordering the list
+ * @param {object} room - Room with its activity
+ * @returns {number} Timestamp of its last message, or of its creation when it has none
+ */
+const getActivityTime = (room) =>
+  new Date(room.last_activity_at || room.last_message_at || room.created_at || 0).getTime();
+
+/**
+ * Sort rooms with the most recently active first
+ * @param {Array} rooms - Rooms with their activity
+ * @returns {Array} A sorted copy of the rooms
+ */
+export const sortRoomsByActivity = (rooms) => [...rooms].sort((a, b) => getActivityTime(b) - getActivityTime(a));
+
+/**
+ * Merge each room's activity into the room list
+ * @param {Array} rooms - Rooms without activity
+ * @param {Array} activity - Rows from get_chat_room_activity
+ * @returns {Array} The rooms with their activity, most recently active first
+ */
+export const mergeRoomActivity = (rooms, activity = []) => {
+  const activityByRoom = new Map(activity.map(({ room_id: roomId, ...rest }) => [roomId, rest]));
+
+  return sortRoomsByActivity(rooms.map((room) => ({
+    unread_count: 0,
+    ...room,
+    ...activityByRoom.get(room.id)
+  })));
+};
+
+/**
+ * Apply a new message to the room list: it becomes its room's preview and last activity and,
+ * unless the user sent it or has the room open, counts as unread
+ * @param {Array} rooms - Rooms with their activity
+ * @param {object} message - The new message (as sent by Realtime)
+ * @param {string} currentUserId - ID of the current user
+ * @param {string} openRoomId - ID of the room the user has open
+ * @returns {Array} Updated rooms (the same array when the message doesn't change the list)
+ */
+export const addMessageToRooms = (rooms, message, currentUserId, openRoomId) => {
+  // Thread replies don't show in the list
+  if (message.parent_message_id || !rooms.some((room) => room.id === message.room_id)) {
+    return rooms;
+  }
+
+  const isUnread = message.user_id !== currentUserId && message.room_id !== openRoomId;
+
+  return rooms.map((room) => {
+    if (room.id !== message.room_id) {
+      return room;
+    }
+
+    return {
+      ...room,
+      unread_count: (room.unread_count || 0) + (isUnread && room.is_member ? 1 : 0),
+      last_message_id: message.id,
+      last_message: message.message,
+      last_message_type: message.message_type,
+      last_message_user_name: room.last_message_user_id === message.user_id ? room.last_message_user_name : null,
+      last_message_user_id: message.user_id,
+      last_message_at: message.created_at,
+      last_activity_at: message.created_at
+    };
+  });
+};
+
+/**
+ * Apply an edited or deleted message to the room list, when it is a room's preview
+ * @param {Array} rooms - Rooms with their activity
+ * @param {object} message - The updated message (as sent by Realtime)
+ * @returns {Array} Updated rooms (the same array when no preview changes)
+ */
+export const updateMessageInRooms = (rooms, message) => {
+  if (!rooms.some((room) => room.last_message_id === message.id)) {
+    return rooms;
+  }
+
+  return rooms.map((room) => (room.last_message_id === message.id
+    ? { ...room, last_message: message.message, last_message_deleted: Boolean(message.deleted_at) }
+    : room));
+};
+
+/**
+ * Get the one-line preview of a room's last message
+ * @param {object} room - Room with its activity
+ * @param {string} currentUserId - ID of the current user
+ * @param {object} usersById - Known user details keyed by user ID, for sender and mention names
+ * @returns {string|null} The preview, or null when the room has no messages
+ */
+export const getLastMessagePreview = (room, currentUserId, usersById = {}) => {
+  if (!room.last_message_id) {
+    return null;
+  }
+
+  if (room.last_message_deleted) {
+    return 'Message deleted';
+  }
+
+  const text = mentionsToPlainText(room.last_message || '', usersById)
+    .replace(MARKDOWN_MARKERS, '')
+    .replace(/\s+/g, ' ')
+    .trim() || 'Sent an attachment';
+
+  // System messages already say who did what
+  if (room.last_message_type === 'system') {
+    return text;
+  }
+
+  const sender = room.last_message_user_id === currentUserId
+    ? 'You'
+    : usersById[room.last_message_user_id]?.full_name || room.last_message_user_name;
+
+  return sender ? `${sender}: ${text}` : text;
+};
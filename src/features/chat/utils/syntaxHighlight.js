@@ -0,0 +1,145 @@
+/**
+ * Utility functions for highlighting code blocks in chat messages
+ * A small tokenizer that knows comments, strings, numbers and keywords of common languages;
+ * code in other languages (and stack traces) only gets strings and numbers highlighted
+ */
+
+// Keywords by language; aliases point at the same list
+const JS_KEYWORDS = [
+  'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'delete', 'do',
+  'else', 'export', 'extends', 'false', 'finally', 'for', 'from', 'function', 'if', 'import', 'in',
+  'instanceof', 'interface', 'let', 'new', 'null', 'of', 'return', 'static', 'super', 'switch', 'this',
+  'throw', 'true', 'try', 'type', 'typeof', 'undefined', 'var', 'void', 'while', 'yield'
+];
+
+const PYTHON_KEYWORDS = [
+  'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del', 'elif', 'else',
+  'except', 'False', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'None',
+  'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'self', 'True', 'try', 'while', 'with', 'yield'
+];
+
+const C_LIKE_KEYWORDS = [
+  'abstract', 'bool', 'break', 'case', 'catch', 'char', 'class', 'const', 'continue', 'default', 'defer',
+  'do', 'double', 'else', 'enum', 'extends', 'false', 'final', 'finally', 'float', 'for', 'func', 'go',
+  'if', 'implements', 'import', 'int', 'interface', 'long', 'map', 'namespace', 'new', 'nil', 'null',
+  'package', 'private', 'protected', 'public', 'return', 'static', 'string', 'struct', 'super', 'switch',
+  'this', 'throw', 'throws', 'true', 'try', 'type', 'var', 'void', 'while'
+];
+
+const SQL_KEYWORDS = [
+  'add', 'alter', 'and', 'as', 'asc', 'by', 'case', 'create', 'delete', 'desc', 'distinct', 'drop', 'else',
+  'end', 'exists', 'from', 'function', 'group', 'having', 'in', 'index', 'inner', 'insert', 'into', 'is',
+  'join', 'left', 'like', 'limit', 'not', 'null', 'offset', 'on', 'or', 'order', 'primary', 'references',
+  'returning', 'right', 'select', 'set', 'table', 'then', 'trigger', 'union', 'update', 'values', 'when',
+  'where', 'with'
+];
+
+const SHELL_KEYWORDS = [
+  'case', 'cd', 'do', 'done', 'echo', 'elif', 'else', 'esac', 'exit', 'export', 'fi', 'for', 'function',
+  'if', 'in', 'local', 'return', 'sudo', 'then', 'while'
+];
+
+const LANGUAGES = {
+  js: { keywords: JS_KEYWORDS, lineComment: '//', blockComment: true },
+  python: { keywords: PYTHON_KEYWORDS, lineComment: '#', blockComment: false },
+  c: { keywords: C_LIKE_KEYWORDS, lineComment: '//', blockComment: true },
+  sql: { keywords: SQL_KEYWORDS, lineComment: '--', blockComment: true, caseInsensitive: true },
+  shell: { keywords: SHELL_KEYWORDS, lineComment: '#', blockComment: false },
+  json: { keywords: ['true', 'false', 'null'], lineComment: null, blockComment: false }
+};
+
+const LANGUAGE_ALIASES = {
+  javascript: 'js',
+  jsx: 'js',
+  ts: 'js',
+  tsx: 'js',
+  typescript: 'js',
+  py: 'python',
+  python: 'python',
+  java: 'c',
+  go: 'c',
+  golang: 'c',
+  cpp: 'c',
+  'c++': 'c',
+  cs: 'c',
+  csharp: 'c',
+  kotlin: 'c',
+  swift: 'c',
+  rust: 'c',
+  sql: 'sql',
+  postgres: 'sql',
+  plpgsql: 'sql',
+  sh: 'shell',
+  bash: 'shell',
+  shell: 'shell',
+  zsh: 'shell',
+  json: 'json'
+};
+
+/**
+ * Look up the highlighting rules for a code block's language
+ * @param {string} language - Language written after the opening fence
+ * @returns {object|null} Rules for the language, or null when it isn't known
+ */
+const getLanguage = (language) => LANGUAGES[LANGUAGE_ALIASES[language] || language] || null;
+
+/**
+ * Build the tokenizer pattern for a language
+ * @param {object|null} rules - Language rules from getLanguage
+ * @returns {RegExp} Pattern whose named groups are the token types
+ */
+const buildPattern = (rules) => {
+  // Without a known language comments aren't guessed, so URLs and "#1" in stack traces stay plain
+  const commentParts = [];
+  if (rules?.blockComment) {
+    commentParts.push('\\/\\*[\\s\\S]*?(?:\\*\\/|$)');
+  }
+  if (rules?.lineComment) {
+    commentParts.push(`${rules.lineComment.replace(/[/]/g, '\\/')}[^\\n]*`);
+  }
+
+  const keywords = rules?.keywords.length
+    ? `|(?<keyword>\\b(?:${rules.keywords.join('|')})\\b)`
+    : '';
+
+  return new RegExp(
+    `${commentParts.length ? `(?<comment>${commentParts.join('|')})|` : ''}`
+    + '(?<string>"(?:[^"\\\\\\n]|\\\\.)*"|\'(?:[^\'\\\\\\n]|\\\\.)*\'|`(?:[^`\\\\]|\\\\.)*`)'
+    + '|(?<number>\\b\\d+(?:\\.\\d+)?\\b)'
+    + keywords,
+    rules?.caseInsensitive ? 'gi' : 'g'
+  );
+};
+
+/**
+ * Split code into highlighted tokens
+ * @param {string} code - Code block text
+ * @param {string} language - Language written after the opening fence (may be empty)
+ * @returns {Array<object>} Tokens: { type, text } with type 'plain', 'comment', 'string', 'number'
+ *   or 'keyword'
+ */
+export const highlightCode = (code, language = '') => {
+  const pattern = buildPattern(getLanguage(language));
+  const tokens = [];
+  let lastIndex = 0;
+
+  for (const match of code.matchAll(pattern)) {
+    if (!match[0]) {
+      continue;
+    }
+
+    if (match.index > lastIndex) {
+      tokens.push({ type: 'plain', text: code.slice(lastIndex, match.index) });
+    }
+
+    const type = Object.keys(match.groups).find((group) => match.groups[group] !== undefined);
+    tokens.push({ type, text: match[0] });
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < code.length) {
+    tokens.push({ type: 'plain', text: code.slice(lastIndex) });
+  }
+
+  return tokens;
+};
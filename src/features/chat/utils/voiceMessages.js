@@ -0,0 +1,139 @@
+/**
+ * Utility functions for recording and playing voice messages
+ * Voice messages are Opus recordings sent as attachments, with their duration and a waveform
+ * summary measured while recording, so the player can draw them before any audio is loaded
+ */
+
+/**
+ * Recording limits; chat_message_attachments enforces the same maximum duration
+ */
+export const VOICE_LIMITS = {
+  minDurationMs: 500,
+  maxDurationMs: 5 * 60 * 1000
+};
+
+// Number of bars in a waveform summary
+export const WAVEFORM_BARS = 48;
+
+// Opus formats, best first (Chromium and Firefox record WebM, some browsers only Ogg)
+const MIME_TYPES = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus'];
+
+// How often the input level is sampled for the waveform
+const LEVEL_INTERVAL_MS = 50;
+
+/**
+ * Whether the browser can record voice messages
+ * @returns {boolean} True if the microphone, MediaRecorder with Opus and Web Audio are available
+ */
+export const isVoiceRecordingSupported = () =>
+  Boolean(navigator.mediaDevices?.getUserMedia)
+  && typeof window.MediaRecorder !== 'undefined'
+  && typeof window.AudioContext !== 'undefined'
+  && MIME_TYPES.some((type) => MediaRecorder.isTypeSupported(type));
+
+/**
+ * Whether an attachment is played as a voice message
+ * @param {object} attachment - Attachment row (or a file being uploaded)
+ * @returns {boolean} True for audio
+ */
+export const isVoiceAttachment = (attachment) => attachment.mime_type?.startsWith('audio/');
+
+/**
+ * Reduce sampled input levels to a fixed number of bars
+ * @param {Array<number>} levels - Levels sampled while recording (0 to 1)
+ * @param {number} bars - Number of bars to return
+ * @returns {Array<number>} Bar heights from 0 to 100, scaled so the loudest bar is 100
+ */
+export const summarizeWaveform = (levels, bars = WAVEFORM_BARS) => {
+  if (levels.length === 0) {
+    return [];
+  }
+
+  const peaks = Array.from({ length: bars }, (_, bar) => {
+    const start = Math.floor((bar * levels.length) / bars);
+    const end = Math.max(start + 1, Math.floor(((bar + 1) * levels.length) / bars));
+    return Math.max(...levels.slice(start, end));
+  });
+
+  const loudest = Math.max(...peaks) || 1;
+  return peaks.map((peak) => Math.round((peak / loudest) * 100));
+};
+
+/**
+ * Format a voice message's length for the player
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Minutes and seconds, e.g. "0:07" or "2:45"
+ */
+export const formatVoiceDuration = (ms) => {
+  const total = Math.max(0, Math.round((ms || 0) / 1000));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Start recording a voice message from a microphone stream
+ * The stream's tracks are stopped when the recording stops or is cancelled
+ * @param {object} stream - Microphone MediaStream from getUserMedia
+ * @returns {object} Recorder with stop(), which resolves with { blob, mimeType, durationMs, waveform },
+ * and cancel()
+ */
+export const startVoiceRecording = (stream) => {
+  const mimeType = MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+  const recorder = new MediaRecorder(stream, { mimeType });
+  const chunks = [];
+  const startedAt = Date.now();
+
+  // Sample the input level for the waveform
+  const audioContext = new AudioContext();
+  const analyser = audioContext.createAnalyser();
+  analyser.fftSize = 512;
+  audioContext.createMediaStreamSource(stream).connect(analyser);
+
+  const samples = new Uint8Array(analyser.fftSize);
+  const levels = [];
+  const levelTimer = setInterval(() => {
+    analyser.getByteTimeDomainData(samples);
+    const sumOfSquares = samples.reduce((sum, sample) => sum + ((sample - 128) / 128) ** 2, 0);
+    levels.push(Math.sqrt(sumOfSquares / samples.length));
+  }, LEVEL_INTERVAL_MS);
+
+  recorder.ondataavailable = (event) => {
+    if (event.data.size > 0) {
+      chunks.push(event.data);
+    }
+  };
+  recorder.start();
+
+  const cleanup = () => {
+    clearInterval(levelTimer);
+    stream.getTracks().forEach((track) => track.stop());
+    audioContext.close().catch(() => {});
+  };
+
+  const stop = () => new Promise((resolve) => {
+    const durationMs = Math.min(Date.now() - startedAt, VOICE_LIMITS.maxDurationMs);
+
+    recorder.onstop = () => {
+      cleanup();
+
+      // Stored without the codec, which is what the bucket's type list holds
+      const baseType = mimeType.split(';')[0];
+      resolve({
+        blob: new Blob(chunks, { type: baseType }),
+        mimeType: baseType,
+        durationMs,
+        waveform: summarizeWaveform(levels)
+      });
+    };
+    recorder.stop();
+  });
+
+  const cancel = () => {
+    recorder.onstop = null;
+    if (recorder.state !== 'inactive') {
+      recorder.stop();
+    }
+    cleanup();
+  };
+
+  return { stop, cancel };
+};
@@ -0,0 +1,158 @@
+/**
+ * Utility functions for WebRTC peer connections and local media
+ */
+import { getIceConfiguration, hasRelayServer } from '../services/iceService';
+
+// How long to wait for the relay fallback to connect before giving up
+const RELAY_FALLBACK_TIMEOUT_MS = 15000;
+
+/**
+ * Create a peer connection and wire up its event callbacks
+ * If direct connectivity fails and a TURN server is configured, the connection switches to
+ * relay-only candidates and restarts ICE once before reporting "failed"
+ * @param {object} handlers - Event handlers
+ * @param {Function} handlers.onIceCandidate - Called with each local ICE candidate
+ * @param {Function} handlers.onTrack - Called with each remote track event
+ * @param {Function} handlers.onConnectionStateChange - Called with the new connection state
+ * @param {Function} handlers.onIceRestart - Called on the offering side to send an ICE restart offer
+ * @returns {RTCPeerConnection} The peer connection
+ */
+export const createPeerConnection = ({
+  onIceCandidate,
+  onTrack,
+  onConnectionStateChange,
+  onIceRestart
+}) => {
+  const configuration = getIceConfiguration();
+  const pc = new RTCPeerConnection(configuration);
+  let relayFallback = configuration.iceTransportPolicy === 'relay' || !hasRelayServer(configuration)
+    ? 'unavailable'
+    : 'ready';
+  let fallbackTimer = null;
+
+  pc.onicecandidate = (event) => {
+    if (event.candidate && onIceCandidate) {
+      onIceCandidate(event.candidate.toJSON());
+    }
+  };
+
+  pc.ontrack = (event) => {
+    if (onTrack) {
+      onTrack(event);
+    }
+  };
+
+  pc.onconnectionstatechange = () => {
+    const state = pc.connectionState;
+
+    if (state === 'failed' && relayFallback === 'ready') {
+      relayFallback = 'trying';
+      pc.setConfiguration({ ...pc.getConfiguration(), iceTransportPolicy: 'relay' });
+
+      // The answering side waits for the restart offer, but not forever
+      fallbackTimer = setTimeout(() => {
+        if (pc.connectionState !== 'connected' && pc.connectionState !== 'closed') {
+          relayFallback = 'unavailable';
+          onConnectionStateChange?.('failed');
+        }
+      }, RELAY_FALLBACK_TIMEOUT_MS);
+
+      if (onIceRestart) {
+        pc.restartIce();
+        onIceRestart();
+      }
+      return;
+    }
+
+    if (state === 'connected' || state === 'closed') {
+      clearTimeout(fallbackTimer);
+    }
+
+    if (onConnectionStateChange) {
+      onConnectionStateChange(state);
+    }
+  };
+
+  return pc;
+};
+
+/**
+ * Serialize a session description so it can be sent over a broadcast channel
+ * @param {RTCSessionDescription} description - Local or remote description
+ * @returns {object} Plain object with type and sdp
+ */
+export const serializeDescription = (description) => ({
+  type: description.type,
+  sdp: description.sdp
+});
+
+/**
+ * Request camera and/or microphone access
+ * @param {object} constraints - Which devices to request
+ * @param {boolean} constraints.audio - Whether to capture audio
+ * @param {boolean} constraints.video - Whether to capture video
+ * @returns {Promise<MediaStream>} The local media stream
+ */
+export const getLocalMedia = async ({ audio = true, video = true } = {}) => {
+  if (!navigator.mediaDevices?.getUserMedia) {
+    throw new Error('Your browser does not support camera and microphone access');
+  }
+
+  return navigator.mediaDevices.getUserMedia({ audio, video });
+};
+
+/**
+ * Ask the user to pick a screen, window or tab to share
+ * @returns {Promise<MediaStream>} Stream with a single screen video track
+ */
+export const getScreenMedia = async () => {
+  if (!navigator.mediaDevices?.getDisplayMedia) {
+    throw new Error('Your browser does not support screen sharing');
+  }
+
+  const stream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: false });
+
+  // Favor sharp text over smooth motion, which suits documents and designs
+  stream.getVideoTracks().forEach((track) => {
+    if ('contentHint' in track) {
+      track.contentHint = 'detail';
+    }
+  });
+
+  return stream;
+};
+
+/**
+ * Find the sender of the video transceiver of a peer connection
+ * Looked up through the receiver, so it is found even while no track is being sent
+ * @param {RTCPeerConnection} pc - Peer connection
+ * @returns {RTCRtpSender|undefined} The video sender, if the connection has one
+ */
+export const getVideoSender = (pc) => pc.getTransceivers()
+  .find((transceiver) => transceiver.receiver.track?.kind === 'video')
+  ?.sender;
+
+/**
+ * Swap the outgoing video track of a peer connection in place
+ * Uses RTCRtpSender.replaceTrack, so no renegotiation (and no offer/answer round trip) is needed
+ * @param {RTCPeerConnection} pc - Peer connection that already sends video
+ * @param {MediaStreamTrack} track - Track to send instead
+ * @returns {Promise<void>}
+ */
+export const replaceVideoTrack = async (pc, track) => {
+  const sender = getVideoSender(pc);
+
+  if (sender) {
+    await sender.replaceTrack(track);
+  }
+};
+
+/**
+ * Stop every track of a media stream
+ * @param {MediaStream} stream - Stream to stop
+ */
+export const stopMediaStream = (stream) => {
+  if (stream) {
+    stream.getTracks().forEach((track) => track.stop());
+  }
+};
@@ -115,4 +115,201 @@ export const SignupIcon = () => (
     <line x1="20" y1="8" x2="20" y2="14" />
     <line x1="23" y1="11" x2="17" y2="11" />
   </svg>
-);
\ No newline at end of file
+);
+/**
+ * Phone handset icon
+ * @returns {React.ReactElement} A phone SVG icon
+ */
+export const PhoneIcon = () => (
+  <svg
+    xmlns="http://www.w3.org/2000/svg"
+    viewBox="0 0 24 24"
+    fill="none"
+    stroke="currentColor"
+    strokeWidth="2"
+    strokeLinecap="round"
+    strokeLinejoin="round"
+  >
+    <path
+      d="M22 16.92v3a2 2 0 0 1-2.18 2 19.79 19.79 0 0 1-8.63-3.07 19.5 19.5 0 0 1-6-6 19.79 19.79 0 0 1-3.07-8.67
+      A2 2 0 0 1 4.11 2h3a2 2 0 0 1 2 1.72 12.84 12.84 0 0 0 .7 2.81 2 2 0 0 1-.45 2.11L8.09 9.91a16 16 0 0 0 6 6
+      l1.27-1.27a2 2 0 0 1 2.11-.45 12.84 12.84 0 0 0 2.81.7A2 2 0 0 1 22 16.92z"
+    />
+  </svg>
+);
+
+/**
+ * Hang-up (crossed phone) icon
+ * @returns {React.ReactElement} A hang-up SVG icon
+ */
+export const HangUpIcon = () => (
+  <svg
+    xmlns="http://www.w3.org/2000/svg"
+    viewBox="0 0 24 24"
+    fill="none"
+    stroke="currentColor"
+    strokeWidth="2"
+    strokeLinecap="round"
+    strokeLinejoin="round"
+  >
+    <path
+      d="M10.68 13.31a16 16 0 0 0 3.41 2.6l1.27-1.27a2 2 0 0 1 2.11-.45 12.84 12.84 0 0 0 2.81.7 2 2 0 0 1 1.72 2v3
+      a2 2 0 0 1-2.18 2 19.79 19.79 0 0 1-8.63-3.07 19.42 19.42 0 0 1-3.33-2.67m-2.67-3.34a19.79 19.79 0 0 1-3.07-8.63
+      A2 2 0 0 1 4.11 2h3a2 2 0 0 1 2 1.72 12.84 12.84 0 0 0 .7 2.81 2 2 0 0 1-.45 2.11L8.09 9.91"
+    />
+    <line x1="23" y1="1" x2="1" y2="23" />
+  </svg>
+);
+
+/**
+ * Microphone icon
+ * @param {object} props - Component props
+ * @param {boolean} props.off - Whether to cross the microphone out (muted)
+ * @returns {React.ReactElement} A microphone SVG icon
+ */
+export const MicIcon = ({ off = false }) => (
+  <svg
+    xmlns="http://www.w3.org/2000/svg"
+    viewBox="0 0 24 24"
+    fill="none"
+    stroke="currentColor"
+    strokeWidth="2"
+    strokeLinecap="round"
+    strokeLinejoin="round"
+  >
+    <path d="M12 1a3 3 0 0 0-3 3v8a3 3 0 0 0 6 0V4a3 3 0 0 0-3-3z" />
+    <path d="M19 10v2a7 7 0 0 1-14 0v-2" />
+    <line x1="12" y1="19" x2="12" y2="23" />
+    {off && <line x1="1" y1="1" x2="23" y2="23" />}
+  </svg>
+);
+
+/**
+ * Video camera icon
+ * @param {object} props - Component props
+ * @param {boolean} props.off - Whether to cross the camera out (camera off)
+ * @returns {React.ReactElement} A video camera SVG icon
+ */
+export const CameraIcon = ({ off = false }) => (
+  <svg
+    xmlns="http://www.w3.org/2000/svg"
+    viewBox="0 0 24 24"
+    fill="none"
+    stroke="currentColor"
+    strokeWidth="2"
+    strokeLinecap="round"
+    strokeLinejoin="round"
+  >
+    <polygon points="23 7 16 12 23 17 23 7" />
+    <rect x="1" y="5" width="15" height="14" rx="2" ry="2" />
+    {off && <line x1="1" y1="1" x2="23" y2="23" />}
+  </svg>
+);
+
+/**
+ * Paper clip icon
+ * @returns {React.ReactElement} A paper clip SVG icon
+ */
+export const PaperclipIcon = () => (
+  <svg
+    xmlns="http://www.w3.org/2000/svg"
+    viewBox="0 0 24 24"
+    fill="none"
+    stroke="currentColor"
+    strokeWidth="2"
+    strokeLinecap="round"
+    strokeLinejoin="round"
+  >
+    <path
+      d="M21.44 11.05l-9.19 9.19a6 6 0 0 1-8.49-8.49l9.19-9.19a4 4 0 0 1 5.66 5.66l-9.2 9.19
+      a2 2 0 0 1-2.83-2.83l8.49-8.48"
+    />
+  </svg>
+);
+
+/**
+ * File (document) icon
+ * @returns {React.ReactElement} A file SVG icon
+ */
+export const FileIcon = () => (
+  <svg
+    xmlns="http://www.w3.org/2000/svg"
+    viewBox="0 0 24 24"
+    fill="none"
+    stroke="currentColor"
+    strokeWidth="2"
+    strokeLinecap="round"
+    strokeLinejoin="round"
+  >
+    <path d="M13 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V9z" />
+    <polyline points="13 2 13 9 20 9" />
+  </svg>
+);
+
+/**
+ * Monitor icon used for screen sharing
+ * @param {object} props - Component props
+ * @param {boolean} props.off - Whether to cross the monitor out (stop sharing)
+ * @returns {React.ReactElement} A monitor SVG icon
+ */
+export const ScreenShareIcon = ({ off = false }) => (
+  <svg
+    xmlns="http://www.w3.org/2000/svg"
+    viewBox="0 0 24 24"
+    fill="none"
+    stroke="currentColor"
+    strokeWidth="2"
+    strokeLinecap="round"
+    strokeLinejoin="round"
+  >
+    <rect x="2" y="3" width="20" height="14" rx="2" ry="2" />
+    <line x1="8" y1="21" x2="16" y2="21" />
+    <line x1="12" y1="17" x2="12" y2="21" />
+    {off && <line x1="1" y1="1" x2="23" y2="23" />}
+  </svg>
+);
+
+/**
+ * Record icon (a dot inside a ring)
+ * @param {object} props - Component props
+ * @param {boolean} props.active - Whether to show the stop symbol instead (recording in progress)
+ * @returns {React.ReactElement} A record SVG icon
+ */
+export const RecordIcon = ({ active = false }) => (
+  <svg
+    xmlns="http://www.w3.org/2000/svg"
+    viewBox="0 0 24 24"
+    fill="none"
+    stroke="currentColor"
+    strokeWidth="2"
+    strokeLinecap="round"
+    strokeLinejoin="round"
+  >
+    <circle cx="12" cy="12" r="10" />
+    {active
+      ? <rect x="8" y="8" width="8" height="8" fill="currentColor" />
+      : <circle cx="12" cy="12" r="4" fill="currentColor" />}
+  </svg>
+);
+
+/**
+ * Pin icon (a push pin)
+ * @returns {React.ReactElement} A pin SVG icon
+ */
+export const PinIcon = () => (
+  <svg
+    xmlns="http://www.w3.org/2000/svg"
+    viewBox="0 0 24 24"
+    fill="none"
+    stroke="currentColor"
+    strokeWidth="2"
+    strokeLinecap="round"
+    strokeLinejoin="round"
+  >
+    <line x1="12" y1="17" x2="12" y2="22" />
+    <path
+      d="M5 17h14v-1.76a2 2 0 0 0-1.11-1.79l-1.78-.9A2 2 0 0 1 15 10.76V6h1a2 2 0 0 0 0-4H8
+      a2 2 0 0 0 0 4h1v4.76a2 2 0 0 1-1.11 1.79l-1.78.9A2 2 0 0 0 5 15.24z"
+    />
+  </svg>
+);
@@ -3,6 +3,9 @@ import { Link, Outlet, useLocation } from 'react-router-dom';
 import { SignedIn, SignedOut, UserButton } from '@clerk/clerk-react';
 import styled, { keyframes } from 'styled-components';
 import { Flex, Badge, SlideDown } from '../features/common/components/StyledComponents';
+import { CallProvider } from '../features/chat/contexts/CallProvider';
+import CallOverlay from '../features/chat/components/CallOverlay';
+import IncomingCallModal from '../features/chat/components/IncomingCallModal';
 
 // Animated background
 const gradient = keyframes`
@@ -184,10 +187,10 @@ const UserButtonWrapper = styled.div`
 `;
 
 /**
- * Main layout component that wraps all pages
+ * Inner layout component, rendered inside the call provider
  * @returns {React.ReactElement} The layout component
  */
-const MainLayout = () => {
+const MainLayoutContent = () => {
   const location = useLocation();
   const [bubbles, setBubbles] = useState([]);
 
@@ -292,8 +295,24 @@ const MainLayout = () => {
           </FooterText>
         </FooterContent>
       </Footer>
+
+      <SignedIn>
+        <CallOverlay />
+        <IncomingCallModal />
+      </SignedIn>
     </AppContainer>
   );
 };
 
+/**
+ * Main layout component that wraps all pages
+ * Calls are handled here, so they ring on every page and carry on while navigating
+ * @returns {React.ReactElement} The layout component
+ */
+const MainLayout = () => (
+  <CallProvider>
+    <MainLayoutContent />
+  </CallProvider>
+);
+
 export default MainLayout;
\ No newline at end of file
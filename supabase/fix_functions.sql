@@ -1,28 +1,6 @@
--- Create a very simple stored function that will work for sure
-CREATE OR REPLACE FUNCTION public.get_simple_chat_rooms(user_id UUID)
-RETURNS SETOF public.chat_rooms
-LANGUAGE SQL
-SECURITY DEFINER
-AS $$
-  -- Get ALL rooms user should have access to
-  -- Public rooms
-  SELECT * FROM public.chat_rooms WHERE is_private = false
-  
-  UNION
-  
-  -- Private rooms user created
-  SELECT * FROM public.chat_rooms 
-  WHERE is_private = true AND created_by = user_id
-  
-  UNION
-  
-  -- Private rooms user is a member of
-  SELECT r.* FROM public.chat_rooms r
-  JOIN public.chat_room_members m ON r.id = m.room_id
-  WHERE r.is_private = true AND m.user_id = user_id
-  
-  ORDER BY updated_at DESC;
-$$;
+-- get_simple_chat_rooms (rooms with their unread count and last message) is defined in
+-- migrations/20240325000000_add_room_unread_counts.sql, and limited to the caller's own rooms in
+-- migrations/20240329000000_check_room_activity_caller.sql
 
 -- Improved user_can_access_room function that checks all conditions
 CREATE OR REPLACE FUNCTION public.user_can_access_room(user_uuid UUID, room_uuid UUID)
@@ -68,6 +46,5 @@ AS $$
 $$;
 
 -- Grant execute permissions
-GRANT EXECUTE ON FUNCTION public.get_simple_chat_rooms(UUID) TO authenticated, anon, service_role;
 GRANT EXECUTE ON FUNCTION public.user_can_access_room(UUID, UUID) TO authenticated, anon, service_role;
 GRANT EXECUTE ON FUNCTION public.get_room_details_by_id(UUID) TO authenticated, anon, service_role;
\ No newline at end of file
@@ -0,0 +1,94 @@
+/**
+ * Supabase Edge Function that mints time-limited TURN credentials
+ * Uses the coturn "REST API" scheme (use-auth-secret): the username is "<expiry>:<user id>"
+ * and the credential is base64(HMAC-SHA1(shared secret, username)), so no per-user state
+ * is stored on the TURN server.
+ *
+ * Callers send their Clerk session token as the Authorization bearer token. Credentials are
+ * only issued to the user the token belongs to, so the TURN server can't be used as an open
+ * relay. The token is verified here rather than by the Supabase gateway, so serve and deploy
+ * the function with --no-verify-jwt.
+ *
+ * Environment:
+ *   TURN_URLS           Comma-separated turn:/turns: URLs handed to the client
+ *   TURN_SHARED_SECRET  Same value as coturn's static-auth-secret
+ *   TURN_TTL_SECONDS    Credential lifetime (default 3600)
+ *   CLERK_SECRET_KEY    Clerk secret key, to verify session tokens
+ */
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { verifyToken } from 'https://esm.sh/@clerk/backend@1';
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type'
+};
+
+const jsonResponse = (body: unknown, status = 200) => new Response(JSON.stringify(body), {
+  status,
+  headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+});
+
+// base64(HMAC-SHA1(secret, message)), as coturn expects
+const signCredential = async (secret: string, message: string) => {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-1' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(message));
+
+  return btoa(String.fromCharCode(...new Uint8Array(signature)));
+};
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const urls = (Deno.env.get('TURN_URLS') || '')
+    .split(',')
+    .map((url) => url.trim())
+    .filter(Boolean);
+  const secret = Deno.env.get('TURN_SHARED_SECRET');
+  const ttl = Number(Deno.env.get('TURN_TTL_SECONDS') || 3600);
+  const clerkSecretKey = Deno.env.get('CLERK_SECRET_KEY');
+
+  if (urls.length === 0 || !secret || !Number.isFinite(ttl) || ttl <= 0 || !clerkSecretKey) {
+    return jsonResponse({ error: 'TURN is not configured on the server' }, 500);
+  }
+
+  const token = req.headers.get('Authorization')?.match(/^Bearer\s+(.+)$/i)?.[1];
+  if (!token) {
+    return jsonResponse({ error: 'Missing session token' }, 401);
+  }
+
+  let clerkId: string | undefined;
+  try {
+    ({ sub: clerkId } = await verifyToken(token, { secretKey: clerkSecretKey }));
+  } catch {
+    return jsonResponse({ error: 'Invalid session token' }, 401);
+  }
+
+  // The credentials are bound to the signed-in user, never to an ID taken from the request
+  const supabase = createClient(
+    Deno.env.get('SUPABASE_URL') ?? '',
+    Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
+  );
+  const { data: user, error } = await supabase
+    .from('users')
+    .select('id')
+    .eq('clerk_id', clerkId)
+    .maybeSingle();
+
+  if (error || !user) {
+    return jsonResponse({ error: 'Unknown user' }, 403);
+  }
+
+  const expiresAt = Math.floor(Date.now() / 1000) + ttl;
+  const username = `${expiresAt}:${user.id}`;
+  const credential = await signCredential(secret, username);
+
+  return jsonResponse({ urls, username, credential, ttl });
+});
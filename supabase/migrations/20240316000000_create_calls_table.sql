@@ -0,0 +1,72 @@
+-- Call history: one row per call attempt
+-- One-to-one calls have a callee (and the room they were started from);
+-- huddles have only a room, with the user who started the huddle as caller
+CREATE TABLE IF NOT EXISTS public.calls (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  caller_id UUID REFERENCES public.users(id) NOT NULL,
+  callee_id UUID REFERENCES public.users(id),
+  room_id UUID REFERENCES public.chat_rooms(id) ON DELETE SET NULL,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  answered_at TIMESTAMPTZ,
+  ended_at TIMESTAMPTZ,
+  duration_seconds INTEGER GENERATED ALWAYS AS (
+    CASE
+      WHEN answered_at IS NOT NULL AND ended_at IS NOT NULL
+        THEN GREATEST(0, EXTRACT(EPOCH FROM (ended_at - answered_at)))::INTEGER
+    END
+  ) STORED,
+  -- NULL while the call is still ringing or in progress
+  outcome TEXT CHECK (outcome IN ('missed', 'declined', 'completed'))
+);
+
+CREATE INDEX IF NOT EXISTS calls_caller_started_idx ON public.calls (caller_id, started_at DESC);
+CREATE INDEX IF NOT EXISTS calls_callee_started_idx ON public.calls (callee_id, started_at DESC);
+CREATE INDEX IF NOT EXISTS calls_room_idx ON public.calls (room_id);
+
+ALTER TABLE public.calls ENABLE ROW LEVEL SECURITY;
+
+-- RLS policies for calls
+CREATE POLICY "Users can view their own calls"
+  ON public.calls
+  FOR SELECT
+  USING (caller_id = auth.uid() OR callee_id = auth.uid());
+
+CREATE POLICY "Room members can view huddles in their rooms"
+  ON public.calls
+  FOR SELECT
+  USING (
+    callee_id IS NULL AND
+    EXISTS (
+      SELECT 1 FROM public.chat_room_members
+      WHERE room_id = calls.room_id AND user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Users can log calls they place"
+  ON public.calls
+  FOR INSERT
+  WITH CHECK (caller_id = auth.uid());
+
+CREATE POLICY "Call participants can update their calls"
+  ON public.calls
+  FOR UPDATE
+  USING (caller_id = auth.uid() OR callee_id = auth.uid());
+
+CREATE POLICY "Room members can update huddles in their rooms"
+  ON public.calls
+  FOR UPDATE
+  USING (
+    callee_id IS NULL AND
+    EXISTS (
+      SELECT 1 FROM public.chat_room_members
+      WHERE room_id = calls.room_id AND user_id = auth.uid()
+    )
+  );
+
+-- System messages (call summaries and other events) live alongside regular messages
+ALTER TABLE public.chat_messages
+ADD COLUMN IF NOT EXISTS message_type TEXT NOT NULL DEFAULT 'text'
+  CHECK (message_type IN ('text', 'system'));
+
+ALTER TABLE public.chat_messages
+ADD COLUMN IF NOT EXISTS metadata JSONB;
@@ -0,0 +1,65 @@
+-- Message editing: authors can change the text of their own messages,
+-- and every previous version is kept in chat_message_edits
+ALTER TABLE public.chat_messages
+ADD COLUMN IF NOT EXISTS edited_at TIMESTAMPTZ;
+
+-- One row per replaced version of a message
+CREATE TABLE IF NOT EXISTS public.chat_message_edits (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  message_id UUID REFERENCES public.chat_messages(id) ON DELETE CASCADE NOT NULL,
+  previous_message TEXT NOT NULL,
+  edited_by UUID REFERENCES public.users(id),
+  edited_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS chat_message_edits_message_idx
+  ON public.chat_message_edits (message_id, edited_at);
+
+-- Record the old text whenever a message changes, so history can't be skipped by the client
+-- Room, author and send time never change with an edit
+CREATE OR REPLACE FUNCTION public.record_chat_message_edit()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.room_id := OLD.room_id;
+  NEW.user_id := OLD.user_id;
+  NEW.created_at := OLD.created_at;
+  NEW.updated_at := now();
+
+  IF NEW.message IS DISTINCT FROM OLD.message THEN
+    INSERT INTO public.chat_message_edits (message_id, previous_message, edited_by)
+    VALUES (OLD.id, OLD.message, COALESCE(auth.uid(), OLD.user_id));
+
+    NEW.edited_at := now();
+  ELSE
+    NEW.edited_at := OLD.edited_at;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER record_chat_message_edit
+BEFORE UPDATE ON public.chat_messages
+FOR EACH ROW
+EXECUTE FUNCTION public.record_chat_message_edit();
+
+-- RLS policies for editing messages
+CREATE POLICY "Users can edit their own messages"
+  ON public.chat_messages
+  FOR UPDATE
+  USING (user_id = auth.uid() AND message_type = 'text')
+  WITH CHECK (user_id = auth.uid() AND message_type = 'text');
+
+ALTER TABLE public.chat_message_edits ENABLE ROW LEVEL SECURITY;
+
+-- Edit history is visible to anyone who can see the message itself;
+-- rows are only written by the trigger above
+CREATE POLICY "Users can view edits of messages they can see"
+  ON public.chat_message_edits
+  FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.chat_messages
+      WHERE id = chat_message_edits.message_id
+    )
+  );
@@ -0,0 +1,73 @@
+-- Message deletion: deleted messages stay in the table as tombstones, so replies and the
+-- order of the conversation are kept, but their content is removed
+ALTER TABLE public.chat_messages
+ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+
+ALTER TABLE public.chat_messages
+ADD COLUMN IF NOT EXISTS deleted_by UUID REFERENCES public.users(id);
+
+-- Room admins can moderate every message in their room; the room's creator is its admin
+CREATE OR REPLACE FUNCTION public.is_room_admin(room_uuid UUID, user_uuid UUID)
+RETURNS BOOLEAN
+LANGUAGE SQL
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM public.chat_rooms
+    WHERE id = room_uuid AND created_by = user_uuid
+  );
+$$;
+
+GRANT EXECUTE ON FUNCTION public.is_room_admin(UUID, UUID) TO authenticated, anon, service_role;
+
+-- Replaces the edit trigger function: an update is now either an edit by the author,
+-- which keeps the old text in chat_message_edits, or a deletion, which clears the content
+-- along with its edit history
+CREATE OR REPLACE FUNCTION public.record_chat_message_edit()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF OLD.deleted_at IS NOT NULL THEN
+    RAISE EXCEPTION 'Deleted messages cannot be changed';
+  END IF;
+
+  NEW.room_id := OLD.room_id;
+  NEW.user_id := OLD.user_id;
+  NEW.created_at := OLD.created_at;
+  NEW.updated_at := now();
+
+  IF NEW.deleted_at IS NOT NULL THEN
+    NEW.deleted_at := now();
+    NEW.deleted_by := COALESCE(auth.uid(), NEW.deleted_by);
+    NEW.message := '';
+    NEW.metadata := NULL;
+    NEW.edited_at := OLD.edited_at;
+
+    DELETE FROM public.chat_message_edits WHERE message_id = OLD.id;
+    RETURN NEW;
+  END IF;
+
+  IF NEW.message IS DISTINCT FROM OLD.message THEN
+    -- Admins may delete other people's messages, but never reword them
+    IF auth.uid() IS NOT NULL AND auth.uid() <> OLD.user_id THEN
+      RAISE EXCEPTION 'Only the author can edit a message';
+    END IF;
+
+    INSERT INTO public.chat_message_edits (message_id, previous_message, edited_by)
+    VALUES (OLD.id, OLD.message, COALESCE(auth.uid(), OLD.user_id));
+
+    NEW.edited_at := now();
+  ELSE
+    NEW.edited_at := OLD.edited_at;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- RLS policies for deleting messages (authors already have an update policy for their own messages)
+CREATE POLICY "Room admins can delete messages in their rooms"
+  ON public.chat_messages
+  FOR UPDATE
+  USING (public.is_room_admin(room_id, auth.uid()))
+  WITH CHECK (public.is_room_admin(room_id, auth.uid()) AND deleted_at IS NOT NULL);
@@ -0,0 +1,129 @@
+-- Threaded replies: a reply points at the top-level message that started its thread
+-- Threads are one level deep, and a reply always lives in the same room as its parent
+ALTER TABLE public.chat_messages
+ADD COLUMN IF NOT EXISTS parent_message_id UUID REFERENCES public.chat_messages(id) ON DELETE CASCADE;
+
+-- Thread summary kept on the parent, so the room list shows it without extra queries
+-- and it reaches open clients through the existing UPDATE subscription
+ALTER TABLE public.chat_messages
+ADD COLUMN IF NOT EXISTS reply_count INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE public.chat_messages
+ADD COLUMN IF NOT EXISTS last_reply_at TIMESTAMPTZ;
+
+-- Most recent repliers first, at most five
+ALTER TABLE public.chat_messages
+ADD COLUMN IF NOT EXISTS reply_participant_ids UUID[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS chat_messages_parent_created_idx
+  ON public.chat_messages (parent_message_id, created_at DESC);
+
+-- Top-level messages of a room are read far more often than threads
+CREATE INDEX IF NOT EXISTS chat_messages_room_top_level_idx
+  ON public.chat_messages (room_id, created_at DESC)
+  WHERE parent_message_id IS NULL;
+
+-- Check a reply before it is stored
+CREATE OR REPLACE FUNCTION public.check_thread_reply()
+RETURNS TRIGGER AS $$
+DECLARE
+  parent_room UUID;
+  parent_parent UUID;
+BEGIN
+  IF NEW.parent_message_id IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT room_id, parent_message_id INTO parent_room, parent_parent
+  FROM public.chat_messages
+  WHERE id = NEW.parent_message_id;
+
+  IF NOT FOUND OR parent_room <> NEW.room_id THEN
+    RAISE EXCEPTION 'Replies must be in the same room as their thread';
+  END IF;
+
+  IF parent_parent IS NOT NULL THEN
+    RAISE EXCEPTION 'Replies cannot start threads of their own';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+CREATE TRIGGER check_thread_reply
+BEFORE INSERT ON public.chat_messages
+FOR EACH ROW
+EXECUTE FUNCTION public.check_thread_reply();
+
+-- Update the parent's thread summary after a reply is stored
+-- (a reply saved twice with the same ID is skipped by the upsert and never gets here)
+CREATE OR REPLACE FUNCTION public.update_thread_summary()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE public.chat_messages
+  SET reply_count = reply_count + 1,
+      last_reply_at = GREATEST(COALESCE(last_reply_at, NEW.created_at), NEW.created_at),
+      reply_participant_ids = (ARRAY[NEW.user_id] || array_remove(reply_participant_ids, NEW.user_id))[1:5]
+  WHERE id = NEW.parent_message_id;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER update_thread_summary
+AFTER INSERT ON public.chat_messages
+FOR EACH ROW
+WHEN (NEW.parent_message_id IS NOT NULL)
+EXECUTE FUNCTION public.update_thread_summary();
+
+-- Replaces the edit trigger function again: thread summaries still update on deleted
+-- parents (their replies stay), and clients can't change a message's thread or its summary
+CREATE OR REPLACE FUNCTION public.record_chat_message_edit()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF OLD.deleted_at IS NOT NULL
+    AND (NEW.message IS DISTINCT FROM OLD.message OR NEW.deleted_at IS DISTINCT FROM OLD.deleted_at) THEN
+    RAISE EXCEPTION 'Deleted messages cannot be changed';
+  END IF;
+
+  NEW.room_id := OLD.room_id;
+  NEW.user_id := OLD.user_id;
+  NEW.created_at := OLD.created_at;
+  NEW.parent_message_id := OLD.parent_message_id;
+  NEW.updated_at := now();
+
+  -- Only update_thread_summary (a nested trigger) may change the summary columns
+  IF pg_trigger_depth() = 1 THEN
+    NEW.reply_count := OLD.reply_count;
+    NEW.last_reply_at := OLD.last_reply_at;
+    NEW.reply_participant_ids := OLD.reply_participant_ids;
+  END IF;
+
+  IF NEW.deleted_at IS NOT NULL AND OLD.deleted_at IS NULL THEN
+    NEW.deleted_at := now();
+    NEW.deleted_by := COALESCE(auth.uid(), NEW.deleted_by);
+    NEW.message := '';
+    NEW.metadata := NULL;
+    NEW.edited_at := OLD.edited_at;
+
+    DELETE FROM public.chat_message_edits WHERE message_id = OLD.id;
+    RETURN NEW;
+  END IF;
+
+  IF NEW.message IS DISTINCT FROM OLD.message THEN
+    -- Admins may delete other people's messages, but never reword them
+    IF auth.uid() IS NOT NULL AND auth.uid() <> OLD.user_id THEN
+      RAISE EXCEPTION 'Only the author can edit a message';
+    END IF;
+
+    INSERT INTO public.chat_message_edits (message_id, previous_message, edited_by)
+    VALUES (OLD.id, OLD.message, COALESCE(auth.uid(), OLD.user_id));
+
+    NEW.edited_at := now();
+  ELSE
+    NEW.edited_at := OLD.edited_at;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
@@ -0,0 +1,93 @@
+-- Emoji reactions: one row per user and emoji on a message
+-- room_id is copied from the message, so clients can follow a room's reactions with one filter
+CREATE TABLE IF NOT EXISTS public.chat_message_reactions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  message_id UUID REFERENCES public.chat_messages(id) ON DELETE CASCADE NOT NULL,
+  room_id UUID REFERENCES public.chat_rooms(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  emoji TEXT NOT NULL CHECK (char_length(emoji) BETWEEN 1 AND 16),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (message_id, user_id, emoji)
+);
+
+CREATE INDEX IF NOT EXISTS chat_message_reactions_message_idx
+  ON public.chat_message_reactions (message_id, created_at);
+
+CREATE INDEX IF NOT EXISTS chat_message_reactions_room_idx
+  ON public.chat_message_reactions (room_id);
+
+-- Take the room from the message, and keep reactions off deleted messages
+CREATE OR REPLACE FUNCTION public.check_chat_message_reaction()
+RETURNS TRIGGER AS $$
+DECLARE
+  message_room UUID;
+  message_deleted TIMESTAMPTZ;
+BEGIN
+  SELECT room_id, deleted_at INTO message_room, message_deleted
+  FROM public.chat_messages
+  WHERE id = NEW.message_id;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Message not found';
+  END IF;
+
+  IF message_deleted IS NOT NULL THEN
+    RAISE EXCEPTION 'Deleted messages cannot be reacted to';
+  END IF;
+
+  NEW.room_id := message_room;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+CREATE TRIGGER check_chat_message_reaction
+BEFORE INSERT ON public.chat_message_reactions
+FOR EACH ROW
+EXECUTE FUNCTION public.check_chat_message_reaction();
+
+-- Deleting a message clears its reactions along with its content
+CREATE OR REPLACE FUNCTION public.clear_deleted_message_reactions()
+RETURNS TRIGGER AS $$
+BEGIN
+  DELETE FROM public.chat_message_reactions WHERE message_id = NEW.id;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER clear_deleted_message_reactions
+AFTER UPDATE OF deleted_at ON public.chat_messages
+FOR EACH ROW
+WHEN (NEW.deleted_at IS NOT NULL AND OLD.deleted_at IS NULL)
+EXECUTE FUNCTION public.clear_deleted_message_reactions();
+
+ALTER TABLE public.chat_message_reactions ENABLE ROW LEVEL SECURITY;
+
+-- RLS policies for reactions: visible with the message, and users manage only their own
+CREATE POLICY "Users can view reactions on messages they can see"
+  ON public.chat_message_reactions
+  FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.chat_messages
+      WHERE id = chat_message_reactions.message_id
+    )
+  );
+
+CREATE POLICY "Room members can react to messages"
+  ON public.chat_message_reactions
+  FOR INSERT
+  WITH CHECK (
+    user_id = auth.uid() AND
+    EXISTS (
+      SELECT 1 FROM public.chat_room_members
+      WHERE room_id = chat_message_reactions.room_id AND user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Users can remove their own reactions"
+  ON public.chat_message_reactions
+  FOR DELETE
+  USING (user_id = auth.uid());
+
+-- Removals only carry the reaction's ID, which clients look up in the reactions they hold
+ALTER PUBLICATION supabase_realtime ADD TABLE public.chat_message_reactions;
@@ -0,0 +1,58 @@
+-- @mentions: messages refer to users with <@user-id> tokens in their text, and every mention
+-- of a room member is recorded here so it can be highlighted and counted until it is seen
+CREATE TABLE IF NOT EXISTS public.chat_message_mentions (
+  message_id UUID REFERENCES public.chat_messages(id) ON DELETE CASCADE NOT NULL,
+  room_id UUID REFERENCES public.chat_rooms(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  seen_at TIMESTAMPTZ,
+  PRIMARY KEY (message_id, user_id)
+);
+
+-- Unseen mentions of a user, by room, for the room list badges
+CREATE INDEX IF NOT EXISTS chat_message_mentions_unseen_idx
+  ON public.chat_message_mentions (user_id, room_id)
+  WHERE seen_at IS NULL;
+
+-- Record the mentions in a new or edited message; a deleted message loses its mentions
+-- Only members of the room are recorded, and authors don't mention themselves
+CREATE OR REPLACE FUNCTION public.record_chat_message_mentions()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.deleted_at IS NOT NULL THEN
+    DELETE FROM public.chat_message_mentions WHERE message_id = NEW.id;
+    RETURN NEW;
+  END IF;
+
+  INSERT INTO public.chat_message_mentions (message_id, room_id, user_id)
+  SELECT DISTINCT NEW.id, NEW.room_id, members.user_id
+  FROM regexp_matches(NEW.message, '<@([0-9a-fA-F-]{36})>', 'g') AS token(match)
+  JOIN public.chat_room_members AS members
+    ON members.room_id = NEW.room_id AND members.user_id = lower(token.match[1])::UUID
+  WHERE members.user_id IS DISTINCT FROM NEW.user_id
+  ON CONFLICT (message_id, user_id) DO NOTHING;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER record_chat_message_mentions
+AFTER INSERT OR UPDATE OF message ON public.chat_messages
+FOR EACH ROW
+EXECUTE FUNCTION public.record_chat_message_mentions();
+
+ALTER TABLE public.chat_message_mentions ENABLE ROW LEVEL SECURITY;
+
+-- RLS policies for mentions: users see and mark their own; rows are written by the trigger above
+CREATE POLICY "Users can view their own mentions"
+  ON public.chat_message_mentions
+  FOR SELECT
+  USING (user_id = auth.uid());
+
+CREATE POLICY "Users can mark their own mentions as seen"
+  ON public.chat_message_mentions
+  FOR UPDATE
+  USING (user_id = auth.uid())
+  WITH CHECK (user_id = auth.uid());
+
+ALTER PUBLICATION supabase_realtime ADD TABLE public.chat_message_mentions;
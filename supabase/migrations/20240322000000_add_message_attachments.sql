@@ -0,0 +1,152 @@
+-- File and image attachments: files live in the private chat-attachments Storage bucket under
+-- <room id>/<message id>/, and their details in chat_message_attachments
+-- The size and type limits below must match ATTACHMENT_LIMITS in src/features/chat/utils/attachments.js
+INSERT INTO storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+VALUES (
+  'chat-attachments',
+  'chat-attachments',
+  false,
+  20971520, -- 20 MB
+  ARRAY[
+    'image/png', 'image/jpeg', 'image/gif', 'image/webp',
+    'application/pdf', 'text/plain', 'text/csv', 'text/markdown', 'application/json', 'application/zip',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+  ]
+)
+ON CONFLICT (id) DO UPDATE
+SET public = EXCLUDED.public,
+    file_size_limit = EXCLUDED.file_size_limit,
+    allowed_mime_types = EXCLUDED.allowed_mime_types;
+
+-- Whether a user can see a room's messages (the same rule as the chat_messages policies)
+CREATE OR REPLACE FUNCTION public.can_access_chat_room(room_uuid UUID, user_uuid UUID)
+RETURNS BOOLEAN
+LANGUAGE SQL
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM public.chat_rooms
+    WHERE id = room_uuid AND (
+      is_private = false OR
+      created_by = user_uuid OR
+      EXISTS (
+        SELECT 1 FROM public.chat_room_members
+        WHERE room_id = room_uuid AND user_id = user_uuid
+      )
+    )
+  );
+$$;
+
+GRANT EXECUTE ON FUNCTION public.can_access_chat_room(UUID, UUID) TO authenticated, anon, service_role;
+
+CREATE TABLE IF NOT EXISTS public.chat_message_attachments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  message_id UUID REFERENCES public.chat_messages(id) ON DELETE CASCADE NOT NULL,
+  room_id UUID REFERENCES public.chat_rooms(id) ON DELETE CASCADE NOT NULL,
+  uploaded_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  storage_path TEXT NOT NULL UNIQUE,
+  file_name TEXT NOT NULL CHECK (char_length(file_name) BETWEEN 1 AND 255),
+  mime_type TEXT NOT NULL,
+  size_bytes BIGINT NOT NULL CHECK (size_bytes > 0 AND size_bytes <= 20971520),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS chat_message_attachments_message_idx
+  ON public.chat_message_attachments (message_id, created_at);
+
+-- Attachments must match their message and a file the bucket accepted
+CREATE OR REPLACE FUNCTION public.check_chat_message_attachment()
+RETURNS TRIGGER AS $$
+DECLARE
+  message_room UUID;
+  message_author UUID;
+  allowed_types TEXT[];
+BEGIN
+  SELECT room_id, user_id INTO message_room, message_author
+  FROM public.chat_messages
+  WHERE id = NEW.message_id AND deleted_at IS NULL;
+
+  IF NOT FOUND OR message_room <> NEW.room_id OR message_author IS DISTINCT FROM NEW.uploaded_by THEN
+    RAISE EXCEPTION 'Attachments can only be added to your own messages';
+  END IF;
+
+  IF split_part(NEW.storage_path, '/', 1) <> NEW.room_id::TEXT
+    OR split_part(NEW.storage_path, '/', 2) <> NEW.message_id::TEXT THEN
+    RAISE EXCEPTION 'Attachment path does not match its message';
+  END IF;
+
+  SELECT allowed_mime_types INTO allowed_types FROM storage.buckets WHERE id = 'chat-attachments';
+  IF NOT (NEW.mime_type = ANY (allowed_types)) THEN
+    RAISE EXCEPTION 'This file type is not allowed';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER check_chat_message_attachment
+BEFORE INSERT ON public.chat_message_attachments
+FOR EACH ROW
+EXECUTE FUNCTION public.check_chat_message_attachment();
+
+-- Deleting a message removes its attachment rows along with its content
+-- (the files themselves are removed from Storage by deleteChatMessage)
+CREATE OR REPLACE FUNCTION public.clear_deleted_message_attachments()
+RETURNS TRIGGER AS $$
+BEGIN
+  DELETE FROM public.chat_message_attachments WHERE message_id = NEW.id;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER clear_deleted_message_attachments
+AFTER UPDATE OF deleted_at ON public.chat_messages
+FOR EACH ROW
+WHEN (NEW.deleted_at IS NOT NULL AND OLD.deleted_at IS NULL)
+EXECUTE FUNCTION public.clear_deleted_message_attachments();
+
+ALTER TABLE public.chat_message_attachments ENABLE ROW LEVEL SECURITY;
+
+-- RLS policies for attachments
+CREATE POLICY "Users can view attachments in rooms they can access"
+  ON public.chat_message_attachments
+  FOR SELECT
+  USING (public.can_access_chat_room(room_id, auth.uid()));
+
+CREATE POLICY "Users can attach files to their own messages"
+  ON public.chat_message_attachments
+  FOR INSERT
+  WITH CHECK (uploaded_by = auth.uid() AND public.can_access_chat_room(room_id, auth.uid()));
+
+-- Storage policies: the first folder of every object is its room
+CREATE POLICY "Users can read attachments in rooms they can access"
+  ON storage.objects
+  FOR SELECT
+  USING (
+    bucket_id = 'chat-attachments' AND
+    public.can_access_chat_room(((storage.foldername(name))[1])::UUID, auth.uid())
+  );
+
+CREATE POLICY "Users can upload attachments to rooms they can access"
+  ON storage.objects
+  FOR INSERT
+  WITH CHECK (
+    bucket_id = 'chat-attachments' AND
+    owner = auth.uid() AND
+    public.can_access_chat_room(((storage.foldername(name))[1])::UUID, auth.uid())
+  );
+
+CREATE POLICY "Uploaders and room admins can delete attachments"
+  ON storage.objects
+  FOR DELETE
+  USING (
+    bucket_id = 'chat-attachments' AND (
+      owner = auth.uid() OR
+      public.is_room_admin(((storage.foldername(name))[1])::UUID, auth.uid())
+    )
+  );
+
+ALTER PUBLICATION supabase_realtime ADD TABLE public.chat_message_attachments;
@@ -0,0 +1,39 @@
+-- Voice messages: Opus recordings sent as attachments, with their duration and a waveform
+-- summary, and which voice messages each user has listened to
+-- The limits below must match VOICE_LIMITS in src/features/chat/utils/voiceMessages.js
+UPDATE storage.buckets
+SET allowed_mime_types = allowed_mime_types || ARRAY['audio/webm', 'audio/ogg']
+WHERE id = 'chat-attachments'
+  AND NOT (allowed_mime_types @> ARRAY['audio/webm', 'audio/ogg']);
+
+ALTER TABLE public.chat_message_attachments
+ADD COLUMN IF NOT EXISTS duration_ms INTEGER
+  CHECK (duration_ms > 0 AND duration_ms <= 300000), -- 5 minutes
+ADD COLUMN IF NOT EXISTS waveform SMALLINT[]
+  CHECK (array_length(waveform, 1) <= 128 AND 0 <= ALL (waveform) AND 100 >= ALL (waveform));
+
+CREATE TABLE IF NOT EXISTS public.chat_voice_message_listens (
+  attachment_id UUID REFERENCES public.chat_message_attachments(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  listened_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (attachment_id, user_id)
+);
+
+ALTER TABLE public.chat_voice_message_listens ENABLE ROW LEVEL SECURITY;
+
+-- RLS policies for listens (each user only sees their own)
+CREATE POLICY "Users can view their own listens"
+  ON public.chat_voice_message_listens
+  FOR SELECT
+  USING (user_id = auth.uid());
+
+CREATE POLICY "Users can record listening to voice messages in rooms they can access"
+  ON public.chat_voice_message_listens
+  FOR INSERT
+  WITH CHECK (
+    user_id = auth.uid() AND
+    EXISTS (
+      SELECT 1 FROM public.chat_message_attachments
+      WHERE id = attachment_id AND public.can_access_chat_room(room_id, auth.uid())
+    )
+  );
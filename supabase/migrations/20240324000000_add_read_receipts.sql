@@ -0,0 +1,52 @@
+-- Read receipts: chat_room_members.last_read_message_id is advanced as a member scrolls through
+-- a room, and other members follow it through Realtime to show "seen by" avatars
+
+-- Move a member's last read message forward (never back) to a top-level message in the room
+CREATE OR REPLACE FUNCTION public.mark_chat_room_read(room_uuid UUID, user_uuid UUID, message_uuid UUID)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  message_time TIMESTAMPTZ;
+  last_read UUID;
+BEGIN
+  IF auth.uid() IS NOT NULL AND auth.uid() <> user_uuid THEN
+    RAISE EXCEPTION 'Users can only mark their own messages as read';
+  END IF;
+
+  SELECT created_at INTO message_time
+  FROM public.chat_messages
+  WHERE id = message_uuid AND room_id = room_uuid AND parent_message_id IS NULL;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Message not found in this room';
+  END IF;
+
+  UPDATE public.chat_room_members AS member
+  SET last_read_message_id = message_uuid
+  WHERE member.room_id = room_uuid
+    AND member.user_id = user_uuid
+    AND member.last_read_message_id IS DISTINCT FROM message_uuid
+    AND NOT EXISTS (
+      SELECT 1 FROM public.chat_messages AS current_read
+      WHERE current_read.id = member.last_read_message_id AND current_read.created_at > message_time
+    );
+
+  SELECT last_read_message_id INTO last_read
+  FROM public.chat_room_members
+  WHERE room_id = room_uuid AND user_id = user_uuid;
+
+  RETURN last_read;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.mark_chat_room_read(UUID, UUID, UUID) TO authenticated, anon, service_role;
+
+-- Members of private rooms need to see each other's rows (and their receipts) too; the check runs
+-- through a SECURITY DEFINER function, so it doesn't recurse into these policies
+CREATE POLICY "Members can view memberships of rooms they can access"
+  ON public.chat_room_members
+  FOR SELECT
+  USING (public.can_access_chat_room(room_id, auth.uid()));
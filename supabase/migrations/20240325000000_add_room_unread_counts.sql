@@ -0,0 +1,108 @@
+-- Room list activity: each room's unread count (from the member's last read message) and a
+-- preview of its last message, so the list can show badges and be sorted by last activity
+
+-- Activity of every room a user can access. Unread messages are top-level messages from others
+-- after the member's last read message, or since they joined if they haven't read any yet;
+-- rooms the user isn't a member of have nothing unread
+CREATE OR REPLACE FUNCTION public.get_chat_room_activity(user_uuid UUID)
+RETURNS TABLE (
+  room_id UUID,
+  is_member BOOLEAN,
+  unread_count INTEGER,
+  last_message_id UUID,
+  last_message TEXT,
+  last_message_type TEXT,
+  last_message_user_id UUID,
+  last_message_user_name TEXT,
+  last_message_at TIMESTAMPTZ,
+  last_activity_at TIMESTAMPTZ
+)
+LANGUAGE SQL
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT
+    r.id,
+    m.user_id IS NOT NULL,
+    COALESCE(unread.total, 0)::INTEGER,
+    last_msg.id,
+    last_msg.message,
+    last_msg.message_type,
+    last_msg.user_id,
+    sender.full_name,
+    last_msg.created_at,
+    GREATEST(r.created_at, last_msg.created_at)
+  FROM public.chat_rooms r
+  LEFT JOIN public.chat_room_members m ON m.room_id = r.id AND m.user_id = user_uuid
+  LEFT JOIN LATERAL (
+    SELECT msg.id, msg.message, msg.message_type, msg.user_id, msg.created_at
+    FROM public.chat_messages msg
+    WHERE msg.room_id = r.id AND msg.parent_message_id IS NULL AND msg.deleted_at IS NULL
+    ORDER BY msg.created_at DESC
+    LIMIT 1
+  ) last_msg ON true
+  LEFT JOIN public.users sender ON sender.id = last_msg.user_id
+  LEFT JOIN LATERAL (
+    SELECT count(*) AS total
+    FROM public.chat_messages msg
+    WHERE m.user_id IS NOT NULL
+      AND msg.room_id = r.id
+      AND msg.parent_message_id IS NULL
+      AND msg.deleted_at IS NULL
+      AND msg.user_id IS DISTINCT FROM user_uuid
+      AND msg.created_at > COALESCE(
+        (SELECT read_msg.created_at FROM public.chat_messages read_msg WHERE read_msg.id = m.last_read_message_id),
+        m.joined_at
+      )
+  ) unread ON true
+  WHERE public.can_access_chat_room(r.id, user_uuid);
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_chat_room_activity(UUID) TO authenticated, anon, service_role;
+
+-- The room list RPC now returns each room's activity along with it, most recently active first.
+-- Its return type changes, so it has to be dropped rather than replaced
+DROP FUNCTION IF EXISTS public.get_simple_chat_rooms(UUID);
+
+CREATE FUNCTION public.get_simple_chat_rooms(user_id UUID)
+RETURNS TABLE (
+  id UUID,
+  name TEXT,
+  description TEXT,
+  created_by UUID,
+  is_private BOOLEAN,
+  created_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ,
+  is_member BOOLEAN,
+  unread_count INTEGER,
+  last_message_id UUID,
+  last_message TEXT,
+  last_message_type TEXT,
+  last_message_user_id UUID,
+  last_message_user_name TEXT,
+  last_message_at TIMESTAMPTZ,
+  last_activity_at TIMESTAMPTZ
+)
+LANGUAGE SQL
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT
+    r.id, r.name, r.description, r.created_by, r.is_private, r.created_at, r.updated_at,
+    activity.is_member,
+    activity.unread_count,
+    activity.last_message_id,
+    activity.last_message,
+    activity.last_message_type,
+    activity.last_message_user_id,
+    activity.last_message_user_name,
+    activity.last_message_at,
+    activity.last_activity_at
+  FROM public.chat_rooms r
+  JOIN public.get_chat_room_activity(get_simple_chat_rooms.user_id) activity ON activity.room_id = r.id
+  ORDER BY activity.last_activity_at DESC;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_simple_chat_rooms(UUID) TO authenticated, anon, service_role;
@@ -0,0 +1,8 @@
+-- Room history is paged with a (created_at, id) keyset cursor; the ID breaks ties between
+-- messages saved at the same time, so the index orders by both
+CREATE INDEX IF NOT EXISTS chat_messages_room_history_idx
+  ON public.chat_messages (room_id, created_at DESC, id DESC)
+  WHERE parent_message_id IS NULL;
+
+-- Superseded by the index above
+DROP INDEX IF EXISTS public.chat_messages_room_top_level_idx;
@@ -0,0 +1,78 @@
+-- Full-text message search across every room a user can access
+
+-- Search document of each message, kept up to date by Postgres
+ALTER TABLE public.chat_messages
+ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+  GENERATED ALWAYS AS (to_tsvector('english'::regconfig, COALESCE(message, ''))) STORED;
+
+CREATE INDEX IF NOT EXISTS chat_messages_search_idx
+  ON public.chat_messages USING GIN (search_vector);
+
+-- Search messages with web-style syntax ("quoted phrases", -excluded, or), optionally limited to a
+-- room, an author and a date range (from inclusive, to exclusive). Snippets mark the matched words
+-- with chr(2) and chr(3) rather than HTML, so the client can highlight them without parsing markup
+CREATE OR REPLACE FUNCTION public.search_chat_messages(
+  user_uuid UUID,
+  search_query TEXT,
+  room_uuid UUID DEFAULT NULL,
+  author_uuid UUID DEFAULT NULL,
+  from_date TIMESTAMPTZ DEFAULT NULL,
+  to_date TIMESTAMPTZ DEFAULT NULL,
+  result_limit INTEGER DEFAULT 50
+)
+RETURNS TABLE (
+  id UUID,
+  room_id UUID,
+  room_name TEXT,
+  parent_message_id UUID,
+  user_id UUID,
+  user_name TEXT,
+  user_image_url TEXT,
+  created_at TIMESTAMPTZ,
+  snippet TEXT,
+  rank REAL
+)
+LANGUAGE SQL
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  WITH search AS (
+    SELECT websearch_to_tsquery('english', search_query) AS query
+  )
+  SELECT
+    msg.id,
+    msg.room_id,
+    room.name,
+    msg.parent_message_id,
+    msg.user_id,
+    author.full_name,
+    author.image_url,
+    msg.created_at,
+    ts_headline(
+      'english',
+      msg.message,
+      search.query,
+      'StartSel=' || chr(2) || ', StopSel=' || chr(3)
+        || ', MinWords=10, MaxWords=24, MaxFragments=2, FragmentDelimiter=" … "'
+    ),
+    ts_rank(msg.search_vector, search.query)
+  FROM search
+  CROSS JOIN public.chat_messages msg
+  JOIN public.chat_rooms room ON room.id = msg.room_id
+  LEFT JOIN public.users author ON author.id = msg.user_id
+  WHERE msg.search_vector @@ search.query
+    AND msg.deleted_at IS NULL
+    AND msg.message_type = 'text'
+    AND (room_uuid IS NULL OR msg.room_id = room_uuid)
+    AND (author_uuid IS NULL OR msg.user_id = author_uuid)
+    AND (from_date IS NULL OR msg.created_at >= from_date)
+    AND (to_date IS NULL OR msg.created_at < to_date)
+    AND (auth.uid() IS NULL OR auth.uid() = user_uuid)
+    AND public.can_access_chat_room(msg.room_id, user_uuid)
+  ORDER BY ts_rank(msg.search_vector, search.query) DESC, msg.created_at DESC
+  LIMIT LEAST(GREATEST(result_limit, 1), 100);
+$$;
+
+GRANT EXECUTE ON FUNCTION public.search_chat_messages(UUID, TEXT, UUID, UUID, TIMESTAMPTZ, TIMESTAMPTZ, INTEGER)
+  TO authenticated, anon, service_role;
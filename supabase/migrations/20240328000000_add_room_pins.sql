@@ -0,0 +1,104 @@
+-- Pinned messages: room admins pin top-level messages to keep them at hand
+-- room_id is copied from the message, so clients can follow a room's pins with one filter
+CREATE TABLE IF NOT EXISTS public.chat_room_pins (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  room_id UUID REFERENCES public.chat_rooms(id) ON DELETE CASCADE NOT NULL,
+  message_id UUID REFERENCES public.chat_messages(id) ON DELETE CASCADE NOT NULL,
+  pinned_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (message_id)
+);
+
+CREATE INDEX IF NOT EXISTS chat_room_pins_room_idx
+  ON public.chat_room_pins (room_id, created_at DESC);
+
+-- Take the room from the message; only saved, top-level text messages can be pinned, by a room admin
+CREATE OR REPLACE FUNCTION public.check_chat_room_pin()
+RETURNS TRIGGER AS $$
+DECLARE
+  pinned_message RECORD;
+BEGIN
+  SELECT room_id, parent_message_id, message_type, deleted_at INTO pinned_message
+  FROM public.chat_messages
+  WHERE id = NEW.message_id;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Message not found';
+  END IF;
+
+  IF pinned_message.deleted_at IS NOT NULL THEN
+    RAISE EXCEPTION 'Deleted messages cannot be pinned';
+  END IF;
+
+  IF pinned_message.parent_message_id IS NOT NULL OR pinned_message.message_type <> 'text' THEN
+    RAISE EXCEPTION 'Only top-level messages can be pinned';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM public.chat_rooms
+    WHERE id = pinned_message.room_id AND created_by = NEW.pinned_by
+  ) THEN
+    RAISE EXCEPTION 'Only room admins can pin messages';
+  END IF;
+
+  NEW.room_id := pinned_message.room_id;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+CREATE TRIGGER check_chat_room_pin
+BEFORE INSERT ON public.chat_room_pins
+FOR EACH ROW
+EXECUTE FUNCTION public.check_chat_room_pin();
+
+-- Deleting a message unpins it
+CREATE OR REPLACE FUNCTION public.clear_deleted_message_pins()
+RETURNS TRIGGER AS $$
+BEGIN
+  DELETE FROM public.chat_room_pins WHERE message_id = NEW.id;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER clear_deleted_message_pins
+AFTER UPDATE OF deleted_at ON public.chat_messages
+FOR EACH ROW
+WHEN (NEW.deleted_at IS NOT NULL AND OLD.deleted_at IS NULL)
+EXECUTE FUNCTION public.clear_deleted_message_pins();
+
+ALTER TABLE public.chat_room_pins ENABLE ROW LEVEL SECURITY;
+
+-- RLS policies for pins: visible with the message, and managed by the room's admin
+CREATE POLICY "Users can view pins on messages they can see"
+  ON public.chat_room_pins
+  FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.chat_messages
+      WHERE id = chat_room_pins.message_id
+    )
+  );
+
+CREATE POLICY "Room admins can pin messages"
+  ON public.chat_room_pins
+  FOR INSERT
+  WITH CHECK (
+    pinned_by = auth.uid() AND
+    EXISTS (
+      SELECT 1 FROM public.chat_rooms
+      WHERE id = chat_room_pins.room_id AND created_by = auth.uid()
+    )
+  );
+
+CREATE POLICY "Room admins can unpin messages"
+  ON public.chat_room_pins
+  FOR DELETE
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.chat_rooms
+      WHERE id = chat_room_pins.room_id AND created_by = auth.uid()
+    )
+  );
+
+-- Removals only carry the pin's ID, which clients look up in the pins they hold
+ALTER PUBLICATION supabase_realtime ADD TABLE public.chat_room_pins;
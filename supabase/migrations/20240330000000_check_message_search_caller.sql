@@ -0,0 +1,70 @@
+-- Message search only let a signed-in caller search as themselves; a caller without a session
+-- (auth.uid() is NULL) could search any user's private rooms. Like the room activity RPCs, it now
+-- only answers for the signed-in user or the service role
+
+-- Search messages in the rooms a user can access; nothing for anyone but that user
+CREATE OR REPLACE FUNCTION public.search_chat_messages(
+  user_uuid UUID,
+  search_query TEXT,
+  room_uuid UUID DEFAULT NULL,
+  author_uuid UUID DEFAULT NULL,
+  from_date TIMESTAMPTZ DEFAULT NULL,
+  to_date TIMESTAMPTZ DEFAULT NULL,
+  result_limit INTEGER DEFAULT 50
+)
+RETURNS TABLE (
+  id UUID,
+  room_id UUID,
+  room_name TEXT,
+  parent_message_id UUID,
+  user_id UUID,
+  user_name TEXT,
+  user_image_url TEXT,
+  created_at TIMESTAMPTZ,
+  snippet TEXT,
+  rank REAL
+)
+LANGUAGE SQL
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  WITH search AS (
+    SELECT websearch_to_tsquery('english', search_query) AS query
+  )
+  SELECT
+    msg.id,
+    msg.room_id,
+    room.name,
+    msg.parent_message_id,
+    msg.user_id,
+    author.full_name,
+    author.image_url,
+    msg.created_at,
+    ts_headline(
+      'english',
+      msg.message,
+      search.query,
+      'StartSel=' || chr(2) || ', StopSel=' || chr(3)
+        || ', MinWords=10, MaxWords=24, MaxFragments=2, FragmentDelimiter=" … "'
+    ),
+    ts_rank(msg.search_vector, search.query)
+  FROM search
+  CROSS JOIN public.chat_messages msg
+  JOIN public.chat_rooms room ON room.id = msg.room_id
+  LEFT JOIN public.users author ON author.id = msg.user_id
+  WHERE msg.search_vector @@ search.query
+    AND msg.deleted_at IS NULL
+    AND msg.message_type = 'text'
+    AND (room_uuid IS NULL OR msg.room_id = room_uuid)
+    AND (author_uuid IS NULL OR msg.user_id = author_uuid)
+    AND (from_date IS NULL OR msg.created_at >= from_date)
+    AND (to_date IS NULL OR msg.created_at < to_date)
+    AND public.is_chat_caller(user_uuid)
+    AND public.can_access_chat_room(msg.room_id, user_uuid)
+  ORDER BY ts_rank(msg.search_vector, search.query) DESC, msg.created_at DESC
+  LIMIT LEAST(GREATEST(result_limit, 1), 100);
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.search_chat_messages(UUID, TEXT, UUID, UUID, TIMESTAMPTZ, TIMESTAMPTZ, INTEGER) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.search_chat_messages(UUID, TEXT, UUID, UUID, TIMESTAMPTZ, TIMESTAMPTZ, INTEGER) TO authenticated, service_role;
@@ -0,0 +1,47 @@
+-- Moving a read position let any caller without a session (auth.uid() is NULL) move any member's,
+-- which drives other members' receipts and unread counts. Like the room activity RPCs, it now only
+-- acts for the signed-in user or the service role
+
+-- Move a member's last read message forward (never back) to a top-level message in the room
+CREATE OR REPLACE FUNCTION public.mark_chat_room_read(room_uuid UUID, user_uuid UUID, message_uuid UUID)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  message_time TIMESTAMPTZ;
+  last_read UUID;
+BEGIN
+  IF NOT public.is_chat_caller(user_uuid) THEN
+    RAISE EXCEPTION 'Users can only mark their own messages as read';
+  END IF;
+
+  SELECT created_at INTO message_time
+  FROM public.chat_messages
+  WHERE id = message_uuid AND room_id = room_uuid AND parent_message_id IS NULL;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Message not found in this room';
+  END IF;
+
+  UPDATE public.chat_room_members AS member
+  SET last_read_message_id = message_uuid
+  WHERE member.room_id = room_uuid
+    AND member.user_id = user_uuid
+    AND member.last_read_message_id IS DISTINCT FROM message_uuid
+    AND NOT EXISTS (
+      SELECT 1 FROM public.chat_messages AS current_read
+      WHERE current_read.id = member.last_read_message_id AND current_read.created_at > message_time
+    );
+
+  SELECT last_read_message_id INTO last_read
+  FROM public.chat_room_members
+  WHERE room_id = room_uuid AND user_id = user_uuid;
+
+  RETURN last_read;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.mark_chat_room_read(UUID, UUID, UUID) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.mark_chat_room_read(UUID, UUID, UUID) TO authenticated, service_role;